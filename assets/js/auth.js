@@ -10,6 +10,15 @@ class AuthManager {
         this.authStateListeners = [];
         this.sessionCheckInterval = null;
         
+        // Assurance level of the session (aal1 = password, aal2 = second factor verified)
+        this.assuranceLevel = null;
+        
+        // Role matrix from the roles and role_permissions tables
+        this.roles = [];
+        
+        // Role on each client (client id -> role name) from client_members
+        this.clientRoles = {};
+        
         // Bind methods to preserve context
         this.onAuthStateChange = this.onAuthStateChange.bind(this);
     }
@@ -93,17 +102,18 @@ class AuthManager {
      * Sign up with email and password
      * @param {string} email - User email
      * @param {string} password - User password
+     * @param {Object} metadata - User metadata read by handle_new_user(): full_name and invite_token
      * @returns {Promise<Object>} Auth result
      */
-    async signUp(email, password) {
+    async signUp(email, password, metadata = {}) {
         try {
             if (!email || !password) {
                 throw new Error('Email dan password harus diisi');
             }
 
             // Validate password strength
-            if (window.app && window.app.security) {
-                const validation = window.app.security.validatePasswordStrength(password);
+            if (window.laliApp && window.laliApp.security) {
+                const validation = window.laliApp.security.estimatePasswordStrength(password, [email]);
                 if (!validation.isValid) {
                     throw new Error(`Password tidak cukup kuat: ${validation.feedback.join(', ')}`);
                 }
@@ -111,7 +121,8 @@ class AuthManager {
 
             const { data, error } = await this.supabase.auth.signUp({
                 email: email.trim().toLowerCase(),
-                password: password
+                password: password,
+                options: { data: metadata }
             });
 
             if (error) {
@@ -150,6 +161,9 @@ class AuthManager {
             // Clear user data
             this.user = null;
             this.userProfile = null;
+            this.assuranceLevel = null;
+            this.roles = [];
+            this.clientRoles = {};
             this.stopSessionCheck();
             
             // Clear any cached data
@@ -218,6 +232,8 @@ class AuthManager {
             }
 
             this.userProfile = data;
+            await this.loadRoles();
+            await this.loadClientMemberships();
             return data;
         } catch (error) {
             console.error('Failed to load user profile:', error);
@@ -225,6 +241,117 @@ class AuthManager {
         }
     }
 
+    /**
+     * Load every role with its permissions; the RLS policies read the same
+     * role_permissions rows through has_permission()
+     * @returns {Promise<Array>} Roles as { name, label, description, allClients, permissions: { resource: [actions] } }
+     */
+    async loadRoles() {
+        try {
+            const { data, error } = await this.supabase
+                .from('roles')
+                .select('name, label, description, all_clients, role_permissions(resource, action)')
+                .order('position');
+
+            if (error) {
+                throw error;
+            }
+
+            this.roles = data.map(role => ({
+                name: role.name,
+                label: role.label,
+                description: role.description,
+                allClients: !!role.all_clients,
+                permissions: (role.role_permissions || []).reduce((permissions, { resource, action }) => {
+                    permissions[resource] = [...(permissions[resource] || []), action];
+                    return permissions;
+                }, {})
+            }));
+            return this.roles;
+        } catch (error) {
+            // Without the matrix every permission check fails closed
+            console.error('Failed to load roles:', error);
+            this.roles = [];
+            return [];
+        }
+    }
+
+    /**
+     * Load the clients the user is a member of and their role on each; roles
+     * that cover every client do not need memberships
+     * @returns {Promise<Object>} Role per client id
+     */
+    async loadClientMemberships() {
+        if (!this.user) {
+            return {};
+        }
+
+        try {
+            const { data, error } = await this.supabase
+                .from('client_members')
+                .select('client_id, role')
+                .eq('user_id', this.user.id);
+
+            if (error) {
+                throw error;
+            }
+
+            this.clientRoles = Object.fromEntries(data.map(member => [member.client_id, member.role]));
+            return this.clientRoles;
+        } catch (error) {
+            // Without memberships, client checks fail closed
+            console.error('Failed to load client memberships:', error);
+            this.clientRoles = {};
+            return {};
+        }
+    }
+
+    /**
+     * Check if the user's role covers every client
+     * @returns {boolean} Covers every client
+     */
+    hasAllClients() {
+        return !!this.getRole(this.getUserRole())?.allClients;
+    }
+
+    /**
+     * Get the role the user acts with on a client
+     * @param {number|null} clientId - Client ID, or null for a client that does not exist yet
+     * @returns {string|null} Role name, or null when the user has no access to the client
+     */
+    getClientRole(clientId) {
+        if (this.hasAllClients()) {
+            return this.getUserRole();
+        }
+        return (clientId !== null && this.clientRoles[clientId]) || null;
+    }
+
+    /**
+     * Get all roles in display order
+     * @returns {Array} Roles loaded by loadRoles()
+     */
+    getRoles() {
+        return this.roles;
+    }
+
+    /**
+     * Get one role
+     * @param {string} name - Role name
+     * @returns {Object|null} Role, or null when it does not exist
+     */
+    getRole(name) {
+        return this.roles.find(role => role.name === name) || null;
+    }
+
+    /**
+     * Get the display name of a role
+     * @param {string} name - Role name
+     * @returns {string} Role label
+     */
+    getRoleLabel(name) {
+        return this.getRole(name)?.label || (name ? name.charAt(0).toUpperCase() + name.slice(1) : 'Unknown');
+    }
+
     /**
      * Create user profile for new user
      * @returns {Promise<Object|null>} Created profile
@@ -318,6 +445,174 @@ class AuthManager {
         return this.user?.id || null;
     }
 
+    /**
+     * Get vault key derivation settings stored on the profile
+     * @returns {Object|null} Salt, iterations, verifier and key pair, or null if the vault is not set up
+     */
+    getVaultSettings() {
+        if (!this.userProfile?.vault_salt || !this.userProfile?.vault_verifier) {
+            return null;
+        }
+
+        return {
+            salt: this.userProfile.vault_salt,
+            iterations: this.userProfile.vault_kdf_iterations,
+            verifier: this.userProfile.vault_verifier,
+            publicKey: this.userProfile.public_key || null,
+            encryptedPrivateKey: this.userProfile.encrypted_private_key || null
+        };
+    }
+
+    /**
+     * Store vault key derivation settings on the profile
+     * @param {Object} settings - Salt, iterations, verifier and key pair
+     * @returns {Promise<Object>} Update result
+     */
+    async saveVaultSettings({ salt, iterations, verifier, publicKey, encryptedPrivateKey }) {
+        return await this.updateUserProfile({
+            vault_salt: salt,
+            vault_kdf_iterations: iterations,
+            vault_verifier: verifier,
+            public_key: publicKey,
+            encrypted_private_key: encryptedPrivateKey
+        });
+    }
+
+    // ==================== MULTI-FACTOR AUTHENTICATION ====================
+
+    /**
+     * Get the assurance level of the current session
+     * nextLevel is aal2 when the user has a verified factor; currentLevel only
+     * becomes aal2 once that factor was verified in this session
+     * @returns {Promise<Object>} Result with data { currentLevel, nextLevel }
+     */
+    async getAssuranceLevel() {
+        try {
+            const { data, error } = await this.supabase.auth.mfa.getAuthenticatorAssuranceLevel();
+            if (error) {
+                throw error;
+            }
+            this.assuranceLevel = data.currentLevel;
+            return { data, error: null };
+        } catch (error) {
+            console.error('Failed to get assurance level:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * List the verified TOTP factors of the current user
+     * @returns {Promise<Object>} Result with data as an array of factors
+     */
+    async getTotpFactors() {
+        try {
+            const { data, error } = await this.supabase.auth.mfa.listFactors();
+            if (error) {
+                throw error;
+            }
+            return { data: (data.totp || []).filter(factor => factor.status === 'verified'), error: null };
+        } catch (error) {
+            console.error('Failed to list MFA factors:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Start TOTP enrollment
+     * Unverified factors left by an abandoned enrollment are removed first
+     * @returns {Promise<Object>} Result with data { id, totp: { qr_code, secret, uri } }
+     */
+    async enrollTotp() {
+        try {
+            const { data: factors, error: listError } = await this.supabase.auth.mfa.listFactors();
+            if (listError) {
+                throw listError;
+            }
+
+            for (const factor of factors.all || []) {
+                if (factor.factor_type === 'totp' && factor.status !== 'verified') {
+                    await this.supabase.auth.mfa.unenroll({ factorId: factor.id });
+                }
+            }
+
+            const { data, error } = await this.supabase.auth.mfa.enroll({
+                factorType: 'totp',
+                friendlyName: `LaliLink ${new Date().toISOString().slice(0, 10)}`
+            });
+            if (error) {
+                throw error;
+            }
+            return { data, error: null };
+        } catch (error) {
+            console.error('Failed to enroll TOTP factor:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Verify a TOTP code; raises the session to aal2 and completes a pending enrollment
+     * @param {string} factorId - Factor ID
+     * @param {string} code - 6-digit code from the authenticator app
+     * @returns {Promise<Object>} Verify result
+     */
+    async verifyTotp(factorId, code) {
+        try {
+            const { data, error } = await this.supabase.auth.mfa.challengeAndVerify({
+                factorId,
+                code: String(code).replace(/\s+/g, '')
+            });
+            if (error) {
+                throw error;
+            }
+            this.assuranceLevel = 'aal2';
+            return { data, error: null };
+        } catch (error) {
+            console.error('Failed to verify TOTP code:', error);
+            return { data: null, error: { message: 'Invalid or expired code' } };
+        }
+    }
+
+    /**
+     * Remove an MFA factor from the current user
+     * @param {string} factorId - Factor ID
+     * @returns {Promise<Object>} Unenroll result
+     */
+    async unenrollFactor(factorId) {
+        try {
+            const { data, error } = await this.supabase.auth.mfa.unenroll({ factorId });
+            if (error) {
+                throw error;
+            }
+            return { data, error: null };
+        } catch (error) {
+            console.error('Failed to remove MFA factor:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Check if the next write needs a TOTP code first
+     * Mirrors has_permission() and is_admin_with_mfa() in the RLS policies
+     * @returns {boolean} Step-up required
+     */
+    needsStepUp() {
+        if (this.assuranceLevel === 'aal2') {
+            return false;
+        }
+        const roleNames = [this.getUserRole(), ...Object.values(this.clientRoles)];
+        return this.isAdmin() || roleNames.some(name =>
+            Object.values(this.getRole(name)?.permissions || {}).some(actions => actions.some(action => action !== 'read'))
+        );
+    }
+
+    /**
+     * Check if an admin requires MFA for the current user
+     * @returns {boolean} MFA required
+     */
+    isMfaRequired() {
+        return !!this.userProfile?.mfa_required;
+    }
+
     /**
      * Check if user is admin
      * @returns {boolean} Is admin
@@ -326,6 +621,14 @@ class AuthManager {
         return this.getUserRole() === 'admin';
     }
 
+    /**
+     * Check if user is editor
+     * @returns {boolean} Is editor
+     */
+    isEditor() {
+        return this.getUserRole() === 'editor';
+    }
+
     /**
      * Check if user is viewer
      * @returns {boolean} Is viewer
@@ -344,66 +647,82 @@ class AuthManager {
 
     /**
      * Check if user can perform action
+     * Clients, applications and credentials are checked on one client, like
+     * has_client_permission() does: with the user's role when it covers every
+     * client, otherwise with their membership role on that client
      * @param {string} resource - Resource type (clients, applications, credentials, users)
      * @param {string} action - Action type (create, read, update, delete)
-     * @returns {boolean} Can perform action
+     * @param {number|null} clientId - Client the resource belongs to; null for a new client
+     * @returns {boolean|string} true, false, or AuthManager.STEP_UP_REQUIRED when the
+     * action is allowed but the session must first pass a second factor
      */
-    canPerform(resource, action) {
+    canPerform(resource, action, clientId = null) {
         if (!this.isAuthenticated()) {
             return false;
         }
 
-        const role = this.getUserRole();
-        const permissions = CONFIG.PERMISSIONS[role];
+        const roleName = AuthManager.CLIENT_RESOURCES.includes(resource)
+            ? this.getClientRole(clientId)
+            : this.getUserRole();
+        const permissions = this.getRole(roleName)?.permissions;
         
-        if (!permissions || !permissions[resource]) {
+        if (!permissions || !permissions[resource] || !permissions[resource].includes(action)) {
             return false;
         }
 
-        return permissions[resource].includes(action);
+        if (action !== 'read' && this.needsStepUp()) {
+            return AuthManager.STEP_UP_REQUIRED;
+        }
+
+        return true;
     }
 
     /**
      * Check create permission
      * @param {string} resource - Resource type
+     * @param {number|null} clientId - Client the resource belongs to
      * @returns {boolean} Can create
      */
-    canCreate(resource = 'clients') {
-        return this.canPerform(resource, 'create');
+    canCreate(resource = 'clients', clientId = null) {
+        return this.canPerform(resource, 'create', clientId);
     }
 
     /**
      * Check read permission
      * @param {string} resource - Resource type
+     * @param {number|null} clientId - Client the resource belongs to
      * @returns {boolean} Can read
      */
-    canRead(resource = 'clients') {
-        return this.canPerform(resource, 'read');
+    canRead(resource = 'clients', clientId = null) {
+        return this.canPerform(resource, 'read', clientId);
     }
 
     /**
      * Check update permission
      * @param {string} resource - Resource type
+     * @param {number|null} clientId - Client the resource belongs to
      * @returns {boolean} Can update
      */
-    canUpdate(resource = 'clients') {
-        return this.canPerform(resource, 'update');
+    canUpdate(resource = 'clients', clientId = null) {
+        return this.canPerform(resource, 'update', clientId);
     }
 
     /**
      * Check delete permission
      * @param {string} resource - Resource type
+     * @param {number|null} clientId - Client the resource belongs to
      * @returns {boolean} Can delete
      */
-    canDelete(resource = 'clients') {
-        return this.canPerform(resource, 'delete');
+    canDelete(resource = 'clients', clientId = null) {
+        return this.canPerform(resource, 'delete', clientId);
     }
 
     /**
-     * Get user permissions based on role
+     * Get user permissions from the role matrix
+     * @param {number|null} clientId - Client to get the permissions on; null outside a client
      * @returns {Object} User permissions object
      */
-    getUserPermissions() {
+    getUserPermissions(clientId = null) {
         if (!this.isAuthenticated()) {
             return {
                 clients: { canCreate: false, canRead: false, canUpdate: false, canDelete: false },
@@ -413,27 +732,24 @@ class AuthManager {
             };
         }
 
-        const role = this.getUserRole();
-        const permissions = CONFIG.PERMISSIONS[role] || {};
-        
         return {
             clients: {
-                canCreate: this.canCreate('clients'),
-                canRead: this.canRead('clients'),
-                canUpdate: this.canUpdate('clients'),
-                canDelete: this.canDelete('clients')
+                canCreate: this.canCreate('clients', clientId),
+                canRead: this.canRead('clients', clientId),
+                canUpdate: this.canUpdate('clients', clientId),
+                canDelete: this.canDelete('clients', clientId)
             },
             applications: {
-                canCreate: this.canCreate('applications'),
-                canRead: this.canRead('applications'),
-                canUpdate: this.canUpdate('applications'),
-                canDelete: this.canDelete('applications')
+                canCreate: this.canCreate('applications', clientId),
+                canRead: this.canRead('applications', clientId),
+                canUpdate: this.canUpdate('applications', clientId),
+                canDelete: this.canDelete('applications', clientId)
             },
             credentials: {
-                canCreate: this.canCreate('credentials'),
-                canRead: this.canRead('credentials'),
-                canUpdate: this.canUpdate('credentials'),
-                canDelete: this.canDelete('credentials')
+                canCreate: this.canCreate('credentials', clientId),
+                canRead: this.canRead('credentials', clientId),
+                canUpdate: this.canUpdate('credentials', clientId),
+                canDelete: this.canDelete('credentials', clientId)
             },
             users: {
                 canCreate: this.canCreate('users'),
@@ -462,6 +778,9 @@ class AuthManager {
                 console.log('Processing SIGNED_OUT event');
                 this.user = null;
                 this.userProfile = null;
+                this.assuranceLevel = null;
+                this.roles = [];
+                this.clientRoles = {};
                 this.clearUserData();
             } else if (event === 'TOKEN_REFRESHED' && session?.user) {
                 console.log('Processing TOKEN_REFRESHED event');
@@ -567,6 +886,8 @@ class AuthManager {
             'Invalid credentials': 'Email atau password salah',
             'Email rate limit exceeded': 'Terlalu banyak percobaan login, coba lagi nanti',
             'Signup disabled': 'Pendaftaran tidak diizinkan',
+            // handle_new_user() rejected the sign-up (no valid invitation, or the domain is not allowed)
+            'Database error saving new user': 'Pendaftaran ditolak: undangan tidak valid atau pendaftaran tertutup',
             'Invalid request': 'Permintaan tidak valid'
         };
 
@@ -613,8 +934,8 @@ class AuthManager {
     async updatePassword(newPassword) {
         try {
             // Validate password strength
-            if (window.app && window.app.security) {
-                const validation = window.app.security.validatePasswordStrength(newPassword);
+            if (window.laliApp && window.laliApp.security) {
+                const validation = window.laliApp.security.estimatePasswordStrength(newPassword, [this.user?.email]);
                 if (!validation.isValid) {
                     throw new Error(`Password tidak cukup kuat: ${validation.feedback.join(', ')}`);
                 }
@@ -642,6 +963,12 @@ class AuthManager {
     }
 }
 
+// Returned by canPerform() when a write needs a second factor first
+AuthManager.STEP_UP_REQUIRED = 'step-up required';
+
+// Resources that belong to a client and are checked per client
+AuthManager.CLIENT_RESOURCES = ['clients', 'applications', 'credentials'];
+
 // Export for use in other modules
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = AuthManager;
@@ -126,6 +126,32 @@ class ClipboardManager {
         return success;
     }
 
+    /**
+     * Copy a TOTP one-time code
+     * @param {string} code - Current one-time code
+     * @param {number} clearAfter - Time in milliseconds to clear clipboard (default: 30000)
+     * @returns {Promise<boolean>} Success status
+     */
+    static async copyTotpCode(code, clearAfter = 30000) {
+        if (!code || !/^\d{6,8}$/.test(code)) {
+            this.showErrorMessage('Kode OTP tidak valid');
+            return false;
+        }
+
+        const success = await this.copyToClipboard(code, 'totp');
+        
+        if (success) {
+            this.logCopyAction('totp');
+            
+            // The code is useless after its period, clear it like a password
+            if (clearAfter > 0) {
+                this.scheduleClipboardClear(clearAfter);
+            }
+        }
+        
+        return success;
+    }
+
     /**
      * Copy URL with validation
      * @param {string} url - URL to copy
@@ -155,6 +181,47 @@ class ClipboardManager {
         return success;
     }
 
+    /**
+     * Copy an SSH private key; cleared from the clipboard like a password
+     * @param {string} privateKey - PEM text
+     * @param {number} clearAfter - Time in milliseconds to clear clipboard (default: 30000)
+     * @returns {Promise<boolean>} Success status
+     */
+    static async copySshPrivateKey(privateKey, clearAfter = 30000) {
+        if (!privateKey || !privateKey.includes('PRIVATE KEY')) {
+            this.showErrorMessage('Kunci privat SSH tidak valid');
+            return false;
+        }
+
+        const success = await this.copyToClipboard(privateKey, 'sshPrivateKey');
+        
+        if (success) {
+            this.logCopyAction('sshPrivateKey');
+            
+            if (clearAfter > 0) {
+                this.scheduleClipboardClear(clearAfter);
+            }
+        }
+        
+        return success;
+    }
+
+    /**
+     * Copy an SSH public key or its fingerprint
+     * @param {string} text - Public key line or fingerprint
+     * @param {string} type - 'sshPublicKey' or 'sshFingerprint'
+     * @returns {Promise<boolean>} Success status
+     */
+    static async copySshPublicKey(text, type = 'sshPublicKey') {
+        const success = await this.copyToClipboard(text, type);
+        
+        if (success) {
+            this.logCopyAction(type);
+        }
+        
+        return success;
+    }
+
     /**
      * Schedule clipboard clearing for security
      * @param {number} delay - Delay in milliseconds
@@ -200,6 +267,10 @@ class ClipboardManager {
             username: success ? 'Username berhasil disalin' : 'Gagal menyalin username',
             password: success ? 'Password berhasil disalin' : 'Gagal menyalin password',
             url: success ? 'URL berhasil disalin' : 'Gagal menyalin URL',
+            totp: success ? 'Kode OTP berhasil disalin' : 'Gagal menyalin kode OTP',
+            sshPrivateKey: success ? 'Kunci privat SSH berhasil disalin' : 'Gagal menyalin kunci privat SSH',
+            sshPublicKey: success ? 'Kunci publik SSH berhasil disalin' : 'Gagal menyalin kunci publik SSH',
+            sshFingerprint: success ? 'Fingerprint SSH berhasil disalin' : 'Gagal menyalin fingerprint SSH',
             text: success ? 'Teks berhasil disalin' : 'Gagal menyalin teks'
         };
 
@@ -12,6 +12,7 @@ class DatabaseManager {
             users: null
         };
         this.cacheTimeout = 5 * 60 * 1000; // 5 minutes
+        this.attachmentBucket = 'credential-attachments';
         this.lastCacheUpdate = {};
     }
 
@@ -79,13 +80,14 @@ class DatabaseManager {
 
     /**
      * Update user role (Admin only)
+     * Unknown roles are rejected by the foreign key to the roles table
      * @param {string} userId - User ID
-     * @param {string} newRole - New role
+     * @param {string} newRole - New role, one of roles.name
      * @returns {Promise<Object>} Database result
      */
     async updateUserRole(userId, newRole) {
         try {
-            if (!['admin', 'viewer'].includes(newRole)) {
+            if (!newRole || typeof newRole !== 'string') {
                 throw new Error('Invalid role specified');
             }
 
@@ -109,6 +111,50 @@ class DatabaseManager {
         }
     }
 
+    /**
+     * Require or stop requiring MFA for a user (Admin only)
+     * @param {string} userId - User ID
+     * @param {boolean} required - Whether the user must use a second factor
+     * @returns {Promise<Object>} Database result
+     */
+    async setUserMfaRequired(userId, required) {
+        try {
+            const { data, error } = await this.supabase
+                .from('user_profiles')
+                .update({
+                    mfa_required: !!required,
+                    updated_at: new Date().toISOString()
+                })
+                .eq('user_id', userId)
+                .select();
+
+            if (!error) {
+                this.clearCache('users');
+            }
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to update MFA requirement:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Get which users have a verified MFA factor (Admin only)
+     * Factors live in the auth schema, so they are read through get_user_mfa_status()
+     * @returns {Promise<Object>} Database result with rows of { user_id, mfa_enabled }
+     */
+    async getUserMfaStatus() {
+        try {
+            const { data, error } = await this.supabase.rpc('get_user_mfa_status');
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get MFA status:', error);
+            return { data: null, error };
+        }
+    }
+
     /**
      * Get all users with their profiles (Admin only)
      * @param {boolean} useCache - Whether to use cache
@@ -144,408 +190,626 @@ class DatabaseManager {
         }
     }
 
-    // ==================== CLIENT OPERATIONS ====================
+    // ==================== VAULT KEY OPERATIONS ====================
 
     /**
-     * Get all clients for current user
-     * @param {boolean} useCache - Whether to use cache
-     * @returns {Promise<Object>} Database result
+     * Get every wrapped team vault key version for a user
+     * More than one version exists only while a key rotation is in progress
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} Database result (data is empty when no access was granted)
      */
-    async getClients(useCache = true) {
+    async getUserVaultKeyShares(userId) {
         try {
-            // Check cache first
-            if (useCache && this.isCacheValid('clients') && this.cache.clients) {
-                return { data: this.cache.clients, error: null };
-            }
-
             const { data, error } = await this.supabase
-                .from('clients')
+                .from('vault_keys')
                 .select('*')
-                .order('created_at', { ascending: false });
-
-            if (!error && data) {
-                this.updateCache('clients', data);
-            }
+                .eq('user_id', userId)
+                .order('key_version', { ascending: true });
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to get clients:', error);
+            console.error('Failed to get vault key share:', error);
             return { data: null, error };
         }
     }
 
     /**
-     * Get client by ID
-     * @param {number} clientId - Client ID
+     * Get all members with vault access (Admin only)
      * @returns {Promise<Object>} Database result
      */
-    async getClientById(clientId) {
+    async getVaultKeyShares() {
         try {
             const { data, error } = await this.supabase
-                .from('clients')
-                .select('*')
-                .eq('id', clientId)
-                .single();
+                .from('vault_keys')
+                .select('user_id, key_version, granted_by, created_at, updated_at');
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to get client by ID:', error);
+            console.error('Failed to get vault key shares:', error);
             return { data: null, error };
         }
     }
 
     /**
-     * Create new client
-     * @param {Object} clientData - Client data
+     * Store the wrapped team vault key for a user (Admin only)
+     * @param {string} userId - User ID
+     * @param {string} wrappedKey - Vault key wrapped with the user's public key
+     * @param {string} grantedBy - User ID of the granting admin
+     * @param {number} keyVersion - Version of the wrapped vault key
      * @returns {Promise<Object>} Database result
      */
-    async createClient(clientData) {
+    async saveVaultKeyShare(userId, wrappedKey, grantedBy, keyVersion = 1) {
         try {
-            const { data: { user } } = await this.supabase.auth.getUser();
-            if (!user) {
-                throw new Error('User not authenticated');
-            }
-
-            const newClient = {
-                ...clientData,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            };
-
             const { data, error } = await this.supabase
-                .from('clients')
-                .insert([newClient])
+                .from('vault_keys')
+                .upsert({
+                    user_id: userId,
+                    key_version: keyVersion,
+                    wrapped_key: wrappedKey,
+                    granted_by: grantedBy,
+                    updated_at: new Date().toISOString()
+                }, { onConflict: 'user_id,key_version' })
                 .select()
                 .single();
 
             if (!error) {
-                this.clearCache('clients');
+                this.clearCache('users');
             }
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to create client:', error);
+            console.error('Failed to save vault key share:', error);
             return { data: null, error };
         }
     }
 
     /**
-     * Update client
-     * @param {number} id - Client ID
-     * @param {Object} clientData - Updated client data
+     * Delete every member's copy of a retired vault key version (Admin only)
+     * @param {number} keyVersion - Retired key version
      * @returns {Promise<Object>} Database result
      */
-    async updateClient(id, clientData) {
+    async deleteVaultKeyVersion(keyVersion) {
         try {
             const { data, error } = await this.supabase
-                .from('clients')
-                .update({ 
-                    ...clientData, 
-                    updated_at: new Date().toISOString() 
-                })
-                .eq('id', id)
-                .select()
-                .single();
+                .from('vault_keys')
+                .delete()
+                .eq('key_version', keyVersion)
+                .select();
 
             if (!error) {
-                this.clearCache('clients');
-                this.clearCache('applications');
+                this.clearCache('users');
             }
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to update client:', error);
+            console.error('Failed to delete vault key version:', error);
             return { data: null, error };
         }
     }
 
     /**
-     * Delete client
-     * @param {number} id - Client ID
-     * @returns {Promise<Object>} Database result
+     * Get the unfinished vault key rotation, if any (Admin only)
+     * @returns {Promise<Object>} Database result (data is null when no rotation is running)
      */
-    async deleteClient(id) {
+    async getActiveKeyRotation() {
         try {
             const { data, error } = await this.supabase
-                .from('clients')
-                .delete()
-                .eq('id', id)
-                .select();
-
-            if (!error) {
-                this.clearCache('clients');
-                this.clearCache('applications');
-                this.clearCache('credentials');
-            }
+                .from('vault_key_rotations')
+                .select('*')
+                .is('completed_at', null)
+                .order('to_version', { ascending: false })
+                .limit(1)
+                .maybeSingle();
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to delete client:', error);
+            console.error('Failed to get key rotation:', error);
             return { data: null, error };
         }
     }
 
     /**
-     * Search clients
-     * @param {string} query - Search query
+     * Record the start of a vault key rotation (Admin only)
+     * @param {number} fromVersion - Key version being retired
+     * @param {number} toVersion - New key version
+     * @param {string} startedBy - User ID of the admin
      * @returns {Promise<Object>} Database result
      */
-    async searchClients(query) {
+    async createKeyRotation(fromVersion, toVersion, startedBy) {
         try {
             const { data, error } = await this.supabase
-                .from('clients')
-                .select('*')
-                .or(`client_name.ilike.%${query}%,company_name.ilike.%${query}%,notes.ilike.%${query}%`)
-                .order('created_at', { ascending: false });
+                .from('vault_key_rotations')
+                .insert({
+                    from_version: fromVersion,
+                    to_version: toVersion,
+                    started_by: startedBy
+                })
+                .select()
+                .single();
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to search clients:', error);
+            console.error('Failed to create key rotation:', error);
             return { data: null, error };
         }
     }
 
-    // ==================== APPLICATION OPERATIONS ====================
-
     /**
-     * Get applications for a client
-     * @param {number} clientId - Client ID
-     * @param {boolean} useCache - Whether to use cache
+     * Mark a vault key rotation as finished (Admin only)
+     * @param {number} rotationId - Rotation ID
      * @returns {Promise<Object>} Database result
      */
-    async getApplications(clientId, useCache = true) {
+    async completeKeyRotation(rotationId) {
         try {
-            const cacheKey = `applications_${clientId}`;
-            
-            // Check cache first
-            if (useCache && this.isCacheValid(cacheKey) && this.cache.applications[clientId]) {
-                return { data: this.cache.applications[clientId], error: null };
-            }
-
             const { data, error } = await this.supabase
-                .from('applications')
-                .select('*')
-                .eq('client_id', clientId)
-                .order('created_at', { ascending: false });
-
-            if (!error && data) {
-                this.cache.applications[clientId] = data;
-                this.lastCacheUpdate[cacheKey] = Date.now();
-            }
+                .from('vault_key_rotations')
+                .update({ completed_at: new Date().toISOString() })
+                .eq('id', rotationId)
+                .select()
+                .single();
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to get applications:', error);
+            console.error('Failed to complete key rotation:', error);
             return { data: null, error };
         }
     }
 
     /**
-     * Get application by ID
-     * @param {number} appId - Application ID
+     * Roll back a rotation whose new key was never shared (Admin only)
+     * @param {number} rotationId - Rotation ID
      * @returns {Promise<Object>} Database result
      */
-    async getApplicationById(appId) {
+    async deleteKeyRotation(rotationId) {
         try {
             const { data, error } = await this.supabase
-                .from('applications')
-                .select('*')
-                .eq('id', appId)
-                .single();
+                .from('vault_key_rotations')
+                .delete()
+                .eq('id', rotationId)
+                .is('completed_at', null);
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to get application by ID:', error);
+            console.error('Failed to roll back key rotation:', error);
             return { data: null, error };
         }
     }
 
     /**
-     * Create new application
-     * @param {Object} appData - Application data
-     * @returns {Promise<Object>} Database result
+     * Count the credentials, history entries and attachments still encrypted with a vault key version
+     * @param {number} keyVersion - Key version
+     * @returns {Promise<Object>} Database result; data is the number of rows
      */
-    async createApplication(appData) {
+    async countKeyVersionRows(keyVersion) {
         try {
-            const newApp = {
-                ...appData,
-                created_at: new Date().toISOString(),
-                updated_at: new Date().toISOString()
-            };
-
-            const { data, error } = await this.supabase
-                .from('applications')
-                .insert([newApp])
-                .select()
-                .single();
+            const results = await Promise.all([
+                this.supabase
+                    .from('credentials')
+                    .select('id', { count: 'exact', head: true })
+                    .eq('key_version', keyVersion)
+                    .or('encrypted_password.not.is.null,item_type.neq.login'),
+                this.supabase
+                    .from('credential_password_history')
+                    .select('id', { count: 'exact', head: true })
+                    .eq('key_version', keyVersion),
+                this.supabase
+                    .from('credential_attachments')
+                    .select('id', { count: 'exact', head: true })
+                    .eq('key_version', keyVersion)
+            ]);
 
-            if (!error) {
-                // Clear cache for this client's applications
-                delete this.cache.applications[appData.client_id];
+            const failed = results.find(result => result.error);
+            if (failed) {
+                return { data: null, error: failed.error };
             }
 
-            return { data, error };
+            return { data: results.reduce((total, result) => total + (result.count || 0), 0), error: null };
         } catch (error) {
-            console.error('Failed to create application:', error);
+            console.error('Failed to count rows by key version:', error);
             return { data: null, error };
         }
     }
 
     /**
-     * Update application
-     * @param {number} id - Application ID
-     * @param {Object} appData - Updated application data
+     * Revoke a user's access to the team vault key (Admin only)
+     * @param {string} userId - User ID
      * @returns {Promise<Object>} Database result
      */
-    async updateApplication(id, appData) {
+    async deleteVaultKeyShare(userId) {
         try {
             const { data, error } = await this.supabase
-                .from('applications')
-                .update({ 
-                    ...appData, 
-                    updated_at: new Date().toISOString() 
-                })
-                .eq('id', id)
-                .select()
-                .single();
+                .from('vault_keys')
+                .delete()
+                .eq('user_id', userId)
+                .select();
 
             if (!error) {
-                // Clear applications cache
-                this.cache.applications = {};
-                this.clearCache('credentials');
+                this.clearCache('users');
             }
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to update application:', error);
+            console.error('Failed to delete vault key share:', error);
             return { data: null, error };
         }
     }
 
+    // ==================== EMERGENCY KIT OPERATIONS ====================
+
     /**
-     * Delete application
-     * @param {number} id - Application ID
-     * @returns {Promise<Object>} Database result
+     * Get the current emergency kit
+     * Readable by every signed-in user so a member can recover when no admin is left;
+     * the sealed vault key is useless without the shares
+     * @returns {Promise<Object>} Database result; data is null when no kit exists
      */
-    async deleteApplication(id) {
+    async getEmergencyKit() {
         try {
             const { data, error } = await this.supabase
-                .from('applications')
-                .delete()
-                .eq('id', id)
-                .select();
-
-            if (!error) {
-                // Clear applications and credentials cache
-                this.cache.applications = {};
-                this.clearCache('credentials');
-            }
+                .from('emergency_kits')
+                .select('*')
+                .order('created_at', { ascending: false })
+                .limit(1)
+                .maybeSingle();
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to delete application:', error);
+            console.error('Failed to get emergency kit:', error);
             return { data: null, error };
         }
     }
 
-    // ==================== CREDENTIAL OPERATIONS ====================
-
     /**
-     * Get credentials for an application
-     * @param {number} appId - Application ID
-     * @param {boolean} useCache - Whether to use cache
+     * Replace the emergency kit; shares of the previous kit stop working (Admin only)
+     * @param {Object} kit - key_version, threshold, share_count, encrypted_vault_key, admin_token_hash, created_by
      * @returns {Promise<Object>} Database result
      */
-    async getCredentials(appId, useCache = true) {
+    async replaceEmergencyKit(kit) {
         try {
-            const cacheKey = `credentials_${appId}`;
-            
-            // Check cache first
-            if (useCache && this.isCacheValid(cacheKey) && this.cache.credentials[appId]) {
-                return { data: this.cache.credentials[appId], error: null };
+            const { error: deleteError } = await this.supabase
+                .from('emergency_kits')
+                .delete()
+                .not('id', 'is', null);
+
+            if (deleteError) {
+                return { data: null, error: deleteError };
             }
 
             const { data, error } = await this.supabase
-                .from('credentials')
-                .select('*')
-                .eq('app_id', appId)
-                .order('created_at', { ascending: false });
-
-            if (!error && data) {
-                this.cache.credentials[appId] = data;
-                this.lastCacheUpdate[cacheKey] = Date.now();
-            }
+                .from('emergency_kits')
+                .insert([kit])
+                .select()
+                .single();
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to get credentials:', error);
+            console.error('Failed to save emergency kit:', error);
             return { data: null, error };
         }
     }
 
     /**
-     * Get credential by ID
-     * @param {number} credId - Credential ID
-     * @returns {Promise<Object>} Database result
+     * Use an emergency kit: makes the current user an admin when the token matches
+     * @param {string} kitId - Kit UUID
+     * @param {string} adminToken - Token derived from the combined shares
+     * @returns {Promise<Object>} Database result; data is true on success
      */
-    async getCredentialById(credId) {
+    async redeemEmergencyKit(kitId, adminToken) {
         try {
             const { data, error } = await this.supabase
-                .from('credentials')
-                .select('*')
-                .eq('id', credId)
-                .single();
+                .rpc('redeem_emergency_kit', { kit_id: kitId, admin_token: adminToken });
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to get credential by ID:', error);
+            console.error('Failed to redeem emergency kit:', error);
             return { data: null, error };
         }
     }
 
+    // ==================== RECOVERY CODE OPERATIONS ====================
+
     /**
-     * Create new credential
-     * @param {Object} credData - Credential data (password should be encrypted)
+     * Get the recovery codes of a user without their protected key copies
+     * @param {string} userId - User UUID
      * @returns {Promise<Object>} Database result
      */
-    async createCredential(credData) {
+    async getRecoveryCodes(userId) {
         try {
-            const newCred = {
-                ...credData,
+            const { data, error } = await this.supabase
+                .from('recovery_codes')
+                .select('id, created_at, used_at')
+                .eq('user_id', userId)
+                .order('created_at', { ascending: true });
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get recovery codes:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Find an unused recovery code of a user by its hash
+     * @param {string} userId - User UUID
+     * @param {string} codeHash - Hash from SecurityManager.hashRecoveryCode()
+     * @returns {Promise<Object>} Database result; data is null when no unused code matches
+     */
+    async getRecoveryCode(userId, codeHash) {
+        try {
+            const { data, error } = await this.supabase
+                .from('recovery_codes')
+                .select('id, encrypted_private_key')
+                .eq('user_id', userId)
+                .eq('code_hash', codeHash)
+                .is('used_at', null)
+                .maybeSingle();
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get recovery code:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Replace all recovery codes of a user; codes of the previous kit stop working
+     * @param {string} userId - User UUID
+     * @param {Array<Object>} codes - Rows with code_hash and encrypted_private_key
+     * @returns {Promise<Object>} Database result
+     */
+    async replaceRecoveryCodes(userId, codes) {
+        try {
+            const { error: deleteError } = await this.supabase
+                .from('recovery_codes')
+                .delete()
+                .eq('user_id', userId);
+
+            if (deleteError) {
+                return { data: null, error: deleteError };
+            }
+
+            const { data, error } = await this.supabase
+                .from('recovery_codes')
+                .insert(codes.map(code => ({ ...code, user_id: userId })))
+                .select('id, created_at, used_at');
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to save recovery codes:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Spend a recovery code of the current user
+     * @param {string} codeHash - Hash from SecurityManager.hashRecoveryCode()
+     * @returns {Promise<Object>} Database result; data is true when an unused code was spent
+     */
+    async useRecoveryCode(codeHash) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('use_recovery_code', { recovery_code_hash: codeHash });
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to use recovery code:', error);
+            return { data: null, error };
+        }
+    }
+
+    // ==================== INVITATION OPERATIONS ====================
+
+    /**
+     * Get the invitations that have not been used yet (Admin only)
+     * The token hash is not selected; the token only exists in the invite link
+     * @returns {Promise<Object>} Database result
+     */
+    async getPendingInvitations() {
+        try {
+            const { data, error } = await this.supabase
+                .from('invitations')
+                .select('id, email, role, expires_at, created_at')
+                .is('accepted_at', null)
+                .order('created_at', { ascending: false });
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get invitations:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Store a new invitation (Admin only)
+     * @param {Object} invitation - token_hash, email, role, expires_at, created_by
+     * @returns {Promise<Object>} Database result with the invitation id
+     */
+    async createInvitation(invitation) {
+        try {
+            const { data, error } = await this.supabase
+                .from('invitations')
+                .insert([invitation])
+                .select('id, email, role, expires_at')
+                .single();
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to create invitation:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Revoke an invitation before it is used (Admin only)
+     * @param {string} invitationId - Invitation UUID
+     * @returns {Promise<Object>} Database result
+     */
+    async deleteInvitation(invitationId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('invitations')
+                .delete()
+                .eq('id', invitationId);
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to revoke invitation:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Look up an invitation by its token; works without a session
+     * @param {string} token - Token from the invite link
+     * @returns {Promise<Object>} Database result; data is { email, role, expires_at }, or null when used or expired
+     */
+    async getInvitation(token) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('get_invitation', { invite_token: token });
+
+            return { data: data?.[0] || null, error };
+        } catch (error) {
+            console.error('Failed to get invitation:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Get whether open registration is on and which email domains it accepts; works without a session
+     * @returns {Promise<Object>} Database result; data is { open_registration, allowed_email_domains }
+     */
+    async getRegistrationSettings() {
+        try {
+            const { data, error } = await this.supabase.rpc('get_registration_settings');
+
+            return { data: data?.[0] || null, error };
+        } catch (error) {
+            console.error('Failed to get registration settings:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Change the registration settings (Admin only)
+     * @param {Object} settings - open_registration, allowed_email_domains, updated_by
+     * @returns {Promise<Object>} Database result
+     */
+    async updateRegistrationSettings(settings) {
+        try {
+            const { data, error } = await this.supabase
+                .from('app_settings')
+                .update({
+                    open_registration: !!settings.open_registration,
+                    allowed_email_domains: settings.allowed_email_domains,
+                    updated_by: settings.updated_by
+                })
+                .eq('id', true)
+                .select();
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to update registration settings:', error);
+            return { data: null, error };
+        }
+    }
+
+    // ==================== CLIENT OPERATIONS ====================
+
+    /**
+     * Get all clients for current user
+     * @param {boolean} useCache - Whether to use cache
+     * @returns {Promise<Object>} Database result
+     */
+    async getClients(useCache = true) {
+        try {
+            // Check cache first
+            if (useCache && this.isCacheValid('clients') && this.cache.clients) {
+                return { data: this.cache.clients, error: null };
+            }
+
+            const { data, error } = await this.supabase
+                .from('clients')
+                .select('*')
+                .order('created_at', { ascending: false });
+
+            if (!error && data) {
+                this.updateCache('clients', data);
+            }
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get clients:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Get client by ID
+     * @param {number} clientId - Client ID
+     * @returns {Promise<Object>} Database result
+     */
+    async getClientById(clientId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('clients')
+                .select('*')
+                .eq('id', clientId)
+                .single();
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get client by ID:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Create new client
+     * @param {Object} clientData - Client data
+     * @returns {Promise<Object>} Database result
+     */
+    async createClient(clientData) {
+        try {
+            const { data: { user } } = await this.supabase.auth.getUser();
+            if (!user) {
+                throw new Error('User not authenticated');
+            }
+
+            const newClient = {
+                ...clientData,
                 created_at: new Date().toISOString(),
                 updated_at: new Date().toISOString()
             };
 
             const { data, error } = await this.supabase
-                .from('credentials')
-                .insert([newCred])
+                .from('clients')
+                .insert([newClient])
                 .select()
                 .single();
 
             if (!error) {
-                // Clear cache for this app's credentials
-                delete this.cache.credentials[credData.app_id];
+                this.clearCache('clients');
             }
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to create credential:', error);
+            console.error('Failed to create client:', error);
             return { data: null, error };
         }
     }
 
     /**
-     * Update credential
-     * @param {number} id - Credential ID
-     * @param {Object} credData - Updated credential data
+     * Update client
+     * @param {number} id - Client ID
+     * @param {Object} clientData - Updated client data
      * @returns {Promise<Object>} Database result
      */
-    async updateCredential(id, credData) {
+    async updateClient(id, clientData) {
         try {
             const { data, error } = await this.supabase
-                .from('credentials')
+                .from('clients')
                 .update({ 
-                    ...credData, 
+                    ...clientData, 
                     updated_at: new Date().toISOString() 
                 })
                 .eq('id', id)
@@ -553,38 +817,988 @@ class DatabaseManager {
                 .single();
 
             if (!error) {
-                // Clear credentials cache
-                this.clearCache('credentials');
+                this.clearCache('clients');
+                this.clearCache('applications');
             }
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to update credential:', error);
+            console.error('Failed to update client:', error);
             return { data: null, error };
         }
     }
 
     /**
-     * Delete credential
-     * @param {number} id - Credential ID
+     * Delete client
+     * @param {number} id - Client ID
      * @returns {Promise<Object>} Database result
      */
-    async deleteCredential(id) {
+    async deleteClient(id) {
         try {
             const { data, error } = await this.supabase
-                .from('credentials')
+                .from('clients')
                 .delete()
                 .eq('id', id)
                 .select();
 
             if (!error) {
-                // Clear credentials cache
+                this.clearCache('clients');
+                this.clearCache('applications');
                 this.clearCache('credentials');
             }
 
             return { data, error };
         } catch (error) {
-            console.error('Failed to delete credential:', error);
+            console.error('Failed to delete client:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Search clients
+     * @param {string} query - Search query
+     * @returns {Promise<Object>} Database result
+     */
+    async searchClients(query) {
+        try {
+            const { data, error } = await this.supabase
+                .from('clients')
+                .select('*')
+                .or(`client_name.ilike.%${query}%,company_name.ilike.%${query}%,notes.ilike.%${query}%`)
+                .order('created_at', { ascending: false });
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to search clients:', error);
+            return { data: null, error };
+        }
+    }
+
+    // ==================== CLIENT MEMBER OPERATIONS ====================
+
+    /**
+     * Get the members of a client with their profile (Admin only)
+     * @param {number} clientId - Client ID
+     * @returns {Promise<Object>} Database result
+     */
+    async getClientMembers(clientId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('client_members')
+                .select('client_id, user_id, role, created_at, user_profiles(email, full_name)')
+                .eq('client_id', clientId)
+                .order('created_at');
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get client members:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Add a member to a client, or change the role of an existing member (Admin only)
+     * @param {Object} member - client_id, user_id, role, added_by
+     * @returns {Promise<Object>} Database result
+     */
+    async saveClientMember(member) {
+        try {
+            const { data, error } = await this.supabase
+                .from('client_members')
+                .upsert([member], { onConflict: 'client_id,user_id' })
+                .select()
+                .single();
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to save client member:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Remove a member from a client (Admin only)
+     * @param {number} clientId - Client ID
+     * @param {string} userId - User UUID
+     * @returns {Promise<Object>} Database result
+     */
+    async deleteClientMember(clientId, userId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('client_members')
+                .delete()
+                .eq('client_id', clientId)
+                .eq('user_id', userId);
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to remove client member:', error);
+            return { data: null, error };
+        }
+    }
+
+    // ==================== APPLICATION OPERATIONS ====================
+
+    /**
+     * Get applications for a client
+     * @param {number} clientId - Client ID
+     * @param {boolean} useCache - Whether to use cache
+     * @returns {Promise<Object>} Database result
+     */
+    async getApplications(clientId, useCache = true) {
+        try {
+            const cacheKey = `applications_${clientId}`;
+            
+            // Check cache first
+            if (useCache && this.isCacheValid(cacheKey) && this.cache.applications[clientId]) {
+                return { data: this.cache.applications[clientId], error: null };
+            }
+
+            const { data, error } = await this.supabase
+                .from('applications')
+                .select('*')
+                .eq('client_id', clientId)
+                .order('created_at', { ascending: false });
+
+            if (!error && data) {
+                this.cache.applications[clientId] = data;
+                this.lastCacheUpdate[cacheKey] = Date.now();
+            }
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get applications:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Get application by ID
+     * @param {number} appId - Application ID
+     * @returns {Promise<Object>} Database result
+     */
+    async getApplicationById(appId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('applications')
+                .select('*')
+                .eq('id', appId)
+                .single();
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get application by ID:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Create new application
+     * @param {Object} appData - Application data
+     * @returns {Promise<Object>} Database result
+     */
+    async createApplication(appData) {
+        try {
+            const newApp = {
+                ...appData,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            };
+
+            const { data, error } = await this.supabase
+                .from('applications')
+                .insert([newApp])
+                .select()
+                .single();
+
+            if (!error) {
+                // Clear cache for this client's applications
+                delete this.cache.applications[appData.client_id];
+            }
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to create application:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Update application
+     * @param {number} id - Application ID
+     * @param {Object} appData - Updated application data
+     * @returns {Promise<Object>} Database result
+     */
+    async updateApplication(id, appData) {
+        try {
+            const { data, error } = await this.supabase
+                .from('applications')
+                .update({ 
+                    ...appData, 
+                    updated_at: new Date().toISOString() 
+                })
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (!error) {
+                // Clear applications cache
+                this.cache.applications = {};
+                this.clearCache('credentials');
+            }
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to update application:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Delete application
+     * @param {number} id - Application ID
+     * @returns {Promise<Object>} Database result
+     */
+    async deleteApplication(id) {
+        try {
+            const { data, error } = await this.supabase
+                .from('applications')
+                .delete()
+                .eq('id', id)
+                .select();
+
+            if (!error) {
+                // Clear applications and credentials cache
+                this.cache.applications = {};
+                this.clearCache('credentials');
+            }
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to delete application:', error);
+            return { data: null, error };
+        }
+    }
+
+    // ==================== CREDENTIAL OPERATIONS ====================
+
+    /**
+     * Get credentials for an application
+     * @param {number} appId - Application ID
+     * @param {boolean} useCache - Whether to use cache
+     * @returns {Promise<Object>} Database result
+     */
+    async getCredentials(appId, useCache = true) {
+        try {
+            const cacheKey = `credentials_${appId}`;
+            
+            // Check cache first
+            if (useCache && this.isCacheValid(cacheKey) && this.cache.credentials[appId]) {
+                return { data: this.cache.credentials[appId], error: null };
+            }
+
+            const { data, error } = await this.supabase
+                .from('credentials')
+                .select('*')
+                .eq('app_id', appId)
+                .order('created_at', { ascending: false });
+
+            if (!error && data) {
+                this.cache.credentials[appId] = data;
+                this.lastCacheUpdate[cacheKey] = Date.now();
+            }
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get credentials:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Get credential by ID
+     * @param {number} credId - Credential ID
+     * @returns {Promise<Object>} Database result
+     */
+    async getCredentialById(credId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credentials')
+                .select('*')
+                .eq('id', credId)
+                .single();
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get credential by ID:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Create new credential
+     * @param {Object} credData - Credential data (password should be encrypted)
+     * @returns {Promise<Object>} Database result
+     */
+    async createCredential(credData) {
+        try {
+            const newCred = {
+                ...credData,
+                created_at: new Date().toISOString(),
+                updated_at: new Date().toISOString()
+            };
+
+            const { data, error } = await this.supabase
+                .from('credentials')
+                .insert([newCred])
+                .select()
+                .single();
+
+            if (!error) {
+                // Clear cache for this app's credentials
+                delete this.cache.credentials[credData.app_id];
+            }
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to create credential:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Update credential
+     * @param {number} id - Credential ID
+     * @param {Object} credData - Updated credential data
+     * @returns {Promise<Object>} Database result
+     */
+    async updateCredential(id, credData) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credentials')
+                .update({ 
+                    ...credData, 
+                    updated_at: new Date().toISOString() 
+                })
+                .eq('id', id)
+                .select()
+                .single();
+
+            if (!error) {
+                // Clear credentials cache
+                this.clearCache('credentials');
+            }
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to update credential:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Delete credential
+     * @param {number} id - Credential ID
+     * @returns {Promise<Object>} Database result
+     */
+    async deleteCredential(id) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credentials')
+                .delete()
+                .eq('id', id)
+                .select();
+
+            if (!error) {
+                // Clear credentials cache
+                this.clearCache('credentials');
+            }
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to delete credential:', error);
+            return { data: null, error };
+        }
+    }
+
+    // ==================== PASSWORD HISTORY OPERATIONS ====================
+
+    /**
+     * Get the previous passwords of a credential, newest first
+     * @param {number} credentialId - Credential ID
+     * @returns {Promise<Object>} Database result
+     */
+    async getPasswordHistory(credentialId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credential_password_history')
+                .select('*')
+                .eq('credential_id', credentialId)
+                .order('changed_at', { ascending: false });
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get password history:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Get a single password history entry
+     * @param {number} entryId - History entry ID
+     * @returns {Promise<Object>} Database result
+     */
+    async getPasswordHistoryEntry(entryId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credential_password_history')
+                .select('*')
+                .eq('id', entryId)
+                .single();
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get password history entry:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Record a replaced password
+     * The author and time are set by trigger from the session
+     * @param {Object} entry - credential_id, encrypted_password, key_version
+     * @returns {Promise<Object>} Database result
+     */
+    async addPasswordHistory(entry) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credential_password_history')
+                .insert([entry])
+                .select()
+                .single();
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to add password history:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Re-encrypt a password history entry during key rotation (Admin only)
+     * @param {number} entryId - History entry ID
+     * @param {Object} entryData - encrypted_password and key_version
+     * @returns {Promise<Object>} Database result
+     */
+    async updatePasswordHistoryEntry(entryId, entryData) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credential_password_history')
+                .update(entryData)
+                .eq('id', entryId)
+                .select()
+                .single();
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to update password history entry:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Get a batch of history entries still encrypted with a given vault key version
+     * @param {number} keyVersion - Key version
+     * @param {number} limit - Batch size
+     * @returns {Promise<Object>} Database result
+     */
+    async getPasswordHistoryByKeyVersion(keyVersion, limit = 50) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credential_password_history')
+                .select('id, encrypted_password, key_version')
+                .eq('key_version', keyVersion)
+                .order('id', { ascending: true })
+                .limit(limit);
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get password history by key version:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Get credentials that still hold a legacy plaintext password
+     * @returns {Promise<Object>} Database result
+     */
+    async getPlaintextCredentials() {
+        try {
+            const { data, error } = await this.supabase
+                .from('credentials')
+                .select('id, app_id, pwd')
+                .not('pwd', 'is', null);
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get plaintext credentials:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Get credentials that still hold legacy plaintext notes
+     * @returns {Promise<Object>} Database result
+     */
+    async getPlaintextNotes() {
+        try {
+            const { data, error } = await this.supabase
+                .from('credentials')
+                .select('id, notes, encrypted_notes, key_version')
+                .not('notes', 'is', null);
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get plaintext notes:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Get the encrypted columns of every credential
+     * @returns {Promise<Object>} Database result
+     */
+    async getEncryptedCredentials() {
+        try {
+            const { data, error } = await this.supabase
+                .from('credentials')
+                .select('id, encrypted_password, encrypted_totp_secret, encrypted_note, encrypted_private_key, encrypted_notes, custom_fields, key_version')
+                .or('encrypted_password.not.is.null,item_type.neq.login')
+                .order('id', { ascending: true });
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get encrypted credentials:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Get a batch of credentials still encrypted with a given vault key version
+     * @param {number} keyVersion - Key version
+     * @param {number} limit - Batch size
+     * @returns {Promise<Object>} Database result
+     */
+    async getCredentialsByKeyVersion(keyVersion, limit = 50) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credentials')
+                .select('id, encrypted_password, encrypted_totp_secret, encrypted_note, encrypted_private_key, encrypted_notes, custom_fields, key_version')
+                .eq('key_version', keyVersion)
+                .or('encrypted_password.not.is.null,item_type.neq.login')
+                .order('id', { ascending: true })
+                .limit(limit);
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get credentials by key version:', error);
+            return { data: null, error };
+        }
+    }
+
+    // ==================== ATTACHMENT OPERATIONS ====================
+
+    /**
+     * Get the attachments of a credential, newest first
+     * @param {number} credentialId - Credential ID
+     * @returns {Promise<Object>} Database result
+     */
+    async getAttachments(credentialId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credential_attachments')
+                .select('*')
+                .eq('credential_id', credentialId)
+                .order('created_at', { ascending: false });
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get attachments:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Get a single attachment
+     * @param {number} attachmentId - Attachment ID
+     * @returns {Promise<Object>} Database result
+     */
+    async getAttachmentById(attachmentId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credential_attachments')
+                .select('*')
+                .eq('id', attachmentId)
+                .single();
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get attachment:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Record an uploaded attachment (Admin only)
+     * @param {Object} attachment - credential_id, storage_path, file_name, mime_type, size_bytes, key_version, uploaded_by
+     * @returns {Promise<Object>} Database result
+     */
+    async createAttachment(attachment) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credential_attachments')
+                .insert([attachment])
+                .select()
+                .single();
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to create attachment:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Update an attachment record, e.g. its key version after rotation (Admin only)
+     * @param {number} attachmentId - Attachment ID
+     * @param {Object} attachmentData - Columns to update
+     * @returns {Promise<Object>} Database result
+     */
+    async updateAttachment(attachmentId, attachmentData) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credential_attachments')
+                .update(attachmentData)
+                .eq('id', attachmentId)
+                .select()
+                .single();
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to update attachment:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Delete an attachment record (Admin only)
+     * @param {number} attachmentId - Attachment ID
+     * @returns {Promise<Object>} Database result
+     */
+    async deleteAttachment(attachmentId) {
+        try {
+            const { error } = await this.supabase
+                .from('credential_attachments')
+                .delete()
+                .eq('id', attachmentId);
+
+            return { error };
+        } catch (error) {
+            console.error('Failed to delete attachment:', error);
+            return { error };
+        }
+    }
+
+    /**
+     * Get a batch of attachments still encrypted with a given vault key version
+     * @param {number} keyVersion - Key version
+     * @param {number} limit - Batch size
+     * @returns {Promise<Object>} Database result
+     */
+    async getAttachmentsByKeyVersion(keyVersion, limit = 50) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credential_attachments')
+                .select('id, storage_path, key_version')
+                .eq('key_version', keyVersion)
+                .order('id', { ascending: true })
+                .limit(limit);
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get attachments by key version:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Upload an encrypted file to the attachment bucket (Admin only)
+     * @param {string} path - Object path, starting with the credential ID
+     * @param {Blob} blob - Encrypted file contents
+     * @returns {Promise<Object>} Storage result
+     */
+    async uploadAttachmentFile(path, blob) {
+        try {
+            const { data, error } = await this.supabase.storage
+                .from(this.attachmentBucket)
+                .upload(path, blob, { contentType: 'application/octet-stream' });
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to upload attachment file:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Download an encrypted file from the attachment bucket
+     * @param {string} path - Object path
+     * @returns {Promise<Object>} Storage result with a Blob
+     */
+    async downloadAttachmentFile(path) {
+        try {
+            const { data, error } = await this.supabase.storage
+                .from(this.attachmentBucket)
+                .download(path);
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to download attachment file:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Remove encrypted files from the attachment bucket (Admin only)
+     * @param {Array<string>} paths - Object paths
+     * @returns {Promise<Object>} Storage result
+     */
+    async removeAttachmentFiles(paths) {
+        try {
+            const { data, error } = await this.supabase.storage
+                .from(this.attachmentBucket)
+                .remove(paths);
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to remove attachment files:', error);
+            return { data: null, error };
+        }
+    }
+
+    // ==================== SHARE LINK OPERATIONS ====================
+
+    /**
+     * Get the share links of a credential that can still be opened (Admin only)
+     * The ciphertext is not selected; it is only handed out by consumeShare()
+     * @param {number} credentialId - Credential ID
+     * @returns {Promise<Object>} Database result
+     */
+    async getActiveShares(credentialId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credential_shares')
+                .select('id, max_views, view_count, expires_at, created_at')
+                .eq('credential_id', credentialId)
+                .not('ciphertext', 'is', null)
+                .gt('expires_at', new Date().toISOString())
+                .order('created_at', { ascending: false });
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get share links:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Store the ciphertext of a new share link (Admin only)
+     * @param {Object} share - credential_id, ciphertext, max_views, expires_at, created_by
+     * @returns {Promise<Object>} Database result with the share id
+     */
+    async createShare(share) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credential_shares')
+                .insert([share])
+                .select('id, max_views, expires_at')
+                .single();
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to create share link:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Revoke a share link before it is used up (Admin only)
+     * @param {string} shareId - Share UUID
+     * @returns {Promise<Object>} Database result
+     */
+    async deleteShare(shareId) {
+        try {
+            const { data, error } = await this.supabase
+                .from('credential_shares')
+                .delete()
+                .eq('id', shareId);
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to revoke share link:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Open a share link; works without a session
+     * Counts the view and burns the ciphertext on its last allowed view
+     * @param {string} shareId - Share UUID
+     * @returns {Promise<Object>} Database result; data is the ciphertext, or null when expired or used up
+     */
+    async consumeShare(shareId) {
+        try {
+            const { data, error } = await this.supabase
+                .rpc('consume_credential_share', { share_id: shareId });
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to open share link:', error);
+            return { data: null, error };
+        }
+    }
+
+    // ==================== SECURITY REPORT OPERATIONS ====================
+
+    /**
+     * Get every credential with its application and client for the health report
+     * @param {number|null} clientId - Only credentials of this client
+     * @returns {Promise<Object>} Database result
+     */
+    async getCredentialsForReport(clientId = null) {
+        try {
+            // An inner join is needed to filter on the embedded application
+            const applications = clientId ? 'applications!inner' : 'applications';
+            let query = this.supabase
+                .from('credentials')
+                .select(`id, name, username, url, encrypted_password, key_version, created_at, app_id, ${applications}(id, app_name, app_url, client_id, clients(id, client_name, company_name))`)
+                .not('encrypted_password', 'is', null)
+                .order('id', { ascending: true });
+
+            if (clientId) {
+                query = query.eq('applications.client_id', clientId);
+            }
+
+            const { data, error } = await query;
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get credentials for report:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Get the time of every recorded password change
+     * @returns {Promise<Object>} Database result
+     */
+    async getPasswordChangeDates() {
+        try {
+            const { data, error } = await this.supabase
+                .from('credential_password_history')
+                .select('credential_id, changed_at');
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get password change dates:', error);
+            return { data: null, error };
+        }
+    }
+
+    // ==================== ROTATION OPERATIONS ====================
+
+    /**
+     * Get credentials that have an expiry date or a rotation interval, across all clients
+     * @returns {Promise<Object>} Database result
+     */
+    async getRotationSchedule() {
+        try {
+            const { data, error } = await this.supabase
+                .from('credentials')
+                .select('id, name, username, expires_at, rotate_every_days, password_changed_at, created_at, app_id, applications(id, app_name, client_id, clients(id, client_name))')
+                .or('expires_at.not.is.null,rotate_every_days.not.is.null');
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get rotation schedule:', error);
+            return { data: null, error };
+        }
+    }
+
+    // ==================== AUDIT LOG OPERATIONS ====================
+
+    /**
+     * Append an event to the audit trail
+     * The actor, their email and the timestamp are set by the database
+     * @param {Object} event - action, entity_type, entity_id, client_id, details
+     * @returns {Promise<Object>} Database result
+     */
+    async logAuditEvent(event) {
+        try {
+            // No .select(): only admins may read audit events back
+            const { error } = await this.supabase
+                .from('audit_events')
+                .insert([{
+                    ...event,
+                    entity_id: event.entity_id !== null && event.entity_id !== undefined ? String(event.entity_id) : null
+                }]);
+
+            if (error) {
+                console.error('Failed to log audit event:', error);
+            }
+
+            return { data: null, error };
+        } catch (error) {
+            console.error('Failed to log audit event:', error);
+            return { data: null, error };
+        }
+    }
+
+    /**
+     * Get audit events, newest first (Admin only)
+     * @param {Object} filters - actorId, clientId, action, from and to (ISO timestamps)
+     * @param {number} limit - Maximum number of events
+     * @returns {Promise<Object>} Database result
+     */
+    async getAuditEvents(filters = {}, limit = 500) {
+        try {
+            let query = this.supabase
+                .from('audit_events')
+                .select('*')
+                .order('created_at', { ascending: false })
+                .limit(limit);
+
+            if (filters.actorId) {
+                query = query.eq('actor_id', filters.actorId);
+            }
+            if (filters.clientId) {
+                query = query.eq('client_id', filters.clientId);
+            }
+            if (filters.action) {
+                query = query.eq('action', filters.action);
+            }
+            if (filters.from) {
+                query = query.gte('created_at', filters.from);
+            }
+            if (filters.to) {
+                query = query.lte('created_at', filters.to);
+            }
+
+            const { data, error } = await query;
+
+            return { data, error };
+        } catch (error) {
+            console.error('Failed to get audit events:', error);
             return { data: null, error };
         }
     }
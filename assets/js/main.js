@@ -43,6 +43,7 @@ class LaliLinkApp {
         // Debounce mechanism for form submissions
         this.lastSubmissionTime = 0;
         this.submissionDebounceMs = 1000; // 1 second debounce
+        this.strengthMeterDelayMs = 150; // strength meter waits for a pause in typing
         
         // Flag to prevent duplicate event listener setup
         this.eventListenersSetup = false;
@@ -54,6 +55,63 @@ class LaliLinkApp {
         this.maxLoadingDuration = 5000; // 5 seconds max loading time (reduced)
         this.loadingStartTime = null;
         this.pendingOperations = new Set(); // Track pending operations
+        
+        // Vault key rotation
+        this.isRotatingVaultKey = false;
+        this.rotationBatchSize = 50;
+        
+        // Credential columns encrypted with the vault key (all share the row's key_version)
+        this.encryptedCredentialFields = ['encrypted_password', 'encrypted_totp_secret', 'encrypted_note', 'encrypted_private_key', 'encrypted_notes'];
+        // Fixed credential values addressable by reveal/copy, besides custom field indexes
+        this.credentialFieldRefs = {
+            note: { label: 'Secure Note', type: 'hidden', column: 'encrypted_note' },
+            username: { label: 'Username', type: 'text', column: 'username' },
+            fingerprint: { label: 'Fingerprint', type: 'text', column: 'ssh_fingerprint' },
+            public_key: { label: 'Public Key', type: 'text', column: 'ssh_public_key' },
+            private_key: { label: 'Private Key', type: 'hidden', column: 'encrypted_private_key' }
+        };
+        
+        // Last security health report summary (shown with the stats cards)
+        this.healthSummary = null;
+        
+        // Credentials whose password is in the offline breach list (id -> times seen)
+        this.breachedCredentials = new Map();
+        
+        // Client of the credential being edited (its password policy drives the generator)
+        this.credentialClient = null;
+        
+        // Rotation reminders: credentials with an expiry or rotation interval
+        this.rotationSchedule = [];
+        this.rotationScheduleLoadedAt = null;
+        this.rotationOverdue = null; // IDs already overdue; null until the first check
+        this.rotationChecker = null;
+        
+        // Emergency kit shares, kept only until the kit modal is reopened or the vault locks
+        this.emergencyKit = null;
+        
+        // New recovery kit of the current user, kept only while it can still be printed
+        this.recoveryKit = null;
+        
+        // Resolves the pending step-up prompt (second factor before admin writes)
+        this.stepUpResolver = null;
+        
+        // Sign-up: registration settings and the invitation from an invite link
+        this.registrationSettings = null;
+        this.invitation = null; // { token, email, role, expires_at }
+        this.isCreatingInvite = false;
+        
+        // Client whose members are open in the client members modal
+        this.membersClient = null;
+        
+        // One-time share links
+        this.isCreatingShare = false;
+        this.sharedSecret = null; // Decrypted payload on the share page
+        
+        // Vault auto-lock
+        this.lastActivityTime = Date.now();
+        this.autoLockChecker = null;
+        this.hideLockTimer = null;
+        this.handleUserActivity = this.handleUserActivity.bind(this);
     }
 
     /**
@@ -73,6 +131,14 @@ class LaliLinkApp {
             // Initialize Supabase
             await this.initializeSupabase();
             
+            // Share links open a read-only page and never touch the session
+            const shareLink = this.getShareLinkFromUrl();
+            if (shareLink) {
+                this.openShareLink(shareLink);
+                this.ui.hideLoading();
+                return;
+            }
+            
             // Initialize other managers
             await this.initializeManagers();
             
@@ -88,6 +154,15 @@ class LaliLinkApp {
             // Start loading state monitoring
             this.startLoadingStateMonitoring();
             
+            // Lock the vault when the user goes idle
+            this.startAutoLockMonitoring();
+            
+            // Bundled breach list; failures only disable the check
+            this.loadBundledBreachList();
+            
+            // Toast credentials that become due for rotation
+            this.startRotationMonitoring();
+            
             this.isInitialized = true;
             this.ui.hideLoading();
             
@@ -155,6 +230,8 @@ class LaliLinkApp {
         
         // Override UI callback methods
         this.ui.onShowClients = () => this.loadClients();
+        this.ui.onShowUsers = () => this.loadUsers();
+        this.ui.onShowAudit = () => this.loadAuditLog();
         this.ui.onNavigateToApplications = (client) => this.loadApplications(client);
         this.ui.onNavigateToCredentials = (application) => this.loadCredentials(application);
         this.ui.onClientSearch = (query) => this.searchClients(query);
@@ -200,6 +277,13 @@ class LaliLinkApp {
                 console.log('Login form handler attached');
             }
             
+            const mfaChallengeForm = document.getElementById('mfaChallengeForm');
+            if (mfaChallengeForm && !mfaChallengeForm.dataset.handlerAttached) {
+                mfaChallengeForm.addEventListener('submit', (e) => this.handleMfaChallengeSubmit(e));
+                mfaChallengeForm.dataset.handlerAttached = 'true';
+                console.log('MFA challenge form handler attached');
+            }
+            
             if (registerForm && !registerForm.dataset.handlerAttached) {
                 registerForm.addEventListener('submit', (e) => this.handleRegister(e));
                 registerForm.dataset.handlerAttached = 'true';
@@ -223,6 +307,52 @@ class LaliLinkApp {
                 this.ui.credentialForm.addEventListener('submit', (e) => this.handleCredentialSubmit(e));
                 this.ui.credentialForm.dataset.handlerAttached = 'true';
                 console.log('Credential form handler attached');
+                
+                const generateBtn = this.ui.credentialForm.querySelector('#generatePasswordBtn');
+                if (generateBtn) {
+                    generateBtn.addEventListener('click', () => this.generateCredentialPassword());
+                }
+                
+                const passwordInput = this.ui.credentialForm.querySelector('#credentialPassword');
+                if (passwordInput) {
+                    // A typed password no longer matches the shown generator entropy
+                    passwordInput.addEventListener('input', () => this.ui.showPasswordEntropy(null));
+                }
+                
+                const totpInput = this.ui.credentialForm.querySelector('#credentialTotp');
+                if (totpInput) {
+                    totpInput.addEventListener('change', (e) => this.handleTotpImport(e));
+                }
+                
+                const itemTypeSelect = this.ui.credentialForm.querySelector('#credentialItemType');
+                if (itemTypeSelect) {
+                    itemTypeSelect.addEventListener('change', (e) => this.ui.setCredentialItemType(e.target.value));
+                }
+                
+                const addFieldBtn = this.ui.credentialForm.querySelector('#addCustomFieldBtn');
+                if (addFieldBtn) {
+                    addFieldBtn.addEventListener('click', () => this.ui.addCustomFieldRow());
+                }
+                
+                const generateSshBtn = this.ui.credentialForm.querySelector('#generateSshKeyBtn');
+                if (generateSshBtn) {
+                    generateSshBtn.addEventListener('click', () => this.generateSshKey());
+                }
+                
+                ['#credentialSshPrivateKey', '#credentialSshPublicKey'].forEach(selector => {
+                    const keyInput = this.ui.credentialForm.querySelector(selector);
+                    if (keyInput) {
+                        keyInput.addEventListener('change', () => this.handleSshKeyInput());
+                    }
+                });
+            }
+            
+            if (this.ui.auditFilterForm && !this.ui.auditFilterForm.dataset.handlerAttached) {
+                this.ui.auditFilterForm.addEventListener('submit', (e) => {
+                    e.preventDefault();
+                    this.loadAuditLog();
+                });
+                this.ui.auditFilterForm.dataset.handlerAttached = 'true';
             }
             
             if (this.ui.userForm && !this.ui.userForm.dataset.handlerAttached) {
@@ -231,6 +361,83 @@ class LaliLinkApp {
                 console.log('User form handler attached');
             }
             
+            if (this.ui.emergencyKitForm && !this.ui.emergencyKitForm.dataset.handlerAttached) {
+                this.ui.emergencyKitForm.addEventListener('submit', (e) => this.handleEmergencyKitSubmit(e));
+                this.ui.emergencyKitForm.dataset.handlerAttached = 'true';
+                console.log('Emergency kit form handler attached');
+            }
+            
+            if (this.ui.recoveryForm && !this.ui.recoveryForm.dataset.handlerAttached) {
+                this.ui.recoveryForm.addEventListener('submit', (e) => this.handleRecoverySubmit(e));
+                this.ui.recoveryForm.dataset.handlerAttached = 'true';
+                console.log('Recovery form handler attached');
+            }
+            
+            if (this.ui.mfaEnrollForm && !this.ui.mfaEnrollForm.dataset.handlerAttached) {
+                this.ui.mfaEnrollForm.addEventListener('submit', (e) => this.handleMfaEnrollSubmit(e));
+                this.ui.mfaEnrollForm.dataset.handlerAttached = 'true';
+                console.log('MFA enroll form handler attached');
+            }
+            
+            if (this.ui.stepUpForm && !this.ui.stepUpForm.dataset.handlerAttached) {
+                this.ui.stepUpForm.addEventListener('submit', (e) => this.handleStepUpSubmit(e));
+                this.ui.stepUpForm.dataset.handlerAttached = 'true';
+                console.log('Step-up form handler attached');
+            }
+            
+            if (this.ui.recoveryKitForm && !this.ui.recoveryKitForm.dataset.handlerAttached) {
+                this.ui.recoveryKitForm.addEventListener('submit', (e) => this.handleRecoveryKitSubmit(e));
+                this.ui.recoveryKitForm.dataset.handlerAttached = 'true';
+                console.log('Recovery kit form handler attached');
+            }
+            
+            if (this.ui.masterResetForm && !this.ui.masterResetForm.dataset.handlerAttached) {
+                this.ui.masterResetForm.addEventListener('submit', (e) => this.handleMasterResetSubmit(e));
+                this.ui.masterResetForm.dataset.handlerAttached = 'true';
+                console.log('Master reset form handler attached');
+            }
+            
+            if (this.ui.inviteForm && !this.ui.inviteForm.dataset.handlerAttached) {
+                this.ui.inviteForm.addEventListener('submit', (e) => this.handleInviteSubmit(e));
+                this.ui.inviteForm.querySelector('#copyInviteLinkBtn')?.addEventListener('click', () => this.copyInviteLink());
+                this.ui.inviteForm.dataset.handlerAttached = 'true';
+                console.log('Invite form handler attached');
+            }
+            
+            if (this.ui.clientMemberForm && !this.ui.clientMemberForm.dataset.handlerAttached) {
+                this.ui.clientMemberForm.addEventListener('submit', (e) => this.handleClientMemberSubmit(e));
+                this.ui.clientMemberForm.dataset.handlerAttached = 'true';
+                console.log('Client member form handler attached');
+            }
+            
+            if (this.ui.registrationSettingsForm && !this.ui.registrationSettingsForm.dataset.handlerAttached) {
+                this.ui.registrationSettingsForm.addEventListener('submit', (e) => this.handleRegistrationSettingsSubmit(e));
+                this.ui.registrationSettingsForm.dataset.handlerAttached = 'true';
+                console.log('Registration settings form handler attached');
+            }
+            
+            if (this.ui.shareForm && !this.ui.shareForm.dataset.handlerAttached) {
+                this.ui.shareForm.addEventListener('submit', (e) => this.handleShareSubmit(e));
+                this.ui.shareForm.querySelector('#copyShareLinkBtn')?.addEventListener('click', () => this.copyShareLink());
+                this.ui.shareForm.dataset.handlerAttached = 'true';
+                console.log('Share form handler attached');
+            }
+            
+            if (this.ui.vaultForm && !this.ui.vaultForm.dataset.handlerAttached) {
+                this.ui.vaultForm.addEventListener('submit', (e) => this.handleVaultSubmit(e));
+                this.ui.vaultForm.dataset.handlerAttached = 'true';
+                console.log('Vault form handler attached');
+            }
+            
+            // Live password strength meters
+            this.bindStrengthMeter('registerPassword', 'registerPasswordStrength', () => [
+                document.getElementById('registerEmail')?.value,
+                document.getElementById('fullName')?.value
+            ]);
+            this.bindStrengthMeter('vaultMasterPassword', 'vaultPasswordStrength', () => [this.currentUser?.email], () => this.ui.vaultForm?.dataset.mode === 'setup');
+            this.bindStrengthMeter('masterResetPassword', 'masterResetStrength', () => [this.currentUser?.email]);
+            this.bindStrengthMeter('credentialPassword', 'credentialPasswordStrength', () => this.getCredentialUserInputs());
+            
             // Mark event listeners as setup
             this.eventListenersSetup = true;
             console.log('Form handlers setup completed');
@@ -283,6 +490,134 @@ class LaliLinkApp {
                 console.log('Logout button handler attached');
             }
             
+            // Users button (admin only)
+            const usersBtn = document.getElementById('usersBtn');
+            if (usersBtn && !usersBtn.dataset.handlerAttached) {
+                usersBtn.addEventListener('click', () => this.ui.showUsersView());
+                usersBtn.dataset.handlerAttached = 'true';
+            }
+            
+            // Security health report buttons
+            const runHealthReportBtn = document.getElementById('runHealthReportBtn');
+            if (runHealthReportBtn && !runHealthReportBtn.dataset.handlerAttached) {
+                runHealthReportBtn.addEventListener('click', () => this.runHealthReport());
+                runHealthReportBtn.dataset.handlerAttached = 'true';
+            }
+            
+            const closeHealthReportBtn = document.getElementById('closeHealthReportBtn');
+            if (closeHealthReportBtn && !closeHealthReportBtn.dataset.handlerAttached) {
+                closeHealthReportBtn.addEventListener('click', () => this.ui.healthReport?.classList.add('hidden'));
+                closeHealthReportBtn.dataset.handlerAttached = 'true';
+            }
+            
+            const breachListFile = document.getElementById('breachListFile');
+            if (breachListFile && !breachListFile.dataset.handlerAttached) {
+                breachListFile.addEventListener('change', (e) => this.handleBreachListUpload(e));
+                breachListFile.dataset.handlerAttached = 'true';
+            }
+            
+            const checkClientPolicyBtn = document.getElementById('checkClientPolicyBtn');
+            if (checkClientPolicyBtn && !checkClientPolicyBtn.dataset.handlerAttached) {
+                checkClientPolicyBtn.addEventListener('click', () => this.checkClientPolicy(this.ui.currentClient));
+                checkClientPolicyBtn.dataset.handlerAttached = 'true';
+            }
+            
+            const healthMaxAge = document.getElementById('healthMaxAge');
+            if (healthMaxAge && !healthMaxAge.dataset.handlerAttached) {
+                healthMaxAge.value = this.config.SECURITY?.PASSWORD_MAX_AGE_MONTHS || 6;
+                healthMaxAge.addEventListener('change', () => this.runHealthReport());
+                healthMaxAge.dataset.handlerAttached = 'true';
+            }
+            
+            // Audit log button (admin only)
+            const auditBtn = document.getElementById('auditBtn');
+            if (auditBtn && !auditBtn.dataset.handlerAttached) {
+                auditBtn.addEventListener('click', () => this.ui.showAuditView());
+                auditBtn.dataset.handlerAttached = 'true';
+            }
+            
+            // Vault modal logout button
+            const vaultLogoutBtn = document.getElementById('vaultLogoutBtn');
+            if (vaultLogoutBtn && !vaultLogoutBtn.dataset.handlerAttached) {
+                vaultLogoutBtn.addEventListener('click', () => this.handleLogout());
+                vaultLogoutBtn.dataset.handlerAttached = 'true';
+            }
+            
+            // Rotate vault key button (admin only)
+            const rotateVaultKeyBtn = document.getElementById('rotateVaultKeyBtn');
+            if (rotateVaultKeyBtn && !rotateVaultKeyBtn.dataset.handlerAttached) {
+                rotateVaultKeyBtn.addEventListener('click', () => this.handleRotateVaultKey());
+                rotateVaultKeyBtn.dataset.handlerAttached = 'true';
+            }
+            
+            // Emergency kit (admin only) and recovery from the vault modal
+            const inviteUserBtn = document.getElementById('inviteUserBtn');
+            if (inviteUserBtn && !inviteUserBtn.dataset.handlerAttached) {
+                inviteUserBtn.addEventListener('click', () => this.showInviteModal());
+                inviteUserBtn.dataset.handlerAttached = 'true';
+            }
+            
+            const registrationSettingsBtn = document.getElementById('registrationSettingsBtn');
+            if (registrationSettingsBtn && !registrationSettingsBtn.dataset.handlerAttached) {
+                registrationSettingsBtn.addEventListener('click', () => this.showRegistrationSettingsModal());
+                registrationSettingsBtn.dataset.handlerAttached = 'true';
+            }
+            
+            const emergencyKitBtn = document.getElementById('emergencyKitBtn');
+            if (emergencyKitBtn && !emergencyKitBtn.dataset.handlerAttached) {
+                emergencyKitBtn.addEventListener('click', () => this.showEmergencyKitModal());
+                emergencyKitBtn.dataset.handlerAttached = 'true';
+            }
+            
+            const vaultRecoveryBtn = document.getElementById('vaultRecoveryBtn');
+            if (vaultRecoveryBtn && !vaultRecoveryBtn.dataset.handlerAttached) {
+                vaultRecoveryBtn.addEventListener('click', () => this.showRecoveryModal());
+                vaultRecoveryBtn.dataset.handlerAttached = 'true';
+            }
+            
+            // Two-factor authentication
+            const mfaButtons = {
+                mfaBtn: () => this.showMfaModal(),
+                mfaStartBtn: () => this.startMfaEnrollment(),
+                mfaRemoveBtn: () => this.removeMfaFactor(),
+                mfaCloseBtn: () => this.ui.closeModal(this.ui.mfaModal),
+                mfaSignOutBtn: () => this.handleLogout(),
+                mfaChallengeSignOutBtn: () => this.handleLogout(),
+                stepUpCancelBtn: () => this.finishStepUp(false)
+            };
+            for (const [id, handler] of Object.entries(mfaButtons)) {
+                const button = document.getElementById(id);
+                if (button && !button.dataset.handlerAttached) {
+                    button.addEventListener('click', handler);
+                    button.dataset.handlerAttached = 'true';
+                }
+            }
+            
+            // Personal recovery kit and master password reset
+            const recoveryKitBtn = document.getElementById('recoveryKitBtn');
+            if (recoveryKitBtn && !recoveryKitBtn.dataset.handlerAttached) {
+                recoveryKitBtn.addEventListener('click', () => this.showRecoveryKitModal());
+                recoveryKitBtn.dataset.handlerAttached = 'true';
+            }
+            
+            const vaultForgotBtn = document.getElementById('vaultForgotBtn');
+            if (vaultForgotBtn && !vaultForgotBtn.dataset.handlerAttached) {
+                vaultForgotBtn.addEventListener('click', () => this.showMasterResetModal());
+                vaultForgotBtn.dataset.handlerAttached = 'true';
+            }
+            
+            const masterResetCancelBtn = document.getElementById('masterResetCancelBtn');
+            if (masterResetCancelBtn && !masterResetCancelBtn.dataset.handlerAttached) {
+                masterResetCancelBtn.addEventListener('click', () => this.ui.closeModal(this.ui.masterResetModal));
+                masterResetCancelBtn.dataset.handlerAttached = 'true';
+            }
+            
+            const recoveryCancelBtn = document.getElementById('recoveryCancelBtn');
+            if (recoveryCancelBtn && !recoveryCancelBtn.dataset.handlerAttached) {
+                recoveryCancelBtn.addEventListener('click', () => this.ui.closeModal(this.ui.recoveryModal));
+                recoveryCancelBtn.dataset.handlerAttached = 'true';
+            }
+            
             // Auth toggle buttons
             const showRegisterBtn = document.getElementById('showRegister');
             const showLoginBtn = document.getElementById('showLogin');
@@ -334,6 +669,7 @@ class LaliLinkApp {
                 await this.handleAuthStateChange('SIGNED_IN', session);
             } else {
                 this.ui.showAuth();
+                await this.prepareRegistration();
             }
         } catch (error) {
             console.error('Failed to check initial auth state:', error);
@@ -346,6 +682,8 @@ class LaliLinkApp {
      * Save current navigation state without triggering navigation
      */
     handleVisibilityChange() {
+        this.applyHideLockPolicy();
+        
         if (document.visibilityState === 'hidden') {
             // Save current navigation state when tab becomes hidden
             if (this.ui && this.ui.currentView) {
@@ -379,12 +717,29 @@ class LaliLinkApp {
                 await this.loadUserProfile();
                 console.log('User profile loaded:', this.userProfile);
                 
+                // Nothing of the app is shown until the second factor is done
+                const mfaStep = await this.getMfaStep();
+                if (mfaStep === 'challenge') {
+                    this.ui.showMfaChallenge();
+                    return;
+                }
+                if (mfaStep === 'enroll') {
+                    this.ui.showAuth();
+                    await this.showMfaModal(true);
+                    return;
+                }
+                
                 // Update UI
                 console.log('Updating UI with user info...');
                 this.ui.updateUserInfo(this.currentUser, this.userProfile);
                 
                 this.ui.showApp();
                 
+                // Ask for the master password before any secret can be decrypted
+                if (!this.security.hasKey()) {
+                    this.promptVaultUnlock();
+                }
+                
                 // Add small delay to ensure DOM is fully rendered
                 setTimeout(() => {
                     this.setupButtonHandlers();
@@ -445,13 +800,18 @@ class LaliLinkApp {
                 this.currentUser = null;
                 this.userProfile = null;
                 this.userPermissions = null;
+                this.resetRotationSchedule();
                 
                 // Clear sensitive data
                 if (this.database) {
                     this.database.clearAllCaches();
                 }
+                this.security.clearKey();
+                this.ui.closeModal(this.ui.vaultModal);
+                this.ui.closeModal(this.ui.mfaModal);
                 
                 this.ui.showAuth();
+                this.prepareRegistration();
                 this.ui.showToast('You have been logged out', 'info');
             }
         } catch (error) {
@@ -508,6 +868,15 @@ class LaliLinkApp {
                 throw new Error(result.error.message || 'Login failed');
             }
             
+            // Accounts with a verified factor need a code first; the login is recorded after it
+            const { data: aal } = await this.auth.getAssuranceLevel();
+            if (aal?.nextLevel === 'aal2' && aal.currentLevel !== 'aal2') {
+                this.ui.showMfaChallenge();
+                return;
+            }
+            
+            this.logAudit('login', 'session', result.data?.user?.id || null);
+            
             console.log('Login successful, waiting for auth state change...');
             // Success is handled by auth state change
             
@@ -541,19 +910,34 @@ class LaliLinkApp {
         const password = form.querySelector('#registerPassword').value;
         const confirmPassword = form.querySelector('#confirmPassword').value;
         const fullName = form.querySelector('#fullName').value;
+        const invitation = this.invitation;
         
         if (!email || !password || !confirmPassword || !fullName) {
             this.ui.showToast('Please fill in all fields', 'error');
             return;
         }
         
+        // handle_new_user() enforces the same rules; checking here gives a clearer message
+        if (invitation) {
+            if (email.trim().toLowerCase() !== invitation.email.toLowerCase()) {
+                this.ui.showToast('This invitation is for a different email address', 'error');
+                return;
+            }
+        } else if (!this.registrationSettings?.open_registration) {
+            this.ui.showToast('Registration is by invitation only', 'error');
+            return;
+        } else if (!this.isEmailDomainAllowed(email)) {
+            this.ui.showToast('Registration is not open to this email domain', 'error');
+            return;
+        }
+        
         if (password !== confirmPassword) {
             this.ui.showToast('Passwords do not match', 'error');
             return;
         }
         
         // Validate password strength
-        const passwordValidation = this.security.validatePasswordStrength(password);
+        const passwordValidation = this.security.estimatePasswordStrength(password, [email, fullName]);
         if (!passwordValidation.isValid) {
             this.ui.showToast(`Password is too weak: ${passwordValidation.feedback.join(', ')}`, 'error');
             return;
@@ -562,12 +946,22 @@ class LaliLinkApp {
         this.ui.showLoading('Creating account...');
         
         try {
-            const { data, error } = await this.auth.signUp(email, password, { full_name: fullName });
+            const metadata = { full_name: fullName };
+            if (invitation) {
+                metadata.invite_token = invitation.token;
+            }
+            
+            const { data, error } = await this.auth.signUp(email, password, metadata);
             
             if (error) {
                 throw error;
             }
             
+            if (invitation) {
+                this.invitation = null;
+                this.clearInviteFromUrl();
+            }
+            
             this.ui.showToast('Account created successfully! Please check your email for verification.', 'success');
             this.toggleAuthForm('login');
         } catch (error) {
@@ -591,6 +985,9 @@ class LaliLinkApp {
             localStorage.removeItem('lastClient');
             localStorage.removeItem('lastApplication');
             
+            // Record before the session ends; afterwards the insert is no longer authorized
+            await this.logAudit('logout', 'session', this.auth.getUserId());
+            
             console.log('Calling auth.signOut...');
             const result = await this.auth.signOut();
             
@@ -619,6 +1016,7 @@ class LaliLinkApp {
         const registerForm = document.getElementById('registerFormContainer');
         
         if (form === 'register') {
+            this.ui.prepareRegisterForm(this.invitation);
             loginForm?.classList.add('hidden');
             registerForm?.classList.remove('hidden');
         } else {
@@ -627,1131 +1025,5112 @@ class LaliLinkApp {
         }
     }
 
-    // ==================== USER PROFILE & PERMISSIONS ====================
-
     /**
-     * Load user profile and permissions
+     * Load what the sign-up form offers: the sign-up link while open
+     * registration is on, and the register form when opened from an invite link
      */
-    async loadUserProfile() {
-        try {
-            const { data: profile, error } = await this.database.getUserProfile(this.currentUser.id);
-            
-            if (error) {
-                // Create profile if it doesn't exist
-                const newProfile = await this.auth.createUserProfile();
-                
-                if (!newProfile) {
-                    throw new Error('Failed to create user profile');
-                }
-                
-                this.userProfile = newProfile;
-            } else {
-                this.userProfile = profile;
-            }
-            
-            // Load permissions
-            this.userPermissions = this.auth.getUserPermissions();
-            
-            // Update role-based UI immediately
-            this.ui.updateRoleBasedUI(this.userProfile.role, this.userPermissions);
-            
-        } catch (error) {
-            console.error('Failed to load user profile:', error);
-            throw error;
+    async prepareRegistration() {
+        const { data: settings } = await this.database.getRegistrationSettings();
+        this.registrationSettings = settings;
+        this.ui.setRegistrationAvailable(!!settings?.open_registration);
+        
+        const token = this.getInviteTokenFromUrl();
+        if (!token) {
+            return;
+        }
+        
+        const { data: invitation, error } = await this.database.getInvitation(token);
+        if (error || !invitation) {
+            this.invitation = null;
+            this.clearInviteFromUrl();
+            this.ui.showToast('This invitation is invalid, already used or expired', 'error', 5000);
+            return;
         }
+        
+        this.invitation = { token, ...invitation };
+        this.toggleAuthForm('register');
     }
 
     /**
-     * Load initial data after authentication
+     * Read an invite token from the address bar; it is kept in the fragment
+     * so it never reaches the web server
+     * @returns {string|null} Token, or null when this is not an invite link
      */
-    async loadInitialData() {
-        try {
-            // Load clients by default
-            await this.loadClients();
-        } catch (error) {
-            console.error('Failed to load initial data:', error);
-            this.ui.showToast('Failed to load data', 'error');
-        }
+    getInviteTokenFromUrl() {
+        const match = window.location.hash.match(/^#invite=([A-Za-z0-9_-]+)$/);
+        return match ? match[1] : null;
     }
 
-    // ==================== SESSION MONITORING ====================
+    /**
+     * Remove a used or invalid invite token from the address bar
+     */
+    clearInviteFromUrl() {
+        if (this.getInviteTokenFromUrl()) {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
 
     /**
-     * Start session monitoring
+     * Whether open registration accepts an email address
+     * @param {string} email - Email address
+     * @returns {boolean} True when no domains are listed or the domain is listed
      */
-    startSessionMonitoring() {
-        // Check session every 5 minutes
-        this.sessionCheckInterval = setInterval(this.checkSession, 5 * 60 * 1000);
+    isEmailDomainAllowed(email) {
+        const domains = this.registrationSettings?.allowed_email_domains || [];
+        const domain = email.trim().toLowerCase().split('@').pop();
+        return domains.length === 0 || domains.includes(domain);
     }
 
+    // ==================== MULTI-FACTOR AUTHENTICATION ====================
+
     /**
-     * Start simple loading state monitoring
+     * Decide whether the session still needs a second factor
+     * @returns {Promise<string|null>} 'challenge' to ask for a code, 'enroll' when
+     * an admin requires 2FA that is not set up yet, or null when the app may open
      */
-    startLoadingStateMonitoring() {
-        // Check loading state every 3 seconds for less aggressive monitoring
-        this.loadingStateChecker = setInterval(() => {
-            if (this.ui && this.ui.isLoading) {
-                const currentTime = Date.now();
-                
-                // If loading started time is not set, set it now
-                if (!this.loadingStartTime) {
-                    this.loadingStartTime = currentTime;
-                    console.log('Loading state monitoring: Loading started at', new Date(this.loadingStartTime));
-                    return;
-                }
-                
-                // Check if loading has been active for too long
-                const loadingDuration = currentTime - this.loadingStartTime;
-                
-                // Only intervene if no pending operations and loading is genuinely stuck
-                if (loadingDuration > this.maxLoadingDuration && this.pendingOperations.size === 0) {
-                    console.warn('Loading state stuck for', loadingDuration, 'ms with no pending operations - hiding loading');
-                    this.ui.hideLoading(); // Use simple hide
-                    this.loadingStartTime = null;
-                }
-            } else {
-                // Reset loading start time when not loading
-                this.loadingStartTime = null;
-            }
-        }, 3000); // Less frequent checks to be less aggressive
+    async getMfaStep() {
+        const { data: aal, error } = await this.auth.getAssuranceLevel();
+        if (error || !aal) {
+            // Fail closed for accounts that must use 2FA
+            return this.userProfile?.mfa_required ? 'challenge' : null;
+        }
         
-        console.log('Simple loading state monitoring started');
+        if (aal.nextLevel === 'aal2' && aal.currentLevel !== 'aal2') {
+            return 'challenge';
+        }
+        if (this.userProfile?.mfa_required && aal.nextLevel !== 'aal2') {
+            return 'enroll';
+        }
+        return null;
     }
 
     /**
-     * Check session validity
+     * Handle the second login step
+     * @param {Event} e - Submit event
      */
-    async checkSession() {
+    async handleMfaChallengeSubmit(e) {
+        e.preventDefault();
+        
+        if (this.isSubmitting) {
+            return;
+        }
+        this.isSubmitting = true;
+        
+        const code = e.target.querySelector('#mfaChallengeCode').value;
+        
         try {
-            const { data: { session }, error } = await this.supabase.auth.getSession();
+            this.ui.showLoading('Verifying code...');
             
-            if (error || !session) {
-                // Session expired
-                if (this.currentUser) {
-                    this.ui.showToast('Session expired. Please log in again.', 'warning');
-                    await this.handleLogout();
-                }
+            const { data: factors, error } = await this.auth.getTotpFactors();
+            if (error || !factors?.length) {
+                throw new Error('No authenticator app is set up for this account');
+            }
+            
+            const { error: verifyError } = await this.auth.verifyTotp(factors[0].id, code);
+            if (verifyError) {
+                throw new Error(verifyError.message);
             }
+            
+            this.logAudit('login', 'session', this.auth.getUserId(), { mfa: true });
+            
+            const { data: { session } } = await this.supabase.auth.getSession();
+            await this.handleAuthStateChange('SIGNED_IN', session);
+            
         } catch (error) {
-            console.error('Session check failed:', error);
+            console.error('MFA challenge failed:', error);
+            this.ui.showToast(error.message || 'Verification failed', 'error');
+            e.target.reset();
+        } finally {
+            this.ui.hideLoading();
+            this.isSubmitting = false;
         }
     }
 
-    // ==================== TAB SWITCHING ====================
+    /**
+     * Open the 2FA modal
+     * @param {boolean} forced - The user cannot use the app until a factor is verified
+     */
+    async showMfaModal(forced = false) {
+        const { data: factors, error } = await this.auth.getTotpFactors();
+        if (error) {
+            this.ui.showToast('Failed to load two-factor settings', 'error');
+            return;
+        }
+        
+        this.ui.showMfaModal(factors, { forced, required: !!this.userProfile?.mfa_required });
+    }
 
     /**
-     * Update statistics display
+     * Create a TOTP factor and show its QR code
      */
-    async updateStats() {
+    async startMfaEnrollment() {
         try {
-            // Only update stats if user is authenticated
-            if (!this.currentUser) {
-                return;
+            this.ui.showLoading('Preparing authenticator...');
+            
+            const { data, error } = await this.auth.enrollTotp();
+            if (error) {
+                throw error;
             }
             
-            // Get statistics from database
-            const stats = await this.database.getStatistics();
-            this.ui.updateStats(stats);
+            this.ui.showMfaEnrollment(data);
+            
         } catch (error) {
-            console.error('Error updating stats:', error);
-            // Fallback to UI-based counting if database fails
-            const clientsCount = this.ui.clientsList?.children.length || 0;
-            const applicationsCount = this.ui.applicationsList?.children.length || 0;
-            const credentialsCount = this.ui.credentialsList?.children.length || 0;
-            
-            const fallbackStats = {
-                clients: clientsCount,
-                applications: applicationsCount,
-                credentials: credentialsCount
-            };
-            
-            this.ui.updateStats(fallbackStats);
+            console.error('Failed to start MFA enrollment:', error);
+            this.ui.showToast('Failed to set up two-factor authentication', 'error');
+        } finally {
+            this.ui.hideLoading();
         }
     }
 
-    // ==================== DATA LOADING ====================
-
     /**
-     * Load clients
+     * Verify the first code of a new factor to turn it on
+     * @param {Event} e - Submit event
      */
-    async loadClients() {
-        const operationId = 'loadClients_' + Date.now();
-        this.pendingOperations.add(operationId);
+    async handleMfaEnrollSubmit(e) {
+        e.preventDefault();
+        
+        const form = e.target;
+        const factorId = form.dataset.factorId;
+        const code = form.querySelector('#mfaEnrollCode').value;
+        if (!factorId || !code) {
+            return;
+        }
         
         try {
-            this.ui.showLoading('Loading clients...');
-            
-            const { data: clients, error } = await this.database.getClients();
+            this.ui.showLoading('Verifying code...');
             
+            const { error } = await this.auth.verifyTotp(factorId, code);
             if (error) {
-                throw error;
+                throw new Error(error.message);
             }
             
-            const permissions = this.userPermissions.clients;
-            this.ui.renderClients(clients || [], permissions);
-            await this.updateStats();
+            this.logAudit('mfa_enroll', 'user', this.auth.getUserId());
+            this.ui.closeModal(this.ui.mfaModal);
+            this.ui.showToast('Two-factor authentication is on', 'success');
+            
+            // A required enrollment held the app back; open it now
+            if (form.dataset.forced === 'true') {
+                const { data: { session } } = await this.supabase.auth.getSession();
+                await this.handleAuthStateChange('SIGNED_IN', session);
+            }
             
         } catch (error) {
-            console.error('Failed to load clients:', error);
-            this.ui.showToast('Failed to load clients', 'error');
+            console.error('MFA enrollment failed:', error);
+            this.ui.showToast(error.message || 'Verification failed', 'error');
         } finally {
-            this.pendingOperations.delete(operationId);
-            // Ensure loading is hidden even if tab was switched
-            if (this.ui) {
-                this.ui.hideLoading();
-            }
+            this.ui.hideLoading();
         }
     }
 
     /**
-     * Load applications for a client
-     * @param {Object} client - Client object
+     * Turn off 2FA for the current user
      */
-    async loadApplications(client) {
-        const operationId = 'loadApplications_' + Date.now();
-        this.pendingOperations.add(operationId);
+    removeMfaFactor() {
+        const factorId = this.ui.mfaEnrollForm?.dataset.factorId;
+        if (!factorId) return;
         
-        try {
-            this.ui.showLoading('Loading applications...');
-            
-            const { data: applications, error } = await this.database.getApplications(client.id);
-            
-            if (error) {
-                throw error;
-            }
-            
-            const permissions = this.userPermissions.applications;
-            this.ui.renderApplications(applications || [], permissions);
-            await this.updateStats();
-            
-        } catch (error) {
-            console.error('Failed to load applications:', error);
-            this.ui.showToast('Failed to load applications', 'error');
-        } finally {
-            this.pendingOperations.delete(operationId);
-            // Ensure loading is hidden even if tab was switched
-            if (this.ui) {
-                this.ui.hideLoading();
-            }
+        if (this.userProfile?.mfa_required) {
+            this.ui.showToast('An admin requires two-factor authentication for your account', 'error');
+            return;
         }
+        
+        this.ui.showConfirmModal(
+            'Turn Off Two-Factor Authentication',
+            'Your account will be protected by your password only. Continue?',
+            async () => {
+                try {
+                    this.ui.showLoading('Removing authenticator...');
+                    
+                    const { error } = await this.auth.unenrollFactor(factorId);
+                    if (error) {
+                        throw error;
+                    }
+                    
+                    this.logAudit('mfa_remove', 'user', this.auth.getUserId());
+                    this.ui.closeModal(this.ui.mfaModal);
+                    this.ui.showToast('Two-factor authentication is off', 'warning');
+                    
+                } catch (error) {
+                    console.error('Failed to remove MFA factor:', error);
+                    this.ui.showToast('Failed to turn off two-factor authentication', 'error');
+                } finally {
+                    this.ui.hideLoading();
+                }
+            },
+            'Turn Off',
+            'btn-danger'
+        );
     }
 
     /**
-     * Load credentials for an application
-     * @param {Object} application - Application object
+     * Check a permission, asking for a TOTP code when a write needs step-up
+     * @param {string} resource - Resource type
+     * @param {string} action - Action type
+     * @param {string} deniedMessage - Toast shown when the role does not allow the action
+     * @param {number|null} clientId - Client the resource belongs to; defaults to the open client
+     * @returns {Promise<boolean>} Whether the action may go ahead
      */
-    async loadCredentials(application) {
-        const operationId = 'loadCredentials_' + Date.now();
-        this.pendingOperations.add(operationId);
+    async checkPermission(resource, action, deniedMessage, clientId = this.ui.currentClient?.id ?? null) {
+        const allowed = this.auth.canPerform(resource, action, clientId);
+        
+        if (!allowed) {
+            this.ui.showToast(deniedMessage, 'error');
+            return false;
+        }
+        if (allowed === AuthManager.STEP_UP_REQUIRED) {
+            return await this.requestStepUp();
+        }
+        return true;
+    }
+
+    /**
+     * Raise the session to aal2 before the first write; the RLS policies
+     * reject writes from password-only sessions
+     * @param {boolean} always - Ask even when the user's role has no writes yet
+     * @returns {Promise<boolean>} Whether the session is now verified
+     */
+    async requestStepUp(always = false) {
+        if (always ? this.auth.assuranceLevel === 'aal2' : !this.auth.needsStepUp()) {
+            return true;
+        }
+        
+        const { data: factors, error } = await this.auth.getTotpFactors();
+        if (error) {
+            this.ui.showToast('Failed to load two-factor settings', 'error');
+            return false;
+        }
+        if (!factors.length) {
+            this.ui.showToast(always ? 'Set up two-factor authentication first' : 'Set up two-factor authentication before changing data', 'warning', 5000);
+            await this.showMfaModal();
+            return false;
+        }
+        
+        // Only one prompt at a time; an older caller gives up
+        this.finishStepUp(false);
+        
+        // The prompt can come in the middle of a running operation
+        this.ui.hideLoading();
+        
+        return new Promise(resolve => {
+            this.stepUpResolver = resolve;
+            this.ui.stepUpForm.dataset.factorId = factors[0].id;
+            this.ui.stepUpForm.reset();
+            this.ui.showModal(this.ui.stepUpModal);
+            this.ui.stepUpForm.querySelector('#stepUpCode')?.focus();
+        });
+    }
+
+    /**
+     * Handle the step-up code
+     * @param {Event} e - Submit event
+     */
+    async handleStepUpSubmit(e) {
+        e.preventDefault();
+        
+        const form = e.target;
+        const code = form.querySelector('#stepUpCode').value;
         
         try {
-            this.ui.showLoading('Loading credentials...');
-            
-            const { data: credentials, error } = await this.database.getCredentials(application.id);
+            this.ui.showLoading('Verifying code...');
             
+            const { error } = await this.auth.verifyTotp(form.dataset.factorId, code);
             if (error) {
-                throw error;
+                throw new Error(error.message);
             }
             
-            const permissions = this.userPermissions.credentials;
-            this.ui.renderCredentials(credentials || [], permissions);
-            await this.updateStats();
+            this.logAudit('mfa_step_up', 'session', this.auth.getUserId());
+            this.finishStepUp(true);
             
         } catch (error) {
-            console.error('Failed to load credentials:', error);
-            this.ui.showToast('Failed to load credentials', 'error');
+            console.error('Step-up verification failed:', error);
+            this.ui.showToast(error.message || 'Verification failed', 'error');
+            form.reset();
         } finally {
-            this.pendingOperations.delete(operationId);
-            // Ensure loading is hidden even if tab was switched
-            if (this.ui) {
-                this.ui.hideLoading();
-            }
+            this.ui.hideLoading();
         }
     }
 
+    /**
+     * Close the step-up prompt and answer the waiting caller
+     * @param {boolean} verified - Whether the code was verified
+     */
+    finishStepUp(verified) {
+        if (!this.stepUpResolver) return;
+        
+        const resolve = this.stepUpResolver;
+        this.stepUpResolver = null;
+        this.ui.closeModal(this.ui.stepUpModal);
+        resolve(verified);
+    }
 
+    // ==================== VAULT ====================
 
-    // ==================== SEARCH FUNCTIONALITY ====================
+    /**
+     * Show the vault modal in setup or unlock mode depending on the profile
+     */
+    promptVaultUnlock() {
+        const mode = this.auth.getVaultSettings() ? 'unlock' : 'setup';
+        this.ui.showVaultModal(mode);
+    }
 
     /**
-     * Search clients
-     * @param {string} query - Search query
+     * Handle vault form submission
+     * @param {Event} e - Form event
      */
-    async searchClients(query) {
-        try {
-            if (!query.trim()) {
-                await this.loadClients();
+    async handleVaultSubmit(e) {
+        e.preventDefault();
+        
+        const form = e.target;
+        const mode = form.dataset.mode;
+        const masterPassword = form.querySelector('#vaultMasterPassword').value;
+        const confirmPassword = form.querySelector('#vaultMasterPasswordConfirm').value;
+        
+        if (!masterPassword) {
+            this.ui.showToast('Please enter your master password', 'error');
+            return;
+        }
+        
+        if (mode === 'setup') {
+            if (masterPassword !== confirmPassword) {
+                this.ui.showToast('Master passwords do not match', 'error');
                 return;
             }
             
-            const { data: clients, error } = await this.database.searchClients(query);
+            const validation = this.security.estimatePasswordStrength(masterPassword, [this.currentUser?.email]);
+            if (!validation.isValid) {
+                this.ui.showToast(`Master password is too weak: ${validation.feedback.join(', ')}`, 'error');
+                return;
+            }
+        }
+        
+        this.ui.showLoading(mode === 'setup' ? 'Creating vault...' : 'Unlocking vault...');
+        
+        try {
+            if (mode === 'setup') {
+                await this.setupVault(masterPassword);
+            } else {
+                await this.unlockVault(masterPassword);
+            }
             
-            if (error) {
-                throw error;
+            this.ui.closeModal(this.ui.vaultModal);
+            this.ui.showToast(mode === 'setup' ? 'Vault created' : 'Vault unlocked', 'success');
+            
+            if (mode === 'setup') {
+                await this.showNewRecoveryKit();
             }
             
-            const permissions = this.userPermissions.clients;
-            this.ui.renderClients(clients || [], permissions);
+            await this.migratePlaintextPasswords();
+            await this.migratePlaintextNotes();
             
         } catch (error) {
-            console.error('Failed to search clients:', error);
-            this.ui.showToast('Search failed', 'error');
+            console.error('Vault operation failed:', error);
+            this.ui.showToast(error.message || 'Failed to unlock vault', 'error');
+            
+            // Setup may have been saved before the team key was available
+            if (mode === 'setup' && this.auth.getVaultSettings()) {
+                this.ui.showVaultModal('unlock');
+                await this.showNewRecoveryKit();
+            }
+        } finally {
+            this.ui.hideLoading();
         }
     }
 
     /**
-     * Search applications
-     * @param {string} query - Search query
+     * Create the vault for the current user: new salt, master key, verifier and key pair
+     * @param {string} masterPassword - Master password
      */
-    async searchApplications(query) {
-        // Implementation depends on current client context
-        if (!this.ui.currentClient) return;
+    async setupVault(masterPassword) {
+        const salt = this.security.generateSalt();
+        const iterations = this.security.kdfIterations;
+        
+        const masterKey = await this.security.deriveKeyFromPassword(masterPassword, salt, iterations);
+        const verifier = await this.security.createKeyVerifier(masterKey);
+        const keyPair = await this.security.generateKeyPair();
         
+        const encryptedPrivateKey = await this.security.encryptPrivateKey(keyPair.privateKey, masterKey);
+        
+        const { error } = await this.auth.saveVaultSettings({
+            salt,
+            iterations,
+            verifier,
+            publicKey: await this.security.exportPublicKey(keyPair.publicKey),
+            encryptedPrivateKey
+        });
+        if (error) {
+            throw new Error('Failed to save vault settings');
+        }
+        
+        // A missing kit must not block setup; it can be generated later from the header
         try {
-            const { data: applications, error } = await this.database.getApplications(this.ui.currentClient.id);
-            
-            if (error) {
-                throw error;
-            }
-            
-            // Filter applications locally
-            const filteredApps = query.trim() 
-                ? applications.filter(app => 
-                    app.app_name.toLowerCase().includes(query.toLowerCase()) ||
-                    (app.description && app.description.toLowerCase().includes(query.toLowerCase()))
-                  )
-                : applications;
-            
-            const permissions = this.userPermissions.applications;
-            this.ui.renderApplications(filteredApps || [], permissions);
-            
-        } catch (error) {
-            console.error('Failed to search applications:', error);
-            this.ui.showToast('Search failed', 'error');
+            await this.createRecoveryKit(encryptedPrivateKey, masterKey);
+        } catch (kitError) {
+            console.error('Failed to create recovery kit during setup:', kitError);
         }
+        
+        await this.openTeamVault(keyPair.privateKey, masterKey);
     }
 
     /**
-     * Search credentials
-     * @param {string} query - Search query
+     * Unlock the vault: derive the master key, open the private key and unwrap the team key
+     * @param {string} masterPassword - Master password
      */
-    async searchCredentials(query) {
-        // Implementation depends on current application context
-        if (!this.ui.currentApplication) return;
+    async unlockVault(masterPassword) {
+        const settings = this.auth.getVaultSettings();
+        if (!settings) {
+            throw new Error('Vault has not been set up');
+        }
         
-        try {
-            const { data: credentials, error } = await this.database.getCredentials(this.ui.currentApplication.id);
-            
+        const masterKey = await this.security.deriveKeyFromPassword(masterPassword, settings.salt, settings.iterations);
+        
+        if (!(await this.security.verifyKey(settings.verifier, masterKey))) {
+            throw new Error('Incorrect master password');
+        }
+        
+        let privateKey;
+        if (settings.encryptedPrivateKey) {
+            privateKey = await this.security.decryptPrivateKey(settings.encryptedPrivateKey, masterKey);
+        } else {
+            // Vaults created before team sharing have no key pair yet
+            const keyPair = await this.security.generateKeyPair();
+            const { error } = await this.auth.updateUserProfile({
+                public_key: await this.security.exportPublicKey(keyPair.publicKey),
+                encrypted_private_key: await this.security.encryptPrivateKey(keyPair.privateKey, masterKey)
+            });
             if (error) {
-                throw error;
+                throw new Error('Failed to save vault key pair');
             }
-            
-            // Filter credentials locally
-            const filteredCreds = query.trim() 
-                ? credentials.filter(cred => 
-                    cred.username.toLowerCase().includes(query.toLowerCase()) ||
-                    (cred.description && cred.description.toLowerCase().includes(query.toLowerCase()))
-                  )
-                : credentials;
-            
-            const permissions = this.userPermissions.credentials;
-            this.ui.renderCredentials(filteredCreds || [], permissions);
-            
-        } catch (error) {
-            console.error('Failed to search credentials:', error);
-            this.ui.showToast('Search failed', 'error');
+            privateKey = keyPair.privateKey;
         }
+        
+        await this.openTeamVault(privateKey, masterKey);
     }
 
-    // ==================== MODAL HANDLERS ====================
-
     /**
-     * Show add client modal
+     * Load the team vault key for the current user
+     * Every wrapped version is loaded so rows not yet moved by an
+     * unfinished rotation stay readable.
+     * The first admin to unlock creates the team key and moves credentials
+     * encrypted with their personal master key into it
+     * @param {CryptoKey} privateKey - User's private key
+     * @param {CryptoKey} masterKey - Key derived from the user's master password
      */
-    showAddClientModal() {
-        if (!this.auth.canPerform('clients', 'create')) {
-            this.ui.showToast('You do not have permission to create clients', 'error');
+    async openTeamVault(privateKey, masterKey) {
+        const userId = this.auth.getUserId();
+        const { data: userShares, error } = await this.database.getUserVaultKeyShares(userId);
+        
+        if (error) {
+            throw new Error('Failed to load vault key');
+        }
+        
+        if (userShares && userShares.length > 0) {
+            for (const share of userShares) {
+                const vaultKey = await this.security.unwrapVaultKey(share.wrapped_key, privateKey);
+                this.security.setKey(vaultKey, share.key_version);
+            }
             return;
         }
         
-        // Reset form
-        if (this.ui.clientForm) {
-            this.ui.clientForm.reset();
-            this.ui.clientForm.dataset.mode = 'create';
-            delete this.ui.clientForm.dataset.clientId;
+        if (!this.auth.isAdmin()) {
+            throw new Error('You have not been granted vault access yet. Ask an admin to grant access.');
         }
         
-        // Update modal title
-        const modalTitle = this.ui.clientModal?.querySelector('.modal-title');
-        if (modalTitle) {
-            modalTitle.textContent = 'Add New Client';
+        const { data: shares, error: sharesError } = await this.database.getVaultKeyShares();
+        if (sharesError) {
+            throw new Error('Failed to load vault members');
+        }
+        if (shares && shares.length > 0) {
+            throw new Error('The team vault already exists. Ask another admin to grant you access.');
         }
         
-        this.ui.showModal(this.ui.clientModal);
+        if (!(await this.requestStepUp())) {
+            throw new Error('Verify with your authenticator app to create the team vault');
+        }
+        
+        const vaultKey = await this.security.generateVaultKey();
+        const { publicKey } = this.auth.getVaultSettings();
+        const wrappedKey = await this.security.wrapVaultKey(publicKey, vaultKey);
+        
+        const { error: saveError } = await this.database.saveVaultKeyShare(userId, wrappedKey, userId, 1);
+        if (saveError) {
+            throw new Error('Failed to create team vault');
+        }
+        
+        this.security.setKey(vaultKey, 1);
+        await this.reencryptCredentials(masterKey, vaultKey);
     }
 
     /**
-     * Show add application modal
+     * Re-encrypt every credential that opens with one key under another key
+     * Rows the old key cannot decrypt are left untouched
+     * @param {CryptoKey} fromKey - Current key of the rows
+     * @param {CryptoKey} toKey - New key
      */
-    showAddApplicationModal() {
-        if (!this.auth.canPerform('applications', 'create')) {
-            this.ui.showToast('You do not have permission to create applications', 'error');
+    async reencryptCredentials(fromKey, toKey) {
+        const { data: rows, error } = await this.database.getEncryptedCredentials();
+        
+        if (error) {
+            console.error('Failed to load credentials for re-encryption:', error);
             return;
         }
         
-        // Reset form
-        if (this.ui.applicationForm) {
+        let moved = 0;
+        for (const row of rows || []) {
+            let updates;
+            try {
+                updates = await this.reencryptCredentialFields(row, fromKey, toKey);
+            } catch (decryptError) {
+                continue;
+            }
+            
+            const { error: updateError } = await this.database.updateCredential(row.id, {
+                ...updates,
+                key_version: 1
+            });
+            
+            if (updateError) {
+                console.error('Failed to re-encrypt credential:', row.id, updateError);
+            } else {
+                moved++;
+            }
+        }
+        
+        if (moved > 0) {
+            this.ui.showToast(`Moved ${moved} credential(s) into the team vault`, 'success');
+        }
+    }
+
+    /**
+     * Wrap the team vault key for a user so they can unlock it with their own master password
+     * During a rotation both the old and the new key version are wrapped
+     * @param {string} userId - User ID
+     */
+    async grantVaultAccess(userId) {
+        if (!this.security.hasKey()) {
+            this.promptVaultUnlock();
+            throw new Error('Unlock the vault before granting access');
+        }
+        
+        const { data: profile, error } = await this.database.getUserProfile(userId);
+        if (error || !profile) {
+            throw new Error('User not found');
+        }
+        if (!profile.public_key) {
+            throw new Error('This user has not created a master password yet');
+        }
+        
+        for (const [version, key] of Object.entries(this.security.keyring)) {
+            const wrappedKey = await this.security.wrapVaultKey(profile.public_key, key);
+            const { error: saveError } = await this.database.saveVaultKeyShare(
+                userId, wrappedKey, this.auth.getUserId(), Number(version)
+            );
+            
+            if (saveError) {
+                throw new Error('Failed to grant vault access');
+            }
+        }
+    }
+
+    /**
+     * Remove a user's wrapped copy of the team vault key
+     * They may still hold the old key in memory, so rotate the key afterwards
+     * @param {string} userId - User ID
+     */
+    async revokeVaultAccess(userId) {
+        if (userId === this.auth.getUserId()) {
+            throw new Error('You cannot revoke your own vault access');
+        }
+        
+        const { error } = await this.database.deleteVaultKeyShare(userId);
+        
+        if (error) {
+            throw new Error('Failed to revoke vault access');
+        }
+    }
+
+    // ==================== VAULT KEY ROTATION ====================
+
+    /**
+     * Handle the rotate vault key button
+     */
+    async handleRotateVaultKey() {
+        if (this.isRotatingVaultKey) {
+            return;
+        }
+        
+        const { data: rotation } = await this.database.getActiveKeyRotation();
+        const message = rotation
+            ? 'A previous key rotation did not finish. Resume it now?'
+            : 'Generate a new vault key and re-encrypt every credential? Keep this tab open until it finishes.';
+        
+        if (!confirm(message)) {
+            return;
+        }
+        
+        if (!(await this.requestStepUp())) {
+            return;
+        }
+        
+        const operationId = 'rotate-vault-key';
+        this.isRotatingVaultKey = true;
+        this.pendingOperations.add(operationId);
+        this.ui.showLoading('Rotating vault key...');
+        
+        try {
+            const moved = await this.rotateVaultKey();
+            this.ui.showToast(`Vault key rotated, ${moved} item(s) re-encrypted`, 'success');
+            await this.warnOutdatedEmergencyKit();
+            await this.loadUsers();
+        } catch (error) {
+            console.error('Vault key rotation failed:', error);
+            this.ui.showToast(error.message || 'Failed to rotate vault key', 'error');
+        } finally {
+            this.isRotatingVaultKey = false;
+            this.pendingOperations.delete(operationId);
+            this.ui.hideLoading();
+        }
+    }
+
+    /**
+     * Replace the team vault key with a new version
+     * The rotation is recorded before the new key is shared, the new key is
+     * wrapped for every member before any row is touched and each row records
+     * the version it was encrypted with, so an interrupted rotation resumes by
+     * sharing the key with the members still missing it and re-encrypting the
+     * rows still on the old version
+     * @returns {Promise<number>} Number of rows re-encrypted
+     */
+    async rotateVaultKey() {
+        if (!this.auth.isAdmin()) {
+            throw new Error('Only admins can rotate the vault key');
+        }
+        if (!this.security.hasKey()) {
+            this.promptVaultUnlock();
+            throw new Error('Unlock the vault before rotating the key');
+        }
+        
+        const { data: activeRotation, error } = await this.database.getActiveKeyRotation();
+        if (error) {
+            throw new Error('Failed to load key rotation state');
+        }
+        
+        const rotation = activeRotation
+            ? await this.resumeKeyRotation(activeRotation)
+            : await this.startKeyRotation();
+        const fromKey = this.security.getKey(rotation.from_version);
+        const toKey = this.security.getKey(rotation.to_version);
+        
+        if (!fromKey || !toKey) {
+            throw new Error('Your vault access does not include both key versions of this rotation');
+        }
+        
+        const moved = await this.reencryptKeyVersion(rotation, fromKey, toKey);
+        
+        // Rows can be written with the old key by members who unlocked before the rotation
+        const { data: remaining, error: countError } = await this.database.countKeyVersionRows(rotation.from_version);
+        if (countError) {
+            throw new Error('Failed to check for items on the old vault key');
+        }
+        if (remaining > 0) {
+            throw new Error(`${remaining} item(s) still use the old vault key; run the rotation again to finish`);
+        }
+        
+        const { error: deleteError } = await this.database.deleteVaultKeyVersion(rotation.from_version);
+        if (deleteError) {
+            throw new Error('Failed to retire the old vault key');
+        }
+        
+        const { error: completeError } = await this.database.completeKeyRotation(rotation.id);
+        if (completeError) {
+            throw new Error('Failed to record key rotation');
+        }
+        
+        this.security.dropKeyVersion(rotation.from_version);
+        this.logAudit('key_rotation', 'vault', null, {
+            from_version: rotation.from_version,
+            to_version: rotation.to_version,
+            reencrypted: moved
+        });
+        return moved;
+    }
+
+    /**
+     * Record a rotation to the next vault key version and wrap the new key for every current member
+     * The admin's own copy is saved first: whoever holds the new key can resume the rotation
+     * @returns {Promise<Object>} Rotation record
+     */
+    async startKeyRotation() {
+        const userId = this.auth.getUserId();
+        const fromVersion = this.security.keyVersion;
+        const toVersion = fromVersion + 1;
+        const newKey = await this.security.generateVaultKey();
+        
+        const { data: rotation, error } = await this.database.createKeyRotation(fromVersion, toVersion, userId);
+        if (error) {
+            throw new Error('Failed to start key rotation');
+        }
+        
+        const { publicKey } = this.auth.getVaultSettings();
+        const { error: shareError } = await this.database.saveVaultKeyShare(
+            userId, await this.security.wrapVaultKey(publicKey, newKey), userId, toVersion
+        );
+        if (shareError) {
+            throw new Error('Failed to share the new vault key');
+        }
+        
+        this.security.setKey(newKey, toVersion);
+        await this.shareRotationKey(rotation, newKey);
+        return rotation;
+    }
+
+    /**
+     * Pick up an unfinished rotation
+     * When nobody received the new key, nothing can be encrypted with it yet,
+     * so the rotation is rolled back and started over
+     * @param {Object} rotation - Unfinished rotation record
+     * @returns {Promise<Object>} Rotation record to continue with
+     */
+    async resumeKeyRotation(rotation) {
+        const newKey = this.security.getKey(rotation.to_version);
+        if (newKey) {
+            await this.shareRotationKey(rotation, newKey);
+            return rotation;
+        }
+        
+        const { data: shares, error } = await this.database.getVaultKeyShares();
+        if (error) {
+            throw new Error('Failed to load vault members');
+        }
+        if ((shares || []).some(share => share.key_version === rotation.to_version)) {
+            throw new Error('Your vault access does not include both key versions of this rotation');
+        }
+        
+        const { error: cancelError } = await this.database.deleteKeyRotation(rotation.id);
+        if (cancelError) {
+            throw new Error('Failed to roll back the unfinished key rotation');
+        }
+        
+        return await this.startKeyRotation();
+    }
+
+    /**
+     * Wrap the new key of a rotation for every member of the old key who does not have it yet
+     * @param {Object} rotation - Rotation record
+     * @param {CryptoKey} newKey - New vault key
+     */
+    async shareRotationKey(rotation, newKey) {
+        const [sharesResult, usersResult] = await Promise.all([
+            this.database.getVaultKeyShares(),
+            this.database.getAllUsers(false)
+        ]);
+        if (sharesResult.error || usersResult.error) {
+            throw new Error('Failed to load vault members');
+        }
+        
+        const shares = sharesResult.data || [];
+        const sharedIds = new Set(
+            shares.filter(share => share.key_version === rotation.to_version).map(share => share.user_id)
+        );
+        const memberIds = new Set(
+            shares
+                .filter(share => share.key_version === rotation.from_version && !sharedIds.has(share.user_id))
+                .map(share => share.user_id)
+        );
+        const members = (usersResult.data || []).filter(user => memberIds.has(user.user_id));
+        
+        for (const member of members) {
+            if (!member.public_key) {
+                continue;
+            }
+            const wrappedKey = await this.security.wrapVaultKey(member.public_key, newKey);
+            const { error } = await this.database.saveVaultKeyShare(
+                member.user_id, wrappedKey, this.auth.getUserId(), rotation.to_version
+            );
+            if (error) {
+                throw new Error('Failed to share the new vault key; run the rotation again to resume');
+            }
+        }
+    }
+
+    /**
+     * Re-encrypt credentials, password history and attachments from one key version to the next in batches
+     * @param {Object} rotation - Rotation record
+     * @param {CryptoKey} fromKey - Old vault key
+     * @param {CryptoKey} toKey - New vault key
+     * @returns {Promise<number>} Number of credentials re-encrypted
+     */
+    async reencryptKeyVersion(rotation, fromKey, toKey) {
+        const sources = [
+            {
+                label: 'credential',
+                load: (version, limit) => this.database.getCredentialsByKeyVersion(version, limit),
+                reencrypt: (row) => this.reencryptCredentialFields(row, fromKey, toKey),
+                save: (id, data) => this.database.updateCredential(id, data)
+            },
+            {
+                label: 'password history entry',
+                load: (version, limit) => this.database.getPasswordHistoryByKeyVersion(version, limit),
+                reencrypt: async (row) => ({
+                    encrypted_password: await this.security.encryptPassword(
+                        await this.security.decryptPassword(row.encrypted_password, fromKey), toKey
+                    )
+                }),
+                save: (id, data) => this.database.updatePasswordHistoryEntry(id, data)
+            },
+            {
+                label: 'attachment',
+                load: (version, limit) => this.database.getAttachmentsByKeyVersion(version, limit),
+                reencrypt: (row) => this.reencryptAttachmentFile(row, fromKey, toKey),
+                save: (id, data) => this.database.updateAttachment(id, data),
+                // The old object is only dropped once the row points at the new one
+                afterSave: (row) => this.database.removeAttachmentFiles([row.storage_path])
+            }
+        ];
+        
+        let moved = 0;
+        
+        for (const source of sources) {
+            while (true) {
+                const { data: rows, error } = await source.load(rotation.from_version, this.rotationBatchSize);
+                if (error) {
+                    throw new Error(`Failed to load ${source.label} rows for rotation`);
+                }
+                if (!rows || rows.length === 0) {
+                    break;
+                }
+                
+                for (const row of rows) {
+                    let updates;
+                    try {
+                        updates = await source.reencrypt(row);
+                    } catch (decryptError) {
+                        throw new Error(`${source.label} ${row.id} cannot be decrypted with the current key; rotation stopped`);
+                    }
+                    
+                    const { error: updateError } = await source.save(row.id, {
+                        ...updates,
+                        key_version: rotation.to_version
+                    });
+                    if (updateError) {
+                        throw new Error(`Failed to re-encrypt ${source.label}; run the rotation again to resume`);
+                    }
+                    if (source.afterSave) {
+                        await source.afterSave(row);
+                    }
+                    moved++;
+                }
+                
+                this.ui.showLoading(`Rotating vault key... ${moved} re-encrypted`);
+            }
+        }
+        
+        return moved;
+    }
+
+    /**
+     * Re-encrypt every encrypted column of a credential row under another key
+     * @param {Object} row - Credential row
+     * @param {CryptoKey} fromKey - Current key of the row
+     * @param {CryptoKey} toKey - New key
+     * @returns {Promise<Object>} Column updates
+     */
+    async reencryptCredentialFields(row, fromKey, toKey) {
+        const updates = {};
+        
+        for (const field of this.encryptedCredentialFields) {
+            if (row[field]) {
+                const plaintext = await this.security.decryptPassword(row[field], fromKey);
+                updates[field] = await this.security.encryptPassword(plaintext, toKey);
+            }
+        }
+        
+        if ((row.custom_fields || []).some(field => this.security.isSecretField(field))) {
+            updates.custom_fields = await this.security.reencryptCustomFields(row.custom_fields, fromKey, toKey);
+        }
+        
+        return updates;
+    }
+
+    // ==================== EMERGENCY ACCESS ====================
+
+    /**
+     * Open the emergency kit modal with the status of the current kit
+     */
+    async showEmergencyKitModal() {
+        if (!this.auth.isAdmin()) {
+            this.ui.showToast('Only admins can manage the emergency kit', 'error');
+            return;
+        }
+        
+        if (!(await this.requestStepUp())) {
+            return;
+        }
+        
+        if (!this.security.hasKey()) {
+            this.promptVaultUnlock();
+            return;
+        }
+        
+        this.emergencyKit = null;
+        const result = document.getElementById('emergencyKitResult');
+        if (result) {
+            result.innerHTML = '';
+            result.classList.add('hidden');
+        }
+        
+        const { data: kit } = await this.database.getEmergencyKit();
+        this.ui.renderEmergencyKitStatus(kit, this.security.keyVersion);
+        this.ui.showModal(this.ui.emergencyKitModal);
+    }
+
+    /**
+     * Create a new emergency kit: a random recovery secret seals the current
+     * vault key and is split into K-of-N shares; only the shares leave this page
+     * @param {Event} e - Submit event
+     */
+    async handleEmergencyKitSubmit(e) {
+        e.preventDefault();
+        
+        if (!this.auth.isAdmin() || !this.security.hasKey()) {
+            this.ui.showToast('Unlock the vault as an admin to create an emergency kit', 'error');
+            return;
+        }
+        
+        const form = e.target;
+        const threshold = parseInt(form.querySelector('#emergencyKitThreshold').value);
+        const shareCount = parseInt(form.querySelector('#emergencyKitShareCount').value);
+        
+        if (!(threshold >= 2 && shareCount >= threshold && shareCount <= 10)) {
+            this.ui.showToast('Require at least 2 shares and create no more than 10', 'error');
+            return;
+        }
+        
+        const { data: existing } = await this.database.getEmergencyKit();
+        if (existing && !existing.used_at && !confirm('Replace the current emergency kit? Its shares will stop working.')) {
+            return;
+        }
+        
+        try {
+            this.ui.showLoading('Creating emergency kit...');
+            
+            const kitId = window.crypto.randomUUID();
+            const kitTag = kitId.replace(/-/g, '').slice(0, 8);
+            const secret = this.security.generateRecoverySecret();
+            const { wrapKey, token } = await this.security.deriveRecoveryKeys(secret);
+            const shares = await Promise.all(
+                ShamirSecretSharing.split(secret, shareCount, threshold)
+                    .map(share => ShamirSecretSharing.encodeShare(share, kitTag, threshold))
+            );
+            secret.fill(0);
+            
+            const { data: kit, error } = await this.database.replaceEmergencyKit({
+                id: kitId,
+                key_version: this.security.keyVersion,
+                threshold,
+                share_count: shareCount,
+                encrypted_vault_key: await this.security.encryptVaultKey(this.security.key, wrapKey),
+                admin_token_hash: await this.security.hashString(token),
+                created_by: this.auth.getUserId()
+            });
+            if (error) {
+                throw error;
+            }
+            
+            this.emergencyKit = { kit, shares };
+            this.ui.renderEmergencyKitStatus(kit, this.security.keyVersion);
+            this.ui.renderEmergencyKitShares(shares);
+            this.logAudit('emergency_kit', 'vault', kit.id, {
+                threshold,
+                share_count: shareCount,
+                key_version: kit.key_version
+            });
+            this.ui.showToast('Emergency kit created. Print or download every share now; they are not shown again.', 'success', 6000);
+            
+        } catch (error) {
+            console.error('Failed to create emergency kit:', error);
+            this.ui.showToast('Failed to create emergency kit', 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    /**
+     * Print one share of the new kit, or every share on its own page
+     * @param {number|null} index - Share index, or null for all shares
+     */
+    printEmergencyShares(index = null) {
+        if (!this.emergencyKit) return;
+        
+        const { kit, shares } = this.emergencyKit;
+        const indexes = index === null ? shares.map((_, i) => i) : [index];
+        const pages = indexes.map(i => this.ui.renderEmergencySharePage(shares[i], i, kit));
+        
+        if (!this.ui.printDocument('LaliLink Emergency Kit', pages)) {
+            this.ui.showToast('Allow pop-ups for this site to print the emergency kit', 'warning');
+        }
+    }
+
+    /**
+     * Download one share of the new kit as a text file
+     * @param {number} index - Share index
+     */
+    downloadEmergencyShare(index) {
+        if (!this.emergencyKit) return;
+        
+        const { kit, shares } = this.emergencyKit;
+        const text = [
+            `LaliLink Emergency Kit - share ${index + 1} of ${kit.share_count}`,
+            `Any ${kit.threshold} shares of this kit together restore admin access to the vault.`,
+            'Keep this file offline and apart from the other shares.',
+            '',
+            shares[index],
+            ''
+        ].join('\n');
+        
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `lalilink-emergency-share-${index + 1}.txt`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    /**
+     * Remind admins that a rotation left the emergency kit on an old key version
+     */
+    async warnOutdatedEmergencyKit() {
+        const { data: kit } = await this.database.getEmergencyKit();
+        
+        if (kit && !kit.used_at && kit.key_version !== this.security.keyVersion) {
+            this.ui.showToast('The emergency kit still holds the old vault key. Create a new kit from the Users page.', 'warning', 8000);
+        }
+    }
+
+    /**
+     * Open the recovery screen from the vault modal
+     */
+    showRecoveryModal() {
+        if (!this.auth.getVaultSettings()?.publicKey) {
+            this.ui.showToast('Create your master password first, then use the emergency kit', 'warning');
+            return;
+        }
+        
+        this.ui.recoveryForm?.reset();
+        this.ui.showModal(this.ui.recoveryModal);
+    }
+
+    /**
+     * Handle the recovery form
+     * @param {Event} e - Submit event
+     */
+    async handleRecoverySubmit(e) {
+        e.preventDefault();
+        
+        const lines = e.target.querySelector('#recoveryShares').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean);
+        
+        try {
+            this.ui.showLoading('Recovering access...');
+            await this.recoverWithEmergencyKit(lines);
+            
+            this.ui.closeModal(this.ui.recoveryModal);
+            this.ui.showToast('Admin access restored. Unlock the vault with your master password.', 'success', 5000);
+            // Reload so the new role and vault key share are picked up everywhere
+            setTimeout(() => window.location.reload(), 2000);
+            
+        } catch (error) {
+            console.error('Emergency recovery failed:', error);
+            this.ui.showToast(this.ui.escapeHtml(error.message) || 'Emergency recovery failed', 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    /**
+     * Combine kit shares, open the sealed vault key, become admin and wrap
+     * the vault key for the current user
+     * @param {Array<string>} lines - Share texts
+     */
+    async recoverWithEmergencyKit(lines) {
+        if (lines.length === 0) {
+            throw new Error('Paste the shares of the emergency kit');
+        }
+        
+        const shares = await Promise.all(lines.map(line => ShamirSecretSharing.decodeShare(line)));
+        
+        const { data: kit, error } = await this.database.getEmergencyKit();
+        if (error) {
+            throw new Error('Failed to load the emergency kit');
+        }
+        if (!kit || kit.used_at) {
+            throw new Error('There is no unused emergency kit');
+        }
+        
+        const kitTag = kit.id.replace(/-/g, '').slice(0, 8);
+        if (shares.some(share => share.kitTag !== kitTag)) {
+            throw new Error('Some shares belong to a different or replaced emergency kit');
+        }
+        if (shares.length < kit.threshold) {
+            throw new Error(`${kit.threshold} shares are needed, only ${shares.length} given`);
+        }
+        
+        const secret = ShamirSecretSharing.combine(shares);
+        const { wrapKey, token } = await this.security.deriveRecoveryKeys(secret);
+        secret.fill(0);
+        
+        let vaultKey;
+        try {
+            vaultKey = await this.security.decryptVaultKey(kit.encrypted_vault_key, wrapKey);
+        } catch (decryptError) {
+            throw new Error('These shares do not open the emergency kit');
+        }
+        
+        // Redeeming spends the kit and saving the key share is an admin write,
+        // so the second factor is verified before either
+        if (!(await this.requestStepUp(true))) {
+            throw new Error('Verify your two-factor code to use the emergency kit');
+        }
+        
+        const { data: redeemed, error: redeemError } = await this.database.redeemEmergencyKit(kit.id, token);
+        if (redeemError || !redeemed) {
+            throw new Error('The emergency kit was rejected; it may be outdated by a key rotation');
+        }
+        
+        await this.auth.loadUserProfile();
+        
+        const userId = this.auth.getUserId();
+        const wrappedKey = await this.security.wrapVaultKey(this.auth.getVaultSettings().publicKey, vaultKey);
+        const { error: saveError } = await this.database.saveVaultKeyShare(userId, wrappedKey, userId, kit.key_version);
+        
+        this.logAudit('emergency_recovery', 'vault', kit.id, { key_version: kit.key_version });
+        
+        if (saveError) {
+            // The kit is spent; keep the key so access can still be granted from the Users page
+            this.security.setKey(vaultKey, kit.key_version);
+            throw new Error('Admin access was restored but your vault key could not be saved. Do not reload; grant yourself vault access from the Users page.');
+        }
+    }
+
+    // ==================== ACCOUNT RECOVERY ====================
+
+    /**
+     * Open the recovery kit modal with the status of the user's codes
+     */
+    async showRecoveryKitModal() {
+        if (!this.auth.getVaultSettings()?.encryptedPrivateKey) {
+            this.ui.showToast('Create your master password first', 'warning');
+            return;
+        }
+        
+        this.recoveryKit = null;
+        const { data: codes } = await this.database.getRecoveryCodes(this.auth.getUserId());
+        this.ui.showRecoveryKitModal(codes || []);
+    }
+
+    /**
+     * Show the kit created during vault setup, once
+     */
+    async showNewRecoveryKit() {
+        if (!this.recoveryKit) {
+            this.ui.showToast('Could not create your recovery kit. Generate one from the Recovery Kit button.', 'warning', 6000);
+            return;
+        }
+        
+        const { data: codes } = await this.database.getRecoveryCodes(this.auth.getUserId());
+        this.ui.showRecoveryKitModal(codes || [], this.recoveryKit);
+    }
+
+    /**
+     * Generate a new recovery kit after checking the master password
+     * @param {Event} e - Submit event
+     */
+    async handleRecoveryKitSubmit(e) {
+        e.preventDefault();
+        
+        const settings = this.auth.getVaultSettings();
+        const masterPassword = e.target.querySelector('#recoveryKitMasterPassword').value;
+        if (!settings?.encryptedPrivateKey || !masterPassword) {
+            return;
+        }
+        
+        try {
+            this.ui.showLoading('Creating recovery kit...');
+            
+            const masterKey = await this.security.deriveKeyFromPassword(masterPassword, settings.salt, settings.iterations);
+            if (!(await this.security.verifyKey(settings.verifier, masterKey))) {
+                this.ui.showToast('Incorrect master password', 'error');
+                return;
+            }
+            
+            await this.createRecoveryKit(settings.encryptedPrivateKey, masterKey);
+            
+            const { data: codes } = await this.database.getRecoveryCodes(this.auth.getUserId());
+            this.ui.showRecoveryKitModal(codes || [], this.recoveryKit);
+            this.ui.showToast('Recovery kit created. Print or download it now; it is not shown again.', 'success', 6000);
+            
+        } catch (error) {
+            console.error('Failed to create recovery kit:', error);
+            this.ui.showToast('Failed to create recovery kit', 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    /**
+     * Replace the user's recovery codes. Every code gets its own copy of the
+     * private key, sealed with a key derived from the secret key and that code
+     * @param {string} encryptedPrivateKey - Private key encrypted with the master key
+     * @param {CryptoKey} masterKey - Key derived from the master password
+     */
+    async createRecoveryKit(encryptedPrivateKey, masterKey) {
+        const pkcs8 = await this.security.decryptPassword(encryptedPrivateKey, masterKey);
+        const count = this.config.SECURITY?.RECOVERY_CODE_COUNT ?? 10;
+        const { secretKey, codes } = this.security.generateRecoveryKit(count);
+        
+        const rows = [];
+        for (const code of codes) {
+            const codeKey = await this.security.deriveRecoveryCodeKey(secretKey, code);
+            rows.push({
+                code_hash: await this.security.hashRecoveryCode(code),
+                encrypted_private_key: await this.security.encryptPassword(pkcs8, codeKey)
+            });
+        }
+        
+        const { error } = await this.database.replaceRecoveryCodes(this.auth.getUserId(), rows);
+        if (error) {
+            throw error;
+        }
+        
+        this.recoveryKit = { secretKey, codes, createdAt: new Date().toISOString() };
+        this.logAudit('recovery_codes', 'user', this.auth.getUserId(), { count });
+    }
+
+    /**
+     * Print the new recovery kit
+     */
+    printRecoveryKit() {
+        if (!this.recoveryKit) return;
+        
+        const page = this.ui.renderRecoveryKitPage(this.recoveryKit, {
+            url: this.config.SUPABASE?.URL || '',
+            email: this.auth.getUserEmail()
+        });
+        
+        if (!this.ui.printDocument('LaliLink Recovery Kit', [page])) {
+            this.ui.showToast('Allow pop-ups for this site to print the recovery kit', 'warning');
+        }
+    }
+
+    /**
+     * Download the new recovery kit as a text file
+     */
+    downloadRecoveryKit() {
+        if (!this.recoveryKit) return;
+        
+        const { secretKey, codes, createdAt } = this.recoveryKit;
+        const text = [
+            'LaliLink Recovery Kit',
+            `Created: ${this.ui.formatDateTime(createdAt)}`,
+            `Supabase URL: ${this.config.SUPABASE?.URL || ''}`,
+            `Account email: ${this.auth.getUserEmail()}`,
+            '',
+            `Secret Key: ${secretKey}`,
+            '',
+            'Recovery Codes (each works once):',
+            ...codes,
+            '',
+            'To reset a forgotten master password, click "Forgot master password?" in the Unlock Vault dialog.',
+            ''
+        ].join('\n');
+        
+        const url = URL.createObjectURL(new Blob([text], { type: 'text/plain' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'lalilink-recovery-kit.txt';
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+    }
+
+    /**
+     * Open the master password reset screen from the vault modal
+     */
+    showMasterResetModal() {
+        this.ui.masterResetForm?.reset();
+        this.ui.renderStrengthMeter(document.getElementById('masterResetStrength'), null);
+        this.ui.showModal(this.ui.masterResetModal);
+    }
+
+    /**
+     * Handle the master password reset form
+     * @param {Event} e - Submit event
+     */
+    async handleMasterResetSubmit(e) {
+        e.preventDefault();
+        
+        const form = e.target;
+        const secretKey = form.querySelector('#masterResetSecretKey').value;
+        const code = form.querySelector('#masterResetCode').value;
+        const masterPassword = form.querySelector('#masterResetPassword').value;
+        
+        if (masterPassword !== form.querySelector('#masterResetPasswordConfirm').value) {
+            this.ui.showToast('Master passwords do not match', 'error');
+            return;
+        }
+        
+        const validation = this.security.estimatePasswordStrength(masterPassword, [this.currentUser?.email]);
+        if (!validation.isValid) {
+            this.ui.showToast(`Master password is too weak: ${validation.feedback.join(', ')}`, 'error');
+            return;
+        }
+        
+        try {
+            this.ui.showLoading('Resetting master password...');
+            const remaining = await this.resetMasterPassword(secretKey, code, masterPassword);
+            
+            this.ui.closeModal(this.ui.masterResetModal);
+            this.ui.closeModal(this.ui.vaultModal);
+            this.ui.showToast(`Master password reset. ${remaining} recovery code(s) left.`, remaining > 2 ? 'success' : 'warning', 6000);
+            
+            await this.migratePlaintextPasswords();
+            await this.migratePlaintextNotes();
+            
+        } catch (error) {
+            console.error('Master password reset failed:', error);
+            this.ui.showToast(this.ui.escapeHtml(error.message) || 'Failed to reset master password', 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    /**
+     * Open the private key copy of a recovery code, spend the code and
+     * protect the private key with a new master password. The key pair stays
+     * the same, so every wrapped vault key keeps working
+     * @param {string} secretKey - Secret key of the recovery kit
+     * @param {string} code - Unused recovery code
+     * @param {string} masterPassword - New master password
+     * @returns {Promise<number>} Number of unused codes left
+     */
+    async resetMasterPassword(secretKey, code, masterPassword) {
+        const settings = this.auth.getVaultSettings();
+        if (!settings?.publicKey) {
+            throw new Error('Vault has not been set up');
+        }
+        
+        const userId = this.auth.getUserId();
+        const codeHash = await this.security.hashRecoveryCode(code);
+        const { data: row, error } = await this.database.getRecoveryCode(userId, codeHash);
+        if (error) {
+            throw new Error('Failed to load recovery codes');
+        }
+        if (!row?.encrypted_private_key) {
+            throw new Error('This recovery code is not valid or was already used');
+        }
+        
+        // Check the secret key before the code is spent, so a typo does not waste a code
+        let pkcs8;
+        try {
+            const codeKey = await this.security.deriveRecoveryCodeKey(secretKey, code);
+            pkcs8 = await this.security.decryptPassword(row.encrypted_private_key, codeKey);
+        } catch (decryptError) {
+            throw new Error('The secret key does not match this recovery code');
+        }
+        
+        const { data: spent, error: spendError } = await this.database.useRecoveryCode(codeHash);
+        if (spendError || !spent) {
+            throw new Error('This recovery code is not valid or was already used');
+        }
+        
+        const salt = this.security.generateSalt();
+        const iterations = this.security.kdfIterations;
+        const masterKey = await this.security.deriveKeyFromPassword(masterPassword, salt, iterations);
+        const encryptedPrivateKey = await this.security.encryptPassword(pkcs8, masterKey);
+        
+        const { error: saveError } = await this.auth.saveVaultSettings({
+            salt,
+            iterations,
+            verifier: await this.security.createKeyVerifier(masterKey),
+            publicKey: settings.publicKey,
+            encryptedPrivateKey
+        });
+        if (saveError) {
+            throw new Error('The recovery code was used but the new master password could not be saved. Try again with another code.');
+        }
+        
+        const { data: codes } = await this.database.getRecoveryCodes(userId);
+        const remaining = (codes || []).filter(entry => !entry.used_at).length;
+        this.logAudit('master_reset', 'user', userId, { remaining_codes: remaining });
+        
+        const privateKey = await this.security.decryptPrivateKey(encryptedPrivateKey, masterKey);
+        await this.openTeamVault(privateKey, masterKey);
+        
+        return remaining;
+    }
+
+    // ==================== VAULT AUTO-LOCK ====================
+
+    /**
+     * Track user activity and check the idle timer periodically
+     */
+    startAutoLockMonitoring() {
+        ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'].forEach(eventName => {
+            document.addEventListener(eventName, this.handleUserActivity, { passive: true });
+        });
+        
+        this.autoLockChecker = setInterval(() => this.checkIdleLock(), 15 * 1000);
+    }
+
+    /**
+     * Record user activity for the idle timer
+     */
+    handleUserActivity() {
+        this.lastActivityTime = Date.now();
+    }
+
+    /**
+     * Lock the vault once the configured idle time has passed
+     */
+    checkIdleLock() {
+        const idleMinutes = this.config.SECURITY?.AUTO_LOCK_IDLE_MINUTES;
+        
+        if (!idleMinutes || !this.security?.hasKey()) {
+            return;
+        }
+        
+        if (Date.now() - this.lastActivityTime >= idleMinutes * 60 * 1000) {
+            this.lockVault('The vault was locked after a period of inactivity. Enter your master password to continue.');
+        }
+    }
+
+    /**
+     * Lock the vault when the tab is hidden, after the configured grace period
+     */
+    applyHideLockPolicy() {
+        const settings = this.config.SECURITY || {};
+        
+        if (document.visibilityState === 'hidden') {
+            if (!settings.AUTO_LOCK_ON_HIDE || !this.security?.hasKey()) {
+                return;
+            }
+            
+            const graceMs = (settings.AUTO_LOCK_HIDE_GRACE_SECONDS || 0) * 1000;
+            this.lastHiddenTime = Date.now();
+            
+            if (graceMs === 0) {
+                this.lockVault('The vault was locked when the tab was hidden. Enter your master password to continue.');
+                return;
+            }
+            
+            clearTimeout(this.hideLockTimer);
+            this.hideLockTimer = setTimeout(() => {
+                this.lockVault('The vault was locked while the tab was hidden. Enter your master password to continue.');
+            }, graceMs);
+        } else {
+            clearTimeout(this.hideLockTimer);
+            this.hideLockTimer = null;
+            
+            // Browsers throttle timers in background tabs, so check the elapsed time as well
+            const graceMs = (settings.AUTO_LOCK_HIDE_GRACE_SECONDS || 0) * 1000;
+            if (settings.AUTO_LOCK_ON_HIDE && this.lastHiddenTime && Date.now() - this.lastHiddenTime >= graceMs) {
+                this.lockVault('The vault was locked while the tab was hidden. Enter your master password to continue.');
+            }
+            this.lastHiddenTime = null;
+            this.lastActivityTime = Date.now();
+        }
+    }
+
+    /**
+     * Wipe the vault key and decrypted passwords, then show the lock screen
+     * The Supabase session is kept, only the master password is asked again
+     * @param {string} message - Reason shown on the lock screen
+     */
+    lockVault(message) {
+        if (!this.security?.hasKey() || !this.currentUser) {
+            return;
+        }
+        
+        // Never interrupt a running key rotation; it needs both keys until it finishes
+        if (this.isRotatingVaultKey) {
+            return;
+        }
+        
+        this.security.clearKey();
+        this.emergencyKit = null;
+        this.recoveryKit = null;
+        this.ui.clearRevealedPasswords();
+        this.ui.showVaultModal('unlock', message);
+    }
+
+    // ==================== AUDIT LOG ====================
+
+    /**
+     * Record an audit event for the current user
+     * Never throws: a failed audit insert must not block the action itself
+     * @param {string} action - login, logout, reveal, copy, create, update, delete, ...
+     * @param {string} entityType - session, client, application, credential, user or vault
+     * @param {string|number|null} entityId - Target ID
+     * @param {Object} details - Extra context; client_id overrides the current client
+     * @returns {Promise<void>}
+     */
+    async logAudit(action, entityType, entityId = null, details = {}) {
+        const { client_id: clientId, ...rest } = details;
+        
+        await this.database.logAuditEvent({
+            action,
+            entity_type: entityType,
+            entity_id: entityId,
+            client_id: clientId ?? (['credential', 'application', 'attachment'].includes(entityType) ? this.ui.currentClient?.id ?? null : null),
+            details: rest
+        });
+    }
+
+    /**
+     * Load audit events with the filters from the audit view (Admin only)
+     */
+    async loadAuditLog() {
+        if (!this.auth.isAdmin()) {
+            this.ui.showToast('Only admins can view the audit log', 'error');
+            return;
+        }
+        
+        const operationId = 'loadAuditLog_' + Date.now();
+        this.pendingOperations.add(operationId);
+        
+        try {
+            this.ui.showLoading('Loading audit log...');
+            
+            const value = (id) => document.getElementById(id)?.value || '';
+            const from = value('auditFrom');
+            const to = value('auditTo');
+            const filters = {
+                actorId: value('auditUser') || null,
+                clientId: value('auditClient') ? parseInt(value('auditClient')) : null,
+                action: value('auditAction') || null,
+                from: from ? new Date(`${from}T00:00:00`).toISOString() : null,
+                to: to ? new Date(`${to}T23:59:59.999`).toISOString() : null
+            };
+            
+            const [eventsResult, usersResult, clientsResult] = await Promise.all([
+                this.database.getAuditEvents(filters),
+                this.database.getAllUsers(),
+                this.database.getClients()
+            ]);
+            
+            if (eventsResult.error) {
+                throw eventsResult.error;
+            }
+            
+            const clients = clientsResult.data || [];
+            this.ui.populateAuditFilters(usersResult.data || [], clients);
+            this.ui.renderAuditEvents(
+                eventsResult.data || [],
+                Object.fromEntries(clients.map(client => [client.id, client.client_name]))
+            );
+            
+        } catch (error) {
+            console.error('Failed to load audit log:', error);
+            this.ui.showToast('Failed to load audit log', 'error');
+        } finally {
+            this.pendingOperations.delete(operationId);
+            this.ui.hideLoading();
+        }
+    }
+
+    // ==================== USER PROFILE & PERMISSIONS ====================
+
+    /**
+     * Load user profile and permissions
+     */
+    async loadUserProfile() {
+        try {
+            const { data: profile, error } = await this.database.getUserProfile(this.currentUser.id);
+            
+            if (error) {
+                // Create profile if it doesn't exist
+                const newProfile = await this.auth.createUserProfile();
+                
+                if (!newProfile) {
+                    throw new Error('Failed to create user profile');
+                }
+                
+                this.userProfile = newProfile;
+            } else {
+                this.userProfile = profile;
+            }
+            
+            // Load permissions
+            this.userPermissions = this.auth.getUserPermissions();
+            
+            // Update role-based UI immediately
+            this.ui.updateRoleBasedUI(this.userProfile.role, this.userPermissions);
+            
+        } catch (error) {
+            console.error('Failed to load user profile:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Load initial data after authentication
+     */
+    async loadInitialData() {
+        try {
+            // Load clients by default
+            await this.loadClients();
+        } catch (error) {
+            console.error('Failed to load initial data:', error);
+            this.ui.showToast('Failed to load data', 'error');
+        }
+    }
+
+    // ==================== SESSION MONITORING ====================
+
+    /**
+     * Start session monitoring
+     */
+    startSessionMonitoring() {
+        // Check session every 5 minutes
+        this.sessionCheckInterval = setInterval(this.checkSession, 5 * 60 * 1000);
+    }
+
+    /**
+     * Start simple loading state monitoring
+     */
+    startLoadingStateMonitoring() {
+        // Check loading state every 3 seconds for less aggressive monitoring
+        this.loadingStateChecker = setInterval(() => {
+            if (this.ui && this.ui.isLoading) {
+                const currentTime = Date.now();
+                
+                // If loading started time is not set, set it now
+                if (!this.loadingStartTime) {
+                    this.loadingStartTime = currentTime;
+                    console.log('Loading state monitoring: Loading started at', new Date(this.loadingStartTime));
+                    return;
+                }
+                
+                // Check if loading has been active for too long
+                const loadingDuration = currentTime - this.loadingStartTime;
+                
+                // Only intervene if no pending operations and loading is genuinely stuck
+                if (loadingDuration > this.maxLoadingDuration && this.pendingOperations.size === 0) {
+                    console.warn('Loading state stuck for', loadingDuration, 'ms with no pending operations - hiding loading');
+                    this.ui.hideLoading(); // Use simple hide
+                    this.loadingStartTime = null;
+                }
+            } else {
+                // Reset loading start time when not loading
+                this.loadingStartTime = null;
+            }
+        }, 3000); // Less frequent checks to be less aggressive
+        
+        console.log('Simple loading state monitoring started');
+    }
+
+    /**
+     * Check session validity
+     */
+    async checkSession() {
+        try {
+            const { data: { session }, error } = await this.supabase.auth.getSession();
+            
+            if (error || !session) {
+                // Session expired
+                if (this.currentUser) {
+                    this.ui.showToast('Session expired. Please log in again.', 'warning');
+                    await this.handleLogout();
+                }
+            }
+        } catch (error) {
+            console.error('Session check failed:', error);
+        }
+    }
+
+    // ==================== TAB SWITCHING ====================
+
+    /**
+     * Update statistics display
+     */
+    async updateStats() {
+        try {
+            // Only update stats if user is authenticated
+            if (!this.currentUser) {
+                return;
+            }
+            
+            // Get statistics from database
+            const stats = await this.database.getStatistics();
+            this.ui.updateStats({ ...stats, health: this.healthSummary });
+        } catch (error) {
+            console.error('Error updating stats:', error);
+            // Fallback to UI-based counting if database fails
+            const clientsCount = this.ui.clientsList?.children.length || 0;
+            const applicationsCount = this.ui.applicationsList?.children.length || 0;
+            const credentialsCount = this.ui.credentialsList?.children.length || 0;
+            
+            const fallbackStats = {
+                clients: clientsCount,
+                applications: applicationsCount,
+                credentials: credentialsCount
+            };
+            
+            this.ui.updateStats(fallbackStats);
+        }
+    }
+
+    // ==================== ROTATION REMINDERS ====================
+
+    /**
+     * Work out when a credential is next due and how urgent that is
+     * Due is the earlier of its expiry date and the end of its rotation interval
+     * @param {Object} cred - Credential row
+     * @param {number} now - Reference time in ms
+     * @returns {Object|null} { dueAt, reason: 'expires'|'rotation', status: 'overdue'|'soon'|'ok' }, null when not tracked
+     */
+    getRotationStatus(cred, now = Date.now()) {
+        const candidates = [];
+        
+        if (cred.expires_at) {
+            candidates.push({ dueAt: new Date(cred.expires_at), reason: 'expires' });
+        }
+        
+        if (cred.rotate_every_days) {
+            const changedAt = new Date(cred.password_changed_at || cred.created_at);
+            candidates.push({
+                dueAt: new Date(changedAt.getTime() + cred.rotate_every_days * 86400000),
+                reason: 'rotation'
+            });
+        }
+        
+        if (candidates.length === 0) {
+            return null;
+        }
+        
+        const next = candidates.reduce((a, b) => (a.dueAt <= b.dueAt ? a : b));
+        const soonMs = (this.config.SECURITY?.ROTATION_DUE_SOON_DAYS ?? 14) * 86400000;
+        
+        if (next.dueAt.getTime() <= now) {
+            next.status = 'overdue';
+        } else if (next.dueAt.getTime() - now <= soonMs) {
+            next.status = 'soon';
+        } else {
+            next.status = 'ok';
+        }
+        
+        return next;
+    }
+
+    /**
+     * Load credentials with an expiry or rotation interval across all clients
+     */
+    async loadRotationSchedule() {
+        if (!this.currentUser) return;
+        
+        try {
+            const { data, error } = await this.database.getRotationSchedule();
+            if (error) {
+                throw error;
+            }
+            
+            this.rotationSchedule = data || [];
+            this.rotationScheduleLoadedAt = Date.now();
+            this.checkRotationDue();
+            
+        } catch (error) {
+            console.error('Failed to load rotation schedule:', error);
+        }
+    }
+
+    /**
+     * Refresh badges and the due list; toast credentials that became overdue since the last check
+     * Credentials that were already overdue when the session started are only listed
+     */
+    checkRotationDue() {
+        const now = Date.now();
+        const due = [];
+        const overdue = new Set();
+        
+        for (const cred of this.rotationSchedule) {
+            const status = this.getRotationStatus(cred, now);
+            if (!status || status.status === 'ok') continue;
+            
+            due.push({ ...cred, rotation: status });
+            if (status.status === 'overdue') {
+                overdue.add(cred.id);
+            }
+        }
+        
+        if (this.rotationOverdue) {
+            for (const item of due) {
+                if (item.rotation.status === 'overdue' && !this.rotationOverdue.has(item.id)) {
+                    const name = this.ui.escapeHtml(item.name || item.username || 'A credential');
+                    const message = item.rotation.reason === 'expires'
+                        ? `${name} has expired`
+                        : `${name} is due for password rotation`;
+                    this.ui.showToast(message, 'warning', 10000);
+                }
+            }
+        }
+        this.rotationOverdue = overdue;
+        
+        due.sort((a, b) => a.rotation.dueAt - b.rotation.dueAt);
+        this.ui.renderRotationDue(due);
+    }
+
+    /**
+     * Re-check due dates every minute and reload the schedule every ten
+     */
+    startRotationMonitoring() {
+        this.rotationChecker = setInterval(() => {
+            if (!this.currentUser) return;
+            
+            if (!this.rotationScheduleLoadedAt || Date.now() - this.rotationScheduleLoadedAt > 10 * 60 * 1000) {
+                this.loadRotationSchedule();
+            } else {
+                this.checkRotationDue();
+            }
+        }, 60 * 1000);
+    }
+
+    /**
+     * Forget the schedule of the previous user
+     */
+    resetRotationSchedule() {
+        this.rotationSchedule = [];
+        this.rotationScheduleLoadedAt = null;
+        this.rotationOverdue = null;
+        this.ui.renderRotationDue([]);
+    }
+
+    // ==================== SECURITY HEALTH REPORT ====================
+
+    /**
+     * Decrypt every credential locally and flag weak, reused, URL-less and stale passwords
+     * Plaintext passwords only live in memory while the report is built
+     */
+    async runHealthReport() {
+        if (!this.security.hasKey()) {
+            this.ui.showToast('Unlock the vault to run the security report', 'warning');
+            this.promptVaultUnlock();
+            return;
+        }
+        
+        const operationId = 'healthReport_' + Date.now();
+        this.pendingOperations.add(operationId);
+        
+        try {
+            this.ui.showLoading('Checking credentials...');
+            
+            const [credsResult, historyResult] = await Promise.all([
+                this.database.getCredentialsForReport(),
+                this.database.getPasswordChangeDates()
+            ]);
+            
+            if (credsResult.error) {
+                throw credsResult.error;
+            }
+            
+            // Last password change per credential; creation counts as the first change
+            const lastChanged = new Map();
+            for (const entry of historyResult.data || []) {
+                const previous = lastChanged.get(entry.credential_id);
+                if (!previous || entry.changed_at > previous) {
+                    lastChanged.set(entry.credential_id, entry.changed_at);
+                }
+            }
+            
+            const maxAgeMonths = parseInt(document.getElementById('healthMaxAge')?.value) ||
+                this.config.SECURITY?.PASSWORD_MAX_AGE_MONTHS || 6;
+            const cutoff = new Date();
+            cutoff.setMonth(cutoff.getMonth() - maxAgeMonths);
+            
+            const report = {
+                breached: [],
+                weak: [],
+                reused: [],
+                noUrl: [],
+                stale: [],
+                unreadable: [],
+                maxAgeMonths,
+                breachChecked: this.security.hasBreachList()
+            };
+            const byHash = new Map();
+            const breached = new Map();
+            
+            for (const cred of credsResult.data || []) {
+                const application = cred.applications || {};
+                const item = {
+                    id: cred.id,
+                    name: cred.name,
+                    username: cred.username,
+                    appId: cred.app_id,
+                    appName: application.app_name,
+                    clientName: application.clients?.client_name
+                };
+                
+                let password;
+                try {
+                    password = await this.decryptCredentialPassword(cred);
+                } catch (error) {
+                    report.unreadable.push(item);
+                    continue;
+                }
+                
+                const breachCount = await this.security.checkPasswordBreach(password);
+                if (breachCount > 0) {
+                    report.breached.push({ ...item, count: breachCount });
+                    breached.set(cred.id, breachCount);
+                }
+                
+                const strength = this.security.estimatePasswordStrength(password, [cred.username, cred.name]);
+                if (!strength.isValid) {
+                    report.weak.push({ ...item, detail: `${strength.strength}, cracked in ${strength.crackTimeDisplay}` });
+                }
+                
+                const hash = await this.security.hashString(password);
+                if (!byHash.has(hash)) {
+                    byHash.set(hash, []);
+                }
+                byHash.get(hash).push(item);
+                
+                if (!cred.url && !application.app_url) {
+                    report.noUrl.push(item);
+                }
+                
+                const changedAt = lastChanged.get(cred.id) || cred.created_at;
+                if (changedAt && new Date(changedAt) < cutoff) {
+                    report.stale.push({ ...item, changedAt });
+                }
+            }
+            
+            report.reused = [...byHash.values()]
+                .filter(items => items.length > 1)
+                .map(items => ({ items }));
+            
+            if (report.breachChecked) {
+                this.breachedCredentials = breached;
+                this.ui.markBreachedCredentials(breached);
+            }
+            
+            this.healthSummary = {
+                breached: report.breached.length,
+                weak: report.weak.length,
+                reused: report.reused.length,
+                noUrl: report.noUrl.length,
+                stale: report.stale.length
+            };
+            
+            this.ui.renderHealthReport(report);
+            this.ui.updateStats({ health: this.healthSummary });
+            
+            this.logAudit('reveal', 'vault', null, {
+                purpose: 'security_health_report',
+                credentials: (credsResult.data || []).length
+            });
+            
+        } catch (error) {
+            console.error('Failed to build security report:', error);
+            this.ui.showToast('Failed to build security report', 'error');
+        } finally {
+            this.pendingOperations.delete(operationId);
+            this.ui.hideLoading();
+        }
+    }
+
+    /**
+     * Load the breach list shipped with the deployment (SECURITY.BREACH_LIST_URL)
+     * Only same-origin files are fetched so the check never calls an outside service
+     */
+    async loadBundledBreachList() {
+        const url = this.config.SECURITY?.BREACH_LIST_URL;
+        if (!url) {
+            return;
+        }
+        
+        try {
+            const resolved = new URL(url, window.location.href);
+            if (resolved.origin !== window.location.origin) {
+                throw new Error('Breach list must be served from this site');
+            }
+            
+            const response = await fetch(resolved.href, { credentials: 'same-origin' });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            const prefix = this.getBreachRangePrefix(resolved.pathname);
+            this.security.loadBreachList(await response.text(), prefix);
+            this.ui.updateBreachListStatus(this.security.breachedHashes.size);
+            
+        } catch (error) {
+            console.error('Failed to load bundled breach list:', error);
+        }
+    }
+
+    /**
+     * Load breach list files picked by the user; they are read locally and never uploaded
+     * @param {Event} e - Change event of the file input
+     */
+    async handleBreachListUpload(e) {
+        const files = Array.from(e.target.files || []);
+        if (files.length === 0) {
+            return;
+        }
+        
+        try {
+            this.ui.showLoading('Reading breach list...');
+            
+            let added = 0;
+            for (const file of files) {
+                added += this.security.loadBreachList(await file.text(), this.getBreachRangePrefix(file.name));
+            }
+            
+            this.ui.updateBreachListStatus(this.security.breachedHashes.size);
+            this.ui.showToast(`Loaded ${added.toLocaleString()} breached password hashes`, 'success');
+            
+        } catch (error) {
+            console.error('Failed to load breach list:', error);
+            this.ui.showToast(error.message || 'Failed to load breach list', 'error');
+        } finally {
+            e.target.value = '';
+            this.ui.hideLoading();
+        }
+        
+        if (this.security.hasBreachList() && this.security.hasKey()) {
+            await this.runHealthReport();
+        }
+    }
+
+    /**
+     * Range files from the HIBP API are named after their 5-character prefix (e.g. 21BD1.txt)
+     * @param {string} name - File name or path
+     * @returns {string|null} Prefix, or null for full-hash lists
+     */
+    getBreachRangePrefix(name) {
+        const match = /(?:^|\/)([0-9A-F]{5})(?:\.txt)?$/i.exec(name);
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Check freshly rendered credentials against the breach list and badge the hits
+     * Decrypted passwords are only hashed and never leave this method
+     * @param {Array} credentials - Credential rows
+     */
+    async flagBreachedCredentials(credentials) {
+        if (!this.security.hasBreachList() || !this.security.hasKey()) {
+            return;
+        }
+        
+        for (const cred of credentials) {
+            if (!cred.encrypted_password) {
+                continue;
+            }
+            
+            try {
+                const password = await this.decryptCredentialPassword(cred);
+                const count = await this.security.checkPasswordBreach(password);
+                if (count > 0) {
+                    this.breachedCredentials.set(cred.id, count);
+                } else {
+                    this.breachedCredentials.delete(cred.id);
+                }
+            } catch (error) {
+                // Unreadable rows are reported by the health report
+            }
+        }
+        
+        this.ui.markBreachedCredentials(this.breachedCredentials);
+    }
+
+    /**
+     * Navigate to a credential from a report finding
+     * @param {number} credId - Credential ID
+     */
+    async openCredential(credId) {
+        try {
+            const { data: cred, error } = await this.database.getCredentialById(credId);
+            if (error || !cred) {
+                throw new Error('Credential not found');
+            }
+            
+            const { data: application, error: appError } = await this.database.getApplicationById(cred.app_id);
+            if (appError || !application) {
+                throw new Error('Application not found');
+            }
+            
+            const { data: client, error: clientError } = await this.database.getClientById(application.client_id);
+            if (clientError || !client) {
+                throw new Error('Client not found');
+            }
+            
+            this.ui.navigateToApplications(client);
+            await this.loadApplications(client);
+            
+            const container = document.getElementById(`credentials-${application.id}`);
+            if (container && container.classList.contains('hidden')) {
+                this.ui.toggleCredentials(application.id);
+            }
+            await this.ui.loadCredentialsForApp(application.id);
+            
+            this.ui.highlightCredential(credId);
+            
+        } catch (error) {
+            console.error('Failed to open credential:', error);
+            this.ui.showToast(error.message || 'Failed to open credential', 'error');
+        }
+    }
+
+    // ==================== DATA LOADING ====================
+
+    /**
+     * Load clients
+     */
+    async loadClients() {
+        const operationId = 'loadClients_' + Date.now();
+        this.pendingOperations.add(operationId);
+        
+        try {
+            this.ui.showLoading('Loading clients...');
+            
+            // Memberships change while the user is signed in; the policies always read the current ones
+            await this.auth.loadClientMemberships();
+            this.setPermissionContext(null);
+            
+            const { data: clients, error } = await this.database.getClients();
+            
+            if (error) {
+                throw error;
+            }
+            
+            const permissions = this.userPermissions.clients;
+            this.ui.renderClients(clients || [], permissions);
+            await this.loadRotationSchedule();
+            await this.updateStats();
+            
+        } catch (error) {
+            console.error('Failed to load clients:', error);
+            this.ui.showToast('Failed to load clients', 'error');
+        } finally {
+            this.pendingOperations.delete(operationId);
+            // Ensure loading is hidden even if tab was switched
+            if (this.ui) {
+                this.ui.hideLoading();
+            }
+        }
+    }
+
+    /**
+     * Switch the permissions the views are rendered with to a client, or back
+     * to the user's own role outside a client
+     * @param {Object|null} client - Client being viewed
+     */
+    setPermissionContext(client) {
+        this.userPermissions = this.auth.getUserPermissions(client?.id ?? null);
+        this.ui.updateRoleBasedUI(this.userProfile.role, this.userPermissions);
+    }
+
+    /**
+     * Load applications for a client
+     * @param {Object} client - Client object
+     */
+    async loadApplications(client) {
+        const operationId = 'loadApplications_' + Date.now();
+        this.pendingOperations.add(operationId);
+        
+        try {
+            this.ui.showLoading('Loading applications...');
+            this.setPermissionContext(client);
+            
+            const { data: applications, error } = await this.database.getApplications(client.id);
+            
+            if (error) {
+                throw error;
+            }
+            
+            const permissions = this.userPermissions.applications;
+            this.ui.renderApplications(applications || [], permissions);
+            // The client may come from a saved view, so read its policy fresh
+            const { data: freshClient } = await this.database.getClientById(client.id);
+            this.ui.renderClientPolicy(freshClient || client);
+            await this.updateStats();
+            
+        } catch (error) {
+            console.error('Failed to load applications:', error);
+            this.ui.showToast('Failed to load applications', 'error');
+        } finally {
+            this.pendingOperations.delete(operationId);
+            // Ensure loading is hidden even if tab was switched
+            if (this.ui) {
+                this.ui.hideLoading();
+            }
+        }
+    }
+
+    /**
+     * Load credentials for an application
+     * @param {Object} application - Application object
+     */
+    async loadCredentials(application) {
+        const operationId = 'loadCredentials_' + Date.now();
+        this.pendingOperations.add(operationId);
+        
+        try {
+            this.ui.showLoading('Loading credentials...');
+            this.setPermissionContext(this.ui.currentClient);
+            
+            const { data: credentials, error } = await this.database.getCredentials(application.id);
+            
+            if (error) {
+                throw error;
+            }
+            
+            const permissions = this.userPermissions.credentials;
+            this.ui.renderCredentials(credentials || [], permissions);
+            this.flagBreachedCredentials(credentials || []);
+            await this.updateStats();
+            
+        } catch (error) {
+            console.error('Failed to load credentials:', error);
+            this.ui.showToast('Failed to load credentials', 'error');
+        } finally {
+            this.pendingOperations.delete(operationId);
+            // Ensure loading is hidden even if tab was switched
+            if (this.ui) {
+                this.ui.hideLoading();
+            }
+        }
+    }
+
+
+
+    /**
+     * Load users with their vault access (Admin only)
+     */
+    async loadUsers() {
+        const operationId = 'loadUsers_' + Date.now();
+        this.pendingOperations.add(operationId);
+        
+        try {
+            this.ui.showLoading('Loading users...');
+            
+            const [{ data: users, error }, { data: shares }, { data: mfaStatus }] = await Promise.all([
+                this.database.getAllUsers(false),
+                this.database.getVaultKeyShares(),
+                this.database.getUserMfaStatus()
+            ]);
+            
+            if (error) {
+                throw error;
+            }
+            
+            const vaultMembers = new Set((shares || []).map(share => share.user_id));
+            const mfaUsers = new Set((mfaStatus || []).filter(row => row.mfa_enabled).map(row => row.user_id));
+            const usersWithAccess = (users || []).map(user => ({
+                ...user,
+                has_vault_access: vaultMembers.has(user.user_id),
+                mfa_enabled: mfaUsers.has(user.user_id)
+            }));
+            
+            const permissions = this.userPermissions.users;
+            this.ui.renderUsers(usersWithAccess, permissions);
+            
+        } catch (error) {
+            console.error('Failed to load users:', error);
+            this.ui.showToast('Failed to load users', 'error');
+        } finally {
+            this.pendingOperations.delete(operationId);
+            if (this.ui) {
+                this.ui.hideLoading();
+            }
+        }
+    }
+
+    // ==================== SEARCH FUNCTIONALITY ====================
+
+    /**
+     * Search clients
+     * @param {string} query - Search query
+     */
+    async searchClients(query) {
+        try {
+            if (!query.trim()) {
+                await this.loadClients();
+                return;
+            }
+            
+            const { data: clients, error } = await this.database.searchClients(query);
+            
+            if (error) {
+                throw error;
+            }
+            
+            const permissions = this.userPermissions.clients;
+            this.ui.renderClients(clients || [], permissions);
+            
+        } catch (error) {
+            console.error('Failed to search clients:', error);
+            this.ui.showToast('Search failed', 'error');
+        }
+    }
+
+    /**
+     * Search applications
+     * @param {string} query - Search query
+     */
+    async searchApplications(query) {
+        // Implementation depends on current client context
+        if (!this.ui.currentClient) return;
+        
+        try {
+            const { data: applications, error } = await this.database.getApplications(this.ui.currentClient.id);
+            
+            if (error) {
+                throw error;
+            }
+            
+            // Filter applications locally
+            const filteredApps = query.trim() 
+                ? applications.filter(app => 
+                    app.app_name.toLowerCase().includes(query.toLowerCase()) ||
+                    (app.description && app.description.toLowerCase().includes(query.toLowerCase()))
+                  )
+                : applications;
+            
+            const permissions = this.userPermissions.applications;
+            this.ui.renderApplications(filteredApps || [], permissions);
+            
+        } catch (error) {
+            console.error('Failed to search applications:', error);
+            this.ui.showToast('Search failed', 'error');
+        }
+    }
+
+    /**
+     * Search credentials
+     * @param {string} query - Search query
+     */
+    async searchCredentials(query) {
+        // Implementation depends on current application context
+        if (!this.ui.currentApplication) return;
+        
+        try {
+            const { data: credentials, error } = await this.database.getCredentials(this.ui.currentApplication.id);
+            
+            if (error) {
+                throw error;
+            }
+            
+            // Filter credentials locally
+            const filteredCreds = query.trim() 
+                ? credentials.filter(cred => 
+                    (cred.username || cred.name || '').toLowerCase().includes(query.toLowerCase()) ||
+                    (cred.description && cred.description.toLowerCase().includes(query.toLowerCase()))
+                  )
+                : credentials;
+            
+            const permissions = this.userPermissions.credentials;
+            this.ui.renderCredentials(filteredCreds || [], permissions);
+            this.ui.markBreachedCredentials(this.breachedCredentials);
+            
+        } catch (error) {
+            console.error('Failed to search credentials:', error);
+            this.ui.showToast('Search failed', 'error');
+        }
+    }
+
+    // ==================== MODAL HANDLERS ====================
+
+    /**
+     * Show add client modal
+     */
+    async showAddClientModal() {
+        if (!(await this.checkPermission('clients', 'create', 'You do not have permission to create clients', null))) {
+            return;
+        }
+        
+        // Reset form
+        if (this.ui.clientForm) {
+            this.ui.clientForm.reset();
+            this.ui.clientForm.dataset.mode = 'create';
+            delete this.ui.clientForm.dataset.clientId;
+        }
+        
+        // Update modal title
+        const modalTitle = this.ui.clientModal?.querySelector('.modal-title');
+        if (modalTitle) {
+            modalTitle.textContent = 'Add New Client';
+        }
+        
+        this.ui.showModal(this.ui.clientModal);
+    }
+
+    /**
+     * Show add application modal
+     */
+    async showAddApplicationModal() {
+        if (!(await this.checkPermission('applications', 'create', 'You do not have permission to create applications'))) {
+            return;
+        }
+        
+        // Reset form
+        if (this.ui.applicationForm) {
             this.ui.applicationForm.reset();
             this.ui.applicationForm.dataset.mode = 'create';
             delete this.ui.applicationForm.dataset.applicationId;
         }
         
-        // Update modal title
-        const modalTitle = this.ui.applicationModal?.querySelector('.modal-title');
-        if (modalTitle) {
-            modalTitle.textContent = 'Add New Application';
+        // Update modal title
+        const modalTitle = this.ui.applicationModal?.querySelector('.modal-title');
+        if (modalTitle) {
+            modalTitle.textContent = 'Add New Application';
+        }
+        
+        this.ui.showModal(this.ui.applicationModal);
+    }
+
+    /**
+     * Show add credential modal
+     * @param {number} appId - Application ID
+     */
+    async showAddCredentialModal(appId) {
+        if (!(await this.checkPermission('credentials', 'create', 'You do not have permission to create credentials'))) {
+            return;
+        }
+        
+        // Set the application ID for the credential
+        this.currentApplicationId = appId;
+        this.credentialClient = await this.getApplicationClient(appId);
+        
+        // Reset form
+        if (this.ui.credentialForm) {
+            this.ui.credentialForm.reset();
+            this.ui.resetCredentialForm();
+            this.ui.credentialForm.dataset.mode = 'create';
+            delete this.ui.credentialForm.dataset.credentialId;
+            
+            // Generate secure password using the client policy
+            const modeSelect = this.ui.credentialForm.querySelector('#passwordGeneratorMode');
+            if (modeSelect) {
+                modeSelect.value = this.getPasswordPolicy(this.credentialClient).mode;
+            }
+            this.generateCredentialPassword();
+        }
+        
+        // Update modal title
+        const modalTitle = this.ui.credentialModal?.querySelector('.modal-title');
+        if (modalTitle) {
+            modalTitle.textContent = 'Add New Credential';
+        }
+        
+        this.ui.showModal(this.ui.credentialModal);
+        
+        // Setup password toggle after modal is shown
+        setTimeout(() => {
+            this.setupPasswordToggle();
+        }, 100);
+    }
+
+    // ==================== FORM HANDLERS ====================
+
+    /**
+     * Handle client form submission
+     * @param {Event} e - Form event
+     */
+    async handleClientSubmit(e) {
+        e.preventDefault();
+        
+        console.log('Client form submitted, checking for double submission...');
+        
+        // Prevent double submission with debounce
+        const currentTime = Date.now();
+        if (this.isSubmitting || (currentTime - this.lastSubmissionTime) < this.submissionDebounceMs) {
+            console.log('Double submission prevented');
+            return;
+        }
+        
+        console.log('Processing client form submission...');
+        this.isSubmitting = true;
+        this.lastSubmissionTime = currentTime;
+        
+        const form = e.target;
+        const submitBtn = form.querySelector('button[type="submit"]');
+        
+        // Disable submit button immediately
+        if (submitBtn) {
+            submitBtn.disabled = true;
+            submitBtn.textContent = 'Saving...';
+        }
+        
+        let passwordPolicy;
+        try {
+            passwordPolicy = this.readPasswordPolicyForm(form);
+        } catch (error) {
+            this.ui.showToast(error.message, 'error');
+            this.isSubmitting = false;
+            if (submitBtn) {
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Save';
+            }
+            return;
+        }
+        
+        const clientData = {
+            client_name: form.querySelector('#clientName').value,
+            company_name: form.querySelector('#companyName').value,
+            notes: form.querySelector('#clientNotes').value,
+            password_policy: passwordPolicy
+        };
+        
+        const mode = e.target.dataset.mode;
+        const clientId = e.target.dataset.clientId;
+        
+        console.log('Client data:', clientData, 'Mode:', mode);
+        
+        try {
+            this.isSubmittingClient = true;
+            
+            // Disable form submit button
+            const submitBtn = form.querySelector('button[type="submit"]');
+            if (submitBtn) {
+                submitBtn.disabled = true;
+            }
+            
+            this.ui.showLoading(mode === 'create' ? 'Creating client...' : 'Updating client...');
+            
+            let result;
+            if (mode === 'create') {
+                console.log('Creating new client...');
+                result = await this.database.createClient(clientData);
+            } else {
+                console.log('Updating existing client...');
+                result = await this.database.updateClient(parseInt(clientId), clientData);
+            }
+            
+            if (result.error) {
+                throw result.error;
+            }
+            
+            const savedClientId = mode === 'create' ? result.data?.id : parseInt(clientId);
+            
+            console.log('Client saved successfully');
+            this.ui.showToast(
+                mode === 'create' ? 'Client created successfully' : 'Client updated successfully',
+                'success'
+            );
+            
+            this.ui.closeModal(this.ui.clientModal);
+            await this.loadClients();
+            
+            // Keep the open client view in sync with the edited policy
+            if (this.ui.currentClient?.id === savedClientId) {
+                this.ui.currentClient = { ...this.ui.currentClient, ...clientData };
+                this.ui.renderClientPolicy(this.ui.currentClient);
+            }
+            
+        } catch (error) {
+            console.error('Failed to save client:', error);
+            this.ui.showToast('Failed to save client', 'error');
+        } finally {
+            this.isSubmittingClient = false;
+            
+            // Re-enable form submit button
+            const submitBtn = form.querySelector('button[type="submit"]');
+            if (submitBtn) {
+                submitBtn.disabled = false;
+            }
+            
+            this.ui.hideLoading();
+            this.isSubmitting = false;
+            
+            // Re-enable submit button
+            if (submitBtn) {
+                submitBtn.disabled = false;
+                submitBtn.textContent = 'Save';
+            }
+            
+            console.log('Client form submission completed');
+        }
+    }
+
+    /**
+     * Handle application form submission
+     * @param {Event} e - Form event
+     */
+    async handleApplicationSubmit(e) {
+        e.preventDefault();
+        
+        // Prevent double submission with debounce
+        const currentTime = Date.now();
+        if (this.isSubmitting || (currentTime - this.lastSubmissionTime) < this.submissionDebounceMs) {
+            return;
+        }
+        
+        this.isSubmitting = true;
+        this.lastSubmissionTime = currentTime;
+        
+        const form = e.target;
+        const submitBtn = form.querySelector('button[type="submit"]');
+        
+        // Disable submit button
+        if (submitBtn) {
+            submitBtn.disabled = true;
+        }
+        
+        const appData = {
+            client_id: this.ui.currentClient.id,
+            app_name: form.querySelector('#applicationName').value,
+            app_type: form.querySelector('#applicationType').value,
+            app_url: form.querySelector('#applicationUrl').value,
+            description: form.querySelector('#applicationDescription').value
+        };
+        
+        const mode = e.target.dataset.mode;
+        const appId = e.target.dataset.applicationId;
+        
+        try {
+            this.ui.showLoading(mode === 'create' ? 'Creating application...' : 'Updating application...');
+            
+            let result;
+            if (mode === 'create') {
+                result = await this.database.createApplication(appData);
+            } else {
+                result = await this.database.updateApplication(parseInt(appId), appData);
+            }
+            
+            if (result.error) {
+                throw result.error;
+            }
+            
+            this.ui.showToast(
+                mode === 'create' ? 'Application created successfully' : 'Application updated successfully',
+                'success'
+            );
+            
+            this.ui.closeModal(this.ui.applicationModal);
+            await this.loadApplications(this.ui.currentClient);
+            
+        } catch (error) {
+            console.error('Failed to save application:', error);
+            this.ui.showToast('Failed to save application', 'error');
+        } finally {
+            this.ui.hideLoading();
+            this.isSubmitting = false;
+            
+            // Re-enable submit button
+            const submitBtn = form.querySelector('button[type="submit"]');
+            if (submitBtn) {
+                submitBtn.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Handle credential form submission
+     * @param {Event} e - Form event
+     */
+    async handleCredentialSubmit(e) {
+        e.preventDefault();
+        
+        // Prevent double submission with debounce
+        const currentTime = Date.now();
+        if (this.isSubmitting || (currentTime - this.lastSubmissionTime) < this.submissionDebounceMs) {
+            return;
+        }
+        
+        this.isSubmitting = true;
+        this.lastSubmissionTime = currentTime;
+        
+        const form = e.target;
+        const submitBtn = form.querySelector('button[type="submit"]');
+        
+        // Disable submit button
+        if (submitBtn) {
+            submitBtn.disabled = true;
+        }
+        
+        const selectedType = form.querySelector('#credentialItemType')?.value;
+        const itemType = ['note', 'ssh'].includes(selectedType) ? selectedType : 'login';
+        const isLogin = itemType === 'login';
+        const isNote = itemType === 'note';
+        const isSsh = itemType === 'ssh';
+        const credentialName = form.querySelector('#credentialName')?.value?.trim();
+        const secureNote = form.querySelector('#credentialSecureNote')?.value?.trim();
+        const sshPrivateKey = form.querySelector('#credentialSshPrivateKey')?.value?.trim();
+        const sshPublicKey = form.querySelector('#credentialSshPublicKey')?.value?.trim();
+        const customFields = this.ui.readCustomFieldEditor();
+        const username = form.querySelector('#credentialUsername')?.value?.trim();
+        const password = form.querySelector('#credentialPassword')?.value;
+        const role = form.querySelector('#credentialRole')?.value?.trim();
+        const notes = form.querySelector('#credentialNotes')?.value?.trim();
+        const totpSecret = form.querySelector('#credentialTotp')?.value?.trim();
+        const expiresOn = form.querySelector('#credentialExpiresAt')?.value;
+        const rotateEvery = parseInt(form.querySelector('#credentialRotateEvery')?.value);
+        
+        console.log('Credential form submission:', { itemType, credentialName, username, password: password ? '[HIDDEN]' : 'empty', totp: totpSecret ? '[HIDDEN]' : 'empty', role, notes: notes ? '[HIDDEN]' : 'empty', customFields: customFields.length });
+        
+        const missingRequired = isNote ? !credentialName || !secureNote
+            : isSsh ? !credentialName || !sshPrivateKey
+            : !credentialName || !username || !password || !role;
+        if (missingRequired) {
+            this.ui.showToast('Please fill in all required fields', 'error');
+            this.isSubmitting = false;
+            if (submitBtn) {
+                submitBtn.disabled = false;
+            }
+            return;
+        }
+        
+        let sshKey = null;
+        if (isSsh) {
+            try {
+                sshKey = await this.resolveSshKey(sshPrivateKey, sshPublicKey);
+            } catch (error) {
+                this.ui.showToast(this.ui.escapeHtml(error.message), 'error');
+                this.isSubmitting = false;
+                if (submitBtn) {
+                    submitBtn.disabled = false;
+                }
+                return;
+            }
+        }
+        
+        if (totpSecret && isLogin) {
+            try {
+                this.security.parseTotpSecret(totpSecret);
+            } catch (error) {
+                this.ui.showToast(error.message, 'error');
+                this.isSubmitting = false;
+                if (submitBtn) {
+                    submitBtn.disabled = false;
+                }
+                return;
+            }
+        }
+        
+        // Validate app_id
+        const appId = this.currentApplicationId || this.ui.currentApplication?.id;
+        if (!appId) {
+            console.error('No application ID found for credential');
+            this.ui.showToast('No application selected for credential', 'error');
+            return;
+        }
+        
+        // Enforce the client's password policy (age is reported, not enforced, on save)
+        const client = await this.getApplicationClient(appId);
+        const violations = isLogin ? this.security.checkPasswordPolicy(password, client?.password_policy) : [];
+        if (violations.length > 0) {
+            this.ui.showToast(`Password does not meet the ${this.ui.escapeHtml(client.client_name)} policy: ${this.ui.escapeHtml(violations.join(', '))}`, 'error');
+            this.isSubmitting = false;
+            if (submitBtn) {
+                submitBtn.disabled = false;
+            }
+            return;
+        }
+        
+        // Passwords are only ever stored encrypted with the vault key
+        if (!this.security.hasKey()) {
+            this.ui.showToast('Unlock the vault before saving credentials', 'warning');
+            this.isSubmitting = false;
+            if (submitBtn) {
+                submitBtn.disabled = false;
+            }
+            this.promptVaultUnlock();
+            return;
+        }
+        
+        try {
+            this.ui.showLoading('Saving credential...');
+            
+            const credData = {
+                app_id: parseInt(appId),
+                item_type: itemType,
+                name: credentialName,
+                username: isNote ? null : username || null,
+                encrypted_password: isLogin ? await this.security.encryptPassword(password) : null,
+                encrypted_totp_secret: totpSecret && isLogin ? await this.security.encryptPassword(totpSecret) : null,
+                encrypted_note: isNote ? await this.security.encryptPassword(secureNote) : null,
+                // OpenSSH expects the key file to end with a newline
+                encrypted_private_key: isSsh ? await this.security.encryptPassword(`${sshPrivateKey}\n`) : null,
+                encrypted_notes: notes ? await this.security.encryptPassword(notes) : null,
+                ssh_key_type: sshKey?.keyType || null,
+                ssh_public_key: sshKey?.publicKey || null,
+                ssh_fingerprint: sshKey?.fingerprint || null,
+                custom_fields: await this.security.encryptCustomFields(customFields),
+                key_version: this.security.keyVersion,
+                role: isLogin ? role : null,
+                // End of the chosen day in local time
+                expires_at: expiresOn ? new Date(`${expiresOn}T23:59:59`).toISOString() : null,
+                rotate_every_days: rotateEvery > 0 ? rotateEvery : null
+            };
+            
+            console.log('Credential data to save:', { ...credData, encrypted_password: '[ENCRYPTED]', encrypted_totp_secret: totpSecret ? '[ENCRYPTED]' : null, encrypted_note: isNote ? '[ENCRYPTED]' : null, encrypted_private_key: isSsh ? '[ENCRYPTED]' : null, encrypted_notes: notes ? '[ENCRYPTED]' : null, custom_fields: `[${credData.custom_fields.length}]` });
+            
+            const mode = e.target.dataset.mode;
+            const credId = e.target.dataset.credentialId;
+            
+            let result;
+            if (mode === 'create') {
+                console.log('Creating new credential...');
+                result = await this.database.createCredential(credData);
+            } else {
+                console.log('Updating credential:', credId);
+                if (isLogin && await this.recordPasswordChange(parseInt(credId), password)) {
+                    credData.password_changed_at = new Date().toISOString();
+                }
+                if (isSsh && await this.hasSshKeyChanged(parseInt(credId), sshKey.fingerprint)) {
+                    credData.password_changed_at = new Date().toISOString();
+                }
+                if (e.target.dataset.plaintextNotes === 'true') {
+                    credData.notes = null;
+                }
+                result = await this.database.updateCredential(parseInt(credId), credData);
+            }
+            
+            console.log('Database result:', result);
+            
+            if (result.error) {
+                console.error('Database error:', result.error);
+                throw result.error;
+            }
+            
+            this.ui.showToast(
+                mode === 'create' ? 'Credential created successfully' : 'Credential updated successfully',
+                'success'
+            );
+            
+            this.ui.closeModal(this.ui.credentialModal);
+            this.loadRotationSchedule();
+            
+            // Reload credentials for the specific application
+            if (appId) {
+                console.log('Reloading credentials for app:', appId);
+                await this.ui.loadCredentialsForApp(appId);
+                
+                // Handle navigation based on current view
+                if (this.ui.currentView === 'applications') {
+                    console.log('Reloading applications view after credential save');
+                    await this.loadApplications(this.ui.currentClient);
+                } else if (this.ui.currentView === 'credentials') {
+                    console.log('Staying in credentials view after credential save');
+                    // Reload credentials for the current application
+                    if (this.ui.currentApplication) {
+                        await this.loadCredentials(this.ui.currentApplication);
+                    }
+                }
+            }
+            
+        } catch (error) {
+            console.error('Failed to save credential:', error);
+            let errorMessage = 'Failed to save credential';
+            
+            if (error.message) {
+                errorMessage += ': ' + this.ui.escapeHtml(error.message);
+            }
+            
+            this.ui.showToast(errorMessage, 'error');
+        } finally {
+            this.ui.hideLoading();
+            this.isSubmitting = false;
+            
+            // Re-enable submit button
+            const submitBtn = form.querySelector('button[type="submit"]');
+            if (submitBtn) {
+                submitBtn.disabled = false;
+            }
+        }
+    }
+
+    /**
+     * Handle user form submission
+     * @param {Event} e - Form event
+     */
+    async handleUserSubmit(e) {
+        e.preventDefault();
+        
+        const form = e.target;
+        const userId = form.querySelector('#userId').value;
+        const newRole = form.querySelector('#userRole').value;
+        const vaultAccessInput = form.querySelector('#userVaultAccess');
+        const hadVaultAccess = form.dataset.hasVaultAccess === 'true';
+        const mfaRequired = form.querySelector('#userMfaRequired').checked;
+        
+        try {
+            this.ui.showLoading('Updating user role...');
+            
+            const { data, error } = await this.database.updateUserRole(userId, newRole);
+            
+            if (error) {
+                throw error;
+            }
+            
+            if (String(mfaRequired) !== form.dataset.mfaRequired) {
+                const { error: mfaError } = await this.database.setUserMfaRequired(userId, mfaRequired);
+                if (mfaError) {
+                    throw mfaError;
+                }
+                this.logAudit('mfa_requirement', 'user', userId, { required: mfaRequired });
+            }
+            
+            if (vaultAccessInput) {
+                if (vaultAccessInput.checked && !hadVaultAccess) {
+                    await this.grantVaultAccess(userId);
+                    this.logAudit('vault_grant', 'user', userId);
+                } else if (!vaultAccessInput.checked && hadVaultAccess) {
+                    await this.revokeVaultAccess(userId);
+                    this.logAudit('vault_revoke', 'user', userId);
+                    this.ui.showToast('Vault access revoked. Rotate the vault key to lock out any copy they kept.', 'warning');
+                }
+            }
+            
+            this.ui.showToast('User updated successfully', 'success');
+            this.ui.closeModal(this.ui.userModal);
+            await this.loadUsers();
+            
+        } catch (error) {
+            console.error('Failed to update user:', error);
+            this.ui.showToast(error.message || 'Failed to update user', 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    // ==================== EDIT FUNCTIONS ====================
+
+    /**
+     * Edit client
+     * @param {number} clientId - Client ID
+     */
+    async editClient(clientId) {
+        if (!(await this.checkPermission('clients', 'update', 'You do not have permission to edit clients', clientId))) {
+            return;
+        }
+        
+        try {
+            const { data: client, error } = await this.database.getClientById(clientId);
+            
+            if (error || !client) {
+                throw new Error('Client not found');
+            }
+            
+            // Populate form
+            if (this.ui.clientForm) {
+                this.ui.clientForm.querySelector('#clientName').value = client.client_name || '';
+                this.ui.clientForm.querySelector('#companyName').value = client.company_name || '';
+                this.ui.clientForm.querySelector('#clientNotes').value = client.notes || '';
+                this.fillPasswordPolicyForm(this.ui.clientForm, client.password_policy);
+                
+                this.ui.clientForm.dataset.mode = 'edit';
+                this.ui.clientForm.dataset.clientId = clientId;
+            }
+            
+            // Update modal title
+            const modalTitle = this.ui.clientModal?.querySelector('.modal-title');
+            if (modalTitle) {
+                modalTitle.textContent = 'Edit Client';
+            }
+            
+            this.ui.showModal(this.ui.clientModal);
+            
+        } catch (error) {
+            console.error('Failed to load client for editing:', error);
+            this.ui.showToast('Failed to load client', 'error');
+        }
+    }
+
+    /**
+     * Edit application
+     * @param {number} appId - Application ID
+     */
+    async editApplication(appId) {
+        if (!(await this.checkPermission('applications', 'update', 'You do not have permission to edit applications'))) {
+            return;
+        }
+        
+        try {
+            const { data: app, error } = await this.database.getApplicationById(appId);
+            
+            if (error || !app) {
+                throw new Error('Application not found');
+            }
+            
+            // Populate form
+            if (this.ui.applicationForm) {
+                this.ui.applicationForm.querySelector('#applicationName').value = app.app_name || '';
+                this.ui.applicationForm.querySelector('#applicationType').value = app.app_type || '';
+                this.ui.applicationForm.querySelector('#applicationUrl').value = app.app_url || '';
+                this.ui.applicationForm.querySelector('#applicationDescription').value = app.description || '';
+                
+                this.ui.applicationForm.dataset.mode = 'edit';
+                this.ui.applicationForm.dataset.applicationId = appId;
+            }
+            
+            // Update modal title
+            const modalTitle = this.ui.applicationModal?.querySelector('.modal-title');
+            if (modalTitle) {
+                modalTitle.textContent = 'Edit Application';
+            }
+            
+            this.ui.showModal(this.ui.applicationModal);
+            
+        } catch (error) {
+            console.error('Failed to load application for editing:', error);
+            this.ui.showToast('Failed to load application', 'error');
+        }
+    }
+
+    /**
+     * Edit credential
+     * @param {number} credId - Credential ID
+     */
+    async editCredential(credId) {
+        if (!(await this.checkPermission('credentials', 'update', 'You do not have permission to edit credentials'))) {
+            return;
+        }
+        
+        try {
+            const { data: cred, error } = await this.database.getCredentialById(credId);
+            
+            if (error || !cred) {
+                throw new Error('Credential not found');
+            }
+            
+            this.currentApplicationId = cred.app_id;
+            this.credentialClient = await this.getApplicationClient(cred.app_id);
+            
+            // Populate form
+            if (this.ui.credentialForm) {
+                const isNote = cred.item_type === 'note';
+                const isSsh = cred.item_type === 'ssh';
+                this.ui.credentialForm.reset();
+                this.ui.setCredentialItemType(cred.item_type);
+                // An item keeps its type; only logins have a password history to carry over
+                this.ui.credentialForm.querySelector('#credentialItemType').disabled = true;
+                this.ui.credentialForm.querySelector('#credentialName').value = cred.name || '';
+                
+                if (isNote) {
+                    this.ui.credentialForm.querySelector('#credentialSecureNote').value = await this.decryptCredentialField(cred, 'encrypted_note');
+                    this.logAudit('reveal', 'credential', credId, { field: 'note', via: 'edit', app_id: cred.app_id });
+                } else if (isSsh) {
+                    this.ui.credentialForm.querySelector('#credentialUsername').value = cred.username || '';
+                    this.ui.credentialForm.querySelector('#credentialSshPrivateKey').value = (await this.decryptCredentialField(cred, 'encrypted_private_key')).trim();
+                    this.ui.credentialForm.querySelector('#credentialSshPublicKey').value = cred.ssh_public_key || '';
+                    this.ui.showSshFingerprint(cred.ssh_fingerprint, cred.ssh_key_type);
+                    this.logAudit('reveal', 'credential', credId, { field: 'private_key', via: 'edit', app_id: cred.app_id });
+                } else {
+                    this.ui.credentialForm.querySelector('#credentialUsername').value = cred.username || '';
+                    this.ui.credentialForm.querySelector('#credentialPassword').value = await this.decryptCredentialPassword(cred);
+                    this.ui.showPasswordEntropy(null);
+                    this.updateStrengthMeter('credentialPassword', 'credentialPasswordStrength', this.getCredentialUserInputs());
+                    this.logAudit('reveal', 'credential', credId, { field: 'password', via: 'edit', app_id: cred.app_id });
+                    this.ui.credentialForm.querySelector('#credentialTotp').value = cred.encrypted_totp_secret
+                        ? await this.decryptCredentialField(cred, 'encrypted_totp_secret')
+                        : '';
+                    this.ui.credentialForm.querySelector('#credentialRole').value = cred.role || '';
+                }
+                
+                this.ui.renderCustomFieldEditor(await this.decryptCustomFields(cred));
+                // Rows not migrated yet still hold their notes in plaintext
+                this.ui.credentialForm.querySelector('#credentialNotes').value = cred.encrypted_notes
+                    ? await this.decryptCredentialField(cred, 'encrypted_notes')
+                    : cred.notes || '';
+                this.ui.credentialForm.dataset.plaintextNotes = String(Boolean(cred.notes));
+                this.ui.credentialForm.querySelector('#credentialExpiresAt').value = cred.expires_at
+                    ? this.ui.toDateInputValue(cred.expires_at)
+                    : '';
+                this.ui.credentialForm.querySelector('#credentialRotateEvery').value = cred.rotate_every_days || '';
+                
+                this.ui.credentialForm.dataset.mode = 'edit';
+                this.ui.credentialForm.dataset.credentialId = credId;
+            }
+            
+            // Update modal title
+            const modalTitle = this.ui.credentialModal?.querySelector('.modal-title');
+            if (modalTitle) {
+                modalTitle.textContent = 'Edit Credential';
+            }
+            
+            this.ui.showModal(this.ui.credentialModal);
+            
+            // Setup password toggle after modal is shown
+            setTimeout(() => {
+                this.setupPasswordToggle();
+            }, 100);
+            
+        } catch (error) {
+            console.error('Failed to load credential for editing:', error);
+            this.ui.showToast('Failed to load credential', 'error');
+        }
+    }
+
+    /**
+     * Edit user role
+     * @param {string} userId - User ID
+     * @param {string} currentRole - Current role
+     * @param {boolean} hasVaultAccess - Whether the user holds a wrapped vault key
+     */
+    async editUserRole(userId, currentRole, hasVaultAccess = false, mfaRequired = false) {
+        if (!(await this.checkPermission('users', 'update', 'You do not have permission to edit user roles'))) {
+            return;
+        }
+        
+        // Populate form
+        if (this.ui.userForm) {
+            this.ui.userForm.querySelector('#userId').value = userId;
+            this.ui.renderRoleOptions(this.ui.userForm.querySelector('#userRole'), this.auth.getRoles(), currentRole);
+            this.ui.userForm.querySelector('#userVaultAccess').checked = hasVaultAccess;
+            this.ui.userForm.querySelector('#userMfaRequired').checked = mfaRequired;
+            this.ui.userForm.dataset.hasVaultAccess = String(hasVaultAccess);
+            this.ui.userForm.dataset.mfaRequired = String(mfaRequired);
+        }
+        
+        this.ui.showModal(this.ui.userModal);
+    }
+
+    // ==================== DELETE FUNCTIONS ====================
+
+    /**
+     * Delete client
+     * @param {number} clientId - Client ID
+     */
+    async deleteClient(clientId) {
+        if (!(await this.checkPermission('clients', 'delete', 'You do not have permission to delete clients', clientId))) {
+            return;
+        }
+        
+        this.ui.showConfirmModal(
+            'Delete Client',
+            'Are you sure you want to delete this client? This will also delete all associated applications and credentials.',
+            async () => {
+                try {
+                    this.ui.showLoading('Deleting client...');
+                    
+                    const { error } = await this.database.deleteClient(clientId);
+                    
+                    if (error) {
+                        throw error;
+                    }
+                    
+                    this.ui.showToast('Client deleted successfully', 'success');
+                    await this.loadClients();
+                    
+                } catch (error) {
+                    console.error('Failed to delete client:', error);
+                    this.ui.showToast('Failed to delete client', 'error');
+                } finally {
+                    this.ui.hideLoading();
+                }
+            },
+            'Delete',
+            'btn-danger'
+        );
+    }
+
+    /**
+     * Delete application
+     * @param {number} appId - Application ID
+     */
+    async deleteApplication(appId) {
+        if (!(await this.checkPermission('applications', 'delete', 'You do not have permission to delete applications'))) {
+            return;
+        }
+        
+        this.ui.showConfirmModal(
+            'Delete Application',
+            'Are you sure you want to delete this application? This will also delete all associated credentials.',
+            async () => {
+                try {
+                    this.ui.showLoading('Deleting application...');
+                    
+                    const { error } = await this.database.deleteApplication(appId);
+                    
+                    if (error) {
+                        throw error;
+                    }
+                    
+                    this.ui.showToast('Application deleted successfully', 'success');
+                    await this.loadApplications(this.ui.currentClient);
+                    
+                } catch (error) {
+                    console.error('Failed to delete application:', error);
+                    this.ui.showToast('Failed to delete application', 'error');
+                } finally {
+                    this.ui.hideLoading();
+                }
+            },
+            'Delete',
+            'btn-danger'
+        );
+    }
+
+    /**
+     * Delete credential
+     * @param {number} credId - Credential ID
+     */
+    async deleteCredential(credId) {
+        if (!(await this.checkPermission('credentials', 'delete', 'You do not have permission to delete credentials'))) {
+            return;
+        }
+        
+        this.ui.showConfirmModal(
+            'Delete Credential',
+            'Are you sure you want to delete this credential? This action cannot be undone.',
+            async () => {
+                try {
+                    this.ui.showLoading('Deleting credential...');
+                    
+                    // Attachment rows cascade with the credential, their stored files do not
+                    const { data: attachments } = await this.database.getAttachments(credId);
+                    
+                    const { error } = await this.database.deleteCredential(credId);
+                    
+                    if (error) {
+                        throw error;
+                    }
+                    
+                    if (attachments?.length) {
+                        await this.database.removeAttachmentFiles(attachments.map(attachment => attachment.storage_path));
+                    }
+                    
+                    this.ui.showToast('Credential deleted successfully', 'success');
+                    await this.loadCredentials(this.ui.currentApplication);
+                    
+                } catch (error) {
+                    console.error('Failed to delete credential:', error);
+                    this.ui.showToast('Failed to delete credential', 'error');
+                } finally {
+                    this.ui.hideLoading();
+                }
+            },
+            'Delete',
+            'btn-danger'
+        );
+    }
+
+    // ==================== UI HELPER FUNCTIONS ====================
+
+    /**
+     * Setup password toggle functionality
+     */
+    setupPasswordToggle() {
+        console.log('Setting up password toggle');
+        
+        const toggleButton = document.getElementById('toggleCredentialPassword');
+        if (toggleButton) {
+            // Remove existing event listeners
+            toggleButton.removeEventListener('click', this.handlePasswordToggle);
+            // Add new event listener
+            this.handlePasswordToggle = (e) => {
+                e.preventDefault();
+                this.toggleCredentialPasswordVisibility();
+            };
+            toggleButton.addEventListener('click', this.handlePasswordToggle);
+            console.log('Password toggle event listener attached');
+        } else {
+            console.error('Toggle button not found');
+        }
+    }
+    
+    /**
+     * Toggle password visibility for credential form
+     */
+    toggleCredentialPasswordVisibility() {
+        console.log('toggleCredentialPasswordVisibility called');
+        
+        const passwordInput = document.getElementById('credentialPassword');
+        const toggleButton = document.getElementById('toggleCredentialPassword');
+        const toggleIcon = document.getElementById('credentialPasswordIcon');
+        
+        console.log('Password input:', passwordInput);
+        console.log('Toggle button:', toggleButton);
+        console.log('Toggle icon:', toggleIcon);
+        
+        if (!passwordInput || !toggleButton || !toggleIcon) {
+            console.error('Password toggle elements not found');
+            return;
+        }
+        
+        const isPassword = passwordInput.type === 'password';
+        console.log('Current type:', passwordInput.type, 'isPassword:', isPassword);
+        
+        if (isPassword) {
+            passwordInput.type = 'text';
+            toggleIcon.className = 'fas fa-eye-slash';
+            toggleButton.title = 'Hide password';
+            console.log('Changed to text type');
+        } else {
+            passwordInput.type = 'password';
+            toggleIcon.className = 'fas fa-eye';
+            toggleButton.title = 'Show password';
+            console.log('Changed to password type');
+        }
+    }
+
+    // ==================== CLIPBOARD FUNCTIONS ====================
+
+    /**
+     * Copy username to clipboard
+     * @param {string} username - Username to copy
+     */
+    async copyUsername(username) {
+        try {
+            await navigator.clipboard.writeText(username);
+            this.ui.showToast('Username copied to clipboard!', 'success');
+        } catch (error) {
+            console.error('Failed to copy username:', error);
+            this.ui.showToast('Failed to copy username', 'error');
+        }
+    }
+
+    /**
+     * Copy password to clipboard
+     * @param {number} credId - Credential ID
+     */
+    async copyPassword(credId) {
+        try {
+            const { data: cred, error } = await this.database.getCredentialById(credId);
+            
+            if (error || !cred) {
+                throw new Error('Credential not found');
+            }
+            
+            const password = await this.decryptCredentialPassword(cred);
+            await navigator.clipboard.writeText(password);
+            this.logAudit('copy', 'credential', credId, { field: 'password', app_id: cred.app_id });
+            
+            this.ui.showToast('Password copied to clipboard!', 'success');
+            
+        } catch (error) {
+            console.error('Failed to copy password:', error);
+            this.ui.showToast(error.message || 'Failed to copy password', 'error');
+        }
+    }
+
+    /**
+     * Copy the current TOTP code of a credential to clipboard
+     * @param {number} credId - Credential ID
+     */
+    async copyTotpCode(credId) {
+        try {
+            const { data: cred, error } = await this.database.getCredentialById(credId);
+            
+            if (error || !cred) {
+                throw new Error('Credential not found');
+            }
+            
+            const { code } = await this.generateTotpCode(cred);
+            if (await ClipboardManager.copyTotpCode(code)) {
+                this.logAudit('copy', 'credential', credId, { field: 'totp', app_id: cred.app_id });
+                this.ui.showToast('One-time code copied to clipboard!', 'success');
+            } else {
+                throw new Error('Failed to copy one-time code');
+            }
+            
+        } catch (error) {
+            console.error('Failed to copy TOTP code:', error);
+            this.ui.showToast(error.message || 'Failed to copy one-time code', 'error');
+        }
+    }
+
+    /**
+     * Generate the current one-time code of a credential
+     * @param {Object} cred - Credential row with encrypted_totp_secret
+     * @returns {Promise<Object>} { code, remaining, period }
+     */
+    async generateTotpCode(cred) {
+        const secret = await this.decryptCredentialField(cred, 'encrypted_totp_secret');
+        return await this.security.generateTotp(secret);
+    }
+
+    /**
+     * Fill empty credential fields from a pasted otpauth:// URI
+     * @param {Event} e - Change event of the TOTP input
+     */
+    handleTotpImport(e) {
+        const value = e.target.value.trim();
+        if (!/^otpauth:\/\//i.test(value)) {
+            return;
+        }
+        
+        try {
+            const { issuer, account } = this.security.parseTotpSecret(value);
+            const form = this.ui.credentialForm;
+            const nameInput = form.querySelector('#credentialName');
+            const usernameInput = form.querySelector('#credentialUsername');
+            
+            if (issuer && nameInput && !nameInput.value.trim()) {
+                nameInput.value = issuer;
+            }
+            if (account && usernameInput && !usernameInput.value.trim()) {
+                usernameInput.value = account;
+            }
+            
+            this.ui.showToast('TOTP details imported', 'success', 2000);
+        } catch (error) {
+            this.ui.showToast(error.message, 'error');
+        }
+    }
+
+    // ==================== PASSWORD GENERATOR ====================
+
+    /**
+     * Resolve the generator policy for a client: defaults, then the configured
+     * policy, then the client's password policy
+     * @param {Object} client - Client object (defaults to the current client)
+     * @returns {Object} Generator policy
+     */
+    getPasswordPolicy(client = this.ui.currentClient) {
+        return {
+            ...this.security.defaultPasswordPolicy,
+            ...(this.config.SECURITY?.PASSWORD_POLICY || {}),
+            ...this.security.policyToGeneratorOptions(client?.password_policy)
+        };
+    }
+
+    /**
+     * Fill the credential form with a generated password and show its entropy
+     */
+    generateCredentialPassword() {
+        const form = this.ui.credentialForm;
+        const passwordField = form?.querySelector('#credentialPassword');
+        if (!passwordField) return;
+        
+        const client = this.credentialClient || this.ui.currentClient;
+        const policy = this.getPasswordPolicy(client);
+        const mode = form.querySelector('#passwordGeneratorMode')?.value;
+        if (mode) {
+            policy.mode = mode;
+        }
+        
+        try {
+            let { password, entropy } = this.security.generateFromPolicy(policy);
+            
+            // A passphrase cannot satisfy every policy (e.g. symbols required, no separator)
+            if (policy.mode === 'passphrase' &&
+                this.security.checkPasswordPolicy(password, client?.password_policy).length > 0) {
+                ({ password, entropy } = this.security.generateFromPolicy({ ...policy, mode: 'password' }));
+                this.ui.showToast('Passphrase does not fit the client policy; generated characters instead', 'info');
+            }
+            
+            passwordField.value = password;
+            this.ui.showPasswordEntropy(entropy);
+            this.updateStrengthMeter('credentialPassword', 'credentialPasswordStrength', this.getCredentialUserInputs());
+        } catch (error) {
+            console.error('Failed to generate password:', error);
+            this.ui.showToast(error.message, 'error');
+        }
+    }
+
+    // ==================== CLIENT PASSWORD POLICY ====================
+
+    /**
+     * Get the client an application belongs to
+     * @param {number} appId - Application ID
+     * @returns {Promise<Object|null>} Client row, or null when it cannot be loaded
+     */
+    async getApplicationClient(appId) {
+        try {
+            const { data: application, error } = await this.database.getApplicationById(appId);
+            if (error || !application) {
+                throw error || new Error('Application not found');
+            }
+            
+            const { data: client, error: clientError } = await this.database.getClientById(application.client_id);
+            if (clientError) {
+                throw clientError;
+            }
+            
+            return client || null;
+        } catch (error) {
+            console.error('Failed to load client for application:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Read the password policy fields of the client form
+     * @param {HTMLFormElement} form - Client form
+     * @returns {Object|null} Policy, or null when no rule is set
+     */
+    readPasswordPolicyForm(form) {
+        const number = (id) => {
+            const value = parseInt(form.querySelector(id)?.value);
+            return Number.isInteger(value) && value > 0 ? value : null;
+        };
+        
+        const policy = {
+            min_length: number('#policyMinLength'),
+            max_length: number('#policyMaxLength'),
+            uppercase: form.querySelector('#policyUppercase')?.value || 'allowed',
+            lowercase: form.querySelector('#policyLowercase')?.value || 'allowed',
+            numbers: form.querySelector('#policyNumbers')?.value || 'allowed',
+            symbols: form.querySelector('#policySymbols')?.value || 'allowed',
+            banned_characters: form.querySelector('#policyBannedCharacters')?.value || null,
+            max_age_days: number('#policyMaxAgeDays'),
+            generator: form.querySelector('#policyGenerator')?.value || null
+        };
+        
+        if (policy.min_length && policy.max_length && policy.min_length > policy.max_length) {
+            throw new Error('Policy minimum length cannot exceed the maximum length');
+        }
+        
+        if (['uppercase', 'lowercase', 'numbers', 'symbols'].every(field => policy[field] === 'forbidden')) {
+            throw new Error('Policy must allow at least one character type');
+        }
+        
+        const hasRule = Object.entries(policy).some(([field, value]) => value !== null && value !== 'allowed');
+        return hasRule ? policy : null;
+    }
+
+    /**
+     * Fill the password policy fields of the client form
+     * @param {HTMLFormElement} form - Client form
+     * @param {Object|null} policy - Client password policy
+     */
+    fillPasswordPolicyForm(form, policy) {
+        const values = {
+            '#policyMinLength': policy?.min_length || '',
+            '#policyMaxLength': policy?.max_length || '',
+            '#policyUppercase': policy?.uppercase || 'allowed',
+            '#policyLowercase': policy?.lowercase || 'allowed',
+            '#policyNumbers': policy?.numbers || 'allowed',
+            '#policySymbols': policy?.symbols || 'allowed',
+            '#policyBannedCharacters': policy?.banned_characters || '',
+            '#policyMaxAgeDays': policy?.max_age_days || '',
+            '#policyGenerator': policy?.generator || ''
+        };
+        
+        for (const [selector, value] of Object.entries(values)) {
+            const field = form.querySelector(selector);
+            if (field) {
+                field.value = value;
+            }
+        }
+        
+        const details = form.querySelector('#clientPolicyFields');
+        if (details) {
+            details.open = !!policy;
+        }
+    }
+
+    /**
+     * Decrypt a client's credentials locally and list those that break its policy
+     * @param {Object} client - Client object
+     */
+    async checkClientPolicy(client) {
+        if (!client) return;
+        
+        if (!this.security.hasKey()) {
+            this.ui.showToast('Unlock the vault to check the password policy', 'warning');
+            this.promptVaultUnlock();
+            return;
+        }
+        
+        try {
+            this.ui.showLoading('Checking password policy...');
+            
+            // Use the stored policy, not a copy cached in the view
+            const { data: freshClient, error: clientError } = await this.database.getClientById(client.id);
+            if (clientError || !freshClient) {
+                throw clientError || new Error('Client not found');
+            }
+            
+            const [credsResult, historyResult] = await Promise.all([
+                this.database.getCredentialsForReport(client.id),
+                this.database.getPasswordChangeDates()
+            ]);
+            if (credsResult.error) {
+                throw credsResult.error;
+            }
+            
+            const lastChanged = new Map();
+            for (const entry of historyResult.data || []) {
+                const previous = lastChanged.get(entry.credential_id);
+                if (!previous || entry.changed_at > previous) {
+                    lastChanged.set(entry.credential_id, entry.changed_at);
+                }
+            }
+            
+            const results = [];
+            for (const cred of credsResult.data || []) {
+                let violations;
+                try {
+                    const password = await this.decryptCredentialPassword(cred);
+                    violations = this.security.checkPasswordPolicy(password, freshClient.password_policy,
+                        lastChanged.get(cred.id) || cred.created_at);
+                } catch (error) {
+                    violations = ['Could not be decrypted'];
+                }
+                
+                if (violations.length > 0) {
+                    results.push({
+                        id: cred.id,
+                        name: cred.name,
+                        username: cred.username,
+                        appName: cred.applications?.app_name,
+                        violations
+                    });
+                }
+            }
+            
+            this.ui.currentClient = { ...this.ui.currentClient, password_policy: freshClient.password_policy };
+            this.ui.renderClientPolicy(freshClient);
+            this.ui.renderPolicyViolations(results);
+            
+            this.logAudit('reveal', 'client', client.id, {
+                client_id: client.id,
+                purpose: 'password_policy_check',
+                credentials: (credsResult.data || []).length
+            });
+            
+        } catch (error) {
+            console.error('Failed to check password policy:', error);
+            this.ui.showToast('Failed to check password policy', 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    // ==================== PASSWORD STRENGTH METER ====================
+
+    /**
+     * Update a strength meter whenever its password input changes
+     * @param {string} inputId - Password input ID
+     * @param {string} meterId - Meter container ID
+     * @param {Function} getUserInputs - Returns words tied to the account (email, name)
+     * @param {Function} isActive - Returns false when the meter should stay empty
+     */
+    bindStrengthMeter(inputId, meterId, getUserInputs = () => [], isActive = () => true) {
+        const input = document.getElementById(inputId);
+        if (!input || input.dataset.strengthMeterAttached) return;
+        
+        // Scoring a long password takes a moment, so wait until typing pauses
+        let timer = null;
+        input.addEventListener('input', () => {
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                if (isActive()) {
+                    this.updateStrengthMeter(inputId, meterId, getUserInputs());
+                }
+            }, this.strengthMeterDelayMs);
+        });
+        input.dataset.strengthMeterAttached = 'true';
+    }
+
+    /**
+     * Estimate the strength of an input's value and render it
+     * @param {string} inputId - Password input ID
+     * @param {string} meterId - Meter container ID
+     * @param {Array<string>} userInputs - Words tied to the account
+     */
+    updateStrengthMeter(inputId, meterId, userInputs = []) {
+        const input = document.getElementById(inputId);
+        const meter = document.getElementById(meterId);
+        if (!input || !meter) return;
+        
+        const result = input.value
+            ? this.security.estimatePasswordStrength(input.value, userInputs.filter(Boolean))
+            : null;
+        this.ui.renderStrengthMeter(meter, result);
+    }
+
+    /**
+     * Words an attacker would try first for the credential being edited
+     * @returns {Array<string>}
+     */
+    getCredentialUserInputs() {
+        const form = this.ui.credentialForm;
+        return [
+            form?.querySelector('#credentialUsername')?.value,
+            form?.querySelector('#credentialName')?.value,
+            this.ui.currentClient?.client_name
+        ];
+    }
+
+    // ==================== PASSWORD HISTORY ====================
+
+    /**
+     * Keep the current password in the history before it is replaced
+     * The stored ciphertext is copied as is, together with its key version
+     * @param {number} credId - Credential ID
+     * @param {string} newPassword - Password about to be saved
+     * @returns {Promise<boolean>} Whether the password actually changed
+     */
+    async recordPasswordChange(credId, newPassword) {
+        const { data: cred, error } = await this.database.getCredentialById(credId);
+        
+        if (error || !cred) {
+            throw new Error('Credential not found');
+        }
+        if (!cred.encrypted_password) {
+            return true;
+        }
+        
+        const currentPassword = await this.decryptCredentialPassword(cred);
+        if (currentPassword === newPassword) {
+            return false;
+        }
+        
+        const { error: historyError } = await this.database.addPasswordHistory({
+            credential_id: credId,
+            encrypted_password: cred.encrypted_password,
+            key_version: cred.key_version
+        });
+        
+        if (historyError) {
+            throw new Error('Failed to save password history');
+        }
+        
+        return true;
+    }
+
+    /**
+     * Open or close the password history drawer of a credential
+     * @param {number} credId - Credential ID
+     */
+    async togglePasswordHistory(credId) {
+        const drawer = document.getElementById(`history-${credId}`);
+        if (!drawer) return;
+        
+        if (!drawer.classList.contains('hidden')) {
+            this.ui.closePasswordHistory(credId);
+            return;
+        }
+        
+        try {
+            const { data: entries, error } = await this.database.getPasswordHistory(credId);
+            
+            if (error) {
+                throw error;
+            }
+            
+            this.ui.renderPasswordHistory(credId, entries || [], !!this.auth.canUpdate('credentials', this.ui.currentClient?.id ?? null));
+        } catch (error) {
+            console.error('Failed to load password history:', error);
+            this.ui.showToast('Failed to load password history', 'error');
+        }
+    }
+
+    /**
+     * Decrypt a previous password for display
+     * @param {number} entryId - History entry ID
+     * @returns {Promise<string>} Plain text password
+     */
+    async revealHistoryPassword(entryId) {
+        const { data: entry, error } = await this.database.getPasswordHistoryEntry(entryId);
+        
+        if (error || !entry) {
+            throw new Error('History entry not found');
+        }
+        
+        const password = await this.decryptCredentialField(entry, 'encrypted_password');
+        this.logAudit('reveal', 'credential', entry.credential_id, { field: 'password_history', history_entry_id: entryId });
+        return password;
+    }
+
+    /**
+     * Restore a previous password (Admin only)
+     * The restore is saved as a new update, so the replaced password enters the history too
+     * @param {number} entryId - History entry ID
+     */
+    async restorePasswordFromHistory(entryId) {
+        if (!(await this.checkPermission('credentials', 'update', 'You do not have permission to restore passwords'))) {
+            return;
+        }
+        
+        if (!confirm('Restore this password? The current password will be kept in the history.')) {
+            return;
+        }
+        
+        try {
+            this.ui.showLoading('Restoring password...');
+            
+            const { data: entry, error } = await this.database.getPasswordHistoryEntry(entryId);
+            if (error || !entry) {
+                throw new Error('History entry not found');
+            }
+            
+            const { data: cred, error: credError } = await this.database.getCredentialById(entry.credential_id);
+            if (credError || !cred) {
+                throw new Error('Credential not found');
+            }
+            
+            const restoredPassword = await this.decryptCredentialField(entry, 'encrypted_password');
+            await this.recordPasswordChange(cred.id, restoredPassword);
+            
+            // Every encrypted column of the row must use the same key version
+            const updates = await this.reencryptCredentialFields(
+                cred, this.security.getKey(cred.key_version), this.security.key
+            );
+            const { error: updateError } = await this.database.updateCredential(cred.id, {
+                ...updates,
+                encrypted_password: await this.security.encryptPassword(restoredPassword),
+                key_version: this.security.keyVersion,
+                password_changed_at: new Date().toISOString()
+            });
+            
+            if (updateError) {
+                throw updateError;
+            }
+            
+            this.logAudit('restore', 'credential', cred.id, { history_entry_id: entryId, app_id: cred.app_id });
+            this.ui.showToast('Password restored', 'success');
+            
+            const { data: entries } = await this.database.getPasswordHistory(cred.id);
+            this.ui.renderPasswordHistory(cred.id, entries || [], true);
+            this.ui.maskPassword(cred.id);
+            
+        } catch (error) {
+            console.error('Failed to restore password:', error);
+            this.ui.showToast(error.message || 'Failed to restore password', 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    // ==================== SSH KEYS ====================
+
+    /**
+     * Work out the public key and fingerprint of an SSH key item
+     * A pasted public key must belong to the private key when both can be read
+     * @param {string} privateKey - PEM text
+     * @param {string} publicKey - Optional OpenSSH public key line
+     * @returns {Promise<Object>} { keyType, publicKey, fingerprint }
+     */
+    async resolveSshKey(privateKey, publicKey = '') {
+        const derived = await SshKeyManager.readPrivateKey(privateKey, this.getSshKeyComment());
+        const pasted = publicKey ? await SshKeyManager.readPublicKey(publicKey) : null;
+        
+        if (!derived && !pasted) {
+            throw new Error('This private key is encrypted; paste its public key as well');
+        }
+        if (derived && pasted && derived.fingerprint !== pasted.fingerprint) {
+            throw new Error('The public key does not belong to this private key');
+        }
+        
+        // A pasted public key keeps its own comment
+        return pasted || derived;
+    }
+
+    /**
+     * Comment for generated keys and derived public keys
+     * @returns {string} Username or credential name
+     */
+    getSshKeyComment() {
+        const form = this.ui.credentialForm;
+        return form?.querySelector('#credentialUsername')?.value?.trim()
+            || form?.querySelector('#credentialName')?.value?.trim()
+            || '';
+    }
+
+    /**
+     * Generate a key pair into the credential form
+     */
+    async generateSshKey() {
+        const form = this.ui.credentialForm;
+        if (!form) return;
+        
+        const privateInput = form.querySelector('#credentialSshPrivateKey');
+        if (privateInput.value.trim() && !confirm('Replace the current key with a new key pair?')) {
+            return;
+        }
+        
+        const algorithm = form.querySelector('#sshKeyAlgorithm')?.value || 'ed25519';
+        
+        try {
+            this.ui.showLoading('Generating SSH key...');
+            const key = await SshKeyManager.generate(algorithm, this.getSshKeyComment());
+            
+            privateInput.value = key.privateKey.trim();
+            form.querySelector('#credentialSshPublicKey').value = key.publicKey;
+            this.ui.showSshFingerprint(key.fingerprint, key.keyType);
+            this.ui.showToast('SSH key pair generated', 'success', 2000);
+        } catch (error) {
+            console.error('Failed to generate SSH key:', error);
+            this.ui.showToast(this.ui.escapeHtml(error.message) || 'Failed to generate SSH key', 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    /**
+     * Derive the public key and fingerprint after a key is pasted
+     */
+    async handleSshKeyInput() {
+        const form = this.ui.credentialForm;
+        const privateKey = form.querySelector('#credentialSshPrivateKey')?.value?.trim();
+        const publicInput = form.querySelector('#credentialSshPublicKey');
+        
+        if (!privateKey && !publicInput.value.trim()) {
+            this.ui.showSshFingerprint(null);
+            return;
+        }
+        
+        try {
+            let key;
+            if (privateKey) {
+                const derived = await SshKeyManager.readPrivateKey(privateKey, this.getSshKeyComment());
+                // Replace a missing or stale public key with the derived one
+                if (derived && derived.publicKey.split(' ')[1] !== publicInput.value.trim().split(/\s+/)[1]) {
+                    publicInput.value = derived.publicKey;
+                }
+            }
+            key = await this.resolveSshKey(privateKey, publicInput.value.trim());
+            this.ui.showSshFingerprint(key.fingerprint, key.keyType);
+        } catch (error) {
+            this.ui.showSshFingerprint(null);
+            this.ui.showToast(this.ui.escapeHtml(error.message), 'error');
+        }
+    }
+
+    /**
+     * Whether an SSH key item now holds a different key than stored
+     * @param {number} credId - Credential ID
+     * @param {string} fingerprint - Fingerprint of the new key
+     * @returns {Promise<boolean>}
+     */
+    async hasSshKeyChanged(credId, fingerprint) {
+        const { data: cred, error } = await this.database.getCredentialById(credId);
+        return !error && cred?.ssh_fingerprint !== fingerprint;
+    }
+
+    // ==================== ATTACHMENTS ====================
+
+    /**
+     * Open or close the attachment drawer of a credential
+     * @param {number} credId - Credential ID
+     */
+    async toggleAttachments(credId) {
+        const drawer = document.getElementById(`attachments-${credId}`);
+        if (!drawer) return;
+        
+        if (!drawer.classList.contains('hidden')) {
+            this.ui.closeAttachments(credId);
+            return;
+        }
+        
+        await this.loadAttachments(credId);
+    }
+
+    /**
+     * Load and render the attachments of a credential
+     * @param {number} credId - Credential ID
+     */
+    async loadAttachments(credId) {
+        try {
+            const { data: attachments, error } = await this.database.getAttachments(credId);
+            
+            if (error) {
+                throw error;
+            }
+            
+            this.ui.renderAttachments(credId, attachments || [], this.auth.canPerform('credentials', 'update', this.ui.currentClient?.id ?? null));
+        } catch (error) {
+            console.error('Failed to load attachments:', error);
+            this.ui.showToast('Failed to load attachments', 'error');
+        }
+    }
+
+    /**
+     * Encrypt the chosen files with the vault key and upload them
+     * @param {number} credId - Credential ID
+     * @param {HTMLInputElement} input - File input
+     */
+    async uploadAttachments(credId, input) {
+        const files = Array.from(input.files || []);
+        input.value = '';
+        
+        if (files.length === 0) return;
+        
+        if (!(await this.checkPermission('credentials', 'update', 'You do not have permission to add attachments'))) {
+            return;
+        }
+        
+        if (!this.security.hasKey()) {
+            this.ui.showToast('Unlock the vault before adding attachments', 'warning');
+            this.promptVaultUnlock();
+            return;
+        }
+        
+        const maxBytes = (this.config.SECURITY?.ATTACHMENT_MAX_MB ?? 5) * 1024 * 1024;
+        const maxCount = this.config.SECURITY?.ATTACHMENT_MAX_PER_CREDENTIAL ?? 10;
+        
+        const tooLarge = files.filter(file => file.size > maxBytes);
+        if (tooLarge.length > 0) {
+            this.ui.showToast(`${this.ui.escapeHtml(tooLarge.map(file => file.name).join(', '))} exceeds the ${this.ui.formatFileSize(maxBytes)} limit`, 'error');
+            return;
+        }
+        
+        const { data: existing, error: listError } = await this.database.getAttachments(credId);
+        if (listError) {
+            this.ui.showToast('Failed to load attachments', 'error');
+            return;
+        }
+        if ((existing || []).length + files.length > maxCount) {
+            this.ui.showToast(`A credential can hold at most ${maxCount} attachments`, 'error');
+            return;
+        }
+        
+        let uploaded = 0;
+        try {
+            for (const file of files) {
+                this.ui.showLoading(`Encrypting ${file.name}...`);
+                
+                const encrypted = await this.security.encryptBytes(await file.arrayBuffer());
+                const path = `${credId}/${crypto.randomUUID()}`;
+                
+                const { error: uploadError } = await this.database.uploadAttachmentFile(
+                    path, new Blob([encrypted], { type: 'application/octet-stream' })
+                );
+                if (uploadError) {
+                    throw new Error(`Failed to upload ${file.name}`);
+                }
+                
+                const { data: attachment, error } = await this.database.createAttachment({
+                    credential_id: credId,
+                    storage_path: path,
+                    file_name: file.name,
+                    mime_type: file.type || 'application/octet-stream',
+                    size_bytes: file.size,
+                    key_version: this.security.keyVersion,
+                    uploaded_by: this.auth.getUserId()
+                });
+                if (error) {
+                    await this.database.removeAttachmentFiles([path]);
+                    throw new Error(`Failed to save ${file.name}`);
+                }
+                
+                this.logAudit('create', 'attachment', attachment.id, { credential_id: credId, file_name: file.name, size_bytes: file.size });
+                uploaded++;
+            }
+            
+            this.ui.showToast(`${uploaded} attachment(s) encrypted and uploaded`, 'success');
+        } catch (error) {
+            console.error('Failed to upload attachment:', error);
+            this.ui.showToast(this.ui.escapeHtml(error.message) || 'Failed to upload attachment', 'error');
+        } finally {
+            this.ui.hideLoading();
+            await this.loadAttachments(credId);
+        }
+    }
+
+    /**
+     * Download an attachment, decrypt it in the browser and save it
+     * @param {number} attachmentId - Attachment ID
+     */
+    async downloadAttachment(attachmentId) {
+        try {
+            const { data: attachment, error } = await this.database.getAttachmentById(attachmentId);
+            
+            if (error || !attachment) {
+                throw new Error('Attachment not found');
+            }
+            
+            if (!this.security.hasKey()) {
+                this.promptVaultUnlock();
+                throw new Error('Vault is locked');
+            }
+            
+            const key = this.security.getKey(attachment.key_version);
+            if (!key) {
+                throw new Error('This attachment uses a vault key version you do not have access to');
+            }
+            
+            this.ui.showLoading(`Decrypting ${attachment.file_name}...`);
+            
+            const { data: blob, error: downloadError } = await this.database.downloadAttachmentFile(attachment.storage_path);
+            if (downloadError || !blob) {
+                throw new Error('Failed to download attachment');
+            }
+            
+            const plain = await this.security.decryptBytes(await blob.arrayBuffer(), key);
+            this.logAudit('reveal', 'attachment', attachmentId, { credential_id: attachment.credential_id, file_name: attachment.file_name });
+            
+            const url = URL.createObjectURL(new Blob([plain], { type: attachment.mime_type || 'application/octet-stream' }));
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = attachment.file_name;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            // Give the browser time to start the download before the plaintext is released
+            setTimeout(() => URL.revokeObjectURL(url), 10000);
+            
+        } catch (error) {
+            console.error('Failed to download attachment:', error);
+            this.ui.showToast(this.ui.escapeHtml(error.message) || 'Failed to download attachment', 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
+    }
+
+    /**
+     * Delete an attachment and its stored file
+     * @param {number} attachmentId - Attachment ID
+     * @param {number} credId - Credential ID
+     */
+    async deleteAttachment(attachmentId, credId) {
+        if (!(await this.checkPermission('credentials', 'update', 'You do not have permission to delete attachments'))) {
+            return;
         }
         
-        this.ui.showModal(this.ui.applicationModal);
+        this.ui.showConfirmModal(
+            'Delete Attachment',
+            'Are you sure you want to delete this attachment? This action cannot be undone.',
+            async () => {
+                try {
+                    const { data: attachment, error: loadError } = await this.database.getAttachmentById(attachmentId);
+                    if (loadError || !attachment) {
+                        throw new Error('Attachment not found');
+                    }
+                    
+                    const { error } = await this.database.deleteAttachment(attachmentId);
+                    if (error) {
+                        throw error;
+                    }
+                    
+                    await this.database.removeAttachmentFiles([attachment.storage_path]);
+                    this.logAudit('delete', 'attachment', attachmentId, { credential_id: credId, file_name: attachment.file_name });
+                    
+                    this.ui.showToast('Attachment deleted', 'success');
+                    await this.loadAttachments(credId);
+                    
+                } catch (error) {
+                    console.error('Failed to delete attachment:', error);
+                    this.ui.showToast('Failed to delete attachment', 'error');
+                }
+            },
+            'Delete',
+            'btn-danger'
+        );
     }
 
     /**
-     * Show add credential modal
-     * @param {number} appId - Application ID
+     * Re-encrypt a stored attachment under a new key during rotation
+     * The result is uploaded as a new object so an interrupted rotation never
+     * leaves a row pointing at a file encrypted with another key
+     * @param {Object} row - Attachment row
+     * @param {CryptoKey} fromKey - Old vault key
+     * @param {CryptoKey} toKey - New vault key
+     * @returns {Promise<Object>} Column updates
      */
-    showAddCredentialModal(appId) {
-        if (!this.auth.canPerform('credentials', 'create')) {
-            this.ui.showToast('You do not have permission to create credentials', 'error');
-            return;
+    async reencryptAttachmentFile(row, fromKey, toKey) {
+        const { data: blob, error } = await this.database.downloadAttachmentFile(row.storage_path);
+        if (error || !blob) {
+            throw new Error('Failed to download attachment');
         }
         
-        // Set the application ID for the credential
-        this.currentApplicationId = appId;
+        const plain = await this.security.decryptBytes(await blob.arrayBuffer(), fromKey);
+        const encrypted = await this.security.encryptBytes(plain, toKey);
+        const path = `${row.storage_path.split('/')[0]}/${crypto.randomUUID()}`;
         
-        // Reset form
-        if (this.ui.credentialForm) {
-            this.ui.credentialForm.reset();
-            this.ui.credentialForm.dataset.mode = 'create';
-            delete this.ui.credentialForm.dataset.credentialId;
-            
-            // Generate secure password
-            const passwordField = this.ui.credentialForm.querySelector('#credentialPassword');
-            if (passwordField) {
-                passwordField.value = this.security.generateSecurePassword();
-            }
+        const { error: uploadError } = await this.database.uploadAttachmentFile(
+            path, new Blob([encrypted], { type: 'application/octet-stream' })
+        );
+        if (uploadError) {
+            throw new Error('Failed to upload re-encrypted attachment');
         }
         
-        // Update modal title
-        const modalTitle = this.ui.credentialModal?.querySelector('.modal-title');
-        if (modalTitle) {
-            modalTitle.textContent = 'Add New Credential';
+        return { storage_path: path };
+    }
+
+    // ==================== SHARE LINKS ====================
+
+    /**
+     * Open the share modal of a credential
+     * @param {number} credId - Credential ID
+     */
+    async showShareModal(credId) {
+        if (!(await this.checkPermission('credentials', 'update', 'You do not have permission to share credentials'))) {
+            return;
         }
         
-        this.ui.showModal(this.ui.credentialModal);
+        if (!this.security.hasKey()) {
+            this.promptVaultUnlock();
+            return;
+        }
         
-        // Setup password toggle after modal is shown
-        setTimeout(() => {
-            this.setupPasswordToggle();
-        }, 100);
+        this.ui.prepareShareForm(credId);
+        this.ui.showModal(this.ui.shareModal);
+        this.loadShareLinks(credId);
     }
 
-    // ==================== FORM HANDLERS ====================
+    /**
+     * Load the links of a credential that can still be opened
+     * @param {number} credId - Credential ID
+     */
+    async loadShareLinks(credId) {
+        const { data: shares, error } = await this.database.getActiveShares(credId);
+        
+        if (error) {
+            this.ui.showToast('Failed to load share links', 'error');
+            return;
+        }
+        
+        this.ui.renderShareLinks(credId, shares || []);
+    }
 
     /**
-     * Handle client form submission
-     * @param {Event} e - Form event
+     * Create a share link from the share modal
+     * The secret is encrypted with a fresh key that is only placed in the link fragment
+     * @param {Event} e - Submit event
      */
-    async handleClientSubmit(e) {
+    async handleShareSubmit(e) {
         e.preventDefault();
         
-        console.log('Client form submitted, checking for double submission...');
+        if (this.isCreatingShare) return;
         
-        // Prevent double submission with debounce
-        const currentTime = Date.now();
-        if (this.isSubmitting || (currentTime - this.lastSubmissionTime) < this.submissionDebounceMs) {
-            console.log('Double submission prevented');
+        if (!(await this.checkPermission('credentials', 'update', 'You do not have permission to share credentials'))) {
             return;
         }
         
-        console.log('Processing client form submission...');
-        this.isSubmitting = true;
-        this.lastSubmissionTime = currentTime;
+        if (!this.security.hasKey()) {
+            this.promptVaultUnlock();
+            return;
+        }
         
         const form = e.target;
-        const submitBtn = form.querySelector('button[type="submit"]');
+        const credId = parseInt(form.querySelector('#shareCredentialId').value);
+        const maxViews = parseInt(form.querySelector('#shareMaxViews').value);
+        const hours = parseInt(form.querySelector('#shareExpiresHours').value);
+        const maxHours = this.config.SECURITY?.SHARE_LINK_MAX_HOURS ?? 168;
         
-        // Disable submit button immediately
-        if (submitBtn) {
-            submitBtn.disabled = true;
-            submitBtn.textContent = 'Saving...';
+        if (!Number.isInteger(maxViews) || maxViews < 1 || maxViews > 10) {
+            this.ui.showToast('Max views must be between 1 and 10', 'error');
+            return;
+        }
+        if (!hours || hours > maxHours) {
+            this.ui.showToast(`Share links can be valid for at most ${maxHours} hours`, 'error');
+            return;
         }
-        
-        const clientData = {
-            client_name: form.querySelector('#clientName').value,
-            company_name: form.querySelector('#companyName').value,
-            notes: form.querySelector('#clientNotes').value
-        };
-        
-        const mode = e.target.dataset.mode;
-        const clientId = e.target.dataset.clientId;
-        
-        console.log('Client data:', clientData, 'Mode:', mode);
         
         try {
-            this.isSubmittingClient = true;
+            this.isCreatingShare = true;
+            this.ui.showLoading('Creating share link...');
             
-            // Disable form submit button
-            const submitBtn = form.querySelector('button[type="submit"]');
-            if (submitBtn) {
-                submitBtn.disabled = true;
+            const { data: cred, error: loadError } = await this.database.getCredentialById(credId);
+            if (loadError || !cred) {
+                throw new Error('Credential not found');
             }
             
-            this.ui.showLoading(mode === 'create' ? 'Creating client...' : 'Updating client...');
-            
-            let result;
-            if (mode === 'create') {
-                console.log('Creating new client...');
-                result = await this.database.createClient(clientData);
-            } else {
-                console.log('Updating existing client...');
-                result = await this.database.updateClient(parseInt(clientId), clientData);
-            }
+            const payload = await this.buildSharePayload(cred);
+            const { key, secret } = await this.security.generateShareKey();
+            const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
             
-            if (result.error) {
-                throw result.error;
+            const { data: share, error } = await this.database.createShare({
+                credential_id: credId,
+                ciphertext: await this.security.encryptPassword(JSON.stringify(payload), key),
+                max_views: maxViews,
+                expires_at: expiresAt,
+                created_by: this.auth.getUserId()
+            });
+            if (error) {
+                throw error;
             }
             
-            console.log('Client saved successfully');
-            this.ui.showToast(
-                mode === 'create' ? 'Client created successfully' : 'Client updated successfully',
-                'success'
-            );
-            
-            this.ui.closeModal(this.ui.clientModal);
-            await this.loadClients();
+            this.ui.showShareLinkResult(`${window.location.origin}${window.location.pathname}?share=${share.id}#${secret}`);
+            this.logAudit('share', 'credential', credId, {
+                share_id: share.id,
+                max_views: maxViews,
+                expires_at: expiresAt,
+                app_id: cred.app_id
+            });
+            await this.loadShareLinks(credId);
             
         } catch (error) {
-            console.error('Failed to save client:', error);
-            this.ui.showToast('Failed to save client', 'error');
+            console.error('Failed to create share link:', error);
+            this.ui.showToast('Failed to create share link', 'error');
         } finally {
-            this.isSubmittingClient = false;
-            
-            // Re-enable form submit button
-            const submitBtn = form.querySelector('button[type="submit"]');
-            if (submitBtn) {
-                submitBtn.disabled = false;
-            }
-            
+            this.isCreatingShare = false;
             this.ui.hideLoading();
-            this.isSubmitting = false;
-            
-            // Re-enable submit button
-            if (submitBtn) {
-                submitBtn.disabled = false;
-                submitBtn.textContent = 'Save';
-            }
-            
-            console.log('Client form submission completed');
         }
     }
 
     /**
-     * Handle application form submission
-     * @param {Event} e - Form event
+     * Collect what a share link reveals: the secret of the item, not its custom fields
+     * @param {Object} cred - Credential row
+     * @returns {Promise<Object>} { title, url, fields: [{ label, value }] }
      */
-    async handleApplicationSubmit(e) {
-        e.preventDefault();
+    async buildSharePayload(cred) {
+        const fields = [];
         
-        // Prevent double submission with debounce
-        const currentTime = Date.now();
-        if (this.isSubmitting || (currentTime - this.lastSubmissionTime) < this.submissionDebounceMs) {
-            return;
+        if (cred.username) {
+            fields.push({ label: 'Username', value: cred.username });
         }
         
-        this.isSubmitting = true;
-        this.lastSubmissionTime = currentTime;
+        if (cred.item_type === 'note') {
+            fields.push({ label: 'Secure Note', value: await this.decryptCredentialField(cred, 'encrypted_note') });
+        } else if (cred.item_type === 'ssh') {
+            fields.push({ label: 'Private Key', value: await this.decryptCredentialField(cred, 'encrypted_private_key') });
+            fields.push({ label: 'Public Key', value: cred.ssh_public_key });
+        } else {
+            fields.push({ label: 'Password', value: await this.decryptCredentialPassword(cred) });
+        }
         
-        const form = e.target;
-        const submitBtn = form.querySelector('button[type="submit"]');
+        return {
+            title: cred.name || cred.username || '',
+            url: cred.url || null,
+            fields
+        };
+    }
+
+    /**
+     * Copy the share link shown in the share modal
+     */
+    async copyShareLink() {
+        const url = this.ui.shareForm?.querySelector('#shareLinkUrl')?.value;
         
-        // Disable submit button
-        if (submitBtn) {
-            submitBtn.disabled = true;
+        if (url && await ClipboardManager.copyToClipboard(url)) {
+            this.ui.showToast('Share link copied to clipboard', 'success', 2000);
+        } else {
+            this.ui.showToast('Failed to copy share link', 'error');
+        }
+    }
+
+    /**
+     * Revoke a share link before it is used up
+     * @param {string} shareId - Share UUID
+     * @param {number} credId - Credential ID
+     */
+    async revokeShareLink(shareId, credId) {
+        if (!(await this.checkPermission('credentials', 'update', 'You do not have permission to revoke share links'))) {
+            return;
         }
         
-        const appData = {
-            client_id: this.ui.currentClient.id,
-            app_name: form.querySelector('#applicationName').value,
-            app_type: form.querySelector('#applicationType').value,
-            app_url: form.querySelector('#applicationUrl').value,
-            description: form.querySelector('#applicationDescription').value
-        };
+        this.ui.showConfirmModal(
+            'Revoke Share Link',
+            'The link will stop working immediately. Continue?',
+            async () => {
+                const { error } = await this.database.deleteShare(shareId);
+                
+                if (error) {
+                    this.ui.showToast('Failed to revoke share link', 'error');
+                    return;
+                }
+                
+                this.logAudit('share_revoke', 'credential', credId, { share_id: shareId });
+                this.ui.showToast('Share link revoked', 'success');
+                await this.loadShareLinks(credId);
+            },
+            'Revoke',
+            'btn-danger'
+        );
+    }
+
+    /**
+     * Read a share link from the address bar
+     * @returns {Object|null} { id, secret } or null when this is not a share link
+     */
+    getShareLinkFromUrl() {
+        const id = new URLSearchParams(window.location.search).get('share');
+        if (!id) {
+            return null;
+        }
         
-        const mode = e.target.dataset.mode;
-        const appId = e.target.dataset.applicationId;
+        return { id, secret: window.location.hash.slice(1) };
+    }
+
+    /**
+     * Show the share page; the secret is only fetched (and a view spent)
+     * once the recipient asks for it, so link previews do not burn it
+     * @param {Object} link - { id, secret }
+     */
+    openShareLink(link) {
+        this.security = new SecurityManager();
+        this.database = new DatabaseManager(this.supabase);
+        this.ui.showShareContainer();
         
+        if (!link.secret) {
+            this.ui.setShareMessage('This link is incomplete. Ask the sender for the full link.', true);
+            return;
+        }
+        
+        document.getElementById('shareRevealBtn')?.addEventListener('click', () => this.revealShareLink(link));
+    }
+
+    /**
+     * Fetch, burn and decrypt the secret of a share link
+     * @param {Object} link - { id, secret }
+     */
+    async revealShareLink(link) {
         try {
-            this.ui.showLoading(mode === 'create' ? 'Creating application...' : 'Updating application...');
+            this.ui.showLoading('Opening secret...');
             
-            let result;
-            if (mode === 'create') {
-                result = await this.database.createApplication(appData);
-            } else {
-                result = await this.database.updateApplication(parseInt(appId), appData);
+            const key = await this.security.importShareKey(link.secret);
+            const { data: ciphertext, error } = await this.database.consumeShare(link.id);
+            if (error) {
+                throw error;
             }
             
-            if (result.error) {
-                throw result.error;
+            if (!ciphertext) {
+                this.ui.setShareMessage('This link has expired or has already been viewed.', true);
+                return;
             }
             
-            this.ui.showToast(
-                mode === 'create' ? 'Application created successfully' : 'Application updated successfully',
-                'success'
-            );
+            this.sharedSecret = JSON.parse(await this.security.decryptPassword(ciphertext, key));
+            this.ui.renderSharedSecret(this.sharedSecret);
+            this.ui.setShareMessage('Copy what you need now. The secret is not shown again once its views are used up.');
             
-            this.ui.closeModal(this.ui.applicationModal);
-            await this.loadApplications(this.ui.currentClient);
+            // Keep the key out of the address bar once it has been used
+            window.history.replaceState(null, '', `${window.location.pathname}${window.location.search}`);
             
         } catch (error) {
-            console.error('Failed to save application:', error);
-            this.ui.showToast('Failed to save application', 'error');
+            console.error('Failed to open share link:', error);
+            this.ui.setShareMessage('This link could not be opened. It may be incomplete or damaged.', true);
         } finally {
             this.ui.hideLoading();
-            this.isSubmitting = false;
-            
-            // Re-enable submit button
-            const submitBtn = form.querySelector('button[type="submit"]');
-            if (submitBtn) {
-                submitBtn.disabled = false;
-            }
         }
     }
 
     /**
-     * Handle credential form submission
-     * @param {Event} e - Form event
+     * Copy a field of the secret shown on the share page
+     * @param {number} index - Field index
+     */
+    async copySharedField(index) {
+        const field = this.sharedSecret?.fields?.[index];
+        
+        if (field && await ClipboardManager.copyToClipboard(field.value)) {
+            this.ui.showToast(`${this.ui.escapeHtml(field.label)} copied to clipboard`, 'success', 2000);
+        } else {
+            this.ui.showToast('Failed to copy', 'error');
+        }
+    }
+
+    // ==================== CLIENT MEMBERS ====================
+
+    /**
+     * Open the members of a client
+     * @param {number} clientId - Client ID
+     */
+    async showClientMembersModal(clientId) {
+        if (!(await this.checkPermission('users', 'update', 'You do not have permission to manage client members'))) {
+            return;
+        }
+        
+        const { data: client, error } = await this.database.getClientById(clientId);
+        if (error || !client) {
+            this.ui.showToast('Client not found', 'error');
+            return;
+        }
+        
+        this.membersClient = client;
+        this.ui.prepareClientMembersForm(client);
+        this.ui.showModal(this.ui.clientMembersModal);
+        this.loadClientMembers();
+    }
+
+    /**
+     * Load the members of the open client and the users that can be added
+     */
+    async loadClientMembers() {
+        const [{ data: members, error }, { data: users }] = await Promise.all([
+            this.database.getClientMembers(this.membersClient.id),
+            this.database.getAllUsers()
+        ]);
+        
+        if (error) {
+            this.ui.showToast('Failed to load client members', 'error');
+            return;
+        }
+        
+        this.ui.renderClientMembers(members || [], users || []);
+    }
+
+    /**
+     * Add the chosen user to the open client
+     * @param {Event} e - Submit event
      */
-    async handleCredentialSubmit(e) {
+    async handleClientMemberSubmit(e) {
         e.preventDefault();
         
-        // Prevent double submission with debounce
-        const currentTime = Date.now();
-        if (this.isSubmitting || (currentTime - this.lastSubmissionTime) < this.submissionDebounceMs) {
+        if (!(await this.checkPermission('users', 'update', 'You do not have permission to manage client members'))) {
             return;
         }
         
-        this.isSubmitting = true;
-        this.lastSubmissionTime = currentTime;
-        
         const form = e.target;
-        const submitBtn = form.querySelector('button[type="submit"]');
+        const userId = form.querySelector('#clientMemberUser').value;
+        const role = form.querySelector('#clientMemberRole').value;
         
-        // Disable submit button
-        if (submitBtn) {
-            submitBtn.disabled = true;
+        if (!userId) {
+            this.ui.showToast('Please choose a user', 'error');
+            return;
+        }
+        if (!this.auth.getRole(role)) {
+            this.ui.showToast('Invalid role', 'error');
+            return;
         }
         
-        const credentialName = form.querySelector('#credentialName')?.value?.trim();
-        const username = form.querySelector('#credentialUsername')?.value?.trim();
-        const password = form.querySelector('#credentialPassword')?.value;
-        const role = form.querySelector('#credentialRole')?.value?.trim();
-        const notes = form.querySelector('#credentialNotes')?.value?.trim();
-        
-        console.log('Credential form submission:', { credentialName, username, password: password ? '[HIDDEN]' : 'empty', role, notes });
+        const { error } = await this.database.saveClientMember({
+            client_id: this.membersClient.id,
+            user_id: userId,
+            role,
+            added_by: this.auth.getUserId()
+        });
         
-        if (!credentialName || !username || !password || !role) {
-            this.ui.showToast('Please fill in all required fields', 'error');
-            this.isSubmitting = false;
-            if (submitBtn) {
-                submitBtn.disabled = false;
-            }
+        if (error) {
+            this.ui.showToast('Failed to add member', 'error');
             return;
         }
         
-        // Validate app_id
-        const appId = this.currentApplicationId || this.ui.currentApplication?.id;
-        if (!appId) {
-            console.error('No application ID found for credential');
-            this.ui.showToast('No application selected for credential', 'error');
+        this.logAudit('member_add', 'client', this.membersClient.id, {
+            client_id: this.membersClient.id,
+            user_id: userId,
+            role
+        });
+        this.ui.showToast('Member added', 'success');
+        await this.loadClientMembers();
+    }
+
+    /**
+     * Change the role a member has on the open client
+     * @param {string} userId - Member's user ID
+     * @param {string} role - New role
+     */
+    async updateClientMemberRole(userId, role) {
+        if (!(await this.checkPermission('users', 'update', 'You do not have permission to manage client members'))) {
+            await this.loadClientMembers();
             return;
         }
         
-        try {
-            this.ui.showLoading('Saving credential...');
-            
-            const credData = {
-                app_id: parseInt(appId),
-                name: credentialName,
-                username: username,
-                pwd: password,
-                role: role,
-                notes: notes || null
-            };
-            
-            console.log('Credential data to save:', { ...credData, pwd: '[HIDDEN]' });
-            
-            const mode = e.target.dataset.mode;
-            const credId = e.target.dataset.credentialId;
-            
-            let result;
-            if (mode === 'create') {
-                console.log('Creating new credential...');
-                result = await this.database.createCredential(credData);
-            } else {
-                console.log('Updating credential:', credId);
-                result = await this.database.updateCredential(parseInt(credId), credData);
-            }
-            
-            console.log('Database result:', result);
-            
-            if (result.error) {
-                console.error('Database error:', result.error);
-                throw result.error;
-            }
-            
-            this.ui.showToast(
-                mode === 'create' ? 'Credential created successfully' : 'Credential updated successfully',
-                'success'
-            );
-            
-            this.ui.closeModal(this.ui.credentialModal);
-            
-            // Reload credentials for the specific application
-            if (appId) {
-                console.log('Reloading credentials for app:', appId);
-                await this.ui.loadCredentialsForApp(appId);
-                
-                // Handle navigation based on current view
-                if (this.ui.currentView === 'applications') {
-                    console.log('Reloading applications view after credential save');
-                    await this.loadApplications(this.ui.currentClient);
-                } else if (this.ui.currentView === 'credentials') {
-                    console.log('Staying in credentials view after credential save');
-                    // Reload credentials for the current application
-                    if (this.ui.currentApplication) {
-                        await this.loadCredentials(this.ui.currentApplication);
-                    }
-                }
-            }
-            
-        } catch (error) {
-            console.error('Failed to save credential:', error);
-            let errorMessage = 'Failed to save credential';
-            
-            if (error.message) {
-                errorMessage += ': ' + error.message;
-            }
-            
-            this.ui.showToast(errorMessage, 'error');
-        } finally {
-            this.ui.hideLoading();
-            this.isSubmitting = false;
-            
-            // Re-enable submit button
-            const submitBtn = form.querySelector('button[type="submit"]');
-            if (submitBtn) {
-                submitBtn.disabled = false;
-            }
+        const { error } = await this.database.saveClientMember({
+            client_id: this.membersClient.id,
+            user_id: userId,
+            role
+        });
+        
+        if (error) {
+            this.ui.showToast('Failed to change member role', 'error');
+            await this.loadClientMembers();
+            return;
         }
+        
+        this.logAudit('member_update', 'client', this.membersClient.id, {
+            client_id: this.membersClient.id,
+            user_id: userId,
+            role
+        });
+        this.ui.showToast('Member role updated', 'success');
     }
 
     /**
-     * Handle user form submission
-     * @param {Event} e - Form event
+     * Remove a member from the open client
+     * @param {string} userId - Member's user ID
      */
-    async handleUserSubmit(e) {
-        e.preventDefault();
+    async removeClientMember(userId) {
+        if (!(await this.checkPermission('users', 'update', 'You do not have permission to manage client members'))) {
+            return;
+        }
         
-        const form = e.target;
-        const userId = form.querySelector('#userId').value;
-        const newRole = form.querySelector('#userRole').value;
+        const { error } = await this.database.deleteClientMember(this.membersClient.id, userId);
         
-        try {
-            this.ui.showLoading('Updating user role...');
-            
-            const { data, error } = await this.database.updateUserRole(userId, newRole);
-            
-            if (error) {
-                throw error;
-            }
-            
-            this.ui.showToast('User role updated successfully', 'success');
-            this.ui.closeModal(this.ui.userModal);
-            await this.loadUsers();
-            
-        } catch (error) {
-            console.error('Failed to update user role:', error);
-            this.ui.showToast('Failed to update user role', 'error');
-        } finally {
-            this.ui.hideLoading();
+        if (error) {
+            this.ui.showToast('Failed to remove member', 'error');
+            return;
         }
+        
+        this.logAudit('member_remove', 'client', this.membersClient.id, {
+            client_id: this.membersClient.id,
+            user_id: userId
+        });
+        this.ui.showToast('Member removed', 'success');
+        await this.loadClientMembers();
     }
 
-    // ==================== EDIT FUNCTIONS ====================
+    // ==================== INVITATIONS ====================
 
     /**
-     * Edit client
-     * @param {number} clientId - Client ID
+     * Open the invite modal with the pending invitations
      */
-    async editClient(clientId) {
-        if (!this.auth.canPerform('clients', 'update')) {
-            this.ui.showToast('You do not have permission to edit clients', 'error');
+    async showInviteModal() {
+        if (!(await this.checkPermission('users', 'update', 'You do not have permission to invite users'))) {
             return;
         }
         
-        try {
-            const { data: client, error } = await this.database.getClientById(clientId);
-            
-            if (error || !client) {
-                throw new Error('Client not found');
-            }
-            
-            // Populate form
-            if (this.ui.clientForm) {
-                this.ui.clientForm.querySelector('#clientName').value = client.client_name || '';
-                this.ui.clientForm.querySelector('#companyName').value = client.company_name || '';
-                this.ui.clientForm.querySelector('#clientNotes').value = client.notes || '';
-                
-                this.ui.clientForm.dataset.mode = 'edit';
-                this.ui.clientForm.dataset.clientId = clientId;
-            }
-            
-            // Update modal title
-            const modalTitle = this.ui.clientModal?.querySelector('.modal-title');
-            if (modalTitle) {
-                modalTitle.textContent = 'Edit Client';
-            }
-            
-            this.ui.showModal(this.ui.clientModal);
-            
-        } catch (error) {
-            console.error('Failed to load client for editing:', error);
-            this.ui.showToast('Failed to load client', 'error');
-        }
+        this.ui.prepareInviteForm();
+        this.ui.showModal(this.ui.inviteModal);
+        this.loadInvitations();
     }
 
     /**
-     * Edit application
-     * @param {number} appId - Application ID
+     * Load the invitations that have not been used yet
      */
-    async editApplication(appId) {
-        if (!this.auth.canPerform('applications', 'update')) {
-            this.ui.showToast('You do not have permission to edit applications', 'error');
+    async loadInvitations() {
+        const { data: invitations, error } = await this.database.getPendingInvitations();
+        
+        if (error) {
+            this.ui.showToast('Failed to load invitations', 'error');
             return;
         }
         
-        try {
-            const { data: app, error } = await this.database.getApplicationById(appId);
-            
-            if (error || !app) {
-                throw new Error('Application not found');
-            }
-            
-            // Populate form
-            if (this.ui.applicationForm) {
-                this.ui.applicationForm.querySelector('#applicationName').value = app.app_name || '';
-                this.ui.applicationForm.querySelector('#applicationType').value = app.app_type || '';
-                this.ui.applicationForm.querySelector('#applicationUrl').value = app.app_url || '';
-                this.ui.applicationForm.querySelector('#applicationDescription').value = app.description || '';
-                
-                this.ui.applicationForm.dataset.mode = 'edit';
-                this.ui.applicationForm.dataset.applicationId = appId;
-            }
-            
-            // Update modal title
-            const modalTitle = this.ui.applicationModal?.querySelector('.modal-title');
-            if (modalTitle) {
-                modalTitle.textContent = 'Edit Application';
-            }
-            
-            this.ui.showModal(this.ui.applicationModal);
-            
-        } catch (error) {
-            console.error('Failed to load application for editing:', error);
-            this.ui.showToast('Failed to load application', 'error');
-        }
+        this.ui.renderInvitations(invitations || []);
     }
 
     /**
-     * Edit credential
-     * @param {number} credId - Credential ID
+     * Create an invitation from the invite modal
+     * Only the hash of the token is stored; the token itself is placed in the link fragment
+     * @param {Event} e - Submit event
      */
-    async editCredential(credId) {
-        if (!this.auth.canPerform('credentials', 'update')) {
-            this.ui.showToast('You do not have permission to edit credentials', 'error');
+    async handleInviteSubmit(e) {
+        e.preventDefault();
+        
+        if (this.isCreatingInvite) return;
+        
+        if (!(await this.checkPermission('users', 'update', 'You do not have permission to invite users'))) {
+            return;
+        }
+        
+        const form = e.target;
+        const email = form.querySelector('#inviteEmail').value.trim().toLowerCase();
+        const role = form.querySelector('#inviteRole').value;
+        const days = parseInt(form.querySelector('#inviteExpiresDays').value);
+        
+        if (!email) {
+            this.ui.showToast('Please enter an email address', 'error');
+            return;
+        }
+        if (!this.auth.getRole(role)) {
+            this.ui.showToast('Invalid role', 'error');
+            return;
+        }
+        if (!days || days < 1 || days > 14) {
+            this.ui.showToast('Invitations can be valid for at most 14 days', 'error');
             return;
         }
         
         try {
-            const { data: cred, error } = await this.database.getCredentialById(credId);
-            
-            if (error || !cred) {
-                throw new Error('Credential not found');
-            }
+            this.isCreatingInvite = true;
+            this.ui.showLoading('Creating invitation...');
             
-            // Populate form
-            if (this.ui.credentialForm) {
-                this.ui.credentialForm.querySelector('#credentialName').value = cred.name || '';
-                this.ui.credentialForm.querySelector('#credentialUsername').value = cred.username || '';
-                this.ui.credentialForm.querySelector('#credentialPassword').value = cred.pwd || '';
-                this.ui.credentialForm.querySelector('#credentialRole').value = cred.role || '';
-                this.ui.credentialForm.querySelector('#credentialNotes').value = cred.notes || '';
-                
-                this.ui.credentialForm.dataset.mode = 'edit';
-                this.ui.credentialForm.dataset.credentialId = credId;
-            }
+            const token = this.security.generateInviteToken();
+            const expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
             
-            // Update modal title
-            const modalTitle = this.ui.credentialModal?.querySelector('.modal-title');
-            if (modalTitle) {
-                modalTitle.textContent = 'Edit Credential';
+            const { data: invitation, error } = await this.database.createInvitation({
+                token_hash: await this.security.hashString(token),
+                email,
+                role,
+                expires_at: expiresAt,
+                created_by: this.auth.getUserId()
+            });
+            if (error) {
+                throw error;
             }
             
-            this.ui.showModal(this.ui.credentialModal);
-            
-            // Setup password toggle after modal is shown
-            setTimeout(() => {
-                this.setupPasswordToggle();
-            }, 100);
+            this.ui.showInviteLinkResult(`${window.location.origin}${window.location.pathname}#invite=${token}`);
+            this.logAudit('invite', 'user', invitation.id, {
+                email,
+                role,
+                expires_at: expiresAt
+            });
+            await this.loadInvitations();
             
         } catch (error) {
-            console.error('Failed to load credential for editing:', error);
-            this.ui.showToast('Failed to load credential', 'error');
+            console.error('Failed to create invitation:', error);
+            this.ui.showToast('Failed to create invitation', 'error');
+        } finally {
+            this.isCreatingInvite = false;
+            this.ui.hideLoading();
         }
     }
 
     /**
-     * Edit user role
-     * @param {string} userId - User ID
-     * @param {string} currentRole - Current role
+     * Copy the invite link shown in the invite modal
      */
-    editUserRole(userId, currentRole) {
-        if (!this.auth.canPerform('users', 'update')) {
-            this.ui.showToast('You do not have permission to edit user roles', 'error');
-            return;
-        }
+    async copyInviteLink() {
+        const url = this.ui.inviteForm?.querySelector('#inviteLinkUrl')?.value;
         
-        // Populate form
-        if (this.ui.userForm) {
-            this.ui.userForm.querySelector('#userId').value = userId;
-            this.ui.userForm.querySelector('#userRole').value = currentRole;
+        if (url && await ClipboardManager.copyToClipboard(url)) {
+            this.ui.showToast('Invite link copied to clipboard', 'success', 2000);
+        } else {
+            this.ui.showToast('Failed to copy invite link', 'error');
         }
-        
-        this.ui.showModal(this.ui.userModal);
     }
 
-    // ==================== DELETE FUNCTIONS ====================
-
     /**
-     * Delete client
-     * @param {number} clientId - Client ID
+     * Revoke an invitation before it is used
+     * @param {string} invitationId - Invitation UUID
      */
-    deleteClient(clientId) {
-        if (!this.auth.canPerform('clients', 'delete')) {
-            this.ui.showToast('You do not have permission to delete clients', 'error');
+    async revokeInvitation(invitationId) {
+        if (!(await this.checkPermission('users', 'update', 'You do not have permission to revoke invitations'))) {
             return;
         }
         
         this.ui.showConfirmModal(
-            'Delete Client',
-            'Are you sure you want to delete this client? This will also delete all associated applications and credentials.',
+            'Revoke Invitation',
+            'The invite link will stop working immediately. Continue?',
             async () => {
-                try {
-                    this.ui.showLoading('Deleting client...');
-                    
-                    const { error } = await this.database.deleteClient(clientId);
-                    
-                    if (error) {
-                        throw error;
-                    }
-                    
-                    this.ui.showToast('Client deleted successfully', 'success');
-                    await this.loadClients();
-                    
-                } catch (error) {
-                    console.error('Failed to delete client:', error);
-                    this.ui.showToast('Failed to delete client', 'error');
-                } finally {
-                    this.ui.hideLoading();
+                const { error } = await this.database.deleteInvitation(invitationId);
+                
+                if (error) {
+                    this.ui.showToast('Failed to revoke invitation', 'error');
+                    return;
                 }
+                
+                this.logAudit('invite_revoke', 'user', invitationId);
+                this.ui.showToast('Invitation revoked', 'success');
+                await this.loadInvitations();
             },
-            'Delete',
+            'Revoke',
             'btn-danger'
         );
     }
 
     /**
-     * Delete application
-     * @param {number} appId - Application ID
+     * Open the registration settings modal
      */
-    deleteApplication(appId) {
-        if (!this.auth.canPerform('applications', 'delete')) {
-            this.ui.showToast('You do not have permission to delete applications', 'error');
+    async showRegistrationSettingsModal() {
+        if (!(await this.checkPermission('users', 'update', 'You do not have permission to change registration settings'))) {
             return;
         }
         
-        this.ui.showConfirmModal(
-            'Delete Application',
-            'Are you sure you want to delete this application? This will also delete all associated credentials.',
-            async () => {
-                try {
-                    this.ui.showLoading('Deleting application...');
-                    
-                    const { error } = await this.database.deleteApplication(appId);
-                    
-                    if (error) {
-                        throw error;
-                    }
-                    
-                    this.ui.showToast('Application deleted successfully', 'success');
-                    await this.loadApplications(this.ui.currentClient);
-                    
-                } catch (error) {
-                    console.error('Failed to delete application:', error);
-                    this.ui.showToast('Failed to delete application', 'error');
-                } finally {
-                    this.ui.hideLoading();
-                }
-            },
-            'Delete',
-            'btn-danger'
-        );
+        const { data: settings, error } = await this.database.getRegistrationSettings();
+        if (error) {
+            this.ui.showToast('Failed to load registration settings', 'error');
+            return;
+        }
+        
+        this.ui.showRegistrationSettingsModal(settings);
     }
 
     /**
-     * Delete credential
-     * @param {number} credId - Credential ID
+     * Save whether open registration is on and which email domains it accepts
+     * @param {Event} e - Submit event
      */
-    deleteCredential(credId) {
-        if (!this.auth.canPerform('credentials', 'delete')) {
-            this.ui.showToast('You do not have permission to delete credentials', 'error');
+    async handleRegistrationSettingsSubmit(e) {
+        e.preventDefault();
+        
+        if (!(await this.checkPermission('users', 'update', 'You do not have permission to change registration settings'))) {
             return;
         }
         
-        this.ui.showConfirmModal(
-            'Delete Credential',
-            'Are you sure you want to delete this credential? This action cannot be undone.',
-            async () => {
-                try {
-                    this.ui.showLoading('Deleting credential...');
-                    
-                    const { error } = await this.database.deleteCredential(credId);
-                    
-                    if (error) {
-                        throw error;
-                    }
-                    
-                    this.ui.showToast('Credential deleted successfully', 'success');
-                    await this.loadCredentials(this.ui.currentApplication);
-                    
-                } catch (error) {
-                    console.error('Failed to delete credential:', error);
-                    this.ui.showToast('Failed to delete credential', 'error');
-                } finally {
-                    this.ui.hideLoading();
-                }
-            },
-            'Delete',
-            'btn-danger'
-        );
+        const form = e.target;
+        const openRegistration = form.querySelector('#openRegistration').checked;
+        const domains = [...new Set(
+            form.querySelector('#allowedEmailDomains').value
+                .split(/[\s,]+/)
+                .map(domain => domain.trim().toLowerCase().replace(/^@/, ''))
+                .filter(Boolean)
+        )];
+        
+        const invalid = domains.filter(domain => !/^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(domain));
+        if (invalid.length > 0) {
+            this.ui.showToast(`Invalid email domain: ${this.ui.escapeHtml(invalid[0])}`, 'error');
+            return;
+        }
+        
+        try {
+            this.ui.showLoading('Saving registration settings...');
+            
+            const { data, error } = await this.database.updateRegistrationSettings({
+                open_registration: openRegistration,
+                allowed_email_domains: domains,
+                updated_by: this.auth.getUserId()
+            });
+            if (error || !data?.length) {
+                throw error || new Error('Settings row not found');
+            }
+            
+            this.logAudit('registration_settings', 'settings', null, {
+                open_registration: openRegistration,
+                allowed_email_domains: domains
+            });
+            this.ui.closeModal(this.ui.registrationSettingsModal);
+            this.ui.showToast(openRegistration ? 'Open registration is on' : 'Registration is now by invitation only', 'success');
+            
+        } catch (error) {
+            console.error('Failed to save registration settings:', error);
+            this.ui.showToast('Failed to save registration settings', 'error');
+        } finally {
+            this.ui.hideLoading();
+        }
     }
 
-    // ==================== UI HELPER FUNCTIONS ====================
+    // ==================== PASSWORD DECRYPTION ====================
 
     /**
-     * Setup password toggle functionality
+     * Decrypt the stored password of a credential row
+     * @param {Object} cred - Credential row
+     * @returns {Promise<string>} Plain text password
      */
-    setupPasswordToggle() {
-        console.log('Setting up password toggle');
+    async decryptCredentialPassword(cred) {
+        if (!cred.encrypted_password) {
+            throw new Error('Password is not encrypted yet. An admin must unlock the vault to migrate it.');
+        }
         
-        const toggleButton = document.getElementById('toggleCredentialPassword');
-        if (toggleButton) {
-            // Remove existing event listeners
-            toggleButton.removeEventListener('click', this.handlePasswordToggle);
-            // Add new event listener
-            this.handlePasswordToggle = (e) => {
-                e.preventDefault();
-                this.toggleCredentialPasswordVisibility();
-            };
-            toggleButton.addEventListener('click', this.handlePasswordToggle);
-            console.log('Password toggle event listener attached');
-        } else {
-            console.error('Toggle button not found');
+        return await this.decryptCredentialField(cred, 'encrypted_password');
+    }
+
+    /**
+     * Decrypt an encrypted column of a credential row with the key of its version
+     * @param {Object} cred - Credential row
+     * @param {string} field - Encrypted column name
+     * @returns {Promise<string>} Plain text value
+     */
+    async decryptCredentialField(cred, field) {
+        return await this.decryptCredentialValue(cred, cred[field]);
+    }
+
+    /**
+     * Decrypt a value stored with a credential row, using the key of the row's version
+     * @param {Object} cred - Credential row
+     * @param {string} ciphertext - Encrypted value
+     * @returns {Promise<string>} Plain text value
+     */
+    async decryptCredentialValue(cred, ciphertext) {
+        if (!this.security.hasKey()) {
+            this.promptVaultUnlock();
+            throw new Error('Vault is locked');
         }
+        
+        const key = this.security.getKey(cred.key_version);
+        if (!key) {
+            throw new Error('This credential uses a vault key version you do not have access to');
+        }
+        
+        return await this.security.decryptPassword(ciphertext, key);
     }
-    
+
+    // ==================== SECURE NOTES & CUSTOM FIELDS ====================
+
     /**
-     * Toggle password visibility for credential form
+     * Decrypt the custom fields of a credential for editing
+     * @param {Object} cred - Credential row
+     * @returns {Promise<Array>} Plain custom fields
      */
-    toggleCredentialPasswordVisibility() {
-        console.log('toggleCredentialPasswordVisibility called');
+    async decryptCustomFields(cred) {
+        const fields = [];
+        let revealed = false;
         
-        const passwordInput = document.getElementById('credentialPassword');
-        const toggleButton = document.getElementById('toggleCredentialPassword');
-        const toggleIcon = document.getElementById('credentialPasswordIcon');
+        for (const field of cred.custom_fields || []) {
+            if (this.security.isSecretField(field) && field.value) {
+                fields.push({ ...field, value: await this.decryptCredentialValue(cred, field.value) });
+                revealed = true;
+            } else {
+                fields.push({ ...field });
+            }
+        }
         
-        console.log('Password input:', passwordInput);
-        console.log('Toggle button:', toggleButton);
-        console.log('Toggle icon:', toggleIcon);
+        if (revealed) {
+            this.logAudit('reveal', 'credential', cred.id, { field: 'custom_fields', via: 'edit', app_id: cred.app_id });
+        }
         
-        if (!passwordInput || !toggleButton || !toggleIcon) {
-            console.error('Password toggle elements not found');
-            return;
+        return fields;
+    }
+
+    /**
+     * Load a fixed field (see credentialFieldRefs) or custom field of a credential in plain text
+     * One-time code fields resolve to their current code
+     * @param {number} credId - Credential ID
+     * @param {string} ref - A credentialFieldRefs key or the custom field index
+     * @returns {Promise<Object>} { cred, field, value, auditField }
+     */
+    async readCredentialField(credId, ref) {
+        const { data: cred, error } = await this.database.getCredentialById(credId);
+        
+        if (error || !cred) {
+            throw new Error('Credential not found');
         }
         
-        const isPassword = passwordInput.type === 'password';
-        console.log('Current type:', passwordInput.type, 'isPassword:', isPassword);
+        const fixed = this.credentialFieldRefs[ref];
+        if (fixed) {
+            if (!cred[fixed.column]) {
+                throw new Error('Field not found');
+            }
+            return {
+                cred,
+                field: fixed,
+                value: this.security.isSecretField(fixed)
+                    ? await this.decryptCredentialField(cred, fixed.column)
+                    : cred[fixed.column],
+                auditField: ref
+            };
+        }
         
-        if (isPassword) {
-            passwordInput.type = 'text';
-            toggleIcon.className = 'fas fa-eye-slash';
-            toggleButton.title = 'Hide password';
-            console.log('Changed to text type');
-        } else {
-            passwordInput.type = 'password';
-            toggleIcon.className = 'fas fa-eye';
-            toggleButton.title = 'Show password';
-            console.log('Changed to password type');
+        const field = (cred.custom_fields || [])[parseInt(ref)];
+        if (!field) {
+            throw new Error('Field not found');
+        }
+        
+        let value = field.value || '';
+        if (this.security.isSecretField(field) && value) {
+            value = await this.decryptCredentialValue(cred, value);
+        }
+        if (field.type === 'totp' && value) {
+            value = (await this.security.generateTotp(value)).code;
         }
+        
+        return { cred, field, value, auditField: `custom:${field.label}` };
     }
 
-    // ==================== CLIPBOARD FUNCTIONS ====================
-
     /**
-     * Copy username to clipboard
-     * @param {string} username - Username to copy
+     * Decrypt a fixed or custom credential field for reveal in the UI
+     * @param {number} credId - Credential ID
+     * @param {string} ref - A credentialFieldRefs key or the custom field index
+     * @returns {Promise<string>} Plain text value
      */
-    async copyUsername(username) {
-        try {
-            await navigator.clipboard.writeText(username);
-            this.ui.showToast('Username copied to clipboard!', 'success');
-        } catch (error) {
-            console.error('Failed to copy username:', error);
-            this.ui.showToast('Failed to copy username', 'error');
-        }
+    async revealCredentialField(credId, ref) {
+        const { cred, value, auditField } = await this.readCredentialField(credId, ref);
+        this.logAudit('reveal', 'credential', cred.id, { field: auditField, app_id: cred.app_id });
+        return value;
     }
 
     /**
-     * Copy password to clipboard
+     * Copy a fixed or custom credential field to clipboard
      * @param {number} credId - Credential ID
+     * @param {string} ref - A credentialFieldRefs key or the custom field index
      */
-    async copyPassword(credId) {
+    async copyCredentialField(credId, ref) {
         try {
-            const { data: cred, error } = await this.database.getCredentialById(credId);
+            const { cred, field, value, auditField } = await this.readCredentialField(credId, ref);
             
-            if (error || !cred) {
-                throw new Error('Credential not found');
+            let copied = true;
+            if (ref === 'private_key') {
+                copied = await ClipboardManager.copySshPrivateKey(value);
+            } else if (ref === 'public_key') {
+                copied = await ClipboardManager.copySshPublicKey(value);
+            } else if (ref === 'fingerprint') {
+                copied = await ClipboardManager.copySshPublicKey(value, 'sshFingerprint');
+            } else if (field.type === 'totp') {
+                copied = await ClipboardManager.copyTotpCode(value);
+            } else {
+                await navigator.clipboard.writeText(value);
+            }
+            if (!copied) {
+                throw new Error(`Failed to copy ${field.label.toLowerCase()}`);
             }
             
-            // Use the password directly from pwd column
-            const password = cred.pwd || '';
-            await navigator.clipboard.writeText(password);
+            if (this.security.isSecretField(field)) {
+                this.logAudit('copy', 'credential', cred.id, { field: auditField, app_id: cred.app_id });
+            }
             
-            this.ui.showToast('Password copied to clipboard!', 'success');
+            this.ui.showToast(`${this.ui.escapeHtml(field.label)} copied to clipboard!`, 'success', 2000);
             
         } catch (error) {
-            console.error('Failed to copy password:', error);
-            this.ui.showToast('Failed to copy password', 'error');
+            console.error('Failed to copy field:', error);
+            this.ui.showToast(this.ui.escapeHtml(error.message) || 'Failed to copy field', 'error');
+        }
+    }
+
+    /**
+     * Fetch and decrypt a credential password for reveal in the UI
+     * @param {number} credId - Credential ID
+     * @returns {Promise<string>} Plain text password
+     */
+    async revealPassword(credId) {
+        const { data: cred, error } = await this.database.getCredentialById(credId);
+        
+        if (error || !cred) {
+            throw new Error('Credential not found');
+        }
+        
+        const password = await this.decryptCredentialPassword(cred);
+        this.logAudit('reveal', 'credential', credId, { field: 'password', app_id: cred.app_id });
+        return password;
+    }
+
+    /**
+     * One-time migration: encrypt credentials still holding a plaintext `pwd`
+     * Runs for admins right after the vault is unlocked
+     */
+    async migratePlaintextPasswords() {
+        // Needs admin writes; a password-only session retries after the next unlock
+        if (!this.auth.isAdmin() || !this.security.hasKey() || this.auth.needsStepUp()) {
+            return;
+        }
+        
+        const { data: rows, error } = await this.database.getPlaintextCredentials();
+        
+        if (error) {
+            // Fresh installations have no legacy pwd column
+            console.warn('Skipping plaintext password migration:', error.message || error);
+            return;
+        }
+        
+        if (!rows || rows.length === 0) {
+            return;
+        }
+        
+        let migrated = 0;
+        for (const row of rows) {
+            try {
+                const encrypted = await this.security.encryptPassword(row.pwd);
+                const { error: updateError } = await this.database.updateCredential(row.id, {
+                    encrypted_password: encrypted,
+                    key_version: this.security.keyVersion,
+                    pwd: null
+                });
+                
+                if (updateError) {
+                    throw updateError;
+                }
+                migrated++;
+            } catch (migrationError) {
+                console.error('Failed to migrate credential:', row.id, migrationError);
+            }
+        }
+        
+        if (migrated > 0) {
+            this.ui.showToast(`Encrypted ${migrated} stored password(s)`, 'success');
+        }
+        if (migrated < rows.length) {
+            this.ui.showToast(`${rows.length - migrated} password(s) could not be encrypted`, 'warning');
+        }
+    }
+
+    /**
+     * One-time migration: encrypt the plaintext `notes` of credentials into
+     * encrypted_notes and clear them. Runs for admins right after the vault is unlocked
+     */
+    async migratePlaintextNotes() {
+        if (!this.auth.isAdmin() || !this.security.hasKey() || this.auth.needsStepUp()) {
+            return;
+        }
+        
+        const { data: rows, error } = await this.database.getPlaintextNotes();
+        
+        if (error) {
+            // Installations created from schema.sql never had the plaintext column
+            console.warn('Skipping plaintext notes migration:', error.message || error);
+            return;
+        }
+        
+        if (!rows || rows.length === 0) {
+            return;
+        }
+        
+        let migrated = 0;
+        for (const row of rows) {
+            try {
+                // A row saved since the upgrade already holds its notes encrypted
+                const updates = { notes: null };
+                if (!row.encrypted_notes) {
+                    // Every encrypted column of a row uses the key of its key_version
+                    const key = this.security.getKey(row.key_version);
+                    if (!key) {
+                        throw new Error(`No vault key for version ${row.key_version}`);
+                    }
+                    updates.encrypted_notes = await this.security.encryptPassword(row.notes, key);
+                }
+                
+                const { error: updateError } = await this.database.updateCredential(row.id, updates);
+                if (updateError) {
+                    throw updateError;
+                }
+                migrated++;
+            } catch (migrationError) {
+                console.error('Failed to migrate credential notes:', row.id, migrationError);
+            }
+        }
+        
+        if (migrated > 0) {
+            this.ui.showToast(`Encrypted the notes of ${migrated} item(s)`, 'success');
+        }
+        if (migrated < rows.length) {
+            this.ui.showToast(`The notes of ${rows.length - migrated} item(s) could not be encrypted`, 'warning');
         }
     }
 
@@ -1785,8 +6164,22 @@ class LaliLinkApp {
             clearInterval(this.loadingStateChecker);
         }
         
+        // Clear vault auto-lock
+        if (this.autoLockChecker) {
+            clearInterval(this.autoLockChecker);
+        }
+        
+        // Clear rotation reminders
+        if (this.rotationChecker) {
+            clearInterval(this.rotationChecker);
+        }
+        clearTimeout(this.hideLockTimer);
+        
         // Remove event listeners
         document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        ['mousemove', 'keydown', 'click', 'scroll', 'touchstart'].forEach(eventName => {
+            document.removeEventListener(eventName, this.handleUserActivity);
+        });
         
         // Clear caches
         if (this.database) {
@@ -1797,6 +6190,9 @@ class LaliLinkApp {
         this.currentUser = null;
         this.userProfile = null;
         this.userPermissions = null;
+        if (this.security) {
+            this.security.clearKey();
+        }
         
         // Reset loading state
         this.wasLoadingBeforeHidden = false;
@@ -5,9 +5,45 @@
 class SecurityManager {
     constructor() {
         this.key = null;
+        this.keyVersion = null;
+        this.keyring = {};
         this.algorithm = 'AES-GCM';
         this.keyLength = 256;
         this.ivLength = 12;
+        this.saltLength = 16;
+        this.kdfIterations = 310000;
+        this.verifierText = 'lalilink-vault-verifier';
+        this.breachedHashes = new Map(); // SHA-1 hex -> times seen
+        // Custom credential field types; secret values are stored encrypted
+        this.customFieldTypes = {
+            text: { label: 'Text', secret: false },
+            hidden: { label: 'Hidden', secret: true },
+            url: { label: 'URL', secret: false },
+            email: { label: 'Email', secret: false },
+            totp: { label: 'One-Time Code', secret: true }
+        };
+        // Generator defaults; per-client policies override individual fields.
+        // 'password' mode uses length and the include* flags, 'passphrase' mode
+        // uses words, separator, capitalize and digits
+        this.defaultPasswordPolicy = {
+            mode: 'password',
+            length: 16,
+            includeUppercase: true,
+            includeLowercase: true,
+            includeNumbers: true,
+            includeSymbols: true,
+            excludeSimilar: true, // Exclude similar looking characters
+            words: 6,
+            separator: '-',
+            capitalize: true,
+            digits: 1
+        };
+        this.keyPairAlgorithm = {
+            name: 'RSA-OAEP',
+            modulusLength: 2048,
+            publicExponent: new Uint8Array([1, 0, 1]),
+            hash: 'SHA-256'
+        };
     }
 
     /**
@@ -71,15 +107,276 @@ class SecurityManager {
         }
     }
 
+    /**
+     * Generate a random salt for master password key derivation
+     * @returns {string} Base64 encoded salt
+     */
+    generateSalt() {
+        const salt = window.crypto.getRandomValues(new Uint8Array(this.saltLength));
+        return this.arrayBufferToBase64(salt.buffer);
+    }
+
+    /**
+     * Derive the master key from a master password using PBKDF2
+     * The master key only protects the user's private key; it is not the vault key
+     * @param {string} masterPassword - Master password typed by the user
+     * @param {string} salt - Base64 encoded per-user salt
+     * @param {number} iterations - PBKDF2 iteration count
+     * @returns {Promise<CryptoKey>}
+     */
+    async deriveKeyFromPassword(masterPassword, salt, iterations = this.kdfIterations) {
+        try {
+            const encoder = new TextEncoder();
+            const baseKey = await window.crypto.subtle.importKey(
+                'raw',
+                encoder.encode(masterPassword),
+                'PBKDF2',
+                false,
+                ['deriveKey']
+            );
+
+            return await window.crypto.subtle.deriveKey(
+                {
+                    name: 'PBKDF2',
+                    salt: this.base64ToArrayBuffer(salt),
+                    iterations: iterations || this.kdfIterations,
+                    hash: 'SHA-256'
+                },
+                baseKey,
+                {
+                    name: this.algorithm,
+                    length: this.keyLength
+                },
+                false, // derived key never leaves the browser
+                ['encrypt', 'decrypt']
+            );
+        } catch (error) {
+            console.error('Failed to derive encryption key:', error);
+            throw new Error('Gagal membuat kunci dari master password');
+        }
+    }
+
+    /**
+     * Create a verifier for a key so a wrong master password can be detected
+     * @param {CryptoKey} key - Key to create the verifier for
+     * @returns {Promise<string>} Base64 encoded encrypted verifier
+     */
+    async createKeyVerifier(key = this.key) {
+        return await this.encryptPassword(this.verifierText, key);
+    }
+
+    /**
+     * Check a key against a stored verifier
+     * @param {string} verifier - Verifier created by createKeyVerifier()
+     * @param {CryptoKey} key - Key to check
+     * @returns {Promise<boolean>} Whether the key matches
+     */
+    async verifyKey(verifier, key = this.key) {
+        try {
+            return (await this.decryptPassword(verifier, key)) === this.verifierText;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Generate a new team vault key without replacing the current one
+     * @returns {Promise<CryptoKey>}
+     */
+    async generateVaultKey() {
+        try {
+            return await window.crypto.subtle.generateKey(
+                {
+                    name: this.algorithm,
+                    length: this.keyLength
+                },
+                true, // extractable so it can be wrapped for each member
+                ['encrypt', 'decrypt']
+            );
+        } catch (error) {
+            console.error('Failed to generate vault key:', error);
+            throw new Error('Gagal membuat kunci vault');
+        }
+    }
+
+    /**
+     * Add a vault key version to the keyring
+     * The newest version becomes the key for encryptPassword/decryptPassword
+     * @param {CryptoKey} key - Vault key
+     * @param {number} version - Key version
+     */
+    setKey(key, version = 1) {
+        this.keyring[version] = key;
+
+        if (this.keyVersion === null || version >= this.keyVersion) {
+            this.key = key;
+            this.keyVersion = version;
+        }
+    }
+
+    /**
+     * Get the vault key for a given version
+     * @param {number} version - Key version recorded on the encrypted row
+     * @returns {CryptoKey|null}
+     */
+    getKey(version) {
+        if (version === undefined || version === null) {
+            return this.key;
+        }
+        return this.keyring[version] || null;
+    }
+
+    /**
+     * Remove an old vault key version from the keyring
+     * @param {number} version - Key version
+     */
+    dropKeyVersion(version) {
+        if (version !== this.keyVersion) {
+            delete this.keyring[version];
+        }
+    }
+
+    /**
+     * Check if an encryption key is loaded (vault unlocked)
+     * @returns {boolean}
+     */
+    hasKey() {
+        return !!this.key;
+    }
+
+    /**
+     * Generate an RSA-OAEP key pair used to receive the wrapped team vault key
+     * @returns {Promise<CryptoKeyPair>}
+     */
+    async generateKeyPair() {
+        try {
+            return await window.crypto.subtle.generateKey(
+                this.keyPairAlgorithm,
+                true, // private key is exported once, encrypted with the master key
+                ['wrapKey', 'unwrapKey']
+            );
+        } catch (error) {
+            console.error('Failed to generate key pair:', error);
+            throw new Error('Gagal membuat pasangan kunci');
+        }
+    }
+
+    /**
+     * Export a public key for storage
+     * @param {CryptoKey} publicKey - RSA-OAEP public key
+     * @returns {Promise<string>} Base64 encoded SPKI
+     */
+    async exportPublicKey(publicKey) {
+        try {
+            const spki = await window.crypto.subtle.exportKey('spki', publicKey);
+            return this.arrayBufferToBase64(spki);
+        } catch (error) {
+            console.error('Failed to export public key:', error);
+            throw new Error('Gagal mengekspor kunci publik');
+        }
+    }
+
+    /**
+     * Encrypt a private key with the master key for storage
+     * @param {CryptoKey} privateKey - RSA-OAEP private key
+     * @param {CryptoKey} masterKey - Key derived from the master password
+     * @returns {Promise<string>} Base64 encoded encrypted PKCS#8
+     */
+    async encryptPrivateKey(privateKey, masterKey) {
+        try {
+            const pkcs8 = await window.crypto.subtle.exportKey('pkcs8', privateKey);
+            return await this.encryptPassword(this.arrayBufferToBase64(pkcs8), masterKey);
+        } catch (error) {
+            console.error('Failed to encrypt private key:', error);
+            throw new Error('Gagal mengenkripsi kunci privat');
+        }
+    }
+
+    /**
+     * Decrypt a stored private key with the master key
+     * @param {string} encryptedPrivateKey - Value created by encryptPrivateKey()
+     * @param {CryptoKey} masterKey - Key derived from the master password
+     * @returns {Promise<CryptoKey>} Non-extractable RSA-OAEP private key
+     */
+    async decryptPrivateKey(encryptedPrivateKey, masterKey) {
+        try {
+            const pkcs8 = await this.decryptPassword(encryptedPrivateKey, masterKey);
+            return await window.crypto.subtle.importKey(
+                'pkcs8',
+                this.base64ToArrayBuffer(pkcs8),
+                this.keyPairAlgorithm,
+                false,
+                ['unwrapKey']
+            );
+        } catch (error) {
+            console.error('Failed to decrypt private key:', error);
+            throw new Error('Gagal mendekripsi kunci privat');
+        }
+    }
+
+    /**
+     * Wrap the vault key for a member using their public key
+     * @param {string} publicKey - Base64 encoded SPKI of the member
+     * @param {CryptoKey} key - Vault key to wrap
+     * @returns {Promise<string>} Base64 encoded wrapped key
+     */
+    async wrapVaultKey(publicKey, key = this.key) {
+        try {
+            if (!key) {
+                throw new Error('No encryption key available');
+            }
+
+            const wrappingKey = await window.crypto.subtle.importKey(
+                'spki',
+                this.base64ToArrayBuffer(publicKey),
+                this.keyPairAlgorithm,
+                false,
+                ['wrapKey']
+            );
+            const wrapped = await window.crypto.subtle.wrapKey('raw', key, wrappingKey, { name: 'RSA-OAEP' });
+            return this.arrayBufferToBase64(wrapped);
+        } catch (error) {
+            console.error('Failed to wrap vault key:', error);
+            throw new Error('Gagal membungkus kunci vault');
+        }
+    }
+
+    /**
+     * Unwrap a vault key with the member's private key
+     * @param {string} wrappedKey - Base64 encoded wrapped key
+     * @param {CryptoKey} privateKey - RSA-OAEP private key
+     * @returns {Promise<CryptoKey>} Vault key (extractable so it can be wrapped for other members)
+     */
+    async unwrapVaultKey(wrappedKey, privateKey) {
+        try {
+            return await window.crypto.subtle.unwrapKey(
+                'raw',
+                this.base64ToArrayBuffer(wrappedKey),
+                privateKey,
+                { name: 'RSA-OAEP' },
+                {
+                    name: this.algorithm,
+                    length: this.keyLength
+                },
+                true,
+                ['encrypt', 'decrypt']
+            );
+        } catch (error) {
+            console.error('Failed to unwrap vault key:', error);
+            throw new Error('Gagal membuka kunci vault');
+        }
+    }
+
     /**
      * Encrypt a password string
      * @param {string} password - Plain text password
+     * @param {CryptoKey} key - Encryption key (defaults to the vault key)
      * @returns {Promise<string>} Base64 encoded encrypted data
      */
-    async encryptPassword(password) {
+    async encryptPassword(password, key = this.key) {
         try {
-            if (!this.key) {
-                await this.generateKey();
+            if (!key) {
+                throw new Error('No encryption key available');
             }
 
             // Generate a random IV
@@ -95,7 +392,7 @@ class SecurityManager {
                     name: this.algorithm,
                     iv: iv
                 },
-                this.key,
+                key,
                 data
             );
 
@@ -115,11 +412,12 @@ class SecurityManager {
     /**
      * Decrypt an encrypted password
      * @param {string} encryptedPassword - Base64 encoded encrypted data
+     * @param {CryptoKey} key - Decryption key (defaults to the vault key)
      * @returns {Promise<string>} Plain text password
      */
-    async decryptPassword(encryptedPassword) {
+    async decryptPassword(encryptedPassword, key = this.key) {
         try {
-            if (!this.key) {
+            if (!key) {
                 throw new Error('No encryption key available');
             }
 
@@ -136,7 +434,7 @@ class SecurityManager {
                     name: this.algorithm,
                     iv: iv
                 },
-                this.key,
+                key,
                 encrypted
             );
 
@@ -150,179 +448,1580 @@ class SecurityManager {
     }
 
     /**
-     * Generate a secure random password
-     * @param {number} length - Password length (default: 16)
-     * @param {Object} options - Password generation options
-     * @returns {string} Generated password
+     * Encrypt binary data such as a file attachment
+     * @param {ArrayBuffer|Uint8Array} data - Plain bytes
+     * @param {CryptoKey} key - Encryption key (defaults to the vault key)
+     * @returns {Promise<Uint8Array>} IV followed by the ciphertext
      */
-    generateSecurePassword(length = 16, options = {}) {
-        const defaults = {
-            includeUppercase: true,
-            includeLowercase: true,
-            includeNumbers: true,
-            includeSymbols: true,
-            excludeSimilar: true // Exclude similar looking characters
-        };
-        
-        const config = { ...defaults, ...options };
-        
-        let charset = '';
-        
-        if (config.includeLowercase) {
-            charset += config.excludeSimilar ? 'abcdefghjkmnpqrstuvwxyz' : 'abcdefghijklmnopqrstuvwxyz';
-        }
-        
-        if (config.includeUppercase) {
-            charset += config.excludeSimilar ? 'ABCDEFGHJKMNPQRSTUVWXYZ' : 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-        }
-        
-        if (config.includeNumbers) {
-            charset += config.excludeSimilar ? '23456789' : '0123456789';
-        }
-        
-        if (config.includeSymbols) {
-            charset += '!@#$%^&*()_+-=[]{}|;:,.<>?';
-        }
-        
-        if (!charset) {
-            throw new Error('At least one character type must be included');
-        }
-        
-        const randomValues = new Uint8Array(length);
-        window.crypto.getRandomValues(randomValues);
-        
-        let password = '';
-        for (let i = 0; i < length; i++) {
-            password += charset[randomValues[i] % charset.length];
+    async encryptBytes(data, key = this.key) {
+        try {
+            if (!key) {
+                throw new Error('No encryption key available');
+            }
+
+            const iv = window.crypto.getRandomValues(new Uint8Array(this.ivLength));
+            const encrypted = await window.crypto.subtle.encrypt(
+                { name: this.algorithm, iv: iv },
+                key,
+                data
+            );
+
+            const combined = new Uint8Array(iv.length + encrypted.byteLength);
+            combined.set(iv);
+            combined.set(new Uint8Array(encrypted), iv.length);
+            return combined;
+        } catch (error) {
+            console.error('Failed to encrypt data:', error);
+            throw new Error('Gagal mengenkripsi file');
         }
-        
-        return password;
     }
 
     /**
-     * Hash a string using SHA-256
-     * @param {string} text - Text to hash
-     * @returns {Promise<string>} Hex encoded hash
+     * Decrypt binary data produced by encryptBytes
+     * @param {ArrayBuffer|Uint8Array} data - IV followed by the ciphertext
+     * @param {CryptoKey} key - Decryption key (defaults to the vault key)
+     * @returns {Promise<ArrayBuffer>} Plain bytes
      */
-    async hashString(text) {
+    async decryptBytes(data, key = this.key) {
         try {
-            const encoder = new TextEncoder();
-            const data = encoder.encode(text);
-            const hashBuffer = await window.crypto.subtle.digest('SHA-256', data);
-            const hashArray = Array.from(new Uint8Array(hashBuffer));
-            return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+            if (!key) {
+                throw new Error('No encryption key available');
+            }
+
+            const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+            return await window.crypto.subtle.decrypt(
+                { name: this.algorithm, iv: bytes.slice(0, this.ivLength) },
+                key,
+                bytes.slice(this.ivLength)
+            );
         } catch (error) {
-            console.error('Failed to hash string:', error);
-            throw new Error('Gagal membuat hash');
+            console.error('Failed to decrypt data:', error);
+            throw new Error('Gagal mendekripsi file');
         }
     }
 
+    // ==================== SHARE LINKS ====================
+
     /**
-     * Validate password strength
-     * @param {string} password - Password to validate
-     * @returns {Object} Validation result with score and feedback
+     * Generate the one-off key of a share link
+     * The key is only ever placed in the link's URL fragment, which browsers never send to the server
+     * @returns {Promise<Object>} { key, secret } where secret is the raw key in base64url
      */
-    validatePasswordStrength(password) {
-        const result = {
-            score: 0,
-            strength: 'Sangat Lemah',
-            feedback: [],
-            isValid: false
-        };
-
-        if (!password) {
-            result.feedback.push('Password tidak boleh kosong');
-            return result;
-        }
-
-        // Length check
-        if (password.length >= 8) {
-            result.score += 1;
-        } else {
-            result.feedback.push('Password minimal 8 karakter');
+    async generateShareKey() {
+        try {
+            const key = await this.generateVaultKey();
+            const raw = await window.crypto.subtle.exportKey('raw', key);
+            const secret = this.arrayBufferToBase64(raw)
+                .replace(/\+/g, '-')
+                .replace(/\//g, '_')
+                .replace(/=+$/, '');
+            return { key, secret };
+        } catch (error) {
+            console.error('Failed to generate share key:', error);
+            throw new Error('Gagal membuat kunci tautan berbagi');
         }
+    }
 
-        if (password.length >= 12) {
-            result.score += 1;
+    /**
+     * Import the key of a share link from its URL fragment
+     * @param {string} secret - Raw key in base64url
+     * @returns {Promise<CryptoKey>} Decrypt-only key
+     */
+    async importShareKey(secret) {
+        try {
+            const base64 = secret.replace(/-/g, '+').replace(/_/g, '/');
+            const raw = this.base64ToArrayBuffer(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+            if (raw.byteLength !== this.keyLength / 8) {
+                throw new Error('Invalid key length');
+            }
+            return await window.crypto.subtle.importKey(
+                'raw',
+                raw,
+                { name: this.algorithm },
+                false,
+                ['decrypt']
+            );
+        } catch (error) {
+            console.error('Failed to import share key:', error);
+            throw new Error('Gagal membaca kunci tautan berbagi');
         }
+    }
 
-        // Character variety checks
-        if (/[a-z]/.test(password)) {
-            result.score += 1;
-        } else {
-            result.feedback.push('Gunakan huruf kecil');
-        }
+    // ==================== INVITATIONS ====================
 
-        if (/[A-Z]/.test(password)) {
-            result.score += 1;
-        } else {
-            result.feedback.push('Gunakan huruf besar');
-        }
+    /**
+     * Generate the token of an invite link
+     * Only its SHA-256 (hashString) is stored; handle_new_user() hashes the token the same way
+     * @returns {string} 32 random bytes in base64url
+     */
+    generateInviteToken() {
+        const bytes = window.crypto.getRandomValues(new Uint8Array(32));
+        return this.arrayBufferToBase64(bytes.buffer)
+            .replace(/\+/g, '-')
+            .replace(/\//g, '_')
+            .replace(/=+$/, '');
+    }
 
-        if (/[0-9]/.test(password)) {
-            result.score += 1;
-        } else {
-            result.feedback.push('Gunakan angka');
-        }
+    // ==================== EMERGENCY ACCESS ====================
 
-        if (/[^a-zA-Z0-9]/.test(password)) {
-            result.score += 1;
-        } else {
-            result.feedback.push('Gunakan simbol khusus');
-        }
+    /**
+     * Generate the recovery secret of an emergency kit (split into shares, never stored)
+     * @returns {Uint8Array} 32 random bytes
+     */
+    generateRecoverySecret() {
+        return window.crypto.getRandomValues(new Uint8Array(this.keyLength / 8));
+    }
 
-        // Common patterns check
-        const commonPatterns = [
-            /123456/,
-            /password/i,
-            /qwerty/i,
-            /admin/i,
-            /(.)\1{2,}/ // Repeated characters
-        ];
+    /**
+     * Derive the keys of an emergency kit from its recovery secret with HKDF
+     * wrapKey seals the vault key; the server only keeps a hash of token, which
+     * proves the shares were combined without revealing wrapKey
+     * @param {Uint8Array} secret - Recovery secret
+     * @returns {Promise<Object>} { wrapKey, token }
+     */
+    async deriveRecoveryKeys(secret) {
+        try {
+            const baseKey = await window.crypto.subtle.importKey('raw', secret, 'HKDF', false, ['deriveKey', 'deriveBits']);
+            const params = info => ({
+                name: 'HKDF',
+                hash: 'SHA-256',
+                salt: new Uint8Array(32),
+                info: new TextEncoder().encode(info)
+            });
 
-        for (const pattern of commonPatterns) {
-            if (pattern.test(password)) {
-                result.score -= 1;
-                result.feedback.push('Hindari pola umum atau karakter berulang');
-                break;
-            }
-        }
+            const wrapKey = await window.crypto.subtle.deriveKey(
+                params('lalilink-emergency-vault-key'),
+                baseKey,
+                { name: this.algorithm, length: this.keyLength },
+                false,
+                ['encrypt', 'decrypt']
+            );
+            const token = await window.crypto.subtle.deriveBits(params('lalilink-emergency-admin-token'), baseKey, 256);
 
-        // Determine strength
-        if (result.score >= 5) {
-            result.strength = 'Sangat Kuat';
-            result.isValid = true;
-        } else if (result.score >= 4) {
-            result.strength = 'Kuat';
-            result.isValid = true;
-        } else if (result.score >= 3) {
-            result.strength = 'Sedang';
-            result.isValid = true;
-        } else if (result.score >= 2) {
-            result.strength = 'Lemah';
-        } else {
-            result.strength = 'Sangat Lemah';
+            return { wrapKey, token: this.arrayBufferToBase64(token) };
+        } catch (error) {
+            console.error('Failed to derive recovery keys:', error);
+            throw new Error('Gagal membuat kunci pemulihan');
         }
+    }
 
-        return result;
+    /**
+     * Encrypt a vault key with a recovery key
+     * @param {CryptoKey} vaultKey - Extractable vault key
+     * @param {CryptoKey} wrapKey - Key from deriveRecoveryKeys()
+     * @returns {Promise<string>} Base64 encoded IV and ciphertext
+     */
+    async encryptVaultKey(vaultKey, wrapKey) {
+        const raw = await window.crypto.subtle.exportKey('raw', vaultKey);
+        return this.arrayBufferToBase64(await this.encryptBytes(raw, wrapKey));
     }
 
     /**
-     * Convert ArrayBuffer to Base64 string
-     * @param {ArrayBuffer} buffer
-     * @returns {string}
+     * Decrypt a vault key sealed by encryptVaultKey()
+     * @param {string} encryptedKey - Base64 encoded IV and ciphertext
+     * @param {CryptoKey} wrapKey - Key from deriveRecoveryKeys()
+     * @returns {Promise<CryptoKey>} Vault key (extractable so it can be wrapped for members)
      */
-    arrayBufferToBase64(buffer) {
-        const bytes = new Uint8Array(buffer);
-        let binary = '';
-        for (let i = 0; i < bytes.byteLength; i++) {
-            binary += String.fromCharCode(bytes[i]);
+    async decryptVaultKey(encryptedKey, wrapKey) {
+        try {
+            const raw = await this.decryptBytes(this.base64ToArrayBuffer(encryptedKey), wrapKey);
+            return await window.crypto.subtle.importKey(
+                'raw',
+                raw,
+                { name: this.algorithm, length: this.keyLength },
+                true,
+                ['encrypt', 'decrypt']
+            );
+        } catch (error) {
+            console.error('Failed to decrypt vault key:', error);
+            throw new Error('Gagal membuka kunci vault');
         }
-        return btoa(binary);
     }
 
+    // ==================== ACCOUNT RECOVERY ====================
+
     /**
-     * Convert Base64 string to ArrayBuffer
+     * Generate the secret key and single-use recovery codes of a user's recovery kit
+     * Characters that are easy to misread (0/O, 1/I) are left out
+     * @param {number} codeCount - Number of recovery codes
+     * @returns {Object} { secretKey, codes }
+     */
+    generateRecoveryKit(codeCount = 10) {
+        const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+        const randomGroups = (groups) => Array.from({ length: groups }, () =>
+            Array.from({ length: 5 }, () => alphabet[this.getRandomInt(alphabet.length)]).join('')
+        ).join('-');
+
+        return {
+            // 25 characters = 125 bits
+            secretKey: `LLSK-${randomGroups(5)}`,
+            codes: Array.from({ length: codeCount }, () => randomGroups(2))
+        };
+    }
+
+    /**
+     * Normalize a typed-in secret key or recovery code
+     * @param {string} value - Secret key or recovery code
+     * @returns {string} Upper case characters without separators or the LLSK prefix
+     */
+    normalizeRecoveryValue(value) {
+        return String(value || '')
+            .toUpperCase()
+            .replace(/[^A-Z0-9]/g, '')
+            .replace(/^LLSK/, '');
+    }
+
+    /**
+     * Hash a recovery code for storage; the code itself is never stored
+     * @param {string} code - Recovery code
+     * @returns {Promise<string>} Hex encoded SHA-256
+     */
+    async hashRecoveryCode(code) {
+        return await this.hashString(this.normalizeRecoveryValue(code));
+    }
+
+    /**
+     * Derive the key that protects the private key copy of one recovery code
+     * Both the secret key and the code are needed, so a leaked code alone opens nothing
+     * @param {string} secretKey - Secret key of the recovery kit
+     * @param {string} code - Recovery code
+     * @returns {Promise<CryptoKey>} AES-GCM key
+     */
+    async deriveRecoveryCodeKey(secretKey, code) {
+        try {
+            const encoder = new TextEncoder();
+            const baseKey = await window.crypto.subtle.importKey(
+                'raw',
+                encoder.encode(this.normalizeRecoveryValue(secretKey)),
+                'HKDF',
+                false,
+                ['deriveKey']
+            );
+
+            return await window.crypto.subtle.deriveKey(
+                {
+                    name: 'HKDF',
+                    hash: 'SHA-256',
+                    salt: encoder.encode(this.normalizeRecoveryValue(code)),
+                    info: encoder.encode('lalilink-recovery-code')
+                },
+                baseKey,
+                { name: this.algorithm, length: this.keyLength },
+                false,
+                ['encrypt', 'decrypt']
+            );
+        } catch (error) {
+            console.error('Failed to derive recovery code key:', error);
+            throw new Error('Gagal membuat kunci kode pemulihan');
+        }
+    }
+
+    // ==================== CUSTOM FIELDS ====================
+
+    /**
+     * Whether a custom field holds an encrypted value
+     * @param {Object} field - Custom field { label, type, value }
+     * @returns {boolean}
+     */
+    isSecretField(field) {
+        return Boolean(this.customFieldTypes[field?.type]?.secret);
+    }
+
+    /**
+     * Validate custom fields and encrypt the values of secret ones
+     * @param {Array} fields - Plain custom fields [{ label, type, value }]
+     * @param {CryptoKey} key - Encryption key (defaults to the vault key)
+     * @returns {Promise<Array>} Fields ready for storage
+     */
+    async encryptCustomFields(fields, key = this.key) {
+        const stored = [];
+        
+        for (const field of fields) {
+            const label = String(field.label || '').trim();
+            const value = String(field.value || '').trim();
+            
+            if (!this.customFieldTypes[field.type]) {
+                throw new Error(`Unknown field type: ${field.type}`);
+            }
+            if (!label) {
+                throw new Error('Every custom field needs a label');
+            }
+            if (field.type === 'url' && value && !/^[a-z][a-z0-9+.-]*:\/\/\S+$/i.test(value)) {
+                throw new Error(`${label} is not a valid URL`);
+            }
+            if (field.type === 'email' && value && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
+                throw new Error(`${label} is not a valid email address`);
+            }
+            if (field.type === 'totp' && value) {
+                this.parseTotpSecret(value);
+            }
+            
+            stored.push({
+                label,
+                type: field.type,
+                value: this.isSecretField(field) && value ? await this.encryptPassword(value, key) : value
+            });
+        }
+        
+        return stored;
+    }
+
+    /**
+     * Re-encrypt the secret values of stored custom fields under another key
+     * @param {Array} fields - Stored custom fields
+     * @param {CryptoKey} fromKey - Current key
+     * @param {CryptoKey} toKey - New key
+     * @returns {Promise<Array>} Re-encrypted fields
+     */
+    async reencryptCustomFields(fields, fromKey, toKey) {
+        const result = [];
+        
+        for (const field of fields) {
+            if (this.isSecretField(field) && field.value) {
+                const plaintext = await this.decryptPassword(field.value, fromKey);
+                result.push({ ...field, value: await this.encryptPassword(plaintext, toKey) });
+            } else {
+                result.push(field);
+            }
+        }
+        
+        return result;
+    }
+
+    // ==================== PASSWORD GENERATION ====================
+
+    /**
+     * Get an unbiased random integer in [0, max) using rejection sampling
+     * @param {number} max - Exclusive upper bound (at most 2^32)
+     * @returns {number}
+     */
+    getRandomInt(max) {
+        if (!Number.isInteger(max) || max < 1 || max > 0x100000000) {
+            throw new Error('Random range must be between 1 and 2^32');
+        }
+        
+        // Drop values from the incomplete block at the top of the range
+        const limit = 0x100000000 - (0x100000000 % max);
+        const buffer = new Uint32Array(1);
+        
+        do {
+            window.crypto.getRandomValues(buffer);
+        } while (buffer[0] >= limit);
+        
+        return buffer[0] % max;
+    }
+
+    /**
+     * Build the character groups enabled by a policy
+     * @param {Object} policy - Generator policy
+     * @returns {Array<string>} One string per character group
+     */
+    getPasswordCharsets(policy) {
+        let groups = [];
+        
+        if (policy.includeLowercase) {
+            groups.push(policy.excludeSimilar ? 'abcdefghjkmnpqrstuvwxyz' : 'abcdefghijklmnopqrstuvwxyz');
+        }
+        
+        if (policy.includeUppercase) {
+            groups.push(policy.excludeSimilar ? 'ABCDEFGHJKMNPQRSTUVWXYZ' : 'ABCDEFGHIJKLMNOPQRSTUVWXYZ');
+        }
+        
+        if (policy.includeNumbers) {
+            groups.push(policy.excludeSimilar ? '23456789' : '0123456789');
+        }
+        
+        if (policy.includeSymbols) {
+            groups.push('!@#$%^&*()_+-=[]{}|;:,.<>?');
+        }
+        
+        if (policy.excludeCharacters) {
+            groups = groups
+                .map(group => [...group].filter(char => !policy.excludeCharacters.includes(char)).join(''))
+                .filter(Boolean);
+        }
+        
+        return groups;
+    }
+
+    /**
+     * Generate a secure random password
+     * Every enabled character group appears at least once; candidates that miss one
+     * are thrown away, so the result stays uniform over all valid passwords
+     * @param {number} length - Password length (default: 16)
+     * @param {Object} options - Password generation options
+     * @returns {string} Generated password
+     */
+    generateSecurePassword(length = 16, options = {}) {
+        const config = { ...this.defaultPasswordPolicy, ...options };
+        const groups = this.getPasswordCharsets(config);
+        const charset = groups.join('');
+        
+        if (!charset) {
+            throw new Error('At least one character type must be included');
+        }
+        
+        if (length < groups.length) {
+            throw new Error(`Password must be at least ${groups.length} characters for this policy`);
+        }
+        
+        let password;
+        do {
+            password = '';
+            for (let i = 0; i < length; i++) {
+                password += charset[this.getRandomInt(charset.length)];
+            }
+        } while (!groups.every(group => [...password].some(char => group.includes(char))));
+        
+        return password;
+    }
+
+    /**
+     * Generate a diceware-style passphrase
+     * @param {Object} options - { words, separator, capitalize, digits, wordlist }
+     * @returns {string} Generated passphrase
+     */
+    generatePassphrase(options = {}) {
+        const config = { ...this.defaultPasswordPolicy, ...options };
+        const { wordlist, digits } = this.getPassphraseAlphabet(config);
+        
+        if (wordlist.length < 2) {
+            throw new Error('Passphrase wordlist is not available');
+        }
+        
+        if (config.words < 1) {
+            throw new Error('Passphrase must have at least one word');
+        }
+        
+        const words = [];
+        for (let i = 0; i < config.words; i++) {
+            let word = wordlist[this.getRandomInt(wordlist.length)];
+            if (config.capitalize) {
+                word = word.charAt(0).toUpperCase() + word.slice(1);
+            }
+            words.push(word);
+        }
+        
+        // Append each digit to a randomly chosen word
+        for (let i = 0; i < config.digits && digits.length > 0; i++) {
+            const index = this.getRandomInt(words.length);
+            words[index] += digits[this.getRandomInt(digits.length)];
+        }
+        
+        return words.join(config.separator);
+    }
+
+    /**
+     * Words and digits a passphrase may use, without excluded characters
+     * @param {Object} config - Generator policy
+     * @returns {Object} { wordlist, digits }
+     */
+    getPassphraseAlphabet(config) {
+        const excluded = (config.excludeCharacters || '').toLowerCase();
+        const wordlist = config.wordlist || (typeof PASSPHRASE_WORDLIST !== 'undefined' ? PASSPHRASE_WORDLIST : []);
+        
+        return {
+            wordlist: excluded ? wordlist.filter(word => ![...word].some(char => excluded.includes(char))) : wordlist,
+            digits: [...'0123456789'].filter(digit => !excluded.includes(digit))
+        };
+    }
+
+    /**
+     * Generate a password or passphrase from a policy
+     * minLength and maxLength come from a client password policy; a passphrase grows
+     * by whole words to reach minLength and falls back to characters when too long
+     * @param {Object} policy - Generator policy (see defaultPasswordPolicy)
+     * @returns {Object} { password, entropy } with entropy in bits
+     */
+    generateFromPolicy(policy = {}) {
+        const config = { ...this.defaultPasswordPolicy, ...policy };
+        const minLength = config.minLength || 0;
+        const maxLength = config.maxLength || Infinity;
+        
+        if (config.mode === 'passphrase') {
+            let password = this.generatePassphrase(config);
+            while (password.length < minLength && config.words < 20) {
+                config.words++;
+                password = this.generatePassphrase(config);
+            }
+            
+            if (password.length >= minLength && password.length <= maxLength) {
+                return { password, entropy: this.calculateGeneratorEntropy(config) };
+            }
+            config.mode = 'password';
+        }
+        
+        config.length = Math.min(Math.max(config.length, minLength), maxLength);
+        const password = this.generateSecurePassword(config.length, config);
+        
+        return { password, entropy: this.calculateGeneratorEntropy(config) };
+    }
+
+    /**
+     * Translate a client password policy into generator options
+     * Client policy fields (stored in clients.password_policy):
+     * min_length, max_length, uppercase / lowercase / numbers / symbols
+     * ('required', 'allowed' or 'forbidden'), banned_characters, max_age_days
+     * and generator ('password' or 'passphrase')
+     * @param {Object|null} policy - Client password policy
+     * @returns {Object} Generator options
+     */
+    policyToGeneratorOptions(policy) {
+        const options = {};
+        if (!policy) {
+            return options;
+        }
+        
+        const classes = {
+            uppercase: 'includeUppercase',
+            lowercase: 'includeLowercase',
+            numbers: 'includeNumbers',
+            symbols: 'includeSymbols'
+        };
+        for (const [field, option] of Object.entries(classes)) {
+            if (policy[field] === 'required') options[option] = true;
+            if (policy[field] === 'forbidden') options[option] = false;
+        }
+        
+        if (policy.min_length) options.minLength = policy.min_length;
+        if (policy.max_length) options.maxLength = policy.max_length;
+        if (policy.banned_characters) options.excludeCharacters = policy.banned_characters;
+        if (policy.generator) options.mode = policy.generator;
+        
+        // Keep passphrases inside the policy too
+        if (policy.numbers === 'forbidden') options.digits = 0;
+        if (policy.uppercase === 'forbidden') options.capitalize = false;
+        if (policy.symbols === 'forbidden' || (policy.banned_characters || '').includes('-')) {
+            options.separator = '';
+        }
+        if (policy.lowercase === 'forbidden') options.mode = 'password';
+        
+        return options;
+    }
+
+    /**
+     * Check a password against a client password policy
+     * @param {string} password - Plaintext password
+     * @param {Object|null} policy - Client password policy
+     * @param {string|null} lastChangedAt - When the password was last changed (for max_age_days)
+     * @returns {Array<string>} Violations, empty when the password complies
+     */
+    checkPasswordPolicy(password, policy, lastChangedAt = null) {
+        const violations = [];
+        if (!policy) {
+            return violations;
+        }
+        
+        password = password || '';
+        
+        if (policy.min_length && password.length < policy.min_length) {
+            violations.push(`Shorter than ${policy.min_length} characters`);
+        }
+        
+        if (policy.max_length && password.length > policy.max_length) {
+            violations.push(`Longer than ${policy.max_length} characters`);
+        }
+        
+        const classes = [
+            ['uppercase', /[A-Z]/, 'uppercase letters'],
+            ['lowercase', /[a-z]/, 'lowercase letters'],
+            ['numbers', /[0-9]/, 'numbers'],
+            ['symbols', /[^A-Za-z0-9]/, 'symbols']
+        ];
+        for (const [field, pattern, label] of classes) {
+            if (policy[field] === 'required' && !pattern.test(password)) {
+                violations.push(`Missing ${label}`);
+            }
+            if (policy[field] === 'forbidden' && pattern.test(password)) {
+                violations.push(`Contains ${label}, which are not allowed`);
+            }
+        }
+        
+        if (policy.banned_characters) {
+            const banned = [...new Set(password)].filter(char => policy.banned_characters.includes(char));
+            if (banned.length > 0) {
+                violations.push(`Contains banned characters: ${banned.join(' ')}`);
+            }
+        }
+        
+        if (policy.max_age_days && lastChangedAt) {
+            const ageDays = (Date.now() - new Date(lastChangedAt).getTime()) / 86400000;
+            if (ageDays > policy.max_age_days) {
+                violations.push(`Not changed in over ${policy.max_age_days} days`);
+            }
+        }
+        
+        return violations;
+    }
+
+    /**
+     * Entropy of the generator output in bits (what an attacker who knows the policy faces)
+     * @param {Object} policy - Generator policy
+     * @returns {number} Bits of entropy, rounded down
+     */
+    calculateGeneratorEntropy(policy = {}) {
+        const config = { ...this.defaultPasswordPolicy, ...policy };
+        
+        if (config.mode === 'passphrase') {
+            const { wordlist, digits } = this.getPassphraseAlphabet(config);
+            let bits = config.words * Math.log2(wordlist.length || 1);
+            // Each digit: its value plus the word it was appended to
+            if (digits.length > 0) {
+                bits += config.digits * (Math.log2(digits.length) + Math.log2(config.words));
+            }
+            return Math.floor(bits);
+        }
+        
+        const charset = this.getPasswordCharsets(config).join('');
+        return Math.floor(config.length * Math.log2(charset.length || 1));
+    }
+
+    /**
+     * Hash a string using SHA-256
+     * @param {string} text - Text to hash
+     * @param {string} algorithm - Digest algorithm
+     * @returns {Promise<string>} Hex encoded hash
+     */
+    async hashString(text, algorithm = 'SHA-256') {
+        try {
+            const encoder = new TextEncoder();
+            const data = encoder.encode(text);
+            const hashBuffer = await window.crypto.subtle.digest(algorithm, data);
+            const hashArray = Array.from(new Uint8Array(hashBuffer));
+            return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+        } catch (error) {
+            console.error('Failed to hash string:', error);
+            throw new Error('Gagal membuat hash');
+        }
+    }
+
+    // ==================== BREACHED PASSWORDS (OFFLINE) ====================
+
+    /**
+     * Add hashes from a Have I Been Pwned style list
+     * Accepts full "HASH:COUNT" lines, or range files with "SUFFIX:COUNT" lines
+     * whose 5-character prefix comes from the file name or a line of its own
+     * @param {string} text - File contents
+     * @param {string|null} prefix - Range prefix when the file holds a single range
+     * @returns {number} Number of hashes added
+     */
+    loadBreachList(text, prefix = null) {
+        let currentPrefix = prefix ? prefix.toUpperCase() : null;
+        let added = 0;
+        
+        const lines = text.split(/\r?\n/);
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line || line.startsWith('#')) {
+                continue;
+            }
+            
+            const [hash, count] = line.toUpperCase().split(':');
+            
+            if (/^[0-9A-F]{5}$/.test(hash) && count === undefined) {
+                currentPrefix = hash;
+                continue;
+            }
+            
+            let fullHash;
+            if (/^[0-9A-F]{40}$/.test(hash)) {
+                fullHash = hash;
+            } else if (/^[0-9A-F]{35}$/.test(hash) && currentPrefix) {
+                fullHash = currentPrefix + hash;
+            } else {
+                throw new Error(`Invalid breach list entry on line ${i + 1}`);
+            }
+            
+            const seen = parseInt(count, 10) || 1;
+            if (!this.breachedHashes.has(fullHash)) {
+                added++;
+            }
+            this.breachedHashes.set(fullHash, Math.max(seen, this.breachedHashes.get(fullHash) || 0));
+        }
+        
+        if (added === 0 && this.breachedHashes.size === 0) {
+            throw new Error('Breach list contains no SHA-1 hashes');
+        }
+        
+        return added;
+    }
+
+    /**
+     * Check whether a breach list is loaded
+     * @returns {boolean}
+     */
+    hasBreachList() {
+        return this.breachedHashes.size > 0;
+    }
+
+    /**
+     * Look up a password in the loaded breach list
+     * @param {string} password - Plaintext password
+     * @returns {Promise<number>} Times the password was seen in breaches, 0 if never
+     */
+    async checkPasswordBreach(password) {
+        if (!password || !this.hasBreachList()) {
+            return 0;
+        }
+        
+        const hash = (await this.hashString(password, 'SHA-1')).toUpperCase();
+        return this.breachedHashes.get(hash) || 0;
+    }
+
+    // ==================== TOTP (RFC 6238) ====================
+
+    /**
+     * Parse a TOTP secret given as a base32 seed or an otpauth:// URI
+     * @param {string} value - Base32 secret or otpauth://totp/... URI
+     * @returns {Object} { secret, issuer, account, algorithm, digits, period }
+     */
+    parseTotpSecret(value) {
+        const input = (value || '').trim();
+        const params = {
+            secret: input,
+            issuer: '',
+            account: '',
+            algorithm: 'SHA1',
+            digits: 6,
+            period: 30
+        };
+        
+        if (/^otpauth:\/\//i.test(input)) {
+            let url;
+            try {
+                url = new URL(input);
+            } catch (error) {
+                throw new Error('Invalid otpauth:// URI');
+            }
+            
+            if (url.host.toLowerCase() !== 'totp') {
+                throw new Error('Only time-based (totp) otpauth URIs are supported');
+            }
+            
+            const label = decodeURIComponent(url.pathname.replace(/^\//, ''));
+            const separator = label.indexOf(':');
+            params.account = (separator >= 0 ? label.slice(separator + 1) : label).trim();
+            params.issuer = url.searchParams.get('issuer') || (separator >= 0 ? label.slice(0, separator).trim() : '');
+            params.secret = url.searchParams.get('secret') || '';
+            params.algorithm = (url.searchParams.get('algorithm') || 'SHA1').toUpperCase();
+            params.digits = parseInt(url.searchParams.get('digits') || '6', 10);
+            params.period = parseInt(url.searchParams.get('period') || '30', 10);
+        }
+        
+        params.secret = params.secret.replace(/[\s-]/g, '').replace(/=+$/, '').toUpperCase();
+        
+        if (!params.secret || !/^[A-Z2-7]+$/.test(params.secret)) {
+            throw new Error('TOTP secret must be base32 encoded');
+        }
+        if (!['SHA1', 'SHA256', 'SHA512'].includes(params.algorithm)) {
+            throw new Error(`Unsupported TOTP algorithm: ${params.algorithm}`);
+        }
+        if (!(params.digits >= 6 && params.digits <= 8)) {
+            throw new Error('TOTP codes must have 6 to 8 digits');
+        }
+        if (!(params.period > 0)) {
+            throw new Error('TOTP period must be a positive number of seconds');
+        }
+        
+        return params;
+    }
+
+    /**
+     * Generate the current TOTP code
+     * @param {string} value - Base32 secret or otpauth:// URI
+     * @param {number} timestamp - Time in milliseconds (defaults to now)
+     * @returns {Promise<Object>} { code, remaining, period }
+     */
+    async generateTotp(value, timestamp = Date.now()) {
+        const { secret, algorithm, digits, period } = this.parseTotpSecret(value);
+        
+        try {
+            const counter = Math.floor(timestamp / 1000 / period);
+            const counterBytes = new ArrayBuffer(8);
+            const view = new DataView(counterBytes);
+            view.setUint32(0, Math.floor(counter / 0x100000000));
+            view.setUint32(4, counter >>> 0);
+            
+            const hmacKey = await window.crypto.subtle.importKey(
+                'raw',
+                this.base32ToArrayBuffer(secret),
+                { name: 'HMAC', hash: { name: algorithm.replace('SHA', 'SHA-') } },
+                false,
+                ['sign']
+            );
+            const hmac = new Uint8Array(await window.crypto.subtle.sign('HMAC', hmacKey, counterBytes));
+            
+            // Dynamic truncation (RFC 4226 section 5.3)
+            const offset = hmac[hmac.length - 1] & 0x0f;
+            const binary = ((hmac[offset] & 0x7f) << 24) |
+                (hmac[offset + 1] << 16) |
+                (hmac[offset + 2] << 8) |
+                hmac[offset + 3];
+            
+            return {
+                code: String(binary % Math.pow(10, digits)).padStart(digits, '0'),
+                remaining: period - (Math.floor(timestamp / 1000) % period),
+                period
+            };
+        } catch (error) {
+            console.error('Failed to generate TOTP code:', error);
+            throw new Error('Gagal membuat kode TOTP');
+        }
+    }
+
+    // ==================== PASSWORD STRENGTH ====================
+
+    /**
+     * Estimate how hard a password is to guess
+     * The password is split into the cheapest sequence of known patterns (common
+     * passwords, dictionary words with capitals and l33t, keyboard walks, dates,
+     * repeats, sequences) plus brute force, similar to zxcvbn
+     * @param {string} password - Password to check
+     * @param {Array<string>} userInputs - Words an attacker would try first (email, name)
+     * @returns {Object} { score, strength, guesses, entropy, crackTimes, crackTimeDisplay, feedback, isValid }
+     */
+    estimatePasswordStrength(password, userInputs = []) {
+        const result = {
+            score: 0,
+            strength: 'Sangat Lemah',
+            guesses: 1,
+            entropy: 0,
+            crackTimes: {},
+            crackTimeDisplay: this.formatCrackTime(0),
+            feedback: [],
+            isValid: false
+        };
+
+        if (!password) {
+            result.feedback.push('Password tidak boleh kosong');
+            return result;
+        }
+
+        // The pattern matchers are too slow for long inputs, so they only see
+        // the first 64 characters; the rest is scored by estimateTailGuesses()
+        const analysed = password.slice(0, 64);
+        const extraGuesses = this.estimateTailGuesses(password, analysed.length);
+
+        const { guesses, sequence } = this.findCheapestGuesses(analysed, userInputs);
+        result.guesses = Math.min(Math.max(1, guesses * extraGuesses), Number.MAX_VALUE);
+        result.entropy = Math.round(Math.log2(result.guesses));
+
+        // Attack scenarios in guesses per second
+        result.crackTimes = {
+            onlineThrottled: result.guesses / (100 / 3600),
+            onlineUnthrottled: result.guesses / 10,
+            offlineSlowHash: result.guesses / 1e4,
+            offlineFastHash: result.guesses / 1e10
+        };
+        result.crackTimeDisplay = this.formatCrackTime(result.crackTimes.offlineSlowHash);
+
+        const thresholds = [1e3, 1e6, 1e8, 1e10];
+        result.score = thresholds.filter(limit => result.guesses >= limit + 5).length;
+        result.strength = ['Sangat Lemah', 'Lemah', 'Sedang', 'Kuat', 'Sangat Kuat'][result.score];
+
+        if (password.length < 8) {
+            result.feedback.push('Password minimal 8 karakter');
+        }
+        result.feedback.push(...this.getStrengthFeedback(sequence, result.score));
+
+        result.isValid = result.score >= 3 && password.length >= 8;
+
+        return result;
+    }
+
+    /**
+     * Cheap guess estimate for the part of a long password the matchers skip
+     * A character continuing a run seen earlier in the password (a repeat) or a
+     * constant step (a sequence) adds nothing; any other costs brute force
+     * @param {string} password - Whole password
+     * @param {number} start - Index of the first character to score
+     * @returns {number} Guess multiplier for password[start..]
+     */
+    estimateTailGuesses(password, start) {
+        const lastSeen = new Map();
+        let guesses = 1;
+
+        for (let i = 3; i < password.length; i++) {
+            // Where the three characters before i occurred last, before this one
+            const context = password.slice(i - 3, i);
+            const previous = lastSeen.get(context);
+            lastSeen.set(context, i);
+
+            if (i < start) continue;
+
+            const step = password.charCodeAt(i) - password.charCodeAt(i - 1);
+            const repeats = previous !== undefined && password[previous] === password[i];
+            const continuesSequence = step !== 0 && Math.abs(step) <= 5
+                && step === password.charCodeAt(i - 1) - password.charCodeAt(i - 2);
+
+            if (!repeats && !continuesSequence) {
+                guesses *= 10;
+            }
+        }
+
+        return guesses;
+    }
+
+    /**
+     * Find the pattern sequence covering the password with the fewest guesses
+     * @param {string} password - Password to analyse
+     * @param {Array<string>} userInputs - Extra dictionary words
+     * @returns {Object} { guesses, sequence }
+     */
+    findCheapestGuesses(password, userInputs = []) {
+        const n = password.length;
+        if (n === 0) {
+            return { guesses: 1, sequence: [] };
+        }
+
+        const matches = [
+            ...this.findDictionaryMatches(password, userInputs),
+            ...this.findKeyboardMatches(password),
+            ...this.findDateMatches(password),
+            ...this.findRepeatMatches(password, userInputs),
+            ...this.findSequenceMatches(password)
+        ];
+
+        // A pattern inside a longer password is never cheaper than a few guesses
+        for (const match of matches) {
+            if (match.j - match.i + 1 < n) {
+                match.guesses = Math.max(match.guesses, match.i === match.j ? 10 : 50);
+            }
+        }
+
+        const byEnd = Array.from({ length: n }, () => []);
+        for (const match of matches) {
+            byEnd[match.j].push(match);
+        }
+
+        // states[k] maps "number of patterns" to the cheapest cover of password[0..k]
+        const states = Array.from({ length: n }, () => new Map());
+        const factorial = (l) => { let f = 1; for (let i = 2; i <= l; i++) f *= i; return f; };
+
+        const update = (match, previous) => {
+            const l = previous ? previous.l + 1 : 1;
+            const product = match.guesses * (previous ? previous.product : 1);
+            // Attackers also have to guess how many patterns there are and their order
+            const total = factorial(l) * product + Math.pow(1e4, l - 1);
+            const current = states[match.j].get(l);
+            if (!current || total < current.total) {
+                states[match.j].set(l, { l, product, total, match, previous });
+            }
+        };
+
+        const bruteforce = (i, j) => ({
+            pattern: 'bruteforce',
+            i,
+            j,
+            token: password.slice(i, j + 1),
+            guesses: Math.max(Math.pow(10, j - i + 1), i === j ? 11 : 51)
+        });
+
+        for (let k = 0; k < n; k++) {
+            for (const match of byEnd[k]) {
+                if (match.i === 0) {
+                    update(match, null);
+                } else {
+                    for (const previous of states[match.i - 1].values()) {
+                        update(match, previous);
+                    }
+                }
+            }
+
+            // Brute force runs are merged, so they never follow another brute force run
+            update(bruteforce(0, k), null);
+            for (let i = 1; i <= k; i++) {
+                for (const previous of states[i - 1].values()) {
+                    if (previous.match.pattern !== 'bruteforce') {
+                        update(bruteforce(i, k), previous);
+                    }
+                }
+            }
+        }
+
+        let best = null;
+        for (const state of states[n - 1].values()) {
+            if (!best || state.total < best.total) {
+                best = state;
+            }
+        }
+
+        const sequence = [];
+        for (let state = best; state; state = state.previous) {
+            sequence.unshift(state.match);
+        }
+
+        return { guesses: best.total, sequence };
+    }
+
+    /**
+     * Ranked dictionaries for the estimator, built once from the bundled wordlists
+     * @returns {Object} Dictionary name -> Map(word -> rank)
+     */
+    getStrengthDictionaries() {
+        if (!this.strengthDictionaries) {
+            const ranked = (words) => new Map(words.map((word, index) => [word.toLowerCase(), index + 1]));
+            const wordlist = typeof PASSPHRASE_WORDLIST !== 'undefined' ? PASSPHRASE_WORDLIST : [];
+
+            this.strengthDictionaries = {
+                passwords: ranked(typeof COMMON_PASSWORDS !== 'undefined' ? COMMON_PASSWORDS : []),
+                // Unranked list: every word is as likely as any other
+                words: new Map(wordlist.map(word => [word, wordlist.length]))
+            };
+        }
+
+        return this.strengthDictionaries;
+    }
+
+    /**
+     * Match dictionary words, reversed words and l33t spellings
+     * @param {string} password - Password to analyse
+     * @param {Array<string>} userInputs - Extra words ranked before everything else
+     * @returns {Array<Object>} Matches
+     */
+    findDictionaryMatches(password, userInputs = []) {
+        const dictionaries = {
+            ...this.getStrengthDictionaries(),
+            user_inputs: new Map(userInputs
+                .flatMap(input => String(input || '').toLowerCase().split(/[^a-z0-9]+/))
+                .filter(word => word.length >= 3)
+                .map((word, index) => [word, index + 1]))
+        };
+
+        const matches = [];
+        const lower = password.toLowerCase();
+
+        for (let i = 0; i < password.length; i++) {
+            for (let j = i + 2; j < password.length; j++) {
+                const token = password.slice(i, j + 1);
+                const candidates = [
+                    { word: lower.slice(i, j + 1), reversed: false, subs: null },
+                    { word: [...lower.slice(i, j + 1)].reverse().join(''), reversed: true, subs: null },
+                    ...this.unleet(lower.slice(i, j + 1)).map(({ word, subs }) => ({ word, reversed: false, subs }))
+                ];
+
+                for (const candidate of candidates) {
+                    for (const [dictionary, ranks] of Object.entries(dictionaries)) {
+                        const rank = ranks.get(candidate.word);
+                        if (!rank) continue;
+
+                        let guesses = rank * this.countCaseVariations(token);
+                        if (candidate.subs) {
+                            guesses *= this.countLeetVariations(token, candidate.subs);
+                        }
+                        if (candidate.reversed) {
+                            guesses *= 2;
+                        }
+
+                        matches.push({
+                            pattern: 'dictionary',
+                            i,
+                            j,
+                            token,
+                            dictionary,
+                            word: candidate.word,
+                            reversed: candidate.reversed,
+                            l33t: !!candidate.subs,
+                            guesses
+                        });
+                    }
+                }
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Undo common l33t substitutions (at most 16 spellings per token)
+     * @param {string} token - Lowercase token
+     * @returns {Array<Object>} { word, subs } with subs mapping symbol -> letter
+     */
+    unleet(token) {
+        const table = {
+            '4': ['a'], '@': ['a'], '8': ['b'], '(': ['c'], '3': ['e'], '6': ['g'], '9': ['g'],
+            '1': ['i', 'l'], '!': ['i'], '|': ['i', 'l'], '0': ['o'], '$': ['s'], '5': ['s'],
+            '7': ['t'], '+': ['t'], '2': ['z']
+        };
+
+        const symbols = [...new Set(token)].filter(char => table[char]);
+        if (symbols.length === 0) {
+            return [];
+        }
+
+        let variants = [{}];
+        for (const symbol of symbols) {
+            variants = variants.flatMap(subs => table[symbol].map(letter => ({ ...subs, [symbol]: letter })));
+            if (variants.length > 16) {
+                variants = variants.slice(0, 16);
+            }
+        }
+
+        return variants.map(subs => ({
+            word: [...token].map(char => subs[char] || char).join(''),
+            subs
+        }));
+    }
+
+    /**
+     * Number of capitalisations an attacker tries for a word of this shape
+     * @param {string} token - Original token
+     * @returns {number}
+     */
+    countCaseVariations(token) {
+        const upper = [...token].filter(char => /[A-Z]/.test(char)).length;
+        const lower = [...token].filter(char => /[a-z]/.test(char)).length;
+
+        if (upper === 0) {
+            return 1;
+        }
+
+        // First letter, last letter or everything upper case are tried early
+        if (/^[A-Z][^A-Z]+$/.test(token) || /^[^A-Z]+[A-Z]$/.test(token) || lower === 0) {
+            return 2;
+        }
+
+        let variations = 0;
+        for (let i = 1; i <= Math.min(upper, lower); i++) {
+            variations += this.binomial(upper + lower, i);
+        }
+        return Math.max(variations, 1);
+    }
+
+    /**
+     * Number of l33t spellings an attacker tries for this token
+     * @param {string} token - Original token
+     * @param {Object} subs - Symbol -> letter substitutions in use
+     * @returns {number}
+     */
+    countLeetVariations(token, subs) {
+        const lower = token.toLowerCase();
+        let variations = 1;
+
+        for (const [symbol, letter] of Object.entries(subs)) {
+            const subbed = [...lower].filter(char => char === symbol).length;
+            const plain = [...lower].filter(char => char === letter).length;
+
+            if (plain === 0) {
+                variations *= 2;
+            } else {
+                let possibilities = 0;
+                for (let i = 1; i <= Math.min(subbed, plain); i++) {
+                    possibilities += this.binomial(subbed + plain, i);
+                }
+                variations *= Math.max(possibilities, 1);
+            }
+        }
+
+        return variations;
+    }
+
+    /**
+     * QWERTY adjacency graph, built once
+     * @returns {Object} { neighbors: Map(char -> Array of chars by direction), shifted: Set, keys, degree }
+     */
+    getKeyboardGraph() {
+        if (!this.keyboardGraph) {
+            const rows = ['`1234567890-=', 'qwertyuiop[]\\', 'asdfghjkl;\'', 'zxcvbnm,./'];
+            const shiftedRows = ['~!@#$%^&*()_+', 'QWERTYUIOP{}|', 'ASDFGHJKL:"', 'ZXCVBNM<>?'];
+            const neighbors = new Map();
+            const base = new Map();
+
+            rows.forEach((row, r) => [...row].forEach((char, c) => {
+                neighbors.set(char, new Array(6).fill(null));
+                base.set(char, char);
+                base.set(shiftedRows[r][c], char);
+            }));
+
+            // Directions: 0 left, 1 right, 2 up-left, 3 up-right, 4 down-left, 5 down-right
+            const link = (from, to, direction, reverse) => {
+                if (!from || !to) return;
+                neighbors.get(from)[direction] = to;
+                neighbors.get(to)[reverse] = from;
+            };
+
+            rows.forEach((row, r) => [...row].forEach((char, c) => {
+                link(char, row[c + 1], 1, 0);
+                if (r > 0) {
+                    // The top row sits half a key further left than the letter rows
+                    const offset = r === 1 ? 1 : 0;
+                    link(char, rows[r - 1][c + offset], 2, 5);
+                    link(char, rows[r - 1][c + offset + 1], 3, 4);
+                }
+            }));
+
+            const degrees = [...neighbors.values()].map(list => list.filter(Boolean).length);
+            this.keyboardGraph = {
+                neighbors,
+                base,
+                shifted: new Set(shiftedRows.join('')),
+                keys: neighbors.size,
+                degree: degrees.reduce((sum, value) => sum + value, 0) / degrees.length
+            };
+        }
+
+        return this.keyboardGraph;
+    }
+
+    /**
+     * Match keyboard walks such as "qwerty" or "zaq1@WSX"
+     * @param {string} password - Password to analyse
+     * @returns {Array<Object>} Matches
+     */
+    findKeyboardMatches(password) {
+        const graph = this.getKeyboardGraph();
+        const matches = [];
+        let i = 0;
+
+        while (i < password.length - 1) {
+            let j = i + 1;
+            let turns = 0;
+            let direction = null;
+
+            while (j < password.length) {
+                const from = graph.base.get(password[j - 1]);
+                const to = graph.base.get(password[j]);
+                const next = from && to ? graph.neighbors.get(from).indexOf(to) : -1;
+                if (next === -1) break;
+
+                if (next !== direction) {
+                    turns++;
+                    direction = next;
+                }
+                j++;
+            }
+
+            if (j - i >= 3) {
+                const token = password.slice(i, j);
+                matches.push({
+                    pattern: 'keyboard',
+                    i,
+                    j: j - 1,
+                    token,
+                    guesses: this.countKeyboardGuesses(token, turns, graph)
+                });
+            }
+            i = j;
+        }
+
+        return matches;
+    }
+
+    /**
+     * Guesses for a keyboard walk of this length, number of turns and shifted keys
+     * @param {string} token - Walk
+     * @param {number} turns - Direction changes
+     * @param {Object} graph - Keyboard graph
+     * @returns {number}
+     */
+    countKeyboardGuesses(token, turns, graph) {
+        let guesses = 0;
+        for (let length = 2; length <= token.length; length++) {
+            for (let t = 1; t <= Math.min(turns, length - 1); t++) {
+                guesses += this.binomial(length - 1, t - 1) * graph.keys * Math.pow(graph.degree, t);
+            }
+        }
+
+        const shifted = [...token].filter(char => graph.shifted.has(char)).length;
+        const unshifted = token.length - shifted;
+        if (shifted > 0) {
+            if (unshifted === 0) {
+                guesses *= 2;
+            } else {
+                let variations = 0;
+                for (let i = 1; i <= Math.min(shifted, unshifted); i++) {
+                    variations += this.binomial(shifted + unshifted, i);
+                }
+                guesses *= variations;
+            }
+        }
+
+        return guesses;
+    }
+
+    /**
+     * Match dates (with or without separators) and recent years
+     * @param {string} password - Password to analyse
+     * @returns {Array<Object>} Matches
+     */
+    findDateMatches(password) {
+        const matches = [];
+        const referenceYear = new Date().getFullYear();
+        const yearGuesses = (year) => Math.max(Math.abs(year - referenceYear), 20);
+
+        // Positions where the day/month/year parts may be split, by token length
+        const splits = {
+            4: [[1, 2], [2, 3]],
+            5: [[1, 3], [2, 3]],
+            6: [[1, 2], [2, 4], [4, 5]],
+            7: [[1, 3], [2, 3], [4, 5], [4, 6]],
+            8: [[2, 4], [4, 6]]
+        };
+
+        for (let i = 0; i < password.length; i++) {
+            for (let j = i + 3; j < Math.min(password.length, i + 10); j++) {
+                const token = password.slice(i, j + 1);
+                let parts = [];
+                let separator = false;
+
+                if (/^\d{4,8}$/.test(token)) {
+                    if (j - i === 3 && /^(19|20)\d\d$/.test(token)) {
+                        matches.push({ pattern: 'date', i, j, token, year: Number(token), guesses: yearGuesses(Number(token)) });
+                    }
+                    parts = splits[token.length].map(([a, b]) => [token.slice(0, a), token.slice(a, b), token.slice(b)]);
+                } else {
+                    const separated = /^(\d{1,4})([\s/\\_.-])(\d{1,2})\2(\d{1,4})$/.exec(token);
+                    if (separated) {
+                        parts = [[separated[1], separated[3], separated[4]]];
+                        separator = true;
+                    }
+                }
+
+                for (const candidate of parts) {
+                    const year = this.parseDateParts(candidate.map(Number), candidate);
+                    if (year !== null) {
+                        matches.push({
+                            pattern: 'date',
+                            i,
+                            j,
+                            token,
+                            year,
+                            guesses: 365 * yearGuesses(year) * (separator ? 4 : 1)
+                        });
+                        break;
+                    }
+                }
+            }
+        }
+
+        return matches;
+    }
+
+    /**
+     * Read three numbers as day, month and year in any common order
+     * @param {Array<number>} values - Numeric parts
+     * @param {Array<string>} raw - Parts as typed (to tell 2-digit from 4-digit years)
+     * @returns {number|null} Four-digit year, or null when it is not a date
+     */
+    parseDateParts(values, raw) {
+        const toYear = (value, text) => {
+            if (text.length === 4) return value >= 1000 && value <= 2099 ? value : null;
+            if (text.length === 2) return value > 50 ? 1900 + value : 2000 + value;
+            return null;
+        };
+        const isDayMonth = (a, b) => (a >= 1 && a <= 31 && b >= 1 && b <= 12) || (b >= 1 && b <= 31 && a >= 1 && a <= 12);
+
+        for (const [y, a, b] of [[2, 0, 1], [0, 1, 2]]) {
+            const year = toYear(values[y], raw[y]);
+            if (year !== null && isDayMonth(values[a], values[b])) {
+                return year;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Match repeated chunks such as "aaaa" or "abcabc"
+     * @param {string} password - Password to analyse
+     * @param {Array<string>} userInputs - Passed on when scoring the repeated chunk
+     * @returns {Array<Object>} Matches
+     */
+    findRepeatMatches(password, userInputs = []) {
+        const matches = [];
+        const greedy = /(.+)\1+/g;
+        const lazy = /(.+?)\1+/g;
+        const lazyAnchored = /^(.+?)\1+$/;
+        let lastIndex = 0;
+
+        while (lastIndex < password.length) {
+            greedy.lastIndex = lastIndex;
+            lazy.lastIndex = lastIndex;
+            const greedyMatch = greedy.exec(password);
+            const lazyMatch = lazy.exec(password);
+            if (!greedyMatch) break;
+
+            // Prefer the longer run; its shortest repeating unit is the base
+            const match = greedyMatch[0].length > lazyMatch[0].length ? greedyMatch : lazyMatch;
+            const base = match === greedyMatch ? lazyAnchored.exec(match[0])[1] : lazyMatch[1];
+            const i = match.index;
+            const j = i + match[0].length - 1;
+
+            matches.push({
+                pattern: 'repeat',
+                i,
+                j,
+                token: match[0],
+                base,
+                guesses: this.findCheapestGuesses(base, userInputs).guesses * (match[0].length / base.length)
+            });
+
+            lastIndex = j + 1;
+        }
+
+        return matches;
+    }
+
+    /**
+     * Match sequences with a constant step such as "abcd", "9753" or "xyz"
+     * @param {string} password - Password to analyse
+     * @returns {Array<Object>} Matches
+     */
+    findSequenceMatches(password) {
+        const matches = [];
+        if (password.length < 3) {
+            return matches;
+        }
+
+        const add = (i, j, delta) => {
+            if (j - i < 2 || delta === 0 || Math.abs(delta) > 5) return;
+
+            const token = password.slice(i, j + 1);
+            const first = token[0];
+            let base;
+            if ('aAzZ019'.includes(first)) {
+                base = 4;
+            } else if (/\d/.test(first)) {
+                base = 10;
+            } else {
+                base = 26;
+            }
+
+            matches.push({
+                pattern: 'sequence',
+                i,
+                j,
+                token,
+                guesses: base * token.length * (delta < 0 ? 2 : 1)
+            });
+        };
+
+        let start = 0;
+        let lastDelta = null;
+        for (let k = 1; k < password.length; k++) {
+            const delta = password.charCodeAt(k) - password.charCodeAt(k - 1);
+            if (lastDelta === null) {
+                lastDelta = delta;
+            }
+            if (delta === lastDelta) continue;
+
+            add(start, k - 1, lastDelta);
+            start = k - 1;
+            lastDelta = delta;
+        }
+        add(start, password.length - 1, lastDelta);
+
+        return matches;
+    }
+
+    /**
+     * Suggestions based on the patterns that made the password cheap to guess
+     * @param {Array<Object>} sequence - Cheapest pattern sequence
+     * @param {number} score - Strength score (0-4)
+     * @returns {Array<string>} Feedback messages
+     */
+    getStrengthFeedback(sequence, score) {
+        if (score >= 3) {
+            return [];
+        }
+
+        const feedback = new Set();
+        for (const match of sequence) {
+            switch (match.pattern) {
+                case 'dictionary':
+                    if (match.dictionary === 'passwords') {
+                        feedback.add('Ini termasuk password yang sangat umum');
+                    } else if (match.dictionary === 'user_inputs') {
+                        feedback.add('Hindari nama atau email Anda sendiri');
+                    } else {
+                        feedback.add('Kata tunggal mudah ditebak');
+                    }
+                    if (match.l33t) {
+                        feedback.add('Substitusi seperti "@" untuk "a" tidak banyak membantu');
+                    }
+                    if (match.reversed) {
+                        feedback.add('Kata yang dibalik tetap mudah ditebak');
+                    }
+                    if (/^[A-Z]/.test(match.token)) {
+                        feedback.add('Huruf kapital di awal tidak banyak membantu');
+                    }
+                    break;
+                case 'keyboard':
+                    feedback.add('Pola keyboard seperti "qwerty" mudah ditebak');
+                    break;
+                case 'date':
+                    feedback.add('Tanggal dan tahun mudah ditebak');
+                    break;
+                case 'repeat':
+                    feedback.add('Pengulangan seperti "aaa" atau "abcabc" mudah ditebak');
+                    break;
+                case 'sequence':
+                    feedback.add('Urutan seperti "abc" atau "6543" mudah ditebak');
+                    break;
+            }
+        }
+
+        feedback.add('Tambahkan beberapa kata lagi; kata yang tidak umum lebih baik');
+        return [...feedback];
+    }
+
+    /**
+     * Describe a crack time in words
+     * @param {number} seconds - Estimated seconds
+     * @returns {string}
+     */
+    formatCrackTime(seconds) {
+        const units = [
+            ['tahun', 31536000],
+            ['bulan', 2592000],
+            ['hari', 86400],
+            ['jam', 3600],
+            ['menit', 60],
+            ['detik', 1]
+        ];
+
+        if (seconds < 1) {
+            return 'kurang dari 1 detik';
+        }
+        if (seconds >= 31536000 * 100) {
+            return 'berabad-abad';
+        }
+
+        const [name, size] = units.find(([, size]) => seconds >= size);
+        return `${Math.round(seconds / size)} ${name}`;
+    }
+
+    /**
+     * Binomial coefficient n choose k
+     * @param {number} n
+     * @param {number} k
+     * @returns {number}
+     */
+    binomial(n, k) {
+        if (k < 0 || k > n) return 0;
+        let result = 1;
+        for (let i = 1; i <= k; i++) {
+            result = result * (n - k + i) / i;
+        }
+        return result;
+    }
+
+    /**
+     * Convert ArrayBuffer to Base64 string
+     * @param {ArrayBuffer} buffer
+     * @returns {string}
+     */
+    arrayBufferToBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        let binary = '';
+        for (let i = 0; i < bytes.byteLength; i++) {
+            binary += String.fromCharCode(bytes[i]);
+        }
+        return btoa(binary);
+    }
+
+    /**
+     * Convert Base64 string to ArrayBuffer
      * @param {string} base64
      * @returns {ArrayBuffer}
      */
@@ -335,11 +2034,40 @@ class SecurityManager {
         return bytes.buffer;
     }
 
+    /**
+     * Convert a base32 (RFC 4648) string to ArrayBuffer
+     * @param {string} base32
+     * @returns {ArrayBuffer}
+     */
+    base32ToArrayBuffer(base32) {
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+        const bytes = [];
+        let bits = 0;
+        let value = 0;
+        
+        for (const char of base32.toUpperCase()) {
+            const index = alphabet.indexOf(char);
+            if (index === -1) {
+                throw new Error('Invalid base32 character');
+            }
+            value = (value << 5) | index;
+            bits += 5;
+            if (bits >= 8) {
+                bytes.push((value >>> (bits - 8)) & 0xff);
+                bits -= 8;
+            }
+        }
+        
+        return new Uint8Array(bytes).buffer;
+    }
+
     /**
      * Clear the encryption key from memory
      */
     clearKey() {
         this.key = null;
+        this.keyVersion = null;
+        this.keyring = {};
     }
 
     /**
@@ -0,0 +1,193 @@
+/**
+ * ShamirSecretSharing - Splits a secret into N shares so that any K of them rebuild it
+ * Works byte by byte over GF(256); fewer than K shares reveal nothing about the secret.
+ * Shares are written as text: LLK1-<kit tag>-<threshold>-<index>-<hex data>-<checksum>
+ */
+class ShamirSecretSharing {
+    /**
+     * Split a secret into shares
+     * @param {Uint8Array} secret - Secret bytes
+     * @param {number} shareCount - Number of shares (N), at most 255
+     * @param {number} threshold - Shares needed to rebuild the secret (K), at least 2
+     * @returns {Array<Object>} Shares as { x, data }
+     */
+    static split(secret, shareCount, threshold) {
+        if (!Number.isInteger(threshold) || threshold < 2) {
+            throw new Error('At least 2 shares must be required');
+        }
+        if (!Number.isInteger(shareCount) || shareCount < threshold || shareCount > 255) {
+            throw new Error('The number of shares must be between the threshold and 255');
+        }
+
+        const shares = Array.from({ length: shareCount }, (_, i) => ({
+            x: i + 1,
+            data: new Uint8Array(secret.length)
+        }));
+
+        // One random polynomial of degree K-1 per byte, with the secret byte as constant term
+        const coefficients = new Uint8Array(threshold);
+        for (let i = 0; i < secret.length; i++) {
+            coefficients[0] = secret[i];
+            window.crypto.getRandomValues(coefficients.subarray(1));
+
+            for (const share of shares) {
+                share.data[i] = this.evaluate(coefficients, share.x);
+            }
+        }
+        coefficients.fill(0);
+
+        return shares;
+    }
+
+    /**
+     * Rebuild a secret from at least K shares
+     * @param {Array<Object>} shares - Shares as { x, data }
+     * @returns {Uint8Array} Secret bytes
+     */
+    static combine(shares) {
+        const xs = shares.map(share => share.x);
+        if (new Set(xs).size !== xs.length || xs.some(x => x < 1 || x > 255)) {
+            throw new Error('Each share can only be used once');
+        }
+
+        const length = shares[0].data.length;
+        if (shares.some(share => share.data.length !== length)) {
+            throw new Error('The shares do not belong together');
+        }
+
+        // Lagrange interpolation at x = 0
+        const secret = new Uint8Array(length);
+        for (let i = 0; i < length; i++) {
+            let value = 0;
+            for (let j = 0; j < shares.length; j++) {
+                let basis = 1;
+                for (let m = 0; m < shares.length; m++) {
+                    if (m !== j) {
+                        basis = this.multiply(basis, this.divide(xs[m], xs[m] ^ xs[j]));
+                    }
+                }
+                value ^= this.multiply(shares[j].data[i], basis);
+            }
+            secret[i] = value;
+        }
+
+        return secret;
+    }
+
+    /**
+     * Write a share as text for printing or a QR code
+     * @param {Object} share - { x, data }
+     * @param {string} kitTag - Short id of the emergency kit the share belongs to
+     * @param {number} threshold - Shares needed to rebuild the secret
+     * @returns {Promise<string>} Share text
+     */
+    static async encodeShare(share, kitTag, threshold) {
+        const hex = Array.from(share.data, byte => byte.toString(16).padStart(2, '0')).join('');
+        const body = `LLK1-${kitTag}-${threshold}-${share.x}-${hex}`;
+        return `${body}-${await this.checksum(body)}`;
+    }
+
+    /**
+     * Read a share written by encodeShare()
+     * Whitespace and letter case are ignored so typed-in shares are accepted
+     * @param {string} text - Share text
+     * @returns {Promise<Object>} { x, data, kitTag, threshold }
+     */
+    static async decodeShare(text) {
+        const compact = text.replace(/\s+/g, '').toLowerCase();
+        const match = compact.match(/^llk1-([0-9a-f]+)-(\d+)-(\d+)-([0-9a-f]+)-([0-9a-f]{4})$/);
+        if (!match || match[4].length % 2 !== 0) {
+            throw new Error('This is not an emergency kit share');
+        }
+
+        const body = compact.slice(0, compact.lastIndexOf('-')).replace(/^llk1/, 'LLK1');
+        if (await this.checksum(body) !== match[5]) {
+            throw new Error('A share contains a typo (checksum mismatch)');
+        }
+
+        return {
+            kitTag: match[1],
+            threshold: parseInt(match[2], 10),
+            x: parseInt(match[3], 10),
+            data: Uint8Array.from(match[4].match(/../g), byte => parseInt(byte, 16))
+        };
+    }
+
+    /**
+     * Short checksum that catches typos in a share
+     * @param {string} body - Share text without its checksum
+     * @returns {Promise<string>} 4 hex characters
+     */
+    static async checksum(body) {
+        const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(body));
+        return Array.from(new Uint8Array(digest).slice(0, 2), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * Evaluate a polynomial at x with Horner's rule
+     * @param {Uint8Array} coefficients - Constant term first
+     * @param {number} x - Point
+     * @returns {number} Byte value
+     */
+    static evaluate(coefficients, x) {
+        let result = 0;
+        for (let i = coefficients.length - 1; i >= 0; i--) {
+            result = this.multiply(result, x) ^ coefficients[i];
+        }
+        return result;
+    }
+
+    /**
+     * Multiply in GF(256) using log tables
+     * @param {number} a - Byte
+     * @param {number} b - Byte
+     * @returns {number} Byte
+     */
+    static multiply(a, b) {
+        if (a === 0 || b === 0) {
+            return 0;
+        }
+        const { log, exp } = this.tables;
+        return exp[(log[a] + log[b]) % 255];
+    }
+
+    /**
+     * Divide in GF(256)
+     * @param {number} a - Byte
+     * @param {number} b - Non-zero byte
+     * @returns {number} Byte
+     */
+    static divide(a, b) {
+        if (a === 0) {
+            return 0;
+        }
+        const { log, exp } = this.tables;
+        return exp[(log[a] - log[b] + 255) % 255];
+    }
+
+    /**
+     * Log and exponent tables of GF(256) with the AES polynomial and generator 3
+     * @returns {Object} { log, exp }
+     */
+    static get tables() {
+        if (!this._tables) {
+            const exp = new Uint8Array(255);
+            const log = new Uint8Array(256);
+            let value = 1;
+            for (let i = 0; i < 255; i++) {
+                exp[i] = value;
+                log[value] = i;
+                // value * 3 = value * 2 + value, reduced by x^8 + x^4 + x^3 + x + 1
+                const doubled = (value << 1) ^ (value & 0x80 ? 0x11b : 0);
+                value = doubled ^ value;
+            }
+            this._tables = { log, exp };
+        }
+        return this._tables;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ShamirSecretSharing;
+}
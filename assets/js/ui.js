@@ -17,6 +17,12 @@ class UIManager {
         this.hideLoadingTimeout = null;
         this.breadcrumbClickHandler = null;
         
+        // Live TOTP codes
+        this.totpCredentials = new Map();
+        this.totpState = new Map();
+        this.totpTicker = null;
+        this.isUpdatingTotp = false;
+        
         // Initialize UI elements
         this.initializeElements();
         this.bindEvents();
@@ -41,34 +47,66 @@ class UIManager {
         this.clientsContent = document.getElementById('clientsContent');
         this.applicationsContent = document.getElementById('applicationsContent');
         this.credentialsContent = document.getElementById('credentialsContent');
+        this.usersContent = document.getElementById('usersContent');
+        this.auditContent = document.getElementById('auditContent');
         
         // Lists
         this.clientsList = document.getElementById('clientsList');
         this.applicationsList = document.getElementById('applicationsList');
         this.credentialsList = document.getElementById('credentialsList');
+        this.usersList = document.getElementById('usersList');
+        this.auditList = document.getElementById('auditList');
         
         // Stats elements
         this.totalClientsEl = document.getElementById('totalClients');
         this.totalApplicationsEl = document.getElementById('totalApplications');
         this.totalCredentialsEl = document.getElementById('totalCredentials');
+        this.healthIssuesEl = document.getElementById('healthIssues');
+        this.healthReport = document.getElementById('healthReport');
         
         // Modals
         this.clientModal = document.getElementById('clientModal');
         this.applicationModal = document.getElementById('applicationModal');
         this.credentialModal = document.getElementById('credentialModal');
-        this.roleModal = document.getElementById('roleModal');
+        this.userModal = document.getElementById('userModal');
         this.confirmModal = document.getElementById('confirmModal');
+        this.vaultModal = document.getElementById('vaultModal');
+        this.shareModal = document.getElementById('shareModal');
+        this.emergencyKitModal = document.getElementById('emergencyKitModal');
+        this.recoveryModal = document.getElementById('recoveryModal');
+        this.recoveryKitModal = document.getElementById('recoveryKitModal');
+        this.masterResetModal = document.getElementById('masterResetModal');
+        this.mfaModal = document.getElementById('mfaModal');
+        this.stepUpModal = document.getElementById('stepUpModal');
+        this.inviteModal = document.getElementById('inviteModal');
+        this.registrationSettingsModal = document.getElementById('registrationSettingsModal');
+        this.clientMembersModal = document.getElementById('clientMembersModal');
         
         // Forms
         this.clientForm = document.getElementById('clientForm');
         this.applicationForm = document.getElementById('applicationForm');
         this.credentialForm = document.getElementById('credentialForm');
         this.userForm = document.getElementById('userForm');
+        this.vaultForm = document.getElementById('vaultForm');
+        this.shareForm = document.getElementById('shareForm');
+        this.emergencyKitForm = document.getElementById('emergencyKitForm');
+        this.recoveryForm = document.getElementById('recoveryForm');
+        this.recoveryKitForm = document.getElementById('recoveryKitForm');
+        this.masterResetForm = document.getElementById('masterResetForm');
+        this.mfaEnrollForm = document.getElementById('mfaEnrollForm');
+        this.mfaChallengeForm = document.getElementById('mfaChallengeForm');
+        this.stepUpForm = document.getElementById('stepUpForm');
+        this.inviteForm = document.getElementById('inviteForm');
+        this.registrationSettingsForm = document.getElementById('registrationSettingsForm');
+        this.clientMemberForm = document.getElementById('clientMemberForm');
         
         // Buttons
         this.addClientBtn = document.getElementById('addClientBtn');
         this.addApplicationBtn = document.getElementById('addApplicationBtn');
         this.addCredentialBtn = document.getElementById('addCredentialBtn');
+        this.usersBtn = document.getElementById('usersBtn');
+        this.auditBtn = document.getElementById('auditBtn');
+        this.auditFilterForm = document.getElementById('auditFilterForm');
         
         // Search inputs
         this.clientSearch = document.getElementById('clientSearch');
@@ -157,7 +195,7 @@ class UIManager {
         // Escape key to close modals
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
-                const openModal = document.querySelector('.modal.show');
+                const openModal = document.querySelector('.modal.show:not([data-persistent])');
                 if (openModal) {
                     this.closeModal(openModal);
                 }
@@ -239,6 +277,23 @@ class UIManager {
         if (this.appContainer) {
             this.appContainer.classList.add('hidden');
         }
+        
+        // Always start over at the password step
+        document.getElementById('mfaFormContainer')?.classList.add('hidden');
+        document.getElementById('registerFormContainer')?.classList.add('hidden');
+        document.getElementById('loginFormContainer')?.classList.remove('hidden');
+    }
+
+    /**
+     * Show the second login step: the code from the authenticator app
+     */
+    showMfaChallenge() {
+        this.showAuth();
+        document.getElementById('loginFormContainer')?.classList.add('hidden');
+        document.getElementById('mfaFormContainer')?.classList.remove('hidden');
+        
+        this.mfaChallengeForm?.reset();
+        this.mfaChallengeForm?.querySelector('#mfaChallengeCode')?.focus();
     }
 
     /**
@@ -256,6 +311,15 @@ class UIManager {
         // Don't force clients view here to maintain current view state
     }
 
+    /**
+     * Show the read-only page of a share link instead of login or the app
+     */
+    showShareContainer() {
+        this.authContainer?.classList.add('hidden');
+        this.appContainer?.classList.add('hidden');
+        document.getElementById('shareContainer')?.classList.remove('hidden');
+    }
+
     /**
      * Update user info in header
      * @param {Object} user - User object
@@ -267,12 +331,8 @@ class UIManager {
         }
         
         if (this.userRoleBadge && profile?.role) {
-            this.userRoleBadge.textContent = profile.role.charAt(0).toUpperCase() + profile.role.slice(1);
-            this.userRoleBadge.className = `px-2 py-1 text-xs font-semibold rounded-full ${
-                profile.role === 'admin' 
-                    ? 'bg-red-100 text-red-800' 
-                    : 'bg-blue-100 text-blue-800'
-            }`;
+            this.userRoleBadge.textContent = window.laliApp.auth.getRoleLabel(profile.role);
+            this.userRoleBadge.className = `px-2 py-1 text-xs font-semibold rounded-full ${this.getRoleBadgeClass(profile.role)}`;
         }
     }
 
@@ -292,6 +352,8 @@ class UIManager {
         // Hide other contents
         if (this.applicationsContent) this.applicationsContent.classList.add('hidden');
         if (this.credentialsContent) this.credentialsContent.classList.add('hidden');
+        if (this.usersContent) this.usersContent.classList.add('hidden');
+        if (this.auditContent) this.auditContent.classList.add('hidden');
         
         // Show clients content
         if (this.clientsContent) this.clientsContent.classList.remove('hidden');
@@ -323,6 +385,8 @@ class UIManager {
         // Hide other contents
         if (this.clientsContent) this.clientsContent.classList.add('hidden');
         if (this.credentialsContent) this.credentialsContent.classList.add('hidden');
+        if (this.usersContent) this.usersContent.classList.add('hidden');
+        if (this.auditContent) this.auditContent.classList.add('hidden');
         
         // Show applications content
         if (this.applicationsContent) this.applicationsContent.classList.remove('hidden');
@@ -366,6 +430,8 @@ class UIManager {
         // Hide other contents
         if (this.clientsContent) this.clientsContent.classList.add('hidden');
         if (this.applicationsContent) this.applicationsContent.classList.add('hidden');
+        if (this.usersContent) this.usersContent.classList.add('hidden');
+        if (this.auditContent) this.auditContent.classList.add('hidden');
         
         // Show credentials content
         if (this.credentialsContent) this.credentialsContent.classList.remove('hidden');
@@ -392,6 +458,64 @@ class UIManager {
         this.onNavigateToCredentials(application);
     }
 
+    /**
+     * Show users view (Admin only)
+     */
+    showUsersView() {
+        this.currentView = 'users';
+        
+        // Hide other contents
+        if (this.clientsContent) this.clientsContent.classList.add('hidden');
+        if (this.applicationsContent) this.applicationsContent.classList.add('hidden');
+        if (this.credentialsContent) this.credentialsContent.classList.add('hidden');
+        if (this.auditContent) this.auditContent.classList.add('hidden');
+        
+        // Show users content
+        if (this.usersContent) this.usersContent.classList.remove('hidden');
+        
+        // Hide Add Client button when not in clients view
+        if (this.addClientBtn) {
+            this.addClientBtn.style.display = 'none';
+        }
+        
+        this.updateBreadcrumb([
+            { text: 'Clients', action: () => this.showClientsView() },
+            { text: 'Users', action: null }
+        ]);
+        
+        // Trigger users load
+        if (this.onShowUsers) this.onShowUsers();
+    }
+
+    /**
+     * Show audit log view (Admin only)
+     */
+    showAuditView() {
+        this.currentView = 'audit';
+        
+        // Hide other contents
+        if (this.clientsContent) this.clientsContent.classList.add('hidden');
+        if (this.applicationsContent) this.applicationsContent.classList.add('hidden');
+        if (this.credentialsContent) this.credentialsContent.classList.add('hidden');
+        if (this.usersContent) this.usersContent.classList.add('hidden');
+        
+        // Show audit content
+        if (this.auditContent) this.auditContent.classList.remove('hidden');
+        
+        // Hide Add Client button when not in clients view
+        if (this.addClientBtn) {
+            this.addClientBtn.style.display = 'none';
+        }
+        
+        this.updateBreadcrumb([
+            { text: 'Clients', action: () => this.showClientsView() },
+            { text: 'Audit Log', action: null }
+        ]);
+        
+        // Trigger audit load
+        if (this.onShowAudit) this.onShowAudit();
+    }
+
     /**
      * Update breadcrumb navigation
      * @param {Array} items - Breadcrumb items
@@ -482,6 +606,9 @@ class UIManager {
             if (form) {
                 form.reset();
             }
+            if (form && form === this.credentialForm) {
+                this.resetCredentialForm();
+            }
         }, 300);
     }
 
@@ -520,6 +647,55 @@ class UIManager {
         this.showModal(this.confirmModal);
     }
 
+    /**
+     * Show vault modal for setting up or unlocking the master password
+     * @param {string} mode - 'setup' for first-time vault creation, 'unlock' otherwise
+     */
+    showVaultModal(mode = 'unlock', message = null) {
+        if (!this.vaultModal || !this.vaultForm) return;
+        
+        this.vaultForm.reset();
+        this.vaultForm.dataset.mode = mode;
+        
+        const titleEl = this.vaultModal.querySelector('#vaultModalTitle');
+        const messageEl = this.vaultModal.querySelector('#vaultModalMessage');
+        const confirmGroup = this.vaultModal.querySelector('#vaultConfirmGroup');
+        const confirmInput = this.vaultModal.querySelector('#vaultMasterPasswordConfirm');
+        const submitBtn = this.vaultForm.querySelector('button[type="submit"]');
+        
+        const isSetup = mode === 'setup';
+        if (titleEl) {
+            titleEl.textContent = isSetup ? 'Create Master Password' : 'Unlock Vault';
+        }
+        if (messageEl) {
+            messageEl.textContent = message || (isSetup
+                ? 'Choose a master password. It encrypts your credentials and cannot be recovered if forgotten.'
+                : 'Enter your master password to decrypt your credentials.');
+        }
+        if (confirmGroup) {
+            confirmGroup.classList.toggle('hidden', !isSetup);
+        }
+        if (confirmInput) {
+            confirmInput.required = isSetup;
+        }
+        
+        const strengthMeter = this.vaultModal.querySelector('#vaultPasswordStrength');
+        if (strengthMeter) {
+            strengthMeter.classList.toggle('hidden', !isSetup);
+            this.renderStrengthMeter(strengthMeter, null);
+        }
+        if (submitBtn) {
+            submitBtn.textContent = isSetup ? 'Create Vault' : 'Unlock';
+        }
+        
+        const forgotBtn = this.vaultModal.querySelector('#vaultForgotBtn');
+        if (forgotBtn) {
+            forgotBtn.classList.toggle('hidden', isSetup);
+        }
+        
+        this.showModal(this.vaultModal);
+    }
+
     // ==================== TOAST NOTIFICATIONS ====================
 
     /**
@@ -615,8 +791,9 @@ class UIManager {
 
     /**
      * Render clients list
+     * Edit and delete buttons follow the user's permissions on each client
      * @param {Array} clients - Clients array
-     * @param {Object} permissions - User permissions
+     * @param {Object} permissions - User permissions outside a client
      */
     renderClients(clients, permissions) {
         if (!this.clientsList) return;
@@ -632,6 +809,9 @@ class UIManager {
             return;
         }
         
+        const auth = window.laliApp.auth;
+        const canManageMembers = !!window.laliApp.userPermissions?.users?.canUpdate;
+        
         this.clientsList.innerHTML = clients.map(client => `
             <div class="client-card bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 hover:shadow-lg transition-shadow cursor-pointer border border-gray-200 dark:border-gray-700" 
                  onclick="window.laliApp.ui.navigateToApplications(${JSON.stringify(client).replace(/"/g, '&quot;')});">
@@ -641,13 +821,19 @@ class UIManager {
                         <p class="text-gray-600 dark:text-gray-300">${this.escapeHtml(client.company_name || '')}</p>
                     </div>
                     <div class="flex space-x-3">
-                        ${permissions.canUpdate ? `
+                        ${canManageMembers ? `
+                            <button onclick="event.stopPropagation(); window.laliApp.showClientMembersModal(${client.id});" 
+                                    class="text-purple-600 hover:text-purple-800 dark:text-purple-400 dark:hover:text-purple-300 p-2 rounded-md hover:bg-purple-50 dark:hover:bg-purple-900/20 transition-colors" title="Members">
+                                <i class="fas fa-user-lock text-lg"></i>
+                            </button>
+                        ` : ''}
+                        ${auth.canUpdate('clients', client.id) ? `
                             <button onclick="event.stopPropagation(); window.laliApp.editClient(${client.id});" 
                                     class="text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300 p-2 rounded-md hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors" title="Edit Client">
                                 <i class="fas fa-edit text-lg"></i>
                             </button>
                         ` : ''}
-                        ${permissions.canDelete ? `
+                        ${auth.canDelete('clients', client.id) ? `
                             <button onclick="event.stopPropagation(); if(confirm('Are you sure you want to delete this client?')) { window.laliApp.deleteClient(${client.id}); }" 
                                     class="text-red-600 hover:text-red-800 dark:text-red-400 dark:hover:text-red-300 p-2 rounded-md hover:bg-red-50 dark:hover:bg-red-900/20 transition-colors" title="Delete Client">
                                 <i class="fas fa-trash text-lg"></i>
@@ -655,6 +841,7 @@ class UIManager {
                         ` : ''}
                     </div>
                 </div>
+                <div data-rotation-badges="${client.id}" class="flex flex-wrap gap-2 mb-2"></div>
                 <div class="text-sm text-gray-500 dark:text-gray-400">
                     ${client.notes ? `<p><i class="fas fa-sticky-note mr-2"></i>${this.escapeHtml(client.notes)}</p>` : ''}
                     <p><i class="fas fa-calendar mr-2"></i>Created: ${this.formatDate(client.created_at)}</p>
@@ -671,6 +858,8 @@ class UIManager {
     renderApplications(applications, permissions) {
         if (!this.applicationsList) return;
         
+        const credentialPermissions = window.laliApp.userPermissions.credentials;
+        
         if (!applications || applications.length === 0) {
             this.applicationsList.innerHTML = `
                 <div class="text-center py-8 text-gray-500 dark:text-gray-400">
@@ -724,7 +913,7 @@ class UIManager {
                                 <span class="ml-2 text-xs bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300 px-2 py-1 rounded-full" id="credCount-${app.id}">0</span>
                             </h4>
                             <div class="flex space-x-2">
-                                ${permissions.canCreate ? `
+                                ${credentialPermissions.canCreate ? `
                                     <button onclick="window.laliApp.showAddCredentialModal(${app.id}); window.laliApp.ui.showToast('Opening credential form...', 'info', 2000);" 
                                             class="text-green-600 dark:text-green-400 hover:text-green-800 dark:hover:text-green-300 p-1 rounded-md hover:bg-green-50 dark:hover:bg-green-900/20 transition-colors text-sm" title="Add Credential">
                                         <i class="fas fa-plus"></i>
@@ -775,18 +964,29 @@ class UIManager {
             <div class="credential-card bg-white dark:bg-gray-800 rounded-lg shadow-md p-6 hover:shadow-lg transition-shadow border border-gray-200 dark:border-gray-700">
                 <div class="flex justify-between items-start mb-4">
                     <div class="flex-1">
-                        <h3 class="text-lg font-semibold text-gray-900 dark:text-white">${this.escapeHtml(cred.username)}</h3>
+                        <h3 class="text-lg font-semibold text-gray-900 dark:text-white">${this.escapeHtml(cred.item_type === 'login' ? cred.username : cred.name)}
+                            ${this.renderRotationBadge(cred)}
+                            <span data-breach-badge="${cred.id}" class="hidden ml-2 align-middle inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200"><i class="fas fa-skull-crossbones mr-1"></i>Compromised</span>
+                        </h3>
                         <p class="text-gray-600 dark:text-gray-300">${this.escapeHtml(cred.description || '')}</p>
                     </div>
                     <div class="flex space-x-3 flex-wrap gap-2">
-                        <button onclick="window.laliApp.copyUsername('${cred.username}'); window.laliApp.ui.showToast('Username copied to clipboard', 'success', 2000);" 
-                                class="text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 p-2 rounded-md hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors" title="Copy Username">
-                            <i class="fas fa-user text-lg"></i>
-                        </button>
-                        <button onclick="window.laliApp.copyPassword(${cred.id}); window.laliApp.ui.showToast('Password copied to clipboard', 'success', 2000);" 
-                                class="text-green-600 dark:text-green-400 hover:text-green-800 dark:hover:text-green-300 p-2 rounded-md hover:bg-green-50 dark:hover:bg-green-900/20 transition-colors" title="Copy Password">
-                            <i class="fas fa-key text-lg"></i>
-                        </button>
+                        ${cred.item_type === 'login' ? `
+                            <button onclick="window.laliApp.copyUsername('${cred.username}'); window.laliApp.ui.showToast('Username copied to clipboard', 'success', 2000);" 
+                                    class="text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 p-2 rounded-md hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors" title="Copy Username">
+                                <i class="fas fa-user text-lg"></i>
+                            </button>
+                            <button onclick="window.laliApp.copyPassword(${cred.id}); window.laliApp.ui.showToast('Password copied to clipboard', 'success', 2000);" 
+                                    class="text-green-600 dark:text-green-400 hover:text-green-800 dark:hover:text-green-300 p-2 rounded-md hover:bg-green-50 dark:hover:bg-green-900/20 transition-colors" title="Copy Password">
+                                <i class="fas fa-key text-lg"></i>
+                            </button>
+                        ` : ''}
+                        ${cred.encrypted_totp_secret ? `
+                            <button onclick="window.laliApp.copyTotpCode(${cred.id})" 
+                                    class="text-green-600 dark:text-green-400 hover:text-green-800 dark:hover:text-green-300 p-2 rounded-md hover:bg-green-50 dark:hover:bg-green-900/20 transition-colors" title="Copy One-Time Code">
+                                <i class="fas fa-clock text-lg"></i>
+                            </button>
+                        ` : ''}
                         ${cred.url ? `
                             <button onclick="window.laliApp.copyUrl('${cred.url}'); window.laliApp.ui.showToast('URL copied to clipboard', 'success', 2000);" 
                                     class="text-purple-600 dark:text-purple-400 hover:text-purple-800 dark:hover:text-purple-300 p-2 rounded-md hover:bg-purple-50 dark:hover:bg-purple-900/20 transition-colors" title="Copy URL">
@@ -794,6 +994,10 @@ class UIManager {
                             </button>
                         ` : ''}
                         ${permissions.canUpdate ? `
+                            <button onclick="window.laliApp.showShareModal(${cred.id})" 
+                                    class="text-purple-600 dark:text-purple-400 hover:text-purple-800 dark:hover:text-purple-300 p-2 rounded-md hover:bg-purple-50 dark:hover:bg-purple-900/20 transition-colors" title="Share Link">
+                                <i class="fas fa-share-nodes text-lg"></i>
+                            </button>
                             <button onclick="window.laliApp.editCredential(${cred.id}); window.laliApp.ui.showToast('Opening credential editor...', 'info', 2000);" 
                                     class="text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 p-2 rounded-md hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors" title="Edit">
                                 <i class="fas fa-edit text-lg"></i>
@@ -807,6 +1011,9 @@ class UIManager {
                         ` : ''}
                     </div>
                 </div>
+                ${cred.item_type === 'note' ? this.renderSecureNote(cred) : ''}
+                ${cred.item_type === 'ssh' ? this.renderSshKey(cred) : ''}
+                ${this.renderCustomFields(cred)}
                 <div class="text-sm text-gray-500 dark:text-gray-400">
                     ${cred.url ? `<p><i class="fas fa-link mr-2"></i>${this.escapeHtml(cred.url)}</p>` : ''}
                     <p><i class="fas fa-calendar mr-2"></i>Created: ${this.formatDate(cred.created_at)}</p>
@@ -840,17 +1047,31 @@ class UIManager {
                     <div class="flex-1">
                         <h3 class="text-lg font-semibold text-gray-900 dark:text-white">${this.escapeHtml(user.full_name || 'Unknown User')}</h3>
                         <p class="text-gray-600 dark:text-gray-300">${this.escapeHtml(user.email || user.user_id)}</p>
+                        <span class="inline-block px-2 py-1 text-xs font-semibold rounded-full ${this.getRoleBadgeClass(user.role)}">
+                            ${this.escapeHtml(window.laliApp.auth.getRoleLabel(user.role))}
+                        </span>
                         <span class="inline-block px-2 py-1 text-xs font-semibold rounded-full ${
-                            user.role === 'admin' 
-                                ? 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200' 
-                                : 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200'
+                            user.has_vault_access
+                                ? 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200'
+                                : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
                         }">
-                            ${user.role?.charAt(0).toUpperCase() + user.role?.slice(1) || 'Unknown'}
+                            <i class="fas ${user.has_vault_access ? 'fa-lock-open' : 'fa-lock'} mr-1"></i>${
+                                user.has_vault_access ? 'Vault access' : (user.public_key ? 'No vault access' : 'No master password')
+                            }
+                        </span>
+                        <span class="inline-block px-2 py-1 text-xs font-semibold rounded-full ${
+                            user.mfa_enabled
+                                ? 'bg-green-100 dark:bg-green-900 text-green-800 dark:text-green-200'
+                                : user.mfa_required
+                                    ? 'bg-yellow-100 dark:bg-yellow-900 text-yellow-800 dark:text-yellow-200'
+                                    : 'bg-gray-100 dark:bg-gray-700 text-gray-600 dark:text-gray-300'
+                        }" title="${user.mfa_required ? 'Two-factor authentication is required' : 'Two-factor authentication is optional'}">
+                            <i class="fas fa-shield-halved mr-1"></i>${user.mfa_enabled ? '2FA on' : '2FA off'}${user.mfa_required ? ' (required)' : ''}
                         </span>
                     </div>
                     <div class="flex space-x-3">
                         ${permissions.canUpdate ? `
-                            <button onclick="window.laliApp.editUserRole('${user.user_id}', '${user.role}'); window.laliApp.ui.showToast('Opening role editor...', 'info', 2000);" 
+                            <button onclick="window.laliApp.editUserRole('${user.user_id}', '${user.role}', ${!!user.has_vault_access}, ${!!user.mfa_required}); window.laliApp.ui.showToast('Opening role editor...', 'info', 2000);" 
                                     class="text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 p-2 rounded-md hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors" title="Edit Role">
                                 <i class="fas fa-user-cog text-lg"></i>
                             </button>
@@ -865,6 +1086,65 @@ class UIManager {
         `).join('');
     }
 
+    /**
+     * Fill the audit filter dropdowns, keeping the current selection
+     * @param {Array} users - User profiles
+     * @param {Array} clients - Clients
+     */
+    populateAuditFilters(users, clients) {
+        const fill = (select, placeholder, options) => {
+            if (!select) return;
+            const selected = select.value;
+            select.innerHTML = `<option value="">${placeholder}</option>` + options
+                .map(option => `<option value="${this.escapeHtml(String(option.value))}">${this.escapeHtml(option.label)}</option>`)
+                .join('');
+            select.value = selected;
+        };
+        
+        fill(document.getElementById('auditUser'), 'All users',
+            users.map(user => ({ value: user.user_id, label: user.email || user.full_name || user.user_id })));
+        fill(document.getElementById('auditClient'), 'All clients',
+            clients.map(client => ({ value: client.id, label: client.client_name })));
+    }
+
+    /**
+     * Render audit events (Admin only)
+     * @param {Array} events - Audit events, newest first
+     * @param {Object} clientNames - Client names by ID
+     */
+    renderAuditEvents(events, clientNames = {}) {
+        if (!this.auditList) return;
+        
+        if (!events || events.length === 0) {
+            this.auditList.innerHTML = `
+                <tr>
+                    <td colspan="6" class="px-4 py-8 text-center text-gray-500 dark:text-gray-400">
+                        <i class="fas fa-clipboard-list text-4xl mb-4"></i>
+                        <p>No audit events found</p>
+                    </td>
+                </tr>
+            `;
+            return;
+        }
+        
+        this.auditList.innerHTML = events.map(event => `
+            <tr class="text-gray-900 dark:text-white">
+                <td class="px-4 py-2 whitespace-nowrap">${this.formatDateTime(event.created_at)}</td>
+                <td class="px-4 py-2">${this.escapeHtml(event.actor_email || event.actor_id || 'Unknown')}</td>
+                <td class="px-4 py-2">
+                    <span class="inline-block px-2 py-1 text-xs font-semibold rounded-full bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200">
+                        ${this.escapeHtml(event.action)}
+                    </span>
+                </td>
+                <td class="px-4 py-2">${this.escapeHtml(event.entity_type)}${event.entity_id ? ` #${this.escapeHtml(event.entity_id)}` : ''}</td>
+                <td class="px-4 py-2">${event.client_id ? this.escapeHtml(clientNames[event.client_id] || `#${event.client_id}`) : '-'}</td>
+                <td class="px-4 py-2 text-xs text-gray-500 dark:text-gray-400 font-mono break-all">${
+                    event.details && Object.keys(event.details).length > 0 ? this.escapeHtml(JSON.stringify(event.details)) : ''
+                }</td>
+            </tr>
+        `).join('');
+    }
+
     /**
      * Toggle credentials visibility for an application
      * @param {number} appId - Application ID
@@ -888,29 +1168,115 @@ class UIManager {
 
     /**
      * Toggle password visibility for a credential
+     * The password is decrypted on demand and never kept in the DOM while hidden
      * @param {string} credId - Credential ID
      */
-    togglePasswordVisibility(credId) {
+    async togglePasswordVisibility(credId) {
         const passwordSpan = document.getElementById(`password-${credId}`);
         const eyeIcon = document.getElementById(`eye-${credId}`);
         const button = eyeIcon?.parentElement;
         
         if (passwordSpan && eyeIcon && button) {
-            const isCurrentlyHidden = passwordSpan.textContent === '••••••••••••';
+            const isCurrentlyHidden = passwordSpan.dataset.revealed !== 'true';
             
             if (isCurrentlyHidden) {
                 // Show password
-                passwordSpan.textContent = passwordSpan.dataset.password;
+                try {
+                    passwordSpan.textContent = await window.laliApp.revealPassword(credId);
+                } catch (error) {
+                    console.error('Failed to reveal password:', error);
+                    this.showToast(error.message || 'Failed to reveal password', 'error');
+                    return;
+                }
+                passwordSpan.dataset.revealed = 'true';
                 eyeIcon.classList.remove('fa-eye');
                 eyeIcon.classList.add('fa-eye-slash');
                 button.querySelector('span').textContent = 'Hide';
             } else {
-                // Hide password
-                passwordSpan.textContent = '••••••••••••';
-                eyeIcon.classList.remove('fa-eye-slash');
-                eyeIcon.classList.add('fa-eye');
-                button.querySelector('span').textContent = 'Show';
+                this.maskPassword(credId);
+            }
+        }
+    }
+
+    /**
+     * Hide a revealed credential password again
+     * @param {number} credId - Credential ID
+     */
+    maskPassword(credId) {
+        const passwordSpan = document.getElementById(`password-${credId}`);
+        const eyeIcon = document.getElementById(`eye-${credId}`);
+        const button = eyeIcon?.parentElement;
+        
+        if (passwordSpan) {
+            passwordSpan.textContent = '••••••••••••';
+            passwordSpan.dataset.revealed = 'false';
+        }
+        if (eyeIcon && button) {
+            eyeIcon.classList.remove('fa-eye-slash');
+            eyeIcon.classList.add('fa-eye');
+            button.querySelector('span').textContent = 'Show';
+        }
+    }
+
+    /**
+     * Remove every decrypted password from the page
+     * Used when the vault locks
+     */
+    clearRevealedPasswords() {
+        document.querySelectorAll('[id^="password-"][data-revealed="true"]').forEach(span => {
+            this.maskPassword(span.id.replace('password-', ''));
+        });
+        
+        document.querySelectorAll('[data-secret-ref][data-revealed="true"]').forEach(span => {
+            this.maskSecret(span.dataset.credentialId, span.dataset.secretRef);
+        });
+        
+        document.querySelectorAll('[data-history-drawer]:not(.hidden)').forEach(drawer => {
+            this.closePasswordHistory(drawer.dataset.historyDrawer);
+        });
+        
+        this.totpState.clear();
+        document.querySelectorAll('[data-totp-id]').forEach(el => {
+            this.renderTotpState(el.dataset.totpId, null);
+        });
+        
+        // The credential form holds a decrypted password while editing
+        if (this.credentialModal && !this.credentialModal.classList.contains('hidden')) {
+            const form = this.credentialModal.querySelector('form');
+            if (form) {
+                form.reset();
             }
+            this.resetCredentialForm();
+            this.closeModal(this.credentialModal);
+        }
+
+        // A share link carries the key to its secret in the URL fragment
+        if (this.shareForm) {
+            this.shareForm.querySelector('#shareLinkUrl').value = '';
+            this.shareForm.querySelector('#shareResult').classList.add('hidden');
+        }
+        if (this.shareModal && !this.shareModal.classList.contains('hidden')) {
+            this.closeModal(this.shareModal);
+        }
+
+        // The shares of a new emergency kit are shown only once
+        const emergencyKitResult = document.getElementById('emergencyKitResult');
+        if (emergencyKitResult) {
+            emergencyKitResult.innerHTML = '';
+            emergencyKitResult.classList.add('hidden');
+        }
+        if (this.emergencyKitModal && !this.emergencyKitModal.classList.contains('hidden')) {
+            this.closeModal(this.emergencyKitModal);
+        }
+
+        // So is a new recovery kit with its secret key
+        const recoveryKitResult = document.getElementById('recoveryKitResult');
+        if (recoveryKitResult) {
+            recoveryKitResult.innerHTML = '';
+            recoveryKitResult.classList.add('hidden');
+        }
+        if (this.recoveryKitModal && !this.recoveryKitModal.classList.contains('hidden')) {
+            this.closeModal(this.recoveryKitModal);
         }
     }
 
@@ -928,6 +1294,7 @@ class UIManager {
             }
             
             this.renderCredentialsForApp(appId, credentials || []);
+            window.laliApp.flagBreachedCredentials(credentials || []);
             
             // Update credential count
             const countEl = document.getElementById(`credCount-${appId}`);
@@ -961,16 +1328,33 @@ class UIManager {
         const permissions = window.laliApp.userPermissions.credentials;
         
         container.innerHTML = credentials.map(cred => `
-            <div class="credential-item bg-gray-50 dark:bg-gray-700 rounded-lg p-4 border border-gray-200 dark:border-gray-600">
+            <div id="credential-${cred.id}" class="credential-item bg-gray-50 dark:bg-gray-700 rounded-lg p-4 border border-gray-200 dark:border-gray-600">
                 <div class="mb-4">
                     <div class="flex justify-between items-start mb-3">
                         <div class="flex-1">
-                            <h5 class="font-medium text-gray-900 dark:text-white mb-1">${this.escapeHtml(cred.name || 'Unnamed Credential')}</h5>
+                            <h5 class="font-medium text-gray-900 dark:text-white mb-1">${this.escapeHtml(cred.name || 'Unnamed Credential')}
+                                ${this.renderRotationBadge(cred)}
+                                <span data-breach-badge="${cred.id}" class="hidden ml-2 align-middle inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200"><i class="fas fa-skull-crossbones mr-1"></i>Compromised</span>
+                            </h5>
                             <p class="text-sm text-gray-600 dark:text-gray-300">${this.escapeHtml(cred.description || 'No description')}</p>
                             ${cred.url ? `<p class="text-xs text-blue-600 dark:text-blue-400 mt-1"><i class="fas fa-link mr-1"></i>${this.escapeHtml(cred.url)}</p>` : ''}
                         </div>
                         <div class="flex space-x-2">
+                            <button onclick="window.laliApp.toggleAttachments(${cred.id})" 
+                                    class="text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100 p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors" title="Attachments">
+                                <i class="fas fa-paperclip text-base"></i>
+                            </button>
+                            ${cred.item_type === 'login' ? `
+                                <button onclick="window.laliApp.togglePasswordHistory(${cred.id})" 
+                                        class="text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100 p-2 rounded-lg hover:bg-gray-100 dark:hover:bg-gray-600 transition-colors" title="Password History">
+                                    <i class="fas fa-history text-base"></i>
+                                </button>
+                            ` : ''}
                             ${permissions.canUpdate ? `
+                                <button onclick="window.laliApp.showShareModal(${cred.id})" 
+                                        class="text-purple-600 dark:text-purple-400 hover:text-purple-800 dark:hover:text-purple-300 p-2 rounded-lg hover:bg-purple-50 dark:hover:bg-purple-900/20 transition-colors" title="Share Link">
+                                    <i class="fas fa-share-nodes text-base"></i>
+                                </button>
                                 <button onclick="window.laliApp.editCredential(${cred.id}); window.laliApp.ui.showToast('Opening editor...', 'info', 2000);" 
                                         class="text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 p-2 rounded-lg hover:bg-blue-50 dark:hover:bg-blue-900/20 transition-colors" title="Edit">
                                     <i class="fas fa-edit text-base"></i>
@@ -985,46 +1369,69 @@ class UIManager {
                         </div>
                     </div>
                     
-                    <!-- Username Section -->
-                    <div class="mb-3">
-                        <div class="flex items-center justify-between mb-2">
-                            <span class="text-sm font-medium text-gray-700 dark:text-gray-300">Username:</span>
-                            <button onclick="window.laliApp.copyUsername('${cred.username}'); window.laliApp.ui.showToast('Username copied', 'success', 2000);" 
-                                    class="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2 min-w-[80px]" title="Copy Username">
-                                <i class="fas fa-copy"></i>
-                                <span>Copy</span>
-                            </button>
+                    ${cred.item_type === 'note' ? this.renderSecureNote(cred) : cred.item_type === 'ssh' ? `
+                        ${cred.username ? this.renderFieldSection(cred, 'username', { label: 'Username', type: 'text', value: cred.username }) : ''}
+                        ${this.renderSshKey(cred)}
+                    ` : `
+                        <!-- Username Section -->
+                        <div class="mb-3">
+                            <div class="flex items-center justify-between mb-2">
+                                <span class="text-sm font-medium text-gray-700 dark:text-gray-300">Username:</span>
+                                <button onclick="window.laliApp.copyUsername('${cred.username}'); window.laliApp.ui.showToast('Username copied', 'success', 2000);" 
+                                        class="bg-blue-600 hover:bg-blue-700 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2 min-w-[80px]" title="Copy Username">
+                                    <i class="fas fa-copy"></i>
+                                    <span>Copy</span>
+                                </button>
+                            </div>
+                            <div class="font-mono bg-gray-100 dark:bg-gray-600 px-3 py-2 rounded-lg text-gray-900 dark:text-white break-all">
+                                ${this.escapeHtml(cred.username)}
+                            </div>
                         </div>
-                        <div class="font-mono bg-gray-100 dark:bg-gray-600 px-3 py-2 rounded-lg text-gray-900 dark:text-white break-all">
-                            ${this.escapeHtml(cred.username)}
+                    
+                        <!-- Password Section -->
+                        <div class="mb-3">
+                            <div class="flex items-center justify-between mb-2">
+                                <span class="text-sm font-medium text-gray-700 dark:text-gray-300">Password:</span>
+                                <div class="flex space-x-2">
+                                    <button onclick="window.laliApp.ui.togglePasswordVisibility('${cred.id}')" 
+                                             class="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2 min-w-[80px]" title="Show/Hide Password">
+                                         <i id="eye-${cred.id}" class="fas fa-eye"></i>
+                                         <span>Show</span>
+                                     </button>
+                                    <button onclick="window.laliApp.copyPassword(${cred.id}); window.laliApp.ui.showToast('Password copied', 'success', 2000);" 
+                                            class="bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2 min-w-[80px]" title="Copy Password">
+                                        <i class="fas fa-copy"></i>
+                                        <span>Copy</span>
+                                    </button>
+                                </div>
+                            </div>
+                            <div class="font-mono bg-gray-100 dark:bg-gray-600 px-3 py-2 rounded-lg text-gray-900 dark:text-white break-all">
+                                <span id="password-${cred.id}" data-revealed="false">••••••••••••</span>
+                            </div>
                         </div>
-                    </div>
+                    `}
                     
-                    <!-- Password Section -->
-                    <div class="mb-3">
-                        <div class="flex items-center justify-between mb-2">
-                            <span class="text-sm font-medium text-gray-700 dark:text-gray-300">Password:</span>
-                            <div class="flex space-x-2">
-                                <button onclick="window.laliApp.ui.togglePasswordVisibility('${cred.id}')" 
-                                         class="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2 min-w-[80px]" title="Show/Hide Password">
-                                     <i id="eye-${cred.id}" class="fas fa-eye"></i>
-                                     <span>Show</span>
-                                 </button>
-                                <button onclick="window.laliApp.copyPassword(${cred.id}); window.laliApp.ui.showToast('Password copied', 'success', 2000);" 
-                                        class="bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2 min-w-[80px]" title="Copy Password">
+                    ${cred.encrypted_totp_secret ? `
+                        <!-- One-Time Code Section -->
+                        <div class="mb-3">
+                            <div class="flex items-center justify-between mb-2">
+                                <span class="text-sm font-medium text-gray-700 dark:text-gray-300">One-Time Code:</span>
+                                <button onclick="window.laliApp.copyTotpCode(${cred.id})" 
+                                        class="bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2 min-w-[80px]" title="Copy One-Time Code">
                                     <i class="fas fa-copy"></i>
                                     <span>Copy</span>
                                 </button>
                             </div>
+                            <div class="font-mono bg-gray-100 dark:bg-gray-600 px-3 py-2 rounded-lg text-gray-900 dark:text-white flex items-center justify-between">
+                                <span id="totp-${cred.id}" data-totp-id="${cred.id}" class="text-lg tracking-widest">••• •••</span>
+                                <span id="totp-remaining-${cred.id}" class="text-xs text-gray-500 dark:text-gray-400" title="Seconds until the code changes"></span>
+                            </div>
                         </div>
-                        <div class="font-mono bg-gray-100 dark:bg-gray-600 px-3 py-2 rounded-lg text-gray-900 dark:text-white break-all">
-                            <span id="password-${cred.id}" data-password="${this.escapeHtml(cred.pwd || '')}">••••••••••••</span>
-                        </div>
-                    </div>
+                    ` : ''}
                     
                     ${cred.url ? `
                         <!-- URL Section -->
-                        <div>
+                        <div class="mb-3">
                             <div class="flex items-center justify-between mb-2">
                                 <span class="text-sm font-medium text-gray-700 dark:text-gray-300">URL:</span>
                                 <button onclick="window.laliApp.copyUrl('${cred.url}'); window.laliApp.ui.showToast('URL copied', 'success', 2000);" 
@@ -1038,81 +1445,1601 @@ class UIManager {
                             </div>
                         </div>
                     ` : ''}
+                    
+                    ${this.renderCustomFields(cred)}
+                    
+                    <!-- Attachments Drawer -->
+                    <div id="attachments-${cred.id}" data-attachments-drawer="${cred.id}" class="hidden border-t border-gray-200 dark:border-gray-600 pt-3 mb-3"></div>
+                    
+                    <!-- Password History Drawer -->
+                    <div id="history-${cred.id}" data-history-drawer="${cred.id}" class="hidden border-t border-gray-200 dark:border-gray-600 pt-3"></div>
                 </div>
             </div>
         `).join('');
+        
+        credentials
+            .filter(cred => cred.encrypted_totp_secret)
+            .forEach(cred => {
+                this.totpCredentials.set(String(cred.id), cred);
+                this.totpState.delete(String(cred.id));
+            });
+        this.startTotpTicker();
     }
 
-    // ==================== UTILITY METHODS ====================
+    /**
+     * Secure note section of a note item, masked until revealed
+     * @param {Object} cred - Credential row
+     * @returns {string} HTML
+     */
+    renderSecureNote(cred) {
+        return this.renderFieldSection(cred, 'note', window.laliApp.credentialFieldRefs.note);
+    }
 
     /**
-     * Escape HTML to prevent XSS
-     * @param {string} text - Text to escape
-     * @returns {string} Escaped text
+     * Fingerprint, public key and (masked) private key of an SSH key item
+     * @param {Object} cred - Credential row
+     * @returns {string} HTML
      */
-    escapeHtml(text) {
-        if (!text) return '';
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    renderSshKey(cred) {
+        const refs = window.laliApp.credentialFieldRefs;
+        return ['fingerprint', 'public_key', 'private_key']
+            .map(ref => this.renderFieldSection(cred, ref, { ...refs[ref], value: cred[refs[ref].column] }))
+            .join('');
     }
 
     /**
-     * Format date for display
-     * @param {string} dateString - ISO date string
-     * @returns {string} Formatted date
+     * Sections for the custom fields of a credential
+     * @param {Object} cred - Credential row
+     * @returns {string} HTML
      */
-    formatDate(dateString) {
-        if (!dateString) return 'Unknown';
-        try {
-            return new Date(dateString).toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric'
-            });
-        } catch (error) {
-            return 'Invalid Date';
-        }
+    renderCustomFields(cred) {
+        return (cred.custom_fields || [])
+            .map((field, index) => this.renderFieldSection(cred, String(index), field))
+            .join('');
     }
 
     /**
-     * Update role-based UI elements
-     * @param {string} userRole - User role
-     * @param {Object} permissions - User permissions
+     * One labelled value with copy, and show/hide for secret values
+     * @param {Object} cred - Credential row
+     * @param {string} ref - 'note' or the custom field index
+     * @param {Object} field - { label, type, value }
+     * @returns {string} HTML
      */
-    updateRoleBasedUI(userRole, permissions) {
-        // Show/hide add buttons based on permissions
-        if (this.addClientBtn) {
-            this.addClientBtn.style.display = permissions.clients?.canCreate ? 'flex' : 'none';
+    renderFieldSection(cred, ref, field) {
+        const secret = window.laliApp.security.isSecretField(field);
+        const id = `${cred.id}-${ref}`;
+        let display;
+        
+        if (secret) {
+            const mask = field.type === 'totp' ? '••• •••' : '••••••••••••';
+            display = `<span id="secret-${id}" data-secret-ref="${ref}" data-credential-id="${cred.id}" data-mask="${mask}" data-revealed="false">${mask}</span>`;
+        } else if (field.type === 'url' && /^https?:\/\//i.test(field.value)) {
+            display = `<a href="${this.escapeHtml(field.value).replace(/"/g, '&quot;')}" target="_blank" rel="noopener noreferrer" class="text-blue-600 dark:text-blue-400 hover:underline">${this.escapeHtml(field.value)}</a>`;
+        } else if (field.type === 'email' && field.value) {
+            display = `<a href="mailto:${this.escapeHtml(field.value).replace(/"/g, '&quot;')}" class="text-blue-600 dark:text-blue-400 hover:underline">${this.escapeHtml(field.value)}</a>`;
+        } else {
+            display = this.escapeHtml(field.value);
         }
         
-        if (this.addApplicationBtn) {
-            this.addApplicationBtn.style.display = permissions.applications?.canCreate ? 'block' : 'none';
+        return `
+            <div class="mb-3">
+                <div class="flex items-center justify-between mb-2">
+                    <span class="text-sm font-medium text-gray-700 dark:text-gray-300">${this.escapeHtml(field.label)}:</span>
+                    <div class="flex space-x-2">
+                        ${secret ? `
+                            <button onclick="window.laliApp.ui.toggleSecretVisibility('${cred.id}', '${ref}')" 
+                                    class="bg-gray-600 hover:bg-gray-700 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2 min-w-[80px]" title="Show/Hide">
+                                <i id="secret-eye-${id}" class="fas fa-eye"></i>
+                                <span>Show</span>
+                            </button>
+                        ` : ''}
+                        <button onclick="window.laliApp.copyCredentialField(${cred.id}, '${ref}')" 
+                                class="bg-green-600 hover:bg-green-700 text-white px-3 py-1.5 rounded-lg text-sm font-medium transition-colors flex items-center space-x-2 min-w-[80px]" title="Copy ${this.escapeHtml(field.label).replace(/"/g, '&quot;')}">
+                            <i class="fas fa-copy"></i>
+                            <span>Copy</span>
+                        </button>
+                    </div>
+                </div>
+                <div class="font-mono bg-gray-100 dark:bg-gray-600 px-3 py-2 rounded-lg text-gray-900 dark:text-white break-all${ref === 'note' || ref === 'private_key' ? ' whitespace-pre-wrap' : ''}">${display}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Show or hide a secure note or secret custom field
+     * @param {string} credId - Credential ID
+     * @param {string} ref - 'note' or the custom field index
+     */
+    async toggleSecretVisibility(credId, ref) {
+        const span = document.getElementById(`secret-${credId}-${ref}`);
+        const eyeIcon = document.getElementById(`secret-eye-${credId}-${ref}`);
+        const button = eyeIcon?.parentElement;
+        
+        if (!span || !eyeIcon || !button) return;
+        
+        if (span.dataset.revealed === 'true') {
+            this.maskSecret(credId, ref);
+            return;
         }
         
-        if (this.addCredentialBtn) {
-            this.addCredentialBtn.style.display = permissions.credentials?.canCreate ? 'block' : 'none';
+        try {
+            span.textContent = await window.laliApp.revealCredentialField(credId, ref);
+        } catch (error) {
+            console.error('Failed to reveal field:', error);
+            this.showToast(this.escapeHtml(error.message) || 'Failed to reveal field', 'error');
+            return;
         }
+        span.dataset.revealed = 'true';
+        eyeIcon.classList.replace('fa-eye', 'fa-eye-slash');
+        button.querySelector('span').textContent = 'Hide';
     }
-    
+
     /**
-     * Update stats display
-     * @param {Object} stats - Statistics object
+     * Hide a revealed secure note or secret custom field again
+     * @param {string} credId - Credential ID
+     * @param {string} ref - 'note' or the custom field index
      */
-    updateStats(stats) {
-        if (this.totalClientsEl && stats.clients !== undefined) {
-            this.totalClientsEl.textContent = stats.clients;
-        }
+    maskSecret(credId, ref) {
+        const span = document.getElementById(`secret-${credId}-${ref}`);
+        const eyeIcon = document.getElementById(`secret-eye-${credId}-${ref}`);
         
-        if (this.totalApplicationsEl && stats.applications !== undefined) {
-            this.totalApplicationsEl.textContent = stats.applications;
+        if (span) {
+            span.textContent = span.dataset.mask;
+            span.dataset.revealed = 'false';
         }
-        
-        if (this.totalCredentialsEl && stats.credentials !== undefined) {
-            this.totalCredentialsEl.textContent = stats.credentials;
+        if (eyeIcon) {
+            eyeIcon.classList.replace('fa-eye-slash', 'fa-eye');
+            eyeIcon.parentElement.querySelector('span').textContent = 'Show';
         }
     }
 
+    /**
+     * Switch the credential form between a login, a secure note and an SSH key
+     * SSH keys keep the (optional) username of the login fields
+     * @param {string} type - 'login', 'note' or 'ssh'
+     */
+    setCredentialItemType(type) {
+        if (!this.credentialForm) return;
+        
+        const itemType = ['note', 'ssh'].includes(type) ? type : 'login';
+        const isLogin = itemType === 'login';
+        this.credentialForm.querySelector('#credentialItemType').value = itemType;
+        this.credentialForm.querySelector('#credentialLoginFields')?.classList.toggle('hidden', itemType === 'note');
+        this.credentialForm.querySelector('#credentialNoteFields')?.classList.toggle('hidden', itemType !== 'note');
+        this.credentialForm.querySelector('#credentialSshFields')?.classList.toggle('hidden', itemType !== 'ssh');
+        this.credentialForm.querySelectorAll('[data-login-only]').forEach(el => el.classList.toggle('hidden', !isLogin));
+        
+        ['#credentialUsername', '#credentialPassword', '#credentialRole'].forEach(selector => {
+            const input = this.credentialForm.querySelector(selector);
+            if (input) input.required = isLogin;
+        });
+        const noteInput = this.credentialForm.querySelector('#credentialSecureNote');
+        if (noteInput) noteInput.required = itemType === 'note';
+        const keyInput = this.credentialForm.querySelector('#credentialSshPrivateKey');
+        if (keyInput) keyInput.required = itemType === 'ssh';
+    }
+
+    /**
+     * Show the fingerprint of the key in the credential form
+     * @param {string|null} fingerprint - SHA256 fingerprint, or null to clear
+     * @param {string} keyType - OpenSSH key type
+     */
+    showSshFingerprint(fingerprint, keyType = '') {
+        const el = document.getElementById('credentialSshFingerprint');
+        if (!el) return;
+        
+        el.textContent = fingerprint ? `${keyType} ${fingerprint}`.trim() : '';
+    }
+
+    /**
+     * Clear the parts of the credential form that form.reset() does not cover
+     */
+    resetCredentialForm() {
+        this.renderCustomFieldEditor([]);
+        this.showSshFingerprint(null);
+        this.setCredentialItemType('login');
+        const typeSelect = this.credentialForm?.querySelector('#credentialItemType');
+        if (typeSelect) typeSelect.disabled = false;
+    }
+
+    /**
+     * Replace the custom field rows of the credential form
+     * @param {Array} fields - Plain custom fields [{ label, type, value }]
+     */
+    renderCustomFieldEditor(fields) {
+        const list = document.getElementById('customFieldsList');
+        if (!list) return;
+        
+        list.innerHTML = '';
+        fields.forEach(field => this.addCustomFieldRow(field));
+    }
+
+    /**
+     * Append an editable custom field row to the credential form
+     * Values are set as properties, never through HTML
+     * @param {Object} field - { label, type, value }
+     */
+    addCustomFieldRow(field = { label: '', type: 'text', value: '' }) {
+        const list = document.getElementById('customFieldsList');
+        if (!list) return;
+        
+        const inputClass = 'px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary bg-white dark:bg-gray-700 text-gray-900 dark:text-white text-sm';
+        const types = window.laliApp.security.customFieldTypes;
+        
+        const row = document.createElement('div');
+        row.dataset.customField = 'true';
+        row.className = 'space-y-2 p-3 bg-gray-50 dark:bg-gray-700/50 rounded-lg';
+        row.innerHTML = `
+            <div class="flex items-center gap-2">
+                <input type="text" data-field-label placeholder="Label" class="flex-1 min-w-0 ${inputClass}">
+                <select data-field-type class="${inputClass}">
+                    ${Object.entries(types).map(([value, type]) => `<option value="${value}">${type.label}</option>`).join('')}
+                </select>
+                <button type="button" data-field-remove class="text-red-600 dark:text-red-400 hover:text-red-800 p-2" title="Remove field">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            <input data-field-value autocomplete="off" spellcheck="false" class="w-full font-mono ${inputClass}">
+        `;
+        
+        const labelInput = row.querySelector('[data-field-label]');
+        const typeSelect = row.querySelector('[data-field-type]');
+        const valueInput = row.querySelector('[data-field-value]');
+        
+        const applyType = () => {
+            const type = typeSelect.value;
+            valueInput.type = types[type]?.secret ? 'password' : ({ url: 'url', email: 'email' }[type] || 'text');
+            valueInput.placeholder = type === 'totp' ? 'Base32 secret or otpauth:// URI' : 'Value';
+        };
+        
+        labelInput.value = field.label || '';
+        typeSelect.value = types[field.type] ? field.type : 'text';
+        valueInput.value = field.value || '';
+        applyType();
+        
+        typeSelect.addEventListener('change', applyType);
+        row.querySelector('[data-field-remove]').addEventListener('click', () => row.remove());
+        
+        list.appendChild(row);
+    }
+
+    /**
+     * Read the custom field rows of the credential form, skipping empty ones
+     * @returns {Array} Plain custom fields [{ label, type, value }]
+     */
+    readCustomFieldEditor() {
+        return Array.from(document.querySelectorAll('#customFieldsList [data-custom-field]'))
+            .map(row => ({
+                label: row.querySelector('[data-field-label]').value.trim(),
+                type: row.querySelector('[data-field-type]').value,
+                value: row.querySelector('[data-field-value]').value.trim()
+            }))
+            .filter(field => field.label || field.value);
+    }
+
+    /**
+     * Render the attachment drawer of a credential
+     * @param {number} credId - Credential ID
+     * @param {Array} attachments - Attachment rows, newest first
+     * @param {boolean} canManage - Whether the user may upload and delete
+     */
+    renderAttachments(credId, attachments, canManage) {
+        const drawer = document.getElementById(`attachments-${credId}`);
+        if (!drawer) return;
+        
+        const maxMb = window.laliApp.config.SECURITY?.ATTACHMENT_MAX_MB ?? 5;
+        
+        drawer.innerHTML = `
+            <div class="flex items-center justify-between mb-2">
+                <span class="text-sm font-medium text-gray-700 dark:text-gray-300">Attachments</span>
+                <div class="flex items-center space-x-2">
+                    ${canManage ? `
+                        <label class="btn-secondary text-xs cursor-pointer" title="Files are encrypted before upload (max ${maxMb} MB each)">
+                            <i class="fas fa-upload mr-1"></i> Upload
+                            <input type="file" multiple class="hidden" onchange="window.laliApp.uploadAttachments(${credId}, this)">
+                        </label>
+                    ` : ''}
+                    <button onclick="window.laliApp.ui.closeAttachments(${credId})" 
+                            class="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 p-1" title="Close">
+                        <i class="fas fa-times"></i>
+                    </button>
+                </div>
+            </div>
+            ${attachments.length === 0 ? `
+                <p class="text-sm text-gray-500 dark:text-gray-400">No attachments</p>
+            ` : attachments.map(attachment => `
+                <div class="bg-gray-100 dark:bg-gray-600 rounded-lg px-3 py-2 mb-2 flex items-center justify-between">
+                    <div class="min-w-0">
+                        <p class="text-sm text-gray-900 dark:text-white truncate"><i class="fas fa-file mr-2"></i>${this.escapeHtml(attachment.file_name)}</p>
+                        <p class="text-xs text-gray-500 dark:text-gray-300">${this.formatFileSize(attachment.size_bytes)} · ${this.formatDateTime(attachment.created_at)}</p>
+                    </div>
+                    <div class="flex space-x-2 ml-2">
+                        <button onclick="window.laliApp.downloadAttachment(${attachment.id})" 
+                                class="text-green-600 dark:text-green-400 hover:text-green-800 dark:hover:text-green-300 p-1" title="Download and decrypt">
+                            <i class="fas fa-download"></i>
+                        </button>
+                        ${canManage ? `
+                            <button onclick="window.laliApp.deleteAttachment(${attachment.id}, ${credId})" 
+                                    class="text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300 p-1" title="Delete attachment">
+                                <i class="fas fa-trash"></i>
+                            </button>
+                        ` : ''}
+                    </div>
+                </div>
+            `).join('')}
+        `;
+        
+        drawer.classList.remove('hidden');
+    }
+
+    /**
+     * Close the attachment drawer of a credential
+     * @param {number} credId - Credential ID
+     */
+    closeAttachments(credId) {
+        const drawer = document.getElementById(`attachments-${credId}`);
+        if (!drawer) return;
+        
+        drawer.innerHTML = '';
+        drawer.classList.add('hidden');
+    }
+
+    /**
+     * Reset the share modal for a credential
+     * Lifetimes above SECURITY.SHARE_LINK_MAX_HOURS are not offered
+     * @param {number} credId - Credential ID
+     */
+    prepareShareForm(credId) {
+        if (!this.shareForm) return;
+        
+        const maxHours = window.laliApp.config.SECURITY?.SHARE_LINK_MAX_HOURS ?? 168;
+        this.shareForm.reset();
+        this.shareForm.querySelector('#shareCredentialId').value = credId;
+        this.shareForm.querySelectorAll('#shareExpiresHours option').forEach(option => {
+            option.disabled = parseInt(option.value) > maxHours;
+        });
+        const expiry = this.shareForm.querySelector('#shareExpiresHours');
+        if (expiry.selectedOptions[0]?.disabled) {
+            expiry.value = '1';
+        }
+        this.shareForm.querySelector('#shareLinkUrl').value = '';
+        this.shareForm.querySelector('#shareResult').classList.add('hidden');
+        this.renderShareLinks(credId, null);
+    }
+
+    /**
+     * Show a freshly created share link
+     * @param {string} url - Link including the key fragment
+     */
+    showShareLinkResult(url) {
+        const input = this.shareForm?.querySelector('#shareLinkUrl');
+        if (!input) return;
+        
+        input.value = url;
+        this.shareForm.querySelector('#shareResult').classList.remove('hidden');
+        input.select();
+    }
+
+    /**
+     * Render the share links of a credential that can still be opened
+     * @param {number} credId - Credential ID
+     * @param {Array|null} shares - Active links, or null while loading
+     */
+    renderShareLinks(credId, shares) {
+        const list = document.getElementById('shareLinksList');
+        if (!list) return;
+        
+        if (!shares) {
+            list.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">Loading...</p>';
+            return;
+        }
+        
+        if (shares.length === 0) {
+            list.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">No active links</p>';
+            return;
+        }
+        
+        list.innerHTML = shares.map(share => `
+            <div class="bg-gray-100 dark:bg-gray-700 rounded-lg px-3 py-2 flex items-center justify-between">
+                <div class="text-sm text-gray-900 dark:text-white">
+                    <p>${share.view_count} of ${share.max_views} view${share.max_views === 1 ? '' : 's'} used</p>
+                    <p class="text-xs text-gray-500 dark:text-gray-300">Created ${this.formatDateTime(share.created_at)} · expires ${this.formatDateTime(share.expires_at)}</p>
+                </div>
+                <button type="button" onclick="window.laliApp.revokeShareLink('${share.id}', ${credId})" 
+                        class="text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300 p-1" title="Revoke link">
+                    <i class="fas fa-ban"></i>
+                </button>
+            </div>
+        `).join('');
+    }
+
+    /**
+     * Render the decrypted secret on the share page
+     * @param {Object} payload - { title, url, fields: [{ label, value }] }
+     */
+    renderSharedSecret(payload) {
+        const content = document.getElementById('shareContent');
+        if (!content) return;
+        
+        content.innerHTML = `
+            <h2 class="text-lg font-semibold text-gray-900">${this.escapeHtml(payload.title || 'Shared credential')}</h2>
+            ${payload.url ? `<p class="text-sm text-blue-600 break-all"><i class="fas fa-link mr-2"></i>${this.escapeHtml(payload.url)}</p>` : ''}
+            ${(payload.fields || []).map((field, index) => `
+                <div>
+                    <div class="flex items-center justify-between mb-1">
+                        <span class="text-sm font-medium text-gray-700">${this.escapeHtml(field.label)}:</span>
+                        <button type="button" onclick="window.laliApp.copySharedField(${index})" 
+                                class="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-lg text-sm font-medium transition-colors" title="Copy">
+                            <i class="fas fa-copy mr-1"></i>Copy
+                        </button>
+                    </div>
+                    <div class="font-mono bg-gray-100 px-3 py-2 rounded-lg text-gray-900 break-all whitespace-pre-wrap">${this.escapeHtml(field.value)}</div>
+                </div>
+            `).join('')}
+        `;
+        content.classList.remove('hidden');
+        document.getElementById('shareRevealBtn')?.classList.add('hidden');
+    }
+
+    /**
+     * Update the message on the share page
+     * @param {string} message - Message text
+     * @param {boolean} final - Hide the reveal button, the link cannot be opened
+     */
+    setShareMessage(message, final = false) {
+        const messageEl = document.getElementById('shareMessage');
+        if (messageEl) {
+            messageEl.textContent = message;
+        }
+        if (final) {
+            document.getElementById('shareRevealBtn')?.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Render the password history drawer of a credential
+     * @param {number} credId - Credential ID
+     * @param {Array} entries - History entries, newest first
+     * @param {boolean} canRestore - Whether the user may restore entries
+     */
+    renderPasswordHistory(credId, entries, canRestore) {
+        const drawer = document.getElementById(`history-${credId}`);
+        if (!drawer) return;
+        
+        drawer.innerHTML = `
+            <div class="flex items-center justify-between mb-2">
+                <span class="text-sm font-medium text-gray-700 dark:text-gray-300">Password History</span>
+                <button onclick="window.laliApp.ui.closePasswordHistory(${credId})" 
+                        class="text-gray-500 hover:text-gray-700 dark:hover:text-gray-300 p-1" title="Close">
+                    <i class="fas fa-times"></i>
+                </button>
+            </div>
+            ${entries.length === 0 ? `
+                <p class="text-sm text-gray-500 dark:text-gray-400">No previous passwords</p>
+            ` : entries.map(entry => `
+                <div class="bg-gray-100 dark:bg-gray-600 rounded-lg px-3 py-2 mb-2">
+                    <div class="flex items-center justify-between text-xs text-gray-500 dark:text-gray-300 mb-1">
+                        <span><i class="fas fa-clock mr-1"></i>${this.formatDateTime(entry.changed_at)}</span>
+                        <span><i class="fas fa-user mr-1"></i>${this.escapeHtml(entry.changed_by_email || 'Unknown user')}</span>
+                    </div>
+                    <div class="flex items-center justify-between">
+                        <span id="history-password-${entry.id}" data-revealed="false" class="font-mono text-gray-900 dark:text-white break-all">••••••••••••</span>
+                        <div class="flex space-x-2 ml-2">
+                            <button onclick="window.laliApp.ui.toggleHistoryPassword(${entry.id})" 
+                                    class="text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100 p-1" title="Show/Hide Password">
+                                <i id="history-eye-${entry.id}" class="fas fa-eye"></i>
+                            </button>
+                            ${canRestore ? `
+                                <button onclick="window.laliApp.restorePasswordFromHistory(${entry.id})" 
+                                        class="text-blue-600 dark:text-blue-400 hover:text-blue-800 dark:hover:text-blue-300 p-1" title="Restore this password">
+                                    <i class="fas fa-undo"></i>
+                                </button>
+                            ` : ''}
+                        </div>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+        
+        drawer.classList.remove('hidden');
+    }
+
+    /**
+     * Close a password history drawer and drop any revealed entries
+     * @param {number} credId - Credential ID
+     */
+    closePasswordHistory(credId) {
+        const drawer = document.getElementById(`history-${credId}`);
+        if (!drawer) return;
+        
+        drawer.innerHTML = '';
+        drawer.classList.add('hidden');
+    }
+
+    /**
+     * Toggle a previous password between masked and decrypted
+     * @param {number} entryId - History entry ID
+     */
+    async toggleHistoryPassword(entryId) {
+        const passwordSpan = document.getElementById(`history-password-${entryId}`);
+        const eyeIcon = document.getElementById(`history-eye-${entryId}`);
+        if (!passwordSpan || !eyeIcon) return;
+        
+        if (passwordSpan.dataset.revealed !== 'true') {
+            try {
+                passwordSpan.textContent = await window.laliApp.revealHistoryPassword(entryId);
+            } catch (error) {
+                console.error('Failed to reveal previous password:', error);
+                this.showToast(error.message || 'Failed to reveal password', 'error');
+                return;
+            }
+            passwordSpan.dataset.revealed = 'true';
+            eyeIcon.classList.replace('fa-eye', 'fa-eye-slash');
+        } else {
+            passwordSpan.textContent = '••••••••••••';
+            passwordSpan.dataset.revealed = 'false';
+            eyeIcon.classList.replace('fa-eye-slash', 'fa-eye');
+        }
+    }
+
+    /**
+     * Refresh the one-time codes on screen every second while any are shown
+     */
+    startTotpTicker() {
+        if (this.totpTicker || !document.querySelector('[data-totp-id]')) {
+            return;
+        }
+        
+        this.updateTotpCodes();
+        this.totpTicker = setInterval(() => this.updateTotpCodes(), 1000);
+    }
+
+    /**
+     * Update the countdown and regenerate codes whose period has ended
+     */
+    async updateTotpCodes() {
+        const elements = document.querySelectorAll('[data-totp-id]');
+        
+        if (elements.length === 0) {
+            clearInterval(this.totpTicker);
+            this.totpTicker = null;
+            this.totpCredentials.clear();
+            this.totpState.clear();
+            return;
+        }
+        
+        if (this.isUpdatingTotp) return;
+        this.isUpdatingTotp = true;
+        
+        try {
+            const now = Date.now();
+            const hasKey = window.laliApp.security.hasKey();
+            
+            for (const el of elements) {
+                const credId = el.dataset.totpId;
+                const cred = this.totpCredentials.get(credId);
+                
+                if (!hasKey || !cred) {
+                    this.totpState.delete(credId);
+                    this.renderTotpState(credId, null);
+                    continue;
+                }
+                
+                let state = this.totpState.get(credId);
+                if (!state || now >= state.expiresAt) {
+                    try {
+                        const { code, remaining } = await window.laliApp.generateTotpCode(cred);
+                        state = { code, expiresAt: (Math.floor(now / 1000) + remaining) * 1000 };
+                        this.totpState.set(credId, state);
+                    } catch (error) {
+                        console.error('Failed to generate one-time code:', error);
+                        // Keep the failed state until the next period to avoid retrying every tick
+                        state = { code: null, expiresAt: now + 30000 };
+                        this.totpState.set(credId, state);
+                    }
+                }
+                
+                this.renderTotpState(credId, state, now);
+            }
+        } finally {
+            this.isUpdatingTotp = false;
+        }
+    }
+
+    /**
+     * Show a one-time code and its countdown
+     * @param {string} credId - Credential ID
+     * @param {Object|null} state - { code, expiresAt } or null when the vault is locked
+     * @param {number} now - Current time in milliseconds
+     */
+    renderTotpState(credId, state, now = Date.now()) {
+        const codeEl = document.getElementById(`totp-${credId}`);
+        const remainingEl = document.getElementById(`totp-remaining-${credId}`);
+        
+        if (!codeEl) return;
+        
+        if (!state) {
+            codeEl.textContent = '••• •••';
+            if (remainingEl) remainingEl.textContent = 'Locked';
+            return;
+        }
+        
+        if (!state.code) {
+            codeEl.textContent = 'Error';
+            if (remainingEl) remainingEl.textContent = '';
+            return;
+        }
+        
+        const half = Math.ceil(state.code.length / 2);
+        codeEl.textContent = `${state.code.slice(0, half)} ${state.code.slice(half)}`;
+        
+        if (remainingEl) {
+            const seconds = Math.max(0, Math.ceil((state.expiresAt - now) / 1000));
+            remainingEl.textContent = `${seconds}s`;
+            remainingEl.classList.toggle('text-red-500', seconds <= 5);
+        }
+    }
+
+    // ==================== EMERGENCY ACCESS ====================
+
+    /**
+     * Describe the current emergency kit in the kit modal
+     * @param {Object|null} kit - emergency_kits row
+     * @param {number} currentVersion - Current vault key version
+     */
+    renderEmergencyKitStatus(kit, currentVersion) {
+        const status = document.getElementById('emergencyKitStatus');
+        if (!status) return;
+        
+        if (!kit) {
+            status.innerHTML = `
+                <p class="text-yellow-700 dark:text-yellow-300"><i class="fas fa-exclamation-triangle mr-2"></i>No emergency kit exists yet.</p>
+            `;
+            return;
+        }
+        
+        let warning = '';
+        if (kit.used_at) {
+            warning = `This kit was used on ${this.formatDateTime(kit.used_at)}. Create a new one.`;
+        } else if (kit.key_version !== currentVersion) {
+            warning = 'The vault key was rotated after this kit was created, so it can no longer restore access. Create a new one.';
+        }
+        
+        status.innerHTML = `
+            <p class="text-gray-700 dark:text-gray-300"><i class="fas fa-life-ring mr-2"></i>Current kit: ${kit.threshold} of ${kit.share_count} shares, created ${this.formatDateTime(kit.created_at)}.</p>
+            ${warning ? `<p class="text-red-600 dark:text-red-400 mt-1"><i class="fas fa-exclamation-triangle mr-2"></i>${warning}</p>` : ''}
+        `;
+    }
+
+    /**
+     * List the shares of a freshly created kit; they are shown only once
+     * @param {Array<string>} shares - Share texts
+     */
+    renderEmergencyKitShares(shares) {
+        const result = document.getElementById('emergencyKitResult');
+        if (!result) return;
+        
+        result.innerHTML = `
+            <div class="flex items-center justify-between">
+                <span class="text-sm font-medium text-gray-700 dark:text-gray-300">Shares (shown only once)</span>
+                <button type="button" onclick="window.laliApp.printEmergencyShares()" class="btn-secondary text-xs">
+                    <i class="fas fa-print mr-1"></i> Print all
+                </button>
+            </div>
+            ${shares.map((share, index) => `
+                <div class="bg-gray-100 dark:bg-gray-700 rounded-lg px-3 py-2 flex items-center justify-between">
+                    <div class="min-w-0 mr-2">
+                        <p class="text-sm text-gray-900 dark:text-white">Share ${index + 1} of ${shares.length}</p>
+                        <p class="font-mono text-xs text-gray-600 dark:text-gray-300 break-all">${this.escapeHtml(share)}</p>
+                    </div>
+                    <div class="flex space-x-2 flex-shrink-0">
+                        <button type="button" onclick="window.laliApp.printEmergencyShares(${index})" 
+                                class="text-gray-600 dark:text-gray-300 hover:text-gray-800 dark:hover:text-gray-100 p-1" title="Print with QR code">
+                            <i class="fas fa-print"></i>
+                        </button>
+                        <button type="button" onclick="window.laliApp.downloadEmergencyShare(${index})" 
+                                class="text-green-600 dark:text-green-400 hover:text-green-800 dark:hover:text-green-300 p-1" title="Download as text">
+                            <i class="fas fa-download"></i>
+                        </button>
+                    </div>
+                </div>
+            `).join('')}
+        `;
+        result.classList.remove('hidden');
+    }
+
+    /**
+     * Render text as a QR code
+     * @param {string} text - Text to encode
+     * @returns {string} SVG markup, or '' when the QR library did not load
+     */
+    renderQrCode(text) {
+        if (typeof qrcode === 'undefined') {
+            return '';
+        }
+        
+        const qr = qrcode(0, 'M');
+        qr.addData(text);
+        qr.make();
+        return qr.createSvgTag(4);
+    }
+
+    /**
+     * Open a print dialog for a standalone document
+     * The pages are written into a new window so nothing of the app is printed
+     * @param {string} title - Document title
+     * @param {Array<string>} pages - HTML of each page
+     * @returns {boolean} Whether the print window could be opened
+     */
+    printDocument(title, pages) {
+        const printWindow = window.open('', '_blank');
+        if (!printWindow) {
+            return false;
+        }
+        
+        printWindow.document.write(`<!DOCTYPE html>
+            <html>
+            <head>
+                <meta charset="UTF-8">
+                <title>${this.escapeHtml(title)}</title>
+                <style>
+                    body { font-family: system-ui, sans-serif; color: #111827; margin: 2rem; }
+                    .page { page-break-after: always; }
+                    .page:last-child { page-break-after: auto; }
+                    .secret { font-family: ui-monospace, monospace; font-size: 14px; word-break: break-all; border: 1px solid #9ca3af; padding: 0.75rem; }
+                    .muted { color: #4b5563; font-size: 13px; }
+                </style>
+            </head>
+            <body>${pages.map(page => `<div class="page">${page}</div>`).join('')}</body>
+            </html>`);
+        printWindow.document.close();
+        printWindow.focus();
+        printWindow.print();
+        return true;
+    }
+
+    /**
+     * Printed page of one emergency kit share
+     * @param {string} share - Share text
+     * @param {number} index - Share index (0-based)
+     * @param {Object} kit - { threshold, share_count, created_at }
+     * @returns {string} HTML
+     */
+    renderEmergencySharePage(share, index, kit) {
+        return `
+            <h1>LaliLink Emergency Kit</h1>
+            <p><strong>Share ${index + 1} of ${kit.share_count}</strong> &middot; created ${this.escapeHtml(this.formatDateTime(kit.created_at))}</p>
+            <p class="muted">Any ${kit.threshold} shares of this kit together restore admin access to the LaliLink vault. Keep this page somewhere safe and apart from the other shares; do not photograph or email it.</p>
+            <div>${this.renderQrCode(share)}</div>
+            <p class="secret">${this.escapeHtml(share)}</p>
+            <p class="muted">To recover: sign in to LaliLink, click <em>Use emergency kit</em> in the Unlock Vault dialog and paste ${kit.threshold} shares, one per line.</p>
+        `;
+    }
+
+    // ==================== MULTI-FACTOR AUTHENTICATION ====================
+
+    /**
+     * Show the 2FA modal with the current status
+     * @param {Array<Object>} factors - Verified TOTP factors
+     * @param {Object} options - forced: the user cannot continue without enrolling; required: an admin requires 2FA
+     */
+    showMfaModal(factors, { forced = false, required = false } = {}) {
+        if (!this.mfaModal || !this.mfaEnrollForm) return;
+        
+        const enabled = factors.length > 0;
+        this.mfaEnrollForm.reset();
+        
+        const status = this.mfaModal.querySelector('#mfaStatus');
+        if (status) {
+            if (forced) {
+                status.textContent = 'An admin requires two-factor authentication for your account. Set up an authenticator app to continue.';
+            } else if (enabled) {
+                status.textContent = `Two-factor authentication is on${required ? ' and required by an admin' : ''}. You are asked for a code from your authenticator app when you sign in.`;
+            } else {
+                status.textContent = 'Two-factor authentication is off. Add an authenticator app so a stolen password alone cannot open your account.';
+            }
+        }
+        
+        this.mfaModal.querySelector('#mfaEnrollArea')?.classList.add('hidden');
+        this.mfaModal.querySelector('#mfaSignOutBtn')?.classList.toggle('hidden', !forced);
+        this.mfaModal.querySelector('#mfaCloseBtn')?.classList.toggle('hidden', forced);
+        this.mfaModal.querySelector('#mfaRemoveBtn')?.classList.toggle('hidden', !enabled || required);
+        this.mfaModal.querySelector('#mfaStartBtn')?.classList.toggle('hidden', enabled);
+        this.mfaModal.querySelector('#mfaVerifyBtn')?.classList.add('hidden');
+        
+        this.mfaEnrollForm.dataset.forced = String(forced);
+        this.mfaEnrollForm.dataset.factorId = enabled ? factors[0].id : '';
+        
+        this.showModal(this.mfaModal);
+    }
+
+    /**
+     * Show the QR code and key of a new TOTP factor
+     * @param {Object} enrollment - Result of AuthManager.enrollTotp()
+     */
+    showMfaEnrollment(enrollment) {
+        if (!this.mfaModal || !this.mfaEnrollForm) return;
+        
+        const qr = this.mfaModal.querySelector('#mfaQrCode');
+        if (qr) {
+            qr.src = enrollment.totp.qr_code;
+        }
+        const secret = this.mfaModal.querySelector('#mfaSecret');
+        if (secret) {
+            secret.textContent = enrollment.totp.secret;
+        }
+        
+        this.mfaEnrollForm.dataset.factorId = enrollment.id;
+        this.mfaModal.querySelector('#mfaEnrollArea')?.classList.remove('hidden');
+        this.mfaModal.querySelector('#mfaStartBtn')?.classList.add('hidden');
+        this.mfaModal.querySelector('#mfaVerifyBtn')?.classList.remove('hidden');
+        
+        const codeInput = this.mfaModal.querySelector('#mfaEnrollCode');
+        if (codeInput) {
+            codeInput.required = true;
+            codeInput.focus();
+        }
+    }
+
+    // ==================== ACCOUNT RECOVERY ====================
+
+    /**
+     * Show the recovery kit modal, either asking for the master password to
+     * generate a kit or showing a kit that was just generated
+     * @param {Array<Object>} codes - recovery_codes rows of the user
+     * @param {Object|null} kit - { secretKey, codes } of a new kit, shown only once
+     */
+    showRecoveryKitModal(codes, kit = null) {
+        if (!this.recoveryKitModal || !this.recoveryKitForm) return;
+        
+        this.recoveryKitForm.reset();
+        this.renderRecoveryKitStatus(codes);
+        
+        const passwordGroup = this.recoveryKitForm.querySelector('#recoveryKitPasswordGroup');
+        const passwordInput = this.recoveryKitForm.querySelector('#recoveryKitMasterPassword');
+        const submitBtn = this.recoveryKitForm.querySelector('#recoveryKitSubmitBtn');
+        passwordGroup?.classList.toggle('hidden', !!kit);
+        if (passwordInput) {
+            passwordInput.required = !kit;
+        }
+        submitBtn?.classList.toggle('hidden', !!kit);
+        
+        const result = this.recoveryKitForm.querySelector('#recoveryKitResult');
+        if (result) {
+            result.innerHTML = kit ? this.renderRecoveryKit(kit) : '';
+            result.classList.toggle('hidden', !kit);
+        }
+        
+        this.showModal(this.recoveryKitModal);
+    }
+
+    /**
+     * Describe how many recovery codes are left
+     * @param {Array<Object>} codes - recovery_codes rows of the user
+     */
+    renderRecoveryKitStatus(codes) {
+        const status = document.getElementById('recoveryKitStatus');
+        if (!status) return;
+        
+        if (!codes || codes.length === 0) {
+            status.innerHTML = `
+                <p class="text-yellow-700 dark:text-yellow-300"><i class="fas fa-exclamation-triangle mr-2"></i>You have no recovery kit. A forgotten master password cannot be reset.</p>
+            `;
+            return;
+        }
+        
+        const unused = codes.filter(code => !code.used_at).length;
+        const tone = unused > 2 ? 'text-gray-700 dark:text-gray-300' : 'text-red-600 dark:text-red-400';
+        status.innerHTML = `
+            <p class="${tone}"><i class="fas fa-life-ring mr-2"></i>${unused} of ${codes.length} recovery codes unused, kit created ${this.formatDateTime(codes[0].created_at)}.</p>
+        `;
+    }
+
+    /**
+     * Secret key and recovery codes of a new kit
+     * @param {Object} kit - { secretKey, codes }
+     * @returns {string} HTML
+     */
+    renderRecoveryKit(kit) {
+        return `
+            <div class="flex items-center justify-between">
+                <span class="text-sm font-medium text-gray-700 dark:text-gray-300">Your recovery kit (shown only once)</span>
+                <div class="flex space-x-2">
+                    <button type="button" onclick="window.laliApp.printRecoveryKit()" class="btn-secondary text-xs">
+                        <i class="fas fa-print mr-1"></i> Print
+                    </button>
+                    <button type="button" onclick="window.laliApp.downloadRecoveryKit()" class="btn-secondary text-xs">
+                        <i class="fas fa-download mr-1"></i> Download
+                    </button>
+                </div>
+            </div>
+            <div class="bg-gray-100 dark:bg-gray-700 rounded-lg px-3 py-2">
+                <p class="text-xs text-gray-600 dark:text-gray-300">Secret Key</p>
+                <p class="font-mono text-sm text-gray-900 dark:text-white break-all">${this.escapeHtml(kit.secretKey)}</p>
+            </div>
+            <div class="bg-gray-100 dark:bg-gray-700 rounded-lg px-3 py-2">
+                <p class="text-xs text-gray-600 dark:text-gray-300 mb-1">Recovery Codes</p>
+                <div class="grid grid-cols-2 gap-x-4 gap-y-1 font-mono text-sm text-gray-900 dark:text-white">
+                    ${kit.codes.map(code => `<span>${this.escapeHtml(code)}</span>`).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Printed page of a user's recovery kit
+     * @param {Object} kit - { secretKey, codes, createdAt }
+     * @param {Object} account - { url, email }
+     * @returns {string} HTML
+     */
+    renderRecoveryKitPage(kit, account) {
+        return `
+            <h1>LaliLink Recovery Kit</h1>
+            <p class="muted">Created ${this.escapeHtml(this.formatDateTime(kit.createdAt))}. Keep this page somewhere safe; anyone who has it and your login can replace your master password.</p>
+            <table>
+                <tr><td><strong>Supabase URL</strong></td><td>${this.escapeHtml(account.url)}</td></tr>
+                <tr><td><strong>Account email</strong></td><td>${this.escapeHtml(account.email)}</td></tr>
+            </table>
+            <h2>Secret Key</h2>
+            <p class="secret">${this.escapeHtml(kit.secretKey)}</p>
+            <h2>Recovery Codes</h2>
+            <p class="muted">Each code works once. Cross out a code after using it.</p>
+            <p class="secret">${kit.codes.map(code => this.escapeHtml(code)).join('<br>')}</p>
+            <p class="muted">To reset a forgotten master password: sign in to LaliLink, click <em>Forgot master password?</em> in the Unlock Vault dialog and enter the secret key and one recovery code.</p>
+        `;
+    }
+
+    // ==================== ROLES ====================
+
+    /**
+     * Badge colors of a role
+     * @param {string} role - Role name
+     * @returns {string} Tailwind classes
+     */
+    getRoleBadgeClass(role) {
+        switch (role) {
+            case 'admin':
+                return 'bg-red-100 dark:bg-red-900 text-red-800 dark:text-red-200';
+            case 'viewer':
+                return 'bg-blue-100 dark:bg-blue-900 text-blue-800 dark:text-blue-200';
+            default:
+                return 'bg-purple-100 dark:bg-purple-900 text-purple-800 dark:text-purple-200';
+        }
+    }
+
+    /**
+     * Fill a role select from the role matrix and describe the selected role
+     * in the element named by the select's data-summary attribute
+     * @param {HTMLSelectElement} select - Role select
+     * @param {Array} roles - Roles from AuthManager.getRoles()
+     * @param {string} selected - Role to select
+     */
+    renderRoleOptions(select, roles, selected) {
+        if (!select) return;
+        
+        select.innerHTML = roles.map(role => `
+            <option value="${this.escapeHtml(role.name)}">${this.escapeHtml(role.label)}</option>
+        `).join('');
+        select.value = selected;
+        
+        if (!select.dataset.handlerAttached) {
+            select.addEventListener('change', () => this.renderRolePermissions(select));
+            select.dataset.handlerAttached = 'true';
+        }
+        this.renderRolePermissions(select);
+    }
+
+    /**
+     * Describe what the role chosen in a role select may do
+     * @param {HTMLSelectElement} select - Role select
+     */
+    renderRolePermissions(select) {
+        const summary = document.getElementById(select.dataset.summary);
+        if (!summary) return;
+        
+        const role = window.laliApp.auth.getRole(select.value);
+        if (!role) {
+            summary.innerHTML = '';
+            return;
+        }
+        
+        const resources = { clients: 'Clients', applications: 'Applications', credentials: 'Credentials', users: 'Users' };
+        summary.innerHTML = `
+            ${role.description ? `<p class="mb-1">${this.escapeHtml(role.description)}</p>` : ''}
+            <ul class="space-y-0.5">
+                ${Object.entries(resources).map(([resource, label]) => `
+                    <li><span class="font-medium">${label}:</span> ${this.escapeHtml((role.permissions[resource] || []).join(', ') || 'no access')}</li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    // ==================== CLIENT MEMBERS ====================
+
+    /**
+     * Reset the client members modal before it opens
+     * @param {Object} client - Client whose members are edited
+     */
+    prepareClientMembersForm(client) {
+        if (!this.clientMemberForm) return;
+        
+        this.clientMemberForm.reset();
+        document.getElementById('clientMembersTitle').textContent = client.client_name;
+        this.renderRoleOptions(this.clientMemberForm.querySelector('#clientMemberRole'), window.laliApp.auth.getRoles(), 'viewer');
+        this.renderClientMembers(null, []);
+    }
+
+    /**
+     * Render the members of a client and offer the remaining users in the user select
+     * @param {Array|null} members - Members with their user_profiles row, or null while loading
+     * @param {Array} users - All users; users whose role covers every client are not offered
+     */
+    renderClientMembers(members, users) {
+        const list = document.getElementById('clientMembersList');
+        const userSelect = this.clientMemberForm?.querySelector('#clientMemberUser');
+        if (!list || !userSelect) return;
+        
+        if (!members) {
+            list.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">Loading...</p>';
+            userSelect.innerHTML = '';
+            return;
+        }
+        
+        const auth = window.laliApp.auth;
+        const memberIds = new Set(members.map(member => member.user_id));
+        const candidates = users.filter(user => !memberIds.has(user.user_id) && !auth.getRole(user.role)?.allClients);
+        userSelect.innerHTML = candidates.length
+            ? candidates.map(user => `
+                <option value="${this.escapeHtml(user.user_id)}">${this.escapeHtml(user.full_name ? `${user.full_name} (${user.email})` : user.email)}</option>
+            `).join('')
+            : '<option value="">No other users</option>';
+        
+        if (members.length === 0) {
+            list.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">No members yet; only admins see this client</p>';
+            return;
+        }
+        
+        const roleOptions = selected => auth.getRoles().map(role => `
+            <option value="${this.escapeHtml(role.name)}" ${role.name === selected ? 'selected' : ''}>${this.escapeHtml(role.label)}</option>
+        `).join('');
+        list.innerHTML = members.map(member => `
+            <div class="bg-gray-100 dark:bg-gray-700 rounded-lg px-3 py-2 flex items-center justify-between space-x-2">
+                <div class="text-sm text-gray-900 dark:text-white min-w-0">
+                    <p class="truncate">${this.escapeHtml(member.user_profiles?.full_name || member.user_profiles?.email || member.user_id)}</p>
+                    ${member.user_profiles?.full_name ? `<p class="text-xs text-gray-500 dark:text-gray-300 truncate">${this.escapeHtml(member.user_profiles.email)}</p>` : ''}
+                </div>
+                <div class="flex items-center space-x-2">
+                    <select onchange="window.laliApp.updateClientMemberRole('${member.user_id}', this.value)" 
+                            class="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded-md bg-white dark:bg-gray-800 text-gray-900 dark:text-white text-sm">
+                        ${roleOptions(member.role)}
+                    </select>
+                    <button type="button" onclick="window.laliApp.removeClientMember('${member.user_id}')" 
+                            class="text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300 p-1" title="Remove member">
+                        <i class="fas fa-user-minus"></i>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    }
+
+    // ==================== INVITATIONS & REGISTRATION ====================
+
+    /**
+     * Reset the invite modal before it opens
+     */
+    prepareInviteForm() {
+        if (!this.inviteForm) return;
+        
+        this.inviteForm.reset();
+        this.renderRoleOptions(this.inviteForm.querySelector('#inviteRole'), window.laliApp.auth.getRoles(), 'viewer');
+        this.inviteForm.querySelector('#inviteLinkUrl').value = '';
+        this.inviteForm.querySelector('#inviteResult').classList.add('hidden');
+        this.renderInvitations(null);
+    }
+
+    /**
+     * Show a freshly created invite link
+     * @param {string} url - Link including the token fragment
+     */
+    showInviteLinkResult(url) {
+        const input = this.inviteForm?.querySelector('#inviteLinkUrl');
+        if (!input) return;
+        
+        input.value = url;
+        this.inviteForm.querySelector('#inviteResult').classList.remove('hidden');
+        input.select();
+    }
+
+    /**
+     * Render the invitations that have not been used yet
+     * @param {Array|null} invitations - Pending invitations, or null while loading
+     */
+    renderInvitations(invitations) {
+        const list = document.getElementById('invitationsList');
+        if (!list) return;
+        
+        if (!invitations) {
+            list.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">Loading...</p>';
+            return;
+        }
+        
+        if (invitations.length === 0) {
+            list.innerHTML = '<p class="text-sm text-gray-500 dark:text-gray-400">No pending invitations</p>';
+            return;
+        }
+        
+        const now = Date.now();
+        list.innerHTML = invitations.map(invitation => {
+            const expired = new Date(invitation.expires_at).getTime() <= now;
+            return `
+                <div class="bg-gray-100 dark:bg-gray-700 rounded-lg px-3 py-2 flex items-center justify-between">
+                    <div class="text-sm text-gray-900 dark:text-white min-w-0">
+                        <p class="truncate">${this.escapeHtml(invitation.email)} <span class="text-xs text-gray-500 dark:text-gray-300">as ${this.escapeHtml(window.laliApp.auth.getRoleLabel(invitation.role))}</span></p>
+                        <p class="text-xs ${expired ? 'text-red-600 dark:text-red-400' : 'text-gray-500 dark:text-gray-300'}">
+                            Created ${this.formatDateTime(invitation.created_at)} · ${expired ? 'expired' : 'expires'} ${this.formatDateTime(invitation.expires_at)}
+                        </p>
+                    </div>
+                    <button type="button" onclick="window.laliApp.revokeInvitation('${invitation.id}')" 
+                            class="text-red-600 dark:text-red-400 hover:text-red-800 dark:hover:text-red-300 p-1" title="Revoke invitation">
+                        <i class="fas fa-ban"></i>
+                    </button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Show the registration settings modal
+     * @param {Object} settings - { open_registration, allowed_email_domains }
+     */
+    showRegistrationSettingsModal(settings) {
+        if (!this.registrationSettingsModal || !this.registrationSettingsForm) return;
+        
+        this.registrationSettingsForm.reset();
+        this.registrationSettingsForm.querySelector('#openRegistration').checked = !!settings?.open_registration;
+        this.registrationSettingsForm.querySelector('#allowedEmailDomains').value = (settings?.allowed_email_domains || []).join('\n');
+        
+        this.showModal(this.registrationSettingsModal);
+    }
+
+    /**
+     * Show or hide the sign-up link under the login form
+     * @param {boolean} available - Whether open registration is on
+     */
+    setRegistrationAvailable(available) {
+        document.getElementById('showRegister')?.classList.toggle('hidden', !available);
+    }
+
+    /**
+     * Prepare the register form, locked to the invited email when there is an invitation
+     * @param {Object|null} invitation - { email, role, expires_at } or null for open registration
+     */
+    prepareRegisterForm(invitation) {
+        const form = document.getElementById('registerForm');
+        if (!form) return;
+        
+        form.reset();
+        const emailInput = form.querySelector('#registerEmail');
+        const info = form.querySelector('#registerInviteInfo');
+        
+        emailInput.readOnly = !!invitation;
+        if (invitation) {
+            emailInput.value = invitation.email;
+            info.textContent = `You were invited to join as ${window.laliApp.auth.getRoleLabel(invitation.role)}. The invitation expires ${this.formatDateTime(invitation.expires_at)}.`;
+        }
+        info.classList.toggle('hidden', !invitation);
+    }
+
+    // ==================== UTILITY METHODS ====================
+
+    /**
+     * Escape HTML to prevent XSS
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeHtml(text) {
+        if (!text) return '';
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Format a byte count for display
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Formatted size
+     */
+    formatFileSize(bytes) {
+        if (!bytes) return '0 B';
+        const units = ['B', 'KB', 'MB', 'GB'];
+        const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+        const value = bytes / Math.pow(1024, exponent);
+        return `${exponent === 0 ? value : value.toFixed(1)} ${units[exponent]}`;
+    }
+
+    /**
+     * Format date for display
+     * @param {string} dateString - ISO date string
+     * @returns {string} Formatted date
+     */
+    formatDate(dateString) {
+        if (!dateString) return 'Unknown';
+        try {
+            return new Date(dateString).toLocaleDateString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric'
+            });
+        } catch (error) {
+            return 'Invalid Date';
+        }
+    }
+
+    /**
+     * Format date and time for display
+     * @param {string} dateString - ISO date string
+     * @returns {string} Formatted date and time
+     */
+    formatDateTime(dateString) {
+        if (!dateString) return 'Unknown';
+        try {
+            return new Date(dateString).toLocaleString('en-US', {
+                year: 'numeric',
+                month: 'short',
+                day: 'numeric',
+                hour: '2-digit',
+                minute: '2-digit'
+            });
+        } catch (error) {
+            return 'Invalid Date';
+        }
+    }
+
+    /**
+     * Update role-based UI elements
+     * @param {string} userRole - User role
+     * @param {Object} permissions - User permissions
+     */
+    updateRoleBasedUI(userRole, permissions) {
+        // Show/hide add buttons based on permissions
+        if (this.addClientBtn) {
+            this.addClientBtn.style.display = permissions.clients?.canCreate && this.currentView === 'clients' ? 'flex' : 'none';
+        }
+        
+        if (this.addApplicationBtn) {
+            this.addApplicationBtn.style.display = permissions.applications?.canCreate ? 'block' : 'none';
+        }
+        
+        if (this.addCredentialBtn) {
+            this.addCredentialBtn.style.display = permissions.credentials?.canCreate ? 'block' : 'none';
+        }
+        
+        if (this.usersBtn) {
+            this.usersBtn.style.display = permissions.users?.canRead ? 'inline-block' : 'none';
+        }
+        
+        if (this.auditBtn) {
+            this.auditBtn.style.display = userRole === 'admin' ? 'inline-block' : 'none';
+        }
+    }
+    
+    /**
+     * Update stats display
+     * @param {Object} stats - Statistics object
+     */
+    updateStats(stats) {
+        if (this.totalClientsEl && stats.clients !== undefined) {
+            this.totalClientsEl.textContent = stats.clients;
+        }
+        
+        if (this.totalApplicationsEl && stats.applications !== undefined) {
+            this.totalApplicationsEl.textContent = stats.applications;
+        }
+        
+        if (this.totalCredentialsEl && stats.credentials !== undefined) {
+            this.totalCredentialsEl.textContent = stats.credentials;
+        }
+        
+        if (this.healthIssuesEl && stats.health) {
+            const issues = stats.health.breached + stats.health.weak + stats.health.reused + stats.health.noUrl + stats.health.stale;
+            this.healthIssuesEl.textContent = issues === 0 ? 'OK' : `${issues} issue${issues === 1 ? '' : 's'}`;
+            this.healthIssuesEl.classList.toggle('text-red-600', issues > 0);
+        }
+    }
+
+    /**
+     * Render the security health report
+     * @param {Object} report - Findings from LaliLinkApp.runHealthReport
+     */
+    renderHealthReport(report) {
+        const content = document.getElementById('healthReportContent');
+        if (!this.healthReport || !content) return;
+        
+        const link = (item) => `
+            <button onclick="window.laliApp.openCredential(${item.id})" 
+                    class="text-left text-blue-600 dark:text-blue-400 hover:underline">
+                ${this.escapeHtml(item.name || item.username || 'Unnamed Credential')}
+            </button>
+            <span class="text-xs text-gray-500 dark:text-gray-400">
+                ${this.escapeHtml(item.clientName || '')} / ${this.escapeHtml(item.appName || '')}
+            </span>
+        `;
+        
+        const section = (title, icon, color, items, renderItem) => `
+            <div>
+                <h3 class="font-medium text-gray-900 dark:text-white mb-2">
+                    <i class="fas ${icon} ${color} mr-2"></i>${title}
+                    <span class="text-sm text-gray-500 dark:text-gray-400">(${items.length})</span>
+                </h3>
+                ${items.length === 0 ? `
+                    <p class="text-sm text-green-600 dark:text-green-400"><i class="fas fa-check mr-1"></i>No findings</p>
+                ` : `
+                    <ul class="space-y-2 text-sm max-h-64 overflow-y-auto">
+                        ${items.map(item => `<li class="bg-gray-50 dark:bg-gray-700 rounded-lg px-3 py-2">${renderItem(item)}</li>`).join('')}
+                    </ul>
+                `}
+            </div>
+        `;
+        
+        content.innerHTML = [
+            ...(report.breachChecked ? [
+                section('Compromised passwords', 'fa-skull-crossbones', 'text-red-600', report.breached, item => `
+                    <div class="flex flex-col">${link(item)}
+                        <span class="text-xs text-red-600 dark:text-red-400">Seen ${item.count.toLocaleString()} time(s) in breach data</span>
+                    </div>
+                `)
+            ] : []),
+            section('Weak passwords', 'fa-unlock', 'text-red-500', report.weak, item => `
+                <div class="flex flex-col">${link(item)}
+                    <span class="text-xs text-red-600 dark:text-red-400">${this.escapeHtml(item.detail)}</span>
+                </div>
+            `),
+            section('Reused passwords', 'fa-clone', 'text-orange-500', report.reused, group => `
+                <p class="text-xs text-orange-600 dark:text-orange-400 mb-1">Same password used by ${group.items.length} credentials</p>
+                <div class="flex flex-col space-y-1">${group.items.map(item => `<div class="flex flex-col">${link(item)}</div>`).join('')}</div>
+            `),
+            section('No URL', 'fa-link', 'text-yellow-500', report.noUrl, item => `
+                <div class="flex flex-col">${link(item)}</div>
+            `),
+            section(`Not rotated in ${report.maxAgeMonths} months`, 'fa-history', 'text-purple-500', report.stale, item => `
+                <div class="flex flex-col">${link(item)}
+                    <span class="text-xs text-purple-600 dark:text-purple-400">Last changed ${this.formatDate(item.changedAt)}</span>
+                </div>
+            `)
+        ].join('') + (report.unreadable.length > 0 ? `
+            <p class="md:col-span-2 text-sm text-gray-500 dark:text-gray-400">
+                <i class="fas fa-exclamation-triangle mr-1"></i>${report.unreadable.length} credential(s) could not be decrypted and were skipped.
+            </p>
+        ` : '');
+        
+        this.healthReport.classList.remove('hidden');
+    }
+
+    /**
+     * Badge for a credential that is overdue or due soon
+     * @param {Object} cred - Credential row
+     * @returns {string} HTML, empty when nothing is due
+     */
+    renderRotationBadge(cred) {
+        const rotation = window.laliApp.getRotationStatus(cred);
+        if (!rotation || rotation.status === 'ok') return '';
+        
+        const overdue = rotation.status === 'overdue';
+        const label = rotation.reason === 'expires'
+            ? (overdue ? 'Expired' : 'Expires')
+            : (overdue ? 'Rotation overdue' : 'Rotate');
+        
+        return `
+            <span class="ml-2 align-middle inline-flex items-center px-2 py-0.5 rounded text-xs font-medium ${overdue
+                ? 'bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200'
+                : 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200'}" 
+                  title="Due ${this.formatDate(rotation.dueAt)}">
+                <i class="fas ${overdue ? 'fa-exclamation-circle' : 'fa-clock'} mr-1"></i>${label} ${overdue ? '' : this.formatDate(rotation.dueAt)}
+            </span>
+        `;
+    }
+
+    /**
+     * Render the cross-client "due for rotation" list and the client card badges
+     * @param {Array} due - Overdue and soon-due credentials, each with a rotation status
+     */
+    renderRotationDue(due) {
+        const counts = new Map();
+        for (const item of due) {
+            const clientId = item.applications?.client_id;
+            if (!counts.has(clientId)) {
+                counts.set(clientId, { overdue: 0, soon: 0 });
+            }
+            counts.get(clientId)[item.rotation.status]++;
+        }
+        
+        document.querySelectorAll('[data-rotation-badges]').forEach(container => {
+            const count = counts.get(parseInt(container.dataset.rotationBadges));
+            container.innerHTML = count ? `
+                ${count.overdue ? `<span class="px-2 py-0.5 rounded text-xs font-medium bg-red-100 text-red-800 dark:bg-red-900 dark:text-red-200"><i class="fas fa-exclamation-circle mr-1"></i>${count.overdue} overdue</span>` : ''}
+                ${count.soon ? `<span class="px-2 py-0.5 rounded text-xs font-medium bg-yellow-100 text-yellow-800 dark:bg-yellow-900 dark:text-yellow-200"><i class="fas fa-clock mr-1"></i>${count.soon} due soon</span>` : ''}
+            ` : '';
+        });
+        
+        const panel = document.getElementById('rotationDuePanel');
+        const list = document.getElementById('rotationDueList');
+        if (!panel || !list) return;
+        
+        panel.classList.toggle('hidden', due.length === 0);
+        list.innerHTML = due.map(item => {
+            const overdue = item.rotation.status === 'overdue';
+            return `
+                <tr>
+                    <td class="py-2 pr-4">
+                        <button onclick="window.laliApp.openCredential(${item.id})" class="text-blue-600 dark:text-blue-400 hover:underline text-left">
+                            ${this.escapeHtml(item.name || item.username || 'Unnamed Credential')}
+                        </button>
+                    </td>
+                    <td class="py-2 pr-4 text-gray-600 dark:text-gray-300">
+                        ${this.escapeHtml(item.applications?.clients?.client_name || '')} / ${this.escapeHtml(item.applications?.app_name || '')}
+                    </td>
+                    <td class="py-2 pr-4 text-gray-600 dark:text-gray-300">
+                        ${item.rotation.reason === 'expires' ? 'Expiry date' : `Every ${item.rotate_every_days} days`}
+                    </td>
+                    <td class="py-2 ${overdue ? 'text-red-600 dark:text-red-400 font-medium' : 'text-yellow-600 dark:text-yellow-400'}">
+                        ${overdue ? 'Overdue since ' : ''}${this.formatDate(item.rotation.dueAt)}
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    /**
+     * Format a timestamp for a date input (local time)
+     * @param {string} value - ISO timestamp
+     * @returns {string} YYYY-MM-DD
+     */
+    toDateInputValue(value) {
+        const date = new Date(value);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
+
+    /**
+     * Show a client's password policy above its applications
+     * @param {Object} client - Client row
+     */
+    renderClientPolicy(client) {
+        const panel = document.getElementById('clientPolicyPanel');
+        const summary = document.getElementById('clientPolicySummary');
+        const violations = document.getElementById('clientPolicyViolations');
+        if (!panel) return;
+        
+        const policy = client?.password_policy;
+        panel.classList.toggle('hidden', !policy);
+        if (violations) violations.innerHTML = '';
+        if (!policy || !summary) return;
+        
+        const rules = [];
+        if (policy.min_length) rules.push(`at least ${policy.min_length} characters`);
+        if (policy.max_length) rules.push(`at most ${policy.max_length} characters`);
+        for (const field of ['uppercase', 'lowercase', 'numbers', 'symbols']) {
+            if (policy[field] === 'required') rules.push(`${field} required`);
+            if (policy[field] === 'forbidden') rules.push(`no ${field}`);
+        }
+        if (policy.banned_characters) rules.push(`banned: ${policy.banned_characters}`);
+        if (policy.max_age_days) rules.push(`change every ${policy.max_age_days} days`);
+        
+        summary.textContent = rules.length > 0 ? rules.join(', ') : 'No rules set';
+    }
+
+    /**
+     * List credentials that break the client's password policy
+     * @param {Array} results - { id, name, username, appName, violations }
+     */
+    renderPolicyViolations(results) {
+        const container = document.getElementById('clientPolicyViolations');
+        if (!container) return;
+        
+        if (results.length === 0) {
+            container.innerHTML = `
+                <p class="text-sm text-green-600 dark:text-green-400"><i class="fas fa-check mr-1"></i>All credentials comply with the policy</p>
+            `;
+            return;
+        }
+        
+        container.innerHTML = `
+            <ul class="space-y-2 text-sm">
+                ${results.map(item => `
+                    <li class="bg-red-50 dark:bg-red-900/20 rounded-lg px-3 py-2">
+                        <button onclick="window.laliApp.openCredential(${item.id})" 
+                                class="text-left text-blue-600 dark:text-blue-400 hover:underline font-medium">
+                            ${this.escapeHtml(item.name || item.username || 'Unnamed Credential')}
+                        </button>
+                        <span class="text-xs text-gray-500 dark:text-gray-400">${this.escapeHtml(item.appName || '')}</span>
+                        <p class="text-xs text-red-600 dark:text-red-400">${item.violations.map(v => this.escapeHtml(v)).join(' &middot; ')}</p>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Show the entropy of a generated password under the credential password field
+     * @param {number|null} bits - Entropy in bits, or null to clear
+     */
+    showPasswordEntropy(bits) {
+        const el = document.getElementById('credentialPasswordEntropy');
+        if (!el) return;
+        
+        el.textContent = bits === null ? '' : `${bits} bits of entropy`;
+    }
+
+    /**
+     * Render a password strength meter
+     * @param {HTMLElement} meter - Meter container
+     * @param {Object|null} result - Result of SecurityManager.estimatePasswordStrength, or null to clear
+     */
+    renderStrengthMeter(meter, result) {
+        if (!meter) return;
+        
+        if (!result) {
+            meter.innerHTML = '';
+            return;
+        }
+        
+        const colors = ['bg-red-500', 'bg-orange-500', 'bg-yellow-500', 'bg-green-500', 'bg-green-600'];
+        const textColors = ['text-red-600', 'text-orange-600', 'text-yellow-600', 'text-green-600', 'text-green-700'];
+        
+        meter.innerHTML = `
+            <div class="flex space-x-1 mb-1">
+                ${[1, 2, 3, 4].map(level => `
+                    <div class="h-1.5 flex-1 rounded ${result.score >= level ? colors[result.score] : 'bg-gray-200 dark:bg-gray-600'}"></div>
+                `).join('')}
+            </div>
+            <p class="text-xs text-gray-600 dark:text-gray-300">
+                <span class="font-medium ${textColors[result.score]}">${this.escapeHtml(result.strength)}</span>
+                &middot; ~${result.entropy} bits &middot; offline crack time: ${this.escapeHtml(result.crackTimeDisplay)}
+            </p>
+            ${result.feedback.length > 0 ? `
+                <ul class="mt-1 text-xs text-gray-500 dark:text-gray-400 list-disc list-inside">
+                    ${result.feedback.slice(0, 3).map(item => `<li>${this.escapeHtml(item)}</li>`).join('')}
+                </ul>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Show the breach list status next to the upload button
+     * @param {number} total - Hashes loaded
+     */
+    updateBreachListStatus(total) {
+        const status = document.getElementById('breachListStatus');
+        if (status) {
+            status.textContent = `${total.toLocaleString()} breached password hashes loaded`;
+        }
+    }
+
+    /**
+     * Toggle the compromised badge on rendered credentials
+     * @param {Map} breached - Credential ID -> times seen in breaches
+     */
+    markBreachedCredentials(breached) {
+        document.querySelectorAll('[data-breach-badge]').forEach(badge => {
+            const count = breached.get(parseInt(badge.dataset.breachBadge));
+            badge.classList.toggle('hidden', !count);
+            badge.title = count ? `Password seen ${count.toLocaleString()} time(s) in breach data` : '';
+        });
+    }
+
+    /**
+     * Scroll to a credential card and highlight it briefly
+     * @param {number} credId - Credential ID
+     */
+    highlightCredential(credId) {
+        const card = document.getElementById(`credential-${credId}`);
+        if (!card) return;
+        
+        card.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        card.classList.add('ring-2', 'ring-red-500');
+        setTimeout(() => card.classList.remove('ring-2', 'ring-red-500'), 3000);
+    }
+
     /**
      * Initialize dark theme toggle
      */
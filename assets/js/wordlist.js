@@ -0,0 +1,191 @@
+/**
+ * Bundled passphrase wordlist
+ * Short, common English words (3-8 lowercase letters, no duplicates) so generated
+ * passphrases are easy to type; each word adds log2(length) bits of entropy.
+ * The strength estimator also treats these words as dictionary words
+ */
+const PASSPHRASE_WORDLIST = Object.freeze([
+    'able', 'acid', 'acorn', 'acre', 'act', 'actor', 'adapt', 'add', 'adept', 'admit',
+    'adobe', 'adopt', 'adult', 'aft', 'agent', 'agile', 'aging', 'agree', 'ahead', 'aid',
+    'aim', 'air', 'aisle', 'alarm', 'album', 'alert', 'algae', 'alias', 'alibi', 'alien',
+    'align', 'alike', 'alive', 'alley', 'allow', 'alloy', 'aloe', 'aloft', 'alpha', 'altar',
+    'amber', 'amend', 'amigo', 'ample', 'amuse', 'anchor', 'angel', 'anger', 'angle', 'angry',
+    'ankle', 'apple', 'apron', 'arbor', 'arcade', 'arena', 'argue', 'arise', 'armada', 'armor',
+    'army', 'aroma', 'arrow', 'art', 'ash', 'aside', 'ask', 'aspen', 'asset', 'atlas',
+    'atom', 'attic', 'audio', 'audit', 'aunt', 'auto', 'autumn', 'avenue', 'avid', 'awake',
+    'award', 'axis', 'axle', 'bacon', 'badge', 'badger', 'bagel', 'baker', 'ballad', 'balmy',
+    'bamboo', 'banjo', 'banner', 'barn', 'baron', 'barrel', 'basil', 'basin', 'basket', 'batch',
+    'bath', 'baton', 'beach', 'beacon', 'beam', 'bean', 'bear', 'beard', 'beast', 'bed',
+    'beef', 'beet', 'beetle', 'begin', 'belt', 'bench', 'berry', 'bike', 'billow', 'bird',
+    'birth', 'biscuit', 'bison', 'blade', 'blank', 'blanket', 'blast', 'blaze', 'bleak', 'blend',
+    'bless', 'blimp', 'blink', 'bliss', 'block', 'blond', 'blood', 'bloom', 'blossom', 'blue',
+    'blunt', 'blush', 'board', 'boast', 'boat', 'bobcat', 'body', 'bolt', 'bonnet', 'bonus',
+    'book', 'boost', 'boot', 'booth', 'border', 'boss', 'bottle', 'bounce', 'bounty', 'bowl',
+    'box', 'bracket', 'brain', 'brake', 'brand', 'brass', 'brave', 'bread', 'break', 'breeze',
+    'brick', 'bride', 'bridge', 'brief', 'brim', 'bring', 'brisk', 'broad', 'brook', 'broom',
+    'brown', 'brush', 'bubble', 'bucket', 'buckle', 'buddy', 'budget', 'buffet', 'bugle', 'build',
+    'bulb', 'bunch', 'bunny', 'burrow', 'burst', 'bush', 'butter', 'button', 'buyer', 'cabin',
+    'cable', 'cactus', 'caddie', 'cadet', 'cage', 'cake', 'calm', 'camel', 'camera', 'camp',
+    'camper', 'canal', 'candle', 'candy', 'cane', 'canoe', 'canvas', 'canyon', 'cape', 'captain',
+    'caramel', 'card', 'cargo', 'carol', 'carpet', 'carrot', 'cart', 'case', 'cash', 'cashew',
+    'castle', 'cat', 'catalog', 'cause', 'cave', 'cavern', 'cedar', 'celery', 'cell', 'cello',
+    'cement', 'census', 'cereal', 'chain', 'chair', 'chalk', 'champ', 'chant', 'chaos', 'chapel',
+    'charcoal', 'charm', 'chart', 'chase', 'cheek', 'cheer', 'cheese', 'chef', 'cherry', 'chess',
+    'chest', 'chew', 'chief', 'child', 'chili', 'chimney', 'chimp', 'chin', 'chip', 'choir',
+    'chore', 'chorus', 'chunk', 'cider', 'cigar', 'cinder', 'cinema', 'circle', 'citrus', 'city',
+    'civic', 'civil', 'claim', 'clam', 'clamp', 'clap', 'clash', 'clasp', 'class', 'clay',
+    'clean', 'clerk', 'click', 'cliff', 'climb', 'cling', 'clock', 'cloth', 'cloud', 'clove',
+    'clover', 'clown', 'club', 'clue', 'coach', 'coast', 'coat', 'cobalt', 'cobra', 'cocoa',
+    'cocoon', 'code', 'coffee', 'coil', 'coin', 'cola', 'collar', 'column', 'comet', 'comic',
+    'compass', 'condor', 'cookie', 'copper', 'coral', 'cord', 'core', 'corn', 'cornet', 'cottage',
+    'cotton', 'couch', 'cough', 'count', 'coupon', 'cousin', 'cover', 'coyote', 'crab', 'cradle',
+    'craft', 'crane', 'crash', 'crate', 'crater', 'crawl', 'crayon', 'cream', 'creek', 'crest',
+    'crew', 'crib', 'cricket', 'crisp', 'crop', 'cross', 'crowd', 'crown', 'crumb', 'crust',
+    'crystal', 'cube', 'cup', 'cupcake', 'curl', 'curry', 'curtain', 'curve', 'cushion', 'cycle',
+    'dagger', 'daily', 'dairy', 'daisy', 'dance', 'dancer', 'dash', 'data', 'date', 'dawn',
+    'deal', 'debut', 'decade', 'decal', 'decoy', 'deer', 'delight', 'delta', 'denim', 'dent',
+    'depot', 'depth', 'desert', 'desk', 'dessert', 'detour', 'dial', 'diamond', 'diary', 'dice',
+    'diet', 'digit', 'dime', 'diner', 'dingo', 'dinner', 'disco', 'dish', 'ditch', 'dive',
+    'dizzy', 'dock', 'dodge', 'dog', 'doll', 'dolphin', 'dome', 'domino', 'donkey', 'donor',
+    'doodle', 'door', 'dose', 'dough', 'dove', 'draft', 'dragon', 'drama', 'drape', 'dream',
+    'dress', 'drift', 'drill', 'drink', 'drive', 'drizzle', 'drone', 'drum', 'duck', 'dugout',
+    'dune', 'dusk', 'dust', 'duty', 'eagle', 'early', 'earth', 'easel', 'east', 'echo',
+    'eclair', 'eclipse', 'edge', 'eel', 'egg', 'eject', 'elbow', 'elder', 'elect', 'elf',
+    'elixir', 'elk', 'elm', 'email', 'embark', 'ember', 'emblem', 'emerald', 'empire', 'empty',
+    'enact', 'endow', 'energy', 'engine', 'enigma', 'enjoy', 'enter', 'entry', 'envoy', 'epic',
+    'equal', 'equator', 'era', 'erase', 'error', 'espresso', 'essay', 'ethic', 'evade', 'even',
+    'event', 'exact', 'exam', 'exit', 'exotic', 'expand', 'extra', 'fable', 'fabric', 'face',
+    'fact', 'fade', 'fair', 'fairy', 'faith', 'falafel', 'falcon', 'fame', 'fancy', 'farm',
+    'fault', 'fauna', 'favor', 'feast', 'feather', 'fence', 'fender', 'ferret', 'ferry', 'festival',
+    'fever', 'fiber', 'fiddle', 'field', 'fig', 'film', 'final', 'finale', 'finch', 'find',
+    'fire', 'firm', 'fish', 'fist', 'flag', 'flake', 'flame', 'flamingo', 'flannel', 'flap',
+    'flash', 'flask', 'fleet', 'flesh', 'flick', 'flicker', 'flint', 'float', 'flock', 'flood',
+    'floor', 'flour', 'flow', 'fluid', 'flurry', 'flute', 'foam', 'focus', 'fog', 'foil',
+    'folder', 'folk', 'font', 'food', 'force', 'forest', 'forge', 'fork', 'form', 'fort',
+    'forum', 'fossil', 'fountain', 'fox', 'frame', 'freckle', 'fresh', 'friend', 'frigate', 'frog',
+    'frost', 'fruit', 'fudge', 'fuel', 'fun', 'fungi', 'funny', 'fur', 'fuse', 'gadget',
+    'gain', 'galaxy', 'gale', 'gallon', 'game', 'gap', 'garage', 'garden', 'garlic', 'gauge',
+    'gazebo', 'gear', 'gecko', 'gem', 'genre', 'geyser', 'ghost', 'giant', 'gift', 'ginger',
+    'giraffe', 'given', 'glacier', 'glad', 'glass', 'glide', 'globe', 'gloom', 'glory', 'glove',
+    'glow', 'glue', 'goal', 'goat', 'goblet', 'gold', 'golf', 'gondola', 'gong', 'good',
+    'goose', 'gopher', 'gorge', 'gospel', 'gown', 'grace', 'grade', 'grain', 'grand', 'granite',
+    'grape', 'graph', 'grass', 'gravel', 'gravity', 'gravy', 'great', 'green', 'grid', 'griddle',
+    'grill', 'grin', 'grip', 'groom', 'group', 'grove', 'growl', 'guard', 'guava', 'guest',
+    'guide', 'guitar', 'gulf', 'gum', 'gumdrop', 'guru', 'gust', 'habit', 'hair', 'half',
+    'hall', 'halo', 'hamlet', 'hammer', 'hammock', 'hand', 'happy', 'harbor', 'hare', 'harp',
+    'harvest', 'hat', 'hatchet', 'haven', 'hawk', 'hazel', 'head', 'heart', 'heat', 'hedge',
+    'heel', 'helium', 'helmet', 'help', 'hemlock', 'hen', 'herb', 'hermit', 'hero', 'heron',
+    'hickory', 'hill', 'hint', 'hippo', 'hobby', 'hockey', 'holly', 'home', 'honey', 'hood',
+    'hook', 'hope', 'horizon', 'horn', 'hornet', 'horse', 'host', 'hotel', 'hour', 'house',
+    'hub', 'hug', 'human', 'humor', 'hunt', 'hurry', 'husky', 'hut', 'hydra', 'iceberg',
+    'icon', 'idea', 'idle', 'igloo', 'iguana', 'image', 'inch', 'index', 'indigo', 'ink',
+    'inlet', 'input', 'insect', 'iris', 'iron', 'island', 'ivory', 'ivy', 'jacket', 'jade',
+    'jaguar', 'jam', 'jar', 'jasmine', 'jazz', 'jeans', 'jelly', 'jester', 'jet', 'jewel',
+    'jigsaw', 'job', 'jockey', 'jog', 'join', 'joke', 'jolly', 'journal', 'joy', 'jubilee',
+    'judge', 'juice', 'jumbo', 'jump', 'jungle', 'junior', 'juniper', 'jury', 'just', 'kayak',
+    'keen', 'kernel', 'kettle', 'key', 'kick', 'kidney', 'kimono', 'kind', 'king', 'kiosk',
+    'kite', 'kitten', 'kiwi', 'knack', 'knee', 'knife', 'knob', 'knot', 'koala', 'label',
+    'lace', 'ladder', 'lagoon', 'lake', 'lamb', 'lamp', 'lance', 'land', 'lane', 'lantern',
+    'laser', 'lasso', 'latch', 'lattice', 'lava', 'lawn', 'layer', 'leaf', 'learn', 'ledge',
+    'legend', 'lemon', 'lens', 'lettuce', 'level', 'lever', 'liberty', 'light', 'lilac', 'lily',
+    'lilypad', 'limb', 'lime', 'linen', 'lion', 'lizard', 'llama', 'load', 'loaf', 'lobby',
+    'lobster', 'local', 'lock', 'locket', 'locust', 'lodge', 'logic', 'lotus', 'loud', 'lounge',
+    'loyal', 'lucky', 'lullaby', 'lumber', 'lunar', 'lunch', 'lyric', 'macaw', 'magic', 'magnet',
+    'magnolia', 'major', 'mammoth', 'mandolin', 'mango', 'manor', 'mantis', 'maple', 'marble', 'march',
+    'margin', 'marine', 'market', 'marsh', 'marshal', 'mask', 'mason', 'match', 'meadow', 'medal',
+    'melody', 'melon', 'memo', 'menu', 'merit', 'mermaid', 'mesa', 'metal', 'meteor', 'method',
+    'metro', 'midday', 'mild', 'mildew', 'mile', 'milk', 'mill', 'mimic', 'mind', 'minnow',
+    'mint', 'minus', 'mirror', 'mist', 'mitten', 'mixer', 'model', 'modem', 'mole', 'monk',
+    'monsoon', 'month', 'moon', 'moose', 'morning', 'mortar', 'mosaic', 'moss', 'motel', 'moth',
+    'motor', 'mound', 'mount', 'mouse', 'mouth', 'movie', 'muffin', 'muffler', 'mug', 'mule',
+    'mural', 'muse', 'museum', 'music', 'mustang', 'mustard', 'myth', 'nacho', 'nail', 'name',
+    'napkin', 'narrow', 'nation', 'native', 'nature', 'navy', 'nebula', 'nectar', 'needle', 'nest',
+    'net', 'nickel', 'noble', 'noise', 'nomad', 'noodle', 'north', 'nose', 'notch', 'note',
+    'novel', 'nugget', 'number', 'nurse', 'nut', 'nutmeg', 'oak', 'oasis', 'oat', 'oatmeal',
+    'object', 'ocean', 'octave', 'octopus', 'odor', 'offer', 'office', 'olive', 'omega', 'onion',
+    'onset', 'opal', 'open', 'opera', 'orange', 'orbit', 'orchard', 'orchid', 'order', 'organ',
+    'osprey', 'otter', 'ounce', 'outfit', 'outpost', 'oval', 'oven', 'owl', 'owner', 'oxygen',
+    'oyster', 'ozone', 'pace', 'paddle', 'paddock', 'page', 'pagoda', 'paint', 'palace', 'palette',
+    'palm', 'panda', 'panel', 'panic', 'panther', 'pants', 'papaya', 'paper', 'parade', 'parcel',
+    'park', 'parrot', 'parsley', 'party', 'pasta', 'paste', 'pastel', 'patch', 'path', 'patio',
+    'pause', 'peach', 'peak', 'peanut', 'pear', 'pearl', 'pebble', 'pecan', 'pedal', 'pelican',
+    'pencil', 'pendant', 'penguin', 'penny', 'pepper', 'perch', 'permit', 'pet', 'petal', 'pewter',
+    'piano', 'pickle', 'picnic', 'pie', 'pier', 'pig', 'pigeon', 'pillow', 'pilot', 'pine',
+    'pink', 'pint', 'pinwheel', 'pipe', 'pirate', 'pixel', 'pizza', 'place', 'plain', 'planet',
+    'plank', 'plant', 'plate', 'plateau', 'plaza', 'plot', 'plum', 'plume', 'plus', 'pocket',
+    'poem', 'poet', 'point', 'polar', 'pole', 'polka', 'pollen', 'poncho', 'pond', 'pony',
+    'pool', 'popcorn', 'poppy', 'porch', 'port', 'poster', 'potato', 'pouch', 'powder', 'power',
+    'prairie', 'press', 'pretzel', 'price', 'pride', 'prince', 'print', 'prism', 'prize', 'proof',
+    'prose', 'proud', 'prune', 'puffin', 'pulse', 'puma', 'pump', 'pumpkin', 'punch', 'pupil',
+    'puppy', 'purple', 'puzzle', 'pyramid', 'quail', 'quake', 'quartz', 'quasar', 'queen', 'quest',
+    'quick', 'quiet', 'quill', 'quilt', 'quiver', 'quiz', 'quota', 'rabbit', 'raccoon', 'race',
+    'radar', 'radio', 'radish', 'raft', 'rafter', 'rail', 'rain', 'rainbow', 'raisin', 'rake',
+    'rally', 'ramp', 'rampart', 'ranch', 'range', 'rapid', 'raptor', 'raven', 'ravine', 'razor',
+    'ready', 'realm', 'recipe', 'reef', 'reindeer', 'relay', 'relic', 'remedy', 'rent', 'reply',
+    'rescue', 'resort', 'rhino', 'rhyme', 'ribbon', 'rice', 'riddle', 'rider', 'ridge', 'ring',
+    'rinse', 'ripple', 'river', 'road', 'roast', 'robin', 'robot', 'rock', 'rocket', 'rodeo',
+    'roof', 'room', 'rooster', 'root', 'rope', 'rose', 'round', 'route', 'rover', 'royal',
+    'ruby', 'rudder', 'rug', 'ruler', 'rumor', 'rural', 'rush', 'saddle', 'safari', 'saga',
+    'sage', 'sail', 'sailor', 'salad', 'salmon', 'salon', 'salsa', 'salt', 'sand', 'sandal',
+    'sapphire', 'sardine', 'satchel', 'satin', 'sauce', 'sauna', 'scale', 'scallop', 'scarf', 'scene',
+    'scent', 'school', 'scoop', 'scooter', 'scout', 'scrap', 'screen', 'script', 'scroll', 'seal',
+    'seashell', 'season', 'seat', 'second', 'seed', 'sequoia', 'shade', 'shadow', 'shark', 'shelf',
+    'shell', 'sherbet', 'shield', 'shift', 'shine', 'ship', 'shirt', 'shoe', 'shore', 'shovel',
+    'shrimp', 'shrub', 'sierra', 'signal', 'silk', 'silo', 'silver', 'simple', 'siren', 'sister',
+    'skate', 'sketch', 'ski', 'skill', 'skipper', 'skunk', 'sky', 'slate', 'sled', 'sleep',
+    'sleigh', 'slice', 'slide', 'slope', 'sloth', 'smile', 'smoke', 'snack', 'snail', 'snake',
+    'snorkel', 'snow', 'soap', 'soccer', 'sock', 'sofa', 'soil', 'solar', 'solid', 'sonar',
+    'song', 'sonic', 'sorbet', 'soup', 'south', 'space', 'spark', 'sparrow', 'speed', 'sphere',
+    'spice', 'spider', 'spike', 'spinach', 'spine', 'spirit', 'sponge', 'spoon', 'sport', 'spot',
+    'spray', 'spring', 'sprout', 'spruce', 'spy', 'squad', 'squash', 'squid', 'stable', 'stadium',
+    'staff', 'stage', 'stair', 'stamp', 'star', 'starfish', 'statue', 'steam', 'steel', 'stem',
+    'stencil', 'step', 'stereo', 'stew', 'stick', 'stone', 'stool', 'storm', 'story', 'stove',
+    'straw', 'stream', 'street', 'stripe', 'studio', 'style', 'sugar', 'suit', 'summit', 'sun',
+    'sundial', 'sunset', 'surf', 'swamp', 'swan', 'sweater', 'swift', 'swing', 'switch', 'sword',
+    'symbol', 'syrup', 'table', 'tablet', 'taco', 'tail', 'talent', 'tango', 'tank', 'tape',
+    'target', 'tavern', 'taxi', 'tea', 'teacher', 'team', 'teapot', 'temple', 'tennis', 'tent',
+    'term', 'test', 'thimble', 'thistle', 'thorn', 'thread', 'throne', 'thumb', 'thunder', 'ticket',
+    'tide', 'tiger', 'timber', 'toast', 'toboggan', 'token', 'tomato', 'tonic', 'tool', 'topaz',
+    'topsoil', 'torch', 'tornado', 'tortoise', 'total', 'totem', 'toucan', 'tower', 'town', 'toy',
+    'track', 'trade', 'trail', 'train', 'tram', 'trap', 'tray', 'treat', 'tree', 'trellis',
+    'trend', 'trial', 'tribe', 'trick', 'trinket', 'trio', 'trolley', 'trophy', 'truck', 'trumpet',
+    'trunk', 'trust', 'tuba', 'tulip', 'tuna', 'tundra', 'tunnel', 'turban', 'turkey', 'turnip',
+    'turtle', 'tutor', 'tuxedo', 'tweezer', 'twig', 'twin', 'type', 'umbrella', 'uncle', 'unicorn',
+    'uniform', 'union', 'unit', 'upland', 'upper', 'urban', 'usher', 'vacuum', 'valiant', 'valley',
+    'valve', 'vanilla', 'vapor', 'vase', 'vault', 'velvet', 'vendor', 'venue', 'verb', 'verse',
+    'vessel', 'vest', 'veto', 'video', 'view', 'viking', 'villa', 'vine', 'vintage', 'violin',
+    'visa', 'visit', 'visor', 'vital', 'vivid', 'vocal', 'voice', 'volume', 'voter', 'vowel',
+    'voyage', 'vulture', 'wafer', 'waffle', 'wagon', 'waist', 'walkway', 'walnut', 'walrus', 'wand',
+    'warden', 'wasabi', 'water', 'wave', 'wax', 'weasel', 'weather', 'web', 'wedge', 'whale',
+    'wheat', 'wheel', 'whisk', 'whistle', 'widget', 'wigwam', 'willow', 'wind', 'windmill', 'window',
+    'wing', 'winner', 'winter', 'wire', 'wisdom', 'wizard', 'wolf', 'wombat', 'wonder', 'wood',
+    'wool', 'word', 'world', 'worm', 'wrangler', 'wrist', 'yacht', 'yard', 'yarn', 'yeast',
+    'yodel', 'yogurt', 'yoke', 'yonder', 'young', 'yucca', 'zebra', 'zenith', 'zeppelin', 'zero',
+    'zigzag', 'zinc', 'zipper', 'zone', 'zoo'
+]);
+
+/**
+ * Most common leaked passwords, most frequent first
+ * Used by the strength estimator; a password's rank here is its guess count
+ */
+const COMMON_PASSWORDS = Object.freeze([
+    '123456', 'password', '12345678', 'qwerty', '123456789', '12345', '1234', '111111', '1234567', 'dragon',
+    '123123', 'baseball', 'abc123', 'football', 'monkey', 'letmein', '696969', 'shadow', 'master', '666666',
+    'qwertyuiop', '123321', 'mustang', '1234567890', 'michael', '654321', 'superman', '1qaz2wsx', '7777777', '121212',
+    '000000', 'qazwsx', '123qwe', 'killer', 'trustno1', 'jordan', 'jennifer', 'zxcvbnm', 'asdfgh', 'hunter',
+    'buster', 'soccer', 'harley', 'batman', 'andrew', 'tigger', 'sunshine', 'iloveyou', '2000', 'charlie',
+    'robert', 'thomas', 'hockey', 'ranger', 'daniel', 'starwars', 'klaster', '112233', 'george', 'computer',
+    'michelle', 'jessica', 'pepper', '1111', 'zxcvbn', '555555', '11111111', '131313', 'freedom', '777777',
+    'pass', 'maggie', '159753', 'aaaaaa', 'ginger', 'princess', 'joshua', 'cheese', 'amanda', 'summer',
+    'love', 'ashley', 'nicole', 'chelsea', 'biteme', 'matthew', 'access', 'yankees', '987654321', 'dallas',
+    'austin', 'thunder', 'taylor', 'matrix', 'welcome', 'admin', 'administrator', 'login', 'passw0rd', 'p@ssw0rd',
+    'secret', 'root', 'toor', 'changeme', 'default', 'guest', 'test', 'test123', 'qwerty123', 'password1',
+    'password123', 'abc', '1q2w3e4r', '1q2w3e', 'zaq12wsx', 'hello', 'whatever', 'flower', 'lovely', 'samsung',
+    'google', 'facebook', 'internet', 'indonesia', 'bismillah', 'sayang', 'rahasia', 'cinta', 'kucing', 'jakarta',
+    'bandung', 'merdeka', 'garuda'
+]);
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { PASSPHRASE_WORDLIST, COMMON_PASSWORDS };
+}
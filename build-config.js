@@ -33,7 +33,34 @@ const CONFIG = {
     SECURITY: {
         ENCRYPTION_ALGORITHM: 'AES-GCM',
         KEY_LENGTH: 256,
-        IV_LENGTH: 12
+        IV_LENGTH: 12,
+        // Vault auto-lock: 0 disables the idle timer
+        AUTO_LOCK_IDLE_MINUTES: 15,
+        AUTO_LOCK_ON_HIDE: true,
+        AUTO_LOCK_HIDE_GRACE_SECONDS: 30,
+        // Security health report: passwords older than this are flagged
+        PASSWORD_MAX_AGE_MONTHS: 6,
+        // Credentials expiring or due for rotation within this many days are flagged
+        ROTATION_DUE_SOON_DAYS: 14,
+        // Same-origin HIBP-format SHA-1 list loaded at startup (empty = upload manually)
+        BREACH_LIST_URL: '',
+        // Encrypted file attachments: size of one file and files per credential
+        ATTACHMENT_MAX_MB: 5,
+        ATTACHMENT_MAX_PER_CREDENTIAL: 10,
+        // Longest lifetime a one-time share link can be given
+        SHARE_LINK_MAX_HOURS: 168,
+        // Single-use recovery codes in a user's recovery kit
+        RECOVERY_CODE_COUNT: 10,
+        // Password generator defaults (mode: 'password' or 'passphrase')
+        PASSWORD_POLICY: {
+            mode: 'password',
+            length: 16,
+            includeSymbols: true,
+            words: 6,
+            separator: '-',
+            capitalize: true,
+            digits: 1
+        }
     },
     
     // UI settings
@@ -43,26 +70,12 @@ const CONFIG = {
         DEBOUNCE_DELAY: 300
     },
     
-    // Role definitions
+    // Built-in roles; what each role may do is stored in the roles and
+    // role_permissions tables (database/schema.sql), which the RLS policies also read
     ROLES: {
         ADMIN: 'admin',
+        EDITOR: 'editor',
         VIEWER: 'viewer'
-    },
-    
-    // Default permissions
-    PERMISSIONS: {
-        admin: {
-            clients: ['create', 'read', 'update', 'delete'],
-            applications: ['create', 'read', 'update', 'delete'],
-            credentials: ['create', 'read', 'update', 'delete'],
-            users: ['read', 'update']
-        },
-        viewer: {
-            clients: ['read'],
-            applications: ['read'],
-            credentials: ['read'],
-            users: []
-        }
     }
 };
 
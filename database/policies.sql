@@ -1,122 +1,522 @@
 -- LaliLink Row Level Security (RLS) Policies
 -- This file contains all RLS policies for secure data access
+-- Safe to re-run after schema.sql: every policy is dropped and created again
+
+-- Client, application and credential policies read the role matrix in
+-- role_permissions through has_client_permission(), which also checks the
+-- caller's client_members row unless their role covers every client. User
+-- policies use has_permission() and the remaining admin-only tables
+-- is_admin_with_mfa(). Either way inserts, updates and deletes need a
+-- session that passed a second factor (aal2). Reads only need the role.
 
 -- Enable RLS on all tables
 ALTER TABLE user_profiles ENABLE ROW LEVEL SECURITY;
 ALTER TABLE clients ENABLE ROW LEVEL SECURITY;
+ALTER TABLE client_members ENABLE ROW LEVEL SECURITY;
 ALTER TABLE applications ENABLE ROW LEVEL SECURITY;
 ALTER TABLE credentials ENABLE ROW LEVEL SECURITY;
+ALTER TABLE credential_password_history ENABLE ROW LEVEL SECURITY;
+ALTER TABLE credential_attachments ENABLE ROW LEVEL SECURITY;
+ALTER TABLE credential_shares ENABLE ROW LEVEL SECURITY;
+ALTER TABLE audit_events ENABLE ROW LEVEL SECURITY;
+ALTER TABLE vault_keys ENABLE ROW LEVEL SECURITY;
+ALTER TABLE vault_key_rotations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE emergency_kits ENABLE ROW LEVEL SECURITY;
+ALTER TABLE recovery_codes ENABLE ROW LEVEL SECURITY;
+ALTER TABLE invitations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE app_settings ENABLE ROW LEVEL SECURITY;
+ALTER TABLE roles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE role_permissions ENABLE ROW LEVEL SECURITY;
+
+-- =====================================================
+-- ROLES AND ROLE_PERMISSIONS POLICIES
+-- =====================================================
+-- Every signed-in user reads the matrix so the app can show what each role
+-- may do. There are no write policies: the matrix is changed in the SQL editor
+
+DROP POLICY IF EXISTS "Users can view roles" ON roles;
+CREATE POLICY "Users can view roles" ON roles
+    FOR SELECT
+    USING (auth.uid() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Users can view role permissions" ON role_permissions;
+CREATE POLICY "Users can view role permissions" ON role_permissions
+    FOR SELECT
+    USING (auth.uid() IS NOT NULL);
 
 -- =====================================================
 -- USER_PROFILES POLICIES
 -- =====================================================
 
--- Users can view their own profile and admins can view all profiles
+-- Users can view their own profile, user managers can view all profiles
+DROP POLICY IF EXISTS "Users can view profiles" ON user_profiles;
 CREATE POLICY "Users can view profiles" ON user_profiles
     FOR SELECT
     USING (
         auth.uid() = user_id OR 
-        get_user_role(auth.uid()) = 'admin'
+        has_permission('users', 'read')
     );
 
--- Users can update their own profile (except role), admins can update any profile
+-- Users can update their own profile (except role and MFA requirement), user managers can update any profile
+DROP POLICY IF EXISTS "Users can update profiles" ON user_profiles;
 CREATE POLICY "Users can update profiles" ON user_profiles
     FOR UPDATE
     USING (
         auth.uid() = user_id OR 
-        get_user_role(auth.uid()) = 'admin'
+        has_permission('users', 'update')
     )
     WITH CHECK (
-        -- Users cannot change their own role, only admins can change roles
-        (auth.uid() = user_id AND role = (SELECT role FROM user_profiles WHERE user_id = auth.uid())) OR
-        get_user_role(auth.uid()) = 'admin'
+        -- Users cannot change their own role or MFA requirement, only user managers can
+        (
+            auth.uid() = user_id AND
+            role = (SELECT role FROM user_profiles WHERE user_id = auth.uid()) AND
+            mfa_required = (SELECT mfa_required FROM user_profiles WHERE user_id = auth.uid())
+        ) OR
+        has_permission('users', 'update')
     );
 
 -- Only system can insert user profiles (via trigger)
+DROP POLICY IF EXISTS "System can insert profiles" ON user_profiles;
 CREATE POLICY "System can insert profiles" ON user_profiles
     FOR INSERT
     WITH CHECK (true);
 
--- Only admins can delete user profiles
+-- Only user managers can delete user profiles
+DROP POLICY IF EXISTS "Admins can delete profiles" ON user_profiles;
 CREATE POLICY "Admins can delete profiles" ON user_profiles
     FOR DELETE
+    USING (has_permission('users', 'delete'));
+
+-- =====================================================
+-- VAULT_KEYS POLICIES
+-- =====================================================
+
+-- Users can read their own wrapped key, user managers can see every member
+DROP POLICY IF EXISTS "Users can view vault keys" ON vault_keys;
+CREATE POLICY "Users can view vault keys" ON vault_keys
+    FOR SELECT
+    USING (
+        auth.uid() = user_id OR 
+        has_permission('users', 'read')
+    );
+
+-- Only user managers can grant vault access
+DROP POLICY IF EXISTS "Admins can insert vault keys" ON vault_keys;
+CREATE POLICY "Admins can insert vault keys" ON vault_keys
+    FOR INSERT
+    WITH CHECK (has_permission('users', 'update'));
+
+-- Only admins can re-wrap vault keys
+DROP POLICY IF EXISTS "Admins can update vault keys" ON vault_keys;
+CREATE POLICY "Admins can update vault keys" ON vault_keys
+    FOR UPDATE
+    USING (is_admin_with_mfa())
+    WITH CHECK (is_admin_with_mfa());
+
+-- Only user managers can revoke vault access
+DROP POLICY IF EXISTS "Admins can delete vault keys" ON vault_keys;
+CREATE POLICY "Admins can delete vault keys" ON vault_keys
+    FOR DELETE
+    USING (has_permission('users', 'update'));
+
+-- =====================================================
+-- VAULT_KEY_ROTATIONS POLICIES
+-- =====================================================
+
+-- Only admins can view key rotations
+DROP POLICY IF EXISTS "Admins can view key rotations" ON vault_key_rotations;
+CREATE POLICY "Admins can view key rotations" ON vault_key_rotations
+    FOR SELECT
     USING (get_user_role(auth.uid()) = 'admin');
 
+-- Only admins can start key rotations
+DROP POLICY IF EXISTS "Admins can insert key rotations" ON vault_key_rotations;
+CREATE POLICY "Admins can insert key rotations" ON vault_key_rotations
+    FOR INSERT
+    WITH CHECK (is_admin_with_mfa());
+
+-- Only admins can finish key rotations
+DROP POLICY IF EXISTS "Admins can update key rotations" ON vault_key_rotations;
+CREATE POLICY "Admins can update key rotations" ON vault_key_rotations
+    FOR UPDATE
+    USING (is_admin_with_mfa())
+    WITH CHECK (is_admin_with_mfa());
+
+-- Only admins can roll back a rotation whose new key was never shared
+DROP POLICY IF EXISTS "Admins can delete key rotations" ON vault_key_rotations;
+CREATE POLICY "Admins can delete key rotations" ON vault_key_rotations
+    FOR DELETE
+    USING (is_admin_with_mfa() AND completed_at IS NULL);
+
+-- =====================================================
+-- EMERGENCY_KITS POLICIES
+-- =====================================================
+
+-- Every signed-in user can read the kit so a member can recover when no admin
+-- is left; the sealed vault key and token hash are useless without the shares
+DROP POLICY IF EXISTS "Users can view emergency kits" ON emergency_kits;
+CREATE POLICY "Users can view emergency kits" ON emergency_kits
+    FOR SELECT
+    USING (auth.uid() IS NOT NULL);
+
+DROP POLICY IF EXISTS "Admins can create emergency kits" ON emergency_kits;
+CREATE POLICY "Admins can create emergency kits" ON emergency_kits
+    FOR INSERT
+    WITH CHECK (
+        is_admin_with_mfa() AND
+        created_by = auth.uid() AND
+        used_at IS NULL
+    );
+
+-- Replacing a kit deletes the old one
+DROP POLICY IF EXISTS "Admins can delete emergency kits" ON emergency_kits;
+CREATE POLICY "Admins can delete emergency kits" ON emergency_kits
+    FOR DELETE
+    USING (is_admin_with_mfa());
+
+-- No UPDATE policy: kits are only marked used by redeem_emergency_kit()
+
+-- =====================================================
+-- RECOVERY_CODES POLICIES
+-- =====================================================
+
+-- Recovery codes are private to their owner, admins included
+DROP POLICY IF EXISTS "Users can view their own recovery codes" ON recovery_codes;
+CREATE POLICY "Users can view their own recovery codes" ON recovery_codes
+    FOR SELECT
+    USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can create their own recovery codes" ON recovery_codes;
+CREATE POLICY "Users can create their own recovery codes" ON recovery_codes
+    FOR INSERT
+    WITH CHECK (
+        auth.uid() = user_id AND
+        used_at IS NULL
+    );
+
+-- Generating a new kit deletes the old codes
+DROP POLICY IF EXISTS "Users can delete their own recovery codes" ON recovery_codes;
+CREATE POLICY "Users can delete their own recovery codes" ON recovery_codes
+    FOR DELETE
+    USING (auth.uid() = user_id);
+
+-- No UPDATE policy: codes are only spent by use_recovery_code()
+
 -- =====================================================
 -- CLIENTS POLICIES
 -- =====================================================
 
--- All authenticated users can view clients
+-- Members, and roles that cover every client, can view clients
+DROP POLICY IF EXISTS "Users can view clients" ON clients;
 CREATE POLICY "Users can view clients" ON clients
     FOR SELECT
-    USING (auth.uid() IS NOT NULL);
+    USING (has_client_permission(id, 'clients', 'read'));
 
--- Only admins can insert clients
+-- A new client has no members yet, so only roles that cover every client can add one
+DROP POLICY IF EXISTS "Admins can insert clients" ON clients;
 CREATE POLICY "Admins can insert clients" ON clients
     FOR INSERT
-    WITH CHECK (get_user_role(auth.uid()) = 'admin');
+    WITH CHECK (has_client_permission(NULL, 'clients', 'create'));
 
--- Only admins can update clients
+-- Roles with update permission on the client can update it
+DROP POLICY IF EXISTS "Admins can update clients" ON clients;
 CREATE POLICY "Admins can update clients" ON clients
     FOR UPDATE
-    USING (get_user_role(auth.uid()) = 'admin')
-    WITH CHECK (get_user_role(auth.uid()) = 'admin');
+    USING (has_client_permission(id, 'clients', 'update'))
+    WITH CHECK (has_client_permission(id, 'clients', 'update'));
 
--- Only admins can delete clients
+-- Roles with delete permission on the client can delete it
+DROP POLICY IF EXISTS "Admins can delete clients" ON clients;
 CREATE POLICY "Admins can delete clients" ON clients
     FOR DELETE
-    USING (get_user_role(auth.uid()) = 'admin');
+    USING (has_client_permission(id, 'clients', 'delete'));
+
+-- =====================================================
+-- CLIENT_MEMBERS POLICIES
+-- =====================================================
+-- Users see their own memberships so the app knows their role per client;
+-- user managers see and change all of them
+
+DROP POLICY IF EXISTS "Users can view client members" ON client_members;
+CREATE POLICY "Users can view client members" ON client_members
+    FOR SELECT
+    USING (
+        auth.uid() = user_id OR
+        has_permission('users', 'read')
+    );
+
+DROP POLICY IF EXISTS "Admins can add client members" ON client_members;
+CREATE POLICY "Admins can add client members" ON client_members
+    FOR INSERT
+    WITH CHECK (has_permission('users', 'update'));
+
+DROP POLICY IF EXISTS "Admins can update client members" ON client_members;
+CREATE POLICY "Admins can update client members" ON client_members
+    FOR UPDATE
+    USING (has_permission('users', 'update'))
+    WITH CHECK (has_permission('users', 'update'));
+
+DROP POLICY IF EXISTS "Admins can remove client members" ON client_members;
+CREATE POLICY "Admins can remove client members" ON client_members
+    FOR DELETE
+    USING (has_permission('users', 'update'));
 
 -- =====================================================
 -- APPLICATIONS POLICIES
 -- =====================================================
 
--- All authenticated users can view applications
+-- Roles with read permission on the client can view its applications
+DROP POLICY IF EXISTS "Users can view applications" ON applications;
 CREATE POLICY "Users can view applications" ON applications
     FOR SELECT
-    USING (auth.uid() IS NOT NULL);
+    USING (has_client_permission(client_id, 'applications', 'read'));
 
--- Only admins can insert applications
+-- Roles with create permission on the client can add applications to it
+DROP POLICY IF EXISTS "Admins can insert applications" ON applications;
 CREATE POLICY "Admins can insert applications" ON applications
     FOR INSERT
-    WITH CHECK (get_user_role(auth.uid()) = 'admin');
+    WITH CHECK (has_client_permission(client_id, 'applications', 'create'));
 
--- Only admins can update applications
+-- Roles with update permission on the client can update its applications;
+-- moving one needs the same permission on the new client
+DROP POLICY IF EXISTS "Admins can update applications" ON applications;
 CREATE POLICY "Admins can update applications" ON applications
     FOR UPDATE
-    USING (get_user_role(auth.uid()) = 'admin')
-    WITH CHECK (get_user_role(auth.uid()) = 'admin');
+    USING (has_client_permission(client_id, 'applications', 'update'))
+    WITH CHECK (has_client_permission(client_id, 'applications', 'update'));
 
--- Only admins can delete applications
+-- Roles with delete permission on the client can delete its applications
+DROP POLICY IF EXISTS "Admins can delete applications" ON applications;
 CREATE POLICY "Admins can delete applications" ON applications
     FOR DELETE
-    USING (get_user_role(auth.uid()) = 'admin');
+    USING (has_client_permission(client_id, 'applications', 'delete'));
 
 -- =====================================================
 -- CREDENTIALS POLICIES
 -- =====================================================
 
--- All authenticated users can view credentials
+-- Roles with read permission on the client can view its credentials
+DROP POLICY IF EXISTS "Users can view credentials" ON credentials;
 CREATE POLICY "Users can view credentials" ON credentials
     FOR SELECT
-    USING (auth.uid() IS NOT NULL);
+    USING (has_client_permission(get_application_client_id(app_id), 'credentials', 'read'));
 
--- Only admins can insert credentials
+-- Roles with create permission on the client can add credentials to it
+DROP POLICY IF EXISTS "Admins can insert credentials" ON credentials;
 CREATE POLICY "Admins can insert credentials" ON credentials
     FOR INSERT
-    WITH CHECK (get_user_role(auth.uid()) = 'admin');
+    WITH CHECK (has_client_permission(get_application_client_id(app_id), 'credentials', 'create'));
 
--- Only admins can update credentials
+-- Roles with update permission on the client can update its credentials
+DROP POLICY IF EXISTS "Admins can update credentials" ON credentials;
 CREATE POLICY "Admins can update credentials" ON credentials
     FOR UPDATE
-    USING (get_user_role(auth.uid()) = 'admin')
-    WITH CHECK (get_user_role(auth.uid()) = 'admin');
+    USING (has_client_permission(get_application_client_id(app_id), 'credentials', 'update'))
+    WITH CHECK (has_client_permission(get_application_client_id(app_id), 'credentials', 'update'));
 
--- Only admins can delete credentials
+-- Roles with delete permission on the client can delete its credentials
+DROP POLICY IF EXISTS "Admins can delete credentials" ON credentials;
 CREATE POLICY "Admins can delete credentials" ON credentials
     FOR DELETE
+    USING (has_client_permission(get_application_client_id(app_id), 'credentials', 'delete'));
+
+-- =====================================================
+-- CREDENTIAL_PASSWORD_HISTORY POLICIES
+-- =====================================================
+
+-- Password history is readable by everyone who can read the credential
+DROP POLICY IF EXISTS "Users can view password history" ON credential_password_history;
+CREATE POLICY "Users can view password history" ON credential_password_history
+    FOR SELECT
+    USING (has_client_permission(get_credential_client_id(credential_id), 'credentials', 'read'));
+
+-- Only roles that update the credential change its password, so only they add history entries
+DROP POLICY IF EXISTS "Admins can insert password history" ON credential_password_history;
+CREATE POLICY "Admins can insert password history" ON credential_password_history
+    FOR INSERT
+    WITH CHECK (
+        has_client_permission(get_credential_client_id(credential_id), 'credentials', 'update') AND
+        changed_by = auth.uid()
+    );
+
+-- Updates only re-encrypt entries during a vault key rotation
+DROP POLICY IF EXISTS "Admins can update password history" ON credential_password_history;
+CREATE POLICY "Admins can update password history" ON credential_password_history
+    FOR UPDATE
+    USING (is_admin_with_mfa())
+    WITH CHECK (is_admin_with_mfa());
+
+-- No DELETE policy: entries are removed only with their credential (ON DELETE CASCADE)
+
+-- =====================================================
+-- CREDENTIAL_ATTACHMENTS POLICIES
+-- =====================================================
+-- Same access as the credential: adding or removing files is a credential update.
+-- The file contents are ciphertext; reading them still needs the vault key.
+
+DROP POLICY IF EXISTS "Users can view attachments" ON credential_attachments;
+CREATE POLICY "Users can view attachments" ON credential_attachments
+    FOR SELECT
+    USING (has_client_permission(get_credential_client_id(credential_id), 'credentials', 'read'));
+
+DROP POLICY IF EXISTS "Admins can insert attachments" ON credential_attachments;
+CREATE POLICY "Admins can insert attachments" ON credential_attachments
+    FOR INSERT
+    WITH CHECK (
+        has_client_permission(get_credential_client_id(credential_id), 'credentials', 'update') AND
+        uploaded_by = auth.uid()
+    );
+
+-- Updates only point a row at its re-encrypted file during a vault key rotation
+DROP POLICY IF EXISTS "Admins can update attachments" ON credential_attachments;
+CREATE POLICY "Admins can update attachments" ON credential_attachments
+    FOR UPDATE
+    USING (is_admin_with_mfa())
+    WITH CHECK (is_admin_with_mfa());
+
+DROP POLICY IF EXISTS "Admins can delete attachments" ON credential_attachments;
+CREATE POLICY "Admins can delete attachments" ON credential_attachments
+    FOR DELETE
+    USING (has_client_permission(get_credential_client_id(credential_id), 'credentials', 'update'));
+
+-- =====================================================
+-- STORAGE POLICIES (credential-attachments bucket)
+-- =====================================================
+-- Objects live under <credential_id>/, so every object belongs to an existing
+-- credential and follows the access rules of that credential's client
+
+DROP POLICY IF EXISTS "Users can read attachment files" ON storage.objects;
+CREATE POLICY "Users can read attachment files" ON storage.objects
+    FOR SELECT
+    USING (
+        bucket_id = 'credential-attachments' AND
+        EXISTS (
+            SELECT 1 FROM credentials
+            WHERE credentials.id::text = (storage.foldername(name))[1]
+              AND has_client_permission(get_credential_client_id(credentials.id), 'credentials', 'read')
+        )
+    );
+
+DROP POLICY IF EXISTS "Admins can upload attachment files" ON storage.objects;
+CREATE POLICY "Admins can upload attachment files" ON storage.objects
+    FOR INSERT
+    WITH CHECK (
+        bucket_id = 'credential-attachments' AND
+        EXISTS (
+            SELECT 1 FROM credentials
+            WHERE credentials.id::text = (storage.foldername(name))[1]
+              AND has_client_permission(get_credential_client_id(credentials.id), 'credentials', 'update')
+        )
+    );
+
+DROP POLICY IF EXISTS "Admins can delete attachment files" ON storage.objects;
+CREATE POLICY "Admins can delete attachment files" ON storage.objects
+    FOR DELETE
+    USING (
+        bucket_id = 'credential-attachments' AND
+        EXISTS (
+            SELECT 1 FROM credentials
+            WHERE credentials.id::text = (storage.foldername(name))[1]
+              AND has_client_permission(get_credential_client_id(credentials.id), 'credentials', 'update')
+        )
+    );
+
+-- No UPDATE policy: re-encrypted files are uploaded as new objects
+
+-- =====================================================
+-- CREDENTIAL_SHARES POLICIES
+-- =====================================================
+-- Roles that update the credential create, list and revoke its links. Recipients have
+-- no session and read through consume_credential_share(), so there is no anon policy
+
+DROP POLICY IF EXISTS "Admins can view share links" ON credential_shares;
+CREATE POLICY "Admins can view share links" ON credential_shares
+    FOR SELECT
+    USING (has_client_permission(get_credential_client_id(credential_id), 'credentials', 'update'));
+
+DROP POLICY IF EXISTS "Admins can create share links" ON credential_shares;
+CREATE POLICY "Admins can create share links" ON credential_shares
+    FOR INSERT
+    WITH CHECK (
+        has_client_permission(get_credential_client_id(credential_id), 'credentials', 'update') AND
+        created_by = auth.uid() AND
+        view_count = 0 AND
+        expires_at > NOW()
+    );
+
+DROP POLICY IF EXISTS "Admins can revoke share links" ON credential_shares;
+CREATE POLICY "Admins can revoke share links" ON credential_shares
+    FOR DELETE
+    USING (has_client_permission(get_credential_client_id(credential_id), 'credentials', 'update'));
+
+-- No UPDATE policy: views are only counted by consume_credential_share()
+
+-- =====================================================
+-- INVITATIONS POLICIES
+-- =====================================================
+-- Only user managers issue, list and revoke invitations. People signing up have no
+-- session yet and read through get_invitation(); handle_new_user() marks an
+-- invitation accepted, so there is no UPDATE policy
+
+DROP POLICY IF EXISTS "Admins can view invitations" ON invitations;
+CREATE POLICY "Admins can view invitations" ON invitations
+    FOR SELECT
+    USING (has_permission('users', 'read'));
+
+DROP POLICY IF EXISTS "Admins can create invitations" ON invitations;
+CREATE POLICY "Admins can create invitations" ON invitations
+    FOR INSERT
+    WITH CHECK (
+        has_permission('users', 'update') AND
+        created_by = auth.uid() AND
+        accepted_at IS NULL AND
+        expires_at > NOW()
+    );
+
+DROP POLICY IF EXISTS "Admins can revoke invitations" ON invitations;
+CREATE POLICY "Admins can revoke invitations" ON invitations
+    FOR DELETE
+    USING (has_permission('users', 'update'));
+
+-- =====================================================
+-- APP_SETTINGS POLICIES
+-- =====================================================
+-- The single settings row is created by schema.sql; user managers can change it but
+-- never add or remove rows. The sign-up form reads get_registration_settings()
+
+DROP POLICY IF EXISTS "Admins can view app settings" ON app_settings;
+CREATE POLICY "Admins can view app settings" ON app_settings
+    FOR SELECT
+    USING (has_permission('users', 'read'));
+
+DROP POLICY IF EXISTS "Admins can update app settings" ON app_settings;
+CREATE POLICY "Admins can update app settings" ON app_settings
+    FOR UPDATE
+    USING (has_permission('users', 'update'))
+    WITH CHECK (
+        has_permission('users', 'update') AND
+        updated_by = auth.uid()
+    );
+
+-- =====================================================
+-- AUDIT_EVENTS POLICIES
+-- =====================================================
+
+-- Only admins can read the audit trail
+DROP POLICY IF EXISTS "Admins can view audit events" ON audit_events;
+CREATE POLICY "Admins can view audit events" ON audit_events
+    FOR SELECT
     USING (get_user_role(auth.uid()) = 'admin');
 
+-- Every signed-in user records their own events (actor_id is set by trigger)
+DROP POLICY IF EXISTS "Users can insert audit events" ON audit_events;
+CREATE POLICY "Users can insert audit events" ON audit_events
+    FOR INSERT
+    WITH CHECK (auth.uid() IS NOT NULL);
+
+-- No UPDATE or DELETE policies: the table is append-only
+REVOKE UPDATE, DELETE, TRUNCATE ON audit_events FROM anon, authenticated;
+
 -- =====================================================
 -- ADDITIONAL SECURITY POLICIES
 -- =====================================================
@@ -126,11 +526,12 @@ CREATE POLICY "Admins can delete credentials" ON credentials
 
 -- Create policy for real-time subscriptions
 -- Users can subscribe to changes in data they can read
+DROP POLICY IF EXISTS "Users can subscribe to allowed data" ON user_profiles;
 CREATE POLICY "Users can subscribe to allowed data" ON user_profiles
     FOR SELECT
     USING (
         auth.uid() = user_id OR 
-        get_user_role(auth.uid()) = 'admin'
+        has_permission('users', 'read')
     );
 
 -- =====================================================
@@ -146,6 +547,19 @@ GRANT ALL ON ALL SEQUENCES IN SCHEMA public TO authenticated;
 GRANT EXECUTE ON FUNCTION get_user_role(UUID) TO authenticated;
 GRANT EXECUTE ON FUNCTION handle_new_user() TO authenticated;
 GRANT EXECUTE ON FUNCTION update_updated_at_column() TO authenticated;
+GRANT EXECUTE ON FUNCTION redeem_emergency_kit(UUID, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION use_recovery_code(TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_user_mfa_status() TO authenticated;
+GRANT EXECUTE ON FUNCTION is_admin_with_mfa() TO authenticated;
+GRANT EXECUTE ON FUNCTION has_permission(TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION has_client_permission(INTEGER, TEXT, TEXT) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_application_client_id(INTEGER) TO authenticated;
+GRANT EXECUTE ON FUNCTION get_credential_client_id(INTEGER) TO authenticated;
+-- Share link recipients are not signed in
+GRANT EXECUTE ON FUNCTION consume_credential_share(UUID) TO anon, authenticated;
+-- Neither are people signing up
+GRANT EXECUTE ON FUNCTION get_registration_settings() TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION get_invitation(TEXT) TO anon, authenticated;
 
 -- =====================================================
 -- SECURITY NOTES
@@ -155,22 +569,50 @@ GRANT EXECUTE ON FUNCTION update_updated_at_column() TO authenticated;
 SECURITY IMPLEMENTATION NOTES:
 
 1. RLS is enabled on all tables to ensure data isolation
-2. get_user_role() function is used consistently across policies
-3. Admin users have full CRUD access to all entities
-4. Viewer users have read-only access to all entities
+2. get_user_role() function is used consistently across policies; has_permission() looks the role up in role_permissions
+3. Admin users have full CRUD access to all entities of every client (writes need an aal2 session)
+4. Editor users manage credentials and only read clients and applications; viewer users have read-only access; both only on the clients they are members of
 5. Users can only modify their own profile (except role)
 6. Only admins can change user roles
 7. System automatically creates user profiles via trigger
 8. All policies use auth.uid() to identify current user
 9. Policies are designed to prevent privilege escalation
 10. Real-time subscriptions respect the same access rules
+11. vault_keys only holds the team key wrapped per member; only user managers can grant or revoke, only admins re-wrap during rotation
+12. Key rotations are admin-only; the old key version is deleted once every credential is re-encrypted
+13. Password history cannot be deleted by any user; it disappears only with its credential
+14. audit_events is append-only: no UPDATE/DELETE policies, privileges revoked and a trigger rejecting changes; the actor comes from the session and changes to clients, applications, credentials and roles are logged by triggers
+15. Attachments follow the credentials rules in both credential_attachments and storage.objects; files are encrypted before upload
+16. credential_shares is admin-only; anonymous recipients can only call consume_credential_share(), which never returns a burned or expired ciphertext
+17. redeem_emergency_kit() is the only way to gain the admin role without an admin; it needs the token derived from K shares and works once per kit
+18. recovery_codes rows are visible only to their owner; each holds the private key sealed with the kit secret key and the code, and use_recovery_code() deletes that copy when the code is spent
+19. mfa_required can only be changed by admins; get_user_mfa_status() exposes factor status (never secrets) to admins only
+20. Every INSERT/UPDATE/DELETE policy requires is_admin_with_mfa() or has_permission(), which both need aal2: an aal1 session (password only) can read but not change data
+21. handle_new_user() rejects sign-ups without an unused, unexpired invitation for the same email unless open registration is on and the domain is allowed; the invitation alone decides the new user's role
+22. role_permissions is the single role matrix: the app reads it for its permission checks and the policies above read it through has_permission() and has_client_permission(); only the SQL editor can change it
+23. Clients, applications, credentials and everything hanging off credentials are checked per client: roles with all_clients use their own role everywhere, other users need a client_members row and get that row's role on that client only; only user managers change memberships
 
 TESTING CHECKLIST:
 - [ ] Admin can CRUD all entities
 - [ ] Viewer can only read entities
+- [ ] Editor can create, update and delete credentials, attachments and share links, but cannot change clients, applications, users or invitations
+- [ ] An editor or viewer sees no clients, applications, credentials, history, attachments, files or share links of a client they are not a member of, and cannot create clients
+- [ ] A viewer who is an editor member of one client can change that client's credentials but no other client's
+- [ ] Removing a row from role_permissions takes the permission away in both the app (after the next sign-in) and the policies
 - [ ] Users cannot access other users' data inappropriately
 - [ ] Role changes are restricted to admins
 - [ ] Unauthenticated users cannot access any data
 - [ ] Real-time subscriptions work correctly
 - [ ] Triggers create user profiles automatically
+- [ ] Viewers can read only their own vault_keys row
+- [ ] Viewers cannot read or change vault_key_rotations
+- [ ] Viewers can insert but not read audit_events; nobody can update or delete them
+- [ ] Viewers can download but not upload or delete files in the credential-attachments bucket
+- [ ] redeem_emergency_kit() rejects a wrong token, a used kit and a kit whose key version was rotated away
+- [ ] Users cannot read other users' recovery_codes, and use_recovery_code() spends a code only once
+- [ ] Users cannot clear their own mfa_required; get_user_mfa_status() returns no rows for viewers
+- [ ] An admin signed in with a password only (aal1) gets RLS errors on every write until they verify a TOTP code
+- [ ] Signing up without an invitation fails while open registration is off, and with an invitation for a different email, an expired one or a used one
+- [ ] Anonymous users cannot select invitations or app_settings but can call get_invitation() and get_registration_settings()
+- [ ] Anonymous users cannot select credential_shares but can open a link through consume_credential_share() until it is used up
 */
\ No newline at end of file
@@ -1,29 +1,226 @@
 -- LaliLink Database Schema
 -- This file contains the complete database schema for LaliLink application
+-- Safe to re-run: it also upgrades a database created from an older version
 
 -- Enable UUID extension
 CREATE EXTENSION IF NOT EXISTS "uuid-ossp";
 
+-- =====================================================
+-- UPGRADE EXISTING INSTALLATIONS
+-- =====================================================
+-- Adds the columns of newer features to tables created by an older schema,
+-- before anything below relies on them. Does nothing on a fresh database:
+-- the tables do not exist yet and are created in full below
+
+-- Master password vault key
+ALTER TABLE IF EXISTS user_profiles ADD COLUMN IF NOT EXISTS vault_salt TEXT;
+ALTER TABLE IF EXISTS user_profiles ADD COLUMN IF NOT EXISTS vault_kdf_iterations INTEGER;
+ALTER TABLE IF EXISTS user_profiles ADD COLUMN IF NOT EXISTS vault_verifier TEXT;
+
+-- Team vault key
+ALTER TABLE IF EXISTS user_profiles ADD COLUMN IF NOT EXISTS public_key TEXT;
+ALTER TABLE IF EXISTS user_profiles ADD COLUMN IF NOT EXISTS encrypted_private_key TEXT;
+
+-- Older installations kept plaintext passwords in credentials.pwd.
+-- The app encrypts them into encrypted_password when an admin unlocks the vault;
+-- once that has run, drop the legacy column so no readable password remains:
+ALTER TABLE IF EXISTS credentials ADD COLUMN IF NOT EXISTS encrypted_password TEXT;
+-- ALTER TABLE credentials DROP COLUMN IF EXISTS pwd;
+
+-- Vault key versions for key rotation
+ALTER TABLE IF EXISTS credentials ADD COLUMN IF NOT EXISTS key_version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE IF EXISTS vault_keys ADD COLUMN IF NOT EXISTS key_version INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE IF EXISTS vault_keys DROP CONSTRAINT IF EXISTS vault_keys_pkey;
+ALTER TABLE IF EXISTS vault_keys ADD PRIMARY KEY (user_id, key_version);
+
+-- Optional TOTP seed per credential
+ALTER TABLE IF EXISTS credentials ADD COLUMN IF NOT EXISTS encrypted_totp_secret TEXT;
+
+-- Per-client password policy
+ALTER TABLE IF EXISTS clients ADD COLUMN IF NOT EXISTS password_policy JSONB;
+
+-- Credential expiry and rotation reminders (password_changed_at gets its
+-- default once existing rows are backfilled at the end of this file)
+ALTER TABLE IF EXISTS credentials ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE IF EXISTS credentials ADD COLUMN IF NOT EXISTS rotate_every_days INTEGER CHECK (rotate_every_days > 0);
+ALTER TABLE IF EXISTS credentials ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP WITH TIME ZONE;
+
+-- Secure notes and custom fields
+ALTER TABLE IF EXISTS credentials ADD COLUMN IF NOT EXISTS item_type TEXT NOT NULL DEFAULT 'login' CHECK (item_type IN ('login', 'note'));
+ALTER TABLE IF EXISTS credentials ADD COLUMN IF NOT EXISTS encrypted_note TEXT;
+ALTER TABLE IF EXISTS credentials ADD COLUMN IF NOT EXISTS custom_fields JSONB NOT NULL DEFAULT '[]'::jsonb;
+ALTER TABLE IF EXISTS credentials ALTER COLUMN username DROP NOT NULL;
+ALTER TABLE IF EXISTS credentials ALTER COLUMN encrypted_password DROP NOT NULL;
+
+-- Encrypted item notes. Older installations kept them in plaintext in
+-- credentials.notes; the app encrypts them into encrypted_notes and clears
+-- notes when an admin unlocks the vault
+ALTER TABLE IF EXISTS credentials ADD COLUMN IF NOT EXISTS encrypted_notes TEXT;
+
+-- SSH key items
+ALTER TABLE IF EXISTS credentials ADD COLUMN IF NOT EXISTS encrypted_private_key TEXT;
+ALTER TABLE IF EXISTS credentials ADD COLUMN IF NOT EXISTS ssh_key_type TEXT;
+ALTER TABLE IF EXISTS credentials ADD COLUMN IF NOT EXISTS ssh_public_key TEXT;
+ALTER TABLE IF EXISTS credentials ADD COLUMN IF NOT EXISTS ssh_fingerprint TEXT;
+ALTER TABLE IF EXISTS credentials DROP CONSTRAINT IF EXISTS credentials_item_type_check;
+ALTER TABLE IF EXISTS credentials ADD CONSTRAINT credentials_item_type_check CHECK (item_type IN ('login', 'note', 'ssh'));
+-- NOT VALID: legacy rows that still only hold pwd are checked when they are next written
+ALTER TABLE IF EXISTS credentials DROP CONSTRAINT IF EXISTS credentials_item_fields;
+ALTER TABLE IF EXISTS credentials ADD CONSTRAINT credentials_item_fields CHECK (
+    (item_type = 'login' AND username IS NOT NULL AND encrypted_password IS NOT NULL)
+    OR (item_type = 'note' AND encrypted_note IS NOT NULL)
+    OR (item_type = 'ssh' AND encrypted_private_key IS NOT NULL AND ssh_public_key IS NOT NULL)
+) NOT VALID;
+
+-- Multi-factor authentication
+ALTER TABLE IF EXISTS user_profiles ADD COLUMN IF NOT EXISTS mfa_required BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Per-client access
+ALTER TABLE IF EXISTS roles ADD COLUMN IF NOT EXISTS all_clients BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Create roles table (role names a user or invitation can have)
+CREATE TABLE IF NOT EXISTS roles (
+    name TEXT PRIMARY KEY CHECK (name ~ '^[a-z][a-z0-9_]*$'),
+    label TEXT NOT NULL,
+    description TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    all_clients BOOLEAN NOT NULL DEFAULT FALSE
+);
+
+-- Create role_permissions table (role -> permission matrix, read by the app and the RLS policies)
+CREATE TABLE IF NOT EXISTS role_permissions (
+    role TEXT NOT NULL REFERENCES roles(name) ON UPDATE CASCADE ON DELETE CASCADE,
+    resource TEXT NOT NULL CHECK (resource IN ('clients', 'applications', 'credentials', 'users')),
+    action TEXT NOT NULL CHECK (action IN ('create', 'read', 'update', 'delete')),
+    PRIMARY KEY (role, resource, action)
+);
+
+INSERT INTO roles (name, label, description, position, all_clients) VALUES
+    ('admin', 'Admin', 'Manages clients, applications, credentials and users', 1, TRUE),
+    ('editor', 'Editor', 'Manages credentials; reads clients and applications', 2, FALSE),
+    ('viewer', 'Viewer', 'Reads clients, applications and credentials', 3, FALSE)
+ON CONFLICT (name) DO NOTHING;
+
+INSERT INTO role_permissions (role, resource, action) VALUES
+    ('admin', 'clients', 'create'), ('admin', 'clients', 'read'), ('admin', 'clients', 'update'), ('admin', 'clients', 'delete'),
+    ('admin', 'applications', 'create'), ('admin', 'applications', 'read'), ('admin', 'applications', 'update'), ('admin', 'applications', 'delete'),
+    ('admin', 'credentials', 'create'), ('admin', 'credentials', 'read'), ('admin', 'credentials', 'update'), ('admin', 'credentials', 'delete'),
+    ('admin', 'users', 'read'), ('admin', 'users', 'update'), ('admin', 'users', 'delete'),
+    ('editor', 'clients', 'read'),
+    ('editor', 'applications', 'read'),
+    ('editor', 'credentials', 'create'), ('editor', 'credentials', 'read'), ('editor', 'credentials', 'update'), ('editor', 'credentials', 'delete'),
+    ('viewer', 'clients', 'read'),
+    ('viewer', 'applications', 'read'),
+    ('viewer', 'credentials', 'read')
+ON CONFLICT DO NOTHING;
+
 -- Create user_profiles table
 CREATE TABLE IF NOT EXISTS user_profiles (
     user_id UUID PRIMARY KEY REFERENCES auth.users(id) ON DELETE CASCADE,
     email TEXT NOT NULL UNIQUE,
     full_name TEXT,
-    role TEXT NOT NULL DEFAULT 'viewer' CHECK (role IN ('admin', 'viewer')),
+    role TEXT NOT NULL DEFAULT 'viewer' REFERENCES roles(name) ON UPDATE CASCADE,
+    vault_salt TEXT,
+    vault_kdf_iterations INTEGER,
+    vault_verifier TEXT,
+    public_key TEXT,
+    encrypted_private_key TEXT,
+    mfa_required BOOLEAN NOT NULL DEFAULT FALSE,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create vault_keys table (team vault key wrapped for each member)
+CREATE TABLE IF NOT EXISTS vault_keys (
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    key_version INTEGER NOT NULL DEFAULT 1,
+    wrapped_key TEXT NOT NULL,
+    granted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (user_id, key_version)
+);
+
+-- Create vault_key_rotations table (progress of team vault key rotations)
+CREATE TABLE IF NOT EXISTS vault_key_rotations (
+    id SERIAL PRIMARY KEY,
+    from_version INTEGER NOT NULL,
+    to_version INTEGER NOT NULL UNIQUE,
+    started_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    completed_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create emergency_kits table (break-glass access; the recovery secret is split into Shamir shares)
+CREATE TABLE IF NOT EXISTS emergency_kits (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    key_version INTEGER NOT NULL,
+    threshold INTEGER NOT NULL CHECK (threshold >= 2),
+    share_count INTEGER NOT NULL CHECK (share_count >= threshold AND share_count <= 255),
+    encrypted_vault_key TEXT NOT NULL,
+    admin_token_hash TEXT NOT NULL,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    used_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    used_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create recovery_codes table (single-use codes of a user's recovery kit)
+CREATE TABLE IF NOT EXISTS recovery_codes (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    code_hash TEXT NOT NULL,
+    encrypted_private_key TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    used_at TIMESTAMP WITH TIME ZONE,
+    UNIQUE (user_id, code_hash)
+);
+
+-- Create invitations table (admin-issued sign-up invites with a pre-assigned role)
+CREATE TABLE IF NOT EXISTS invitations (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    token_hash TEXT NOT NULL UNIQUE,
+    email TEXT NOT NULL,
+    role TEXT NOT NULL DEFAULT 'viewer' REFERENCES roles(name) ON UPDATE CASCADE,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    accepted_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    accepted_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create app_settings table (single row of installation-wide settings)
+CREATE TABLE IF NOT EXISTS app_settings (
+    id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+    open_registration BOOLEAN NOT NULL DEFAULT FALSE,
+    allowed_email_domains TEXT[] NOT NULL DEFAULT '{}',
+    updated_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+INSERT INTO app_settings (id) VALUES (TRUE) ON CONFLICT (id) DO NOTHING;
+
 -- Create clients table
 CREATE TABLE IF NOT EXISTS clients (
     id SERIAL PRIMARY KEY,
     client_name TEXT NOT NULL,
     company_name TEXT,
     notes TEXT,
+    password_policy JSONB,
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Create client_members table (per-client access for roles that do not cover every client)
+CREATE TABLE IF NOT EXISTS client_members (
+    client_id INTEGER NOT NULL REFERENCES clients(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES user_profiles(user_id) ON DELETE CASCADE,
+    role TEXT NOT NULL REFERENCES roles(name) ON UPDATE CASCADE,
+    added_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    PRIMARY KEY (client_id, user_id)
+);
+
 -- Create applications table
 CREATE TABLE IF NOT EXISTS applications (
     id SERIAL PRIMARY KEY,
@@ -39,12 +236,86 @@ CREATE TABLE IF NOT EXISTS applications (
 CREATE TABLE IF NOT EXISTS credentials (
     id SERIAL PRIMARY KEY,
     app_id INTEGER NOT NULL REFERENCES applications(id) ON DELETE CASCADE,
-    username TEXT NOT NULL,
-    encrypted_password TEXT NOT NULL,
+    item_type TEXT NOT NULL DEFAULT 'login' CHECK (item_type IN ('login', 'note', 'ssh')),
+    username TEXT,
+    encrypted_password TEXT,
+    encrypted_totp_secret TEXT,
+    encrypted_note TEXT,
+    encrypted_private_key TEXT,
+    encrypted_notes TEXT,
+    ssh_key_type TEXT,
+    ssh_public_key TEXT,
+    ssh_fingerprint TEXT,
+    custom_fields JSONB NOT NULL DEFAULT '[]'::jsonb,
+    key_version INTEGER NOT NULL DEFAULT 1,
     url TEXT,
     description TEXT,
+    expires_at TIMESTAMP WITH TIME ZONE,
+    rotate_every_days INTEGER CHECK (rotate_every_days > 0),
+    password_changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
     created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
-    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    CONSTRAINT credentials_item_fields CHECK (
+        (item_type = 'login' AND username IS NOT NULL AND encrypted_password IS NOT NULL)
+        OR (item_type = 'note' AND encrypted_note IS NOT NULL)
+        OR (item_type = 'ssh' AND encrypted_private_key IS NOT NULL AND ssh_public_key IS NOT NULL)
+    )
+);
+
+-- Create credential_password_history table (previous passwords, encrypted)
+CREATE TABLE IF NOT EXISTS credential_password_history (
+    id SERIAL PRIMARY KEY,
+    credential_id INTEGER NOT NULL REFERENCES credentials(id) ON DELETE CASCADE,
+    encrypted_password TEXT NOT NULL,
+    key_version INTEGER NOT NULL DEFAULT 1,
+    changed_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    changed_by_email TEXT,
+    changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Create credential_attachments table (files encrypted in the browser, stored in Supabase Storage)
+CREATE TABLE IF NOT EXISTS credential_attachments (
+    id SERIAL PRIMARY KEY,
+    credential_id INTEGER NOT NULL REFERENCES credentials(id) ON DELETE CASCADE,
+    storage_path TEXT NOT NULL UNIQUE,
+    file_name TEXT NOT NULL,
+    mime_type TEXT,
+    size_bytes INTEGER NOT NULL CHECK (size_bytes >= 0),
+    key_version INTEGER NOT NULL DEFAULT 1,
+    uploaded_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Private bucket for the encrypted files; objects are stored as <credential_id>/<uuid>.
+-- The limit is ATTACHMENT_MAX_MB (5 MB) plus the 28-byte IV and GCM tag
+INSERT INTO storage.buckets (id, name, public, file_size_limit)
+VALUES ('credential-attachments', 'credential-attachments', false, 5242908)
+ON CONFLICT (id) DO NOTHING;
+
+-- Create credential_shares table (one-time links for people without an account)
+CREATE TABLE IF NOT EXISTS credential_shares (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    credential_id INTEGER NOT NULL REFERENCES credentials(id) ON DELETE CASCADE,
+    ciphertext TEXT, -- NULL once the link is used up or expired
+    max_views INTEGER NOT NULL DEFAULT 1 CHECK (max_views BETWEEN 1 AND 10),
+    view_count INTEGER NOT NULL DEFAULT 0,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_by UUID REFERENCES auth.users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+    burned_at TIMESTAMP WITH TIME ZONE
+);
+
+-- Create audit_events table (append-only audit trail)
+CREATE TABLE IF NOT EXISTS audit_events (
+    id BIGSERIAL PRIMARY KEY,
+    actor_id UUID, -- no FK: deleting a user must not rewrite the trail
+    actor_email TEXT,
+    action TEXT NOT NULL,
+    entity_type TEXT NOT NULL,
+    entity_id TEXT,
+    client_id INTEGER,
+    details JSONB DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
 -- Create indexes for better performance
@@ -52,10 +323,24 @@ CREATE INDEX IF NOT EXISTS idx_user_profiles_email ON user_profiles(email);
 CREATE INDEX IF NOT EXISTS idx_user_profiles_role ON user_profiles(role);
 -- Removed idx_clients_user_id index as user_id column was removed
 CREATE INDEX IF NOT EXISTS idx_clients_name ON clients(client_name);
+CREATE INDEX IF NOT EXISTS idx_client_members_user_id ON client_members(user_id);
 CREATE INDEX IF NOT EXISTS idx_applications_client_id ON applications(client_id);
 CREATE INDEX IF NOT EXISTS idx_applications_name ON applications(app_name);
 CREATE INDEX IF NOT EXISTS idx_credentials_app_id ON credentials(app_id);
 CREATE INDEX IF NOT EXISTS idx_credentials_username ON credentials(username);
+CREATE INDEX IF NOT EXISTS idx_credentials_key_version ON credentials(key_version);
+CREATE INDEX IF NOT EXISTS idx_credentials_expires_at ON credentials(expires_at);
+CREATE INDEX IF NOT EXISTS idx_password_history_credential_id ON credential_password_history(credential_id);
+CREATE INDEX IF NOT EXISTS idx_password_history_key_version ON credential_password_history(key_version);
+CREATE INDEX IF NOT EXISTS idx_attachments_credential_id ON credential_attachments(credential_id);
+CREATE INDEX IF NOT EXISTS idx_attachments_key_version ON credential_attachments(key_version);
+CREATE INDEX IF NOT EXISTS idx_shares_credential_id ON credential_shares(credential_id);
+CREATE INDEX IF NOT EXISTS idx_recovery_codes_user_id ON recovery_codes(user_id);
+CREATE INDEX IF NOT EXISTS idx_invitations_email ON invitations(email);
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor_id ON audit_events(actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_client_id ON audit_events(client_id);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action);
 
 -- Create updated_at trigger function
 CREATE OR REPLACE FUNCTION update_updated_at_column()
@@ -67,42 +352,229 @@ END;
 $$ language 'plpgsql';
 
 -- Create triggers for updated_at
+DROP TRIGGER IF EXISTS update_user_profiles_updated_at ON user_profiles;
 CREATE TRIGGER update_user_profiles_updated_at
     BEFORE UPDATE ON user_profiles
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_vault_keys_updated_at ON vault_keys;
+CREATE TRIGGER update_vault_keys_updated_at
+    BEFORE UPDATE ON vault_keys
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_app_settings_updated_at ON app_settings;
+CREATE TRIGGER update_app_settings_updated_at
+    BEFORE UPDATE ON app_settings
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_clients_updated_at ON clients;
 CREATE TRIGGER update_clients_updated_at
     BEFORE UPDATE ON clients
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_applications_updated_at ON applications;
 CREATE TRIGGER update_applications_updated_at
     BEFORE UPDATE ON applications
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+DROP TRIGGER IF EXISTS update_credentials_updated_at ON credentials;
 CREATE TRIGGER update_credentials_updated_at
     BEFORE UPDATE ON credentials
     FOR EACH ROW
     EXECUTE FUNCTION update_updated_at_column();
 
+-- Password history: the author and time always come from the server
+CREATE OR REPLACE FUNCTION set_password_history_defaults()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.changed_by = auth.uid();
+    NEW.changed_by_email = (SELECT email FROM auth.users WHERE id = auth.uid());
+    NEW.changed_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS set_password_history_defaults ON credential_password_history;
+CREATE TRIGGER set_password_history_defaults
+    BEFORE INSERT ON credential_password_history
+    FOR EACH ROW
+    EXECUTE FUNCTION set_password_history_defaults();
+
+-- Audit events: the actor and time always come from the server
+CREATE OR REPLACE FUNCTION set_audit_event_defaults()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.actor_id = auth.uid();
+    NEW.actor_email = (SELECT email FROM auth.users WHERE id = auth.uid());
+    NEW.created_at = NOW();
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Audit events are append-only, even for the table owner
+CREATE OR REPLACE FUNCTION prevent_audit_event_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ language 'plpgsql';
+
+DROP TRIGGER IF EXISTS set_audit_events_defaults ON audit_events;
+CREATE TRIGGER set_audit_events_defaults
+    BEFORE INSERT ON audit_events
+    FOR EACH ROW
+    EXECUTE FUNCTION set_audit_event_defaults();
+
+DROP TRIGGER IF EXISTS prevent_audit_events_changes ON audit_events;
+CREATE TRIGGER prevent_audit_events_changes
+    BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_event_changes();
+
+-- Changes to clients, applications and credentials are audited by the
+-- database itself, so a client that skips its own audit insert still leaves a trail
+CREATE OR REPLACE FUNCTION audit_vault_change()
+RETURNS TRIGGER AS $$
+DECLARE
+    row_data JSONB;
+    entity TEXT;
+    target_client_id INTEGER;
+    details JSONB;
+BEGIN
+    IF TG_OP = 'DELETE' THEN
+        row_data := to_jsonb(OLD);
+    ELSE
+        row_data := to_jsonb(NEW);
+    END IF;
+
+    IF TG_TABLE_NAME = 'clients' THEN
+        entity := 'client';
+        target_client_id := (row_data->>'id')::INTEGER;
+        details := jsonb_build_object('name', row_data->>'client_name');
+    ELSIF TG_TABLE_NAME = 'applications' THEN
+        entity := 'application';
+        target_client_id := (row_data->>'client_id')::INTEGER;
+        details := jsonb_build_object('name', row_data->>'app_name');
+    ELSE
+        entity := 'credential';
+        target_client_id := get_application_client_id((row_data->>'app_id')::INTEGER);
+        details := jsonb_build_object('app_id', (row_data->>'app_id')::INTEGER, 'item_type', row_data->>'item_type', 'username', row_data->>'username');
+    END IF;
+
+    -- Updates list the columns they changed, never their values
+    IF TG_OP = 'UPDATE' THEN
+        details := details || jsonb_build_object('fields', (
+            SELECT COALESCE(jsonb_agg(n.key), '[]'::jsonb)
+            FROM jsonb_each(row_data) n
+            WHERE n.key <> 'updated_at'
+              AND n.value IS DISTINCT FROM to_jsonb(OLD)->n.key
+        ));
+    END IF;
+
+    -- Same action names as the events the app logs itself
+    INSERT INTO audit_events (action, entity_type, entity_id, client_id, details)
+    VALUES (CASE TG_OP WHEN 'INSERT' THEN 'create' ELSE lower(TG_OP) END,
+            entity, row_data->>'id', target_client_id, details);
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Role changes are audited the same way
+CREATE OR REPLACE FUNCTION audit_role_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF OLD.role IS DISTINCT FROM NEW.role THEN
+        INSERT INTO audit_events (action, entity_type, entity_id, details)
+        VALUES ('role_change', 'user', NEW.user_id::TEXT,
+                jsonb_build_object('from', OLD.role, 'to', NEW.role));
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+DROP TRIGGER IF EXISTS audit_clients_changes ON clients;
+CREATE TRIGGER audit_clients_changes
+    AFTER INSERT OR UPDATE OR DELETE ON clients
+    FOR EACH ROW
+    EXECUTE FUNCTION audit_vault_change();
+
+DROP TRIGGER IF EXISTS audit_applications_changes ON applications;
+CREATE TRIGGER audit_applications_changes
+    AFTER INSERT OR UPDATE OR DELETE ON applications
+    FOR EACH ROW
+    EXECUTE FUNCTION audit_vault_change();
+
+DROP TRIGGER IF EXISTS audit_credentials_changes ON credentials;
+CREATE TRIGGER audit_credentials_changes
+    AFTER INSERT OR UPDATE OR DELETE ON credentials
+    FOR EACH ROW
+    EXECUTE FUNCTION audit_vault_change();
+
+DROP TRIGGER IF EXISTS audit_user_role_changes ON user_profiles;
+CREATE TRIGGER audit_user_role_changes
+    AFTER UPDATE OF role ON user_profiles
+    FOR EACH ROW
+    EXECUTE FUNCTION audit_role_change();
+
 -- Create function to automatically create user profile on signup
+-- Sign-ups need a valid invitation for their email address, which also sets
+-- their role. Without one they are only accepted while open registration is
+-- on and the email domain is allowed; the very first account is always accepted
 CREATE OR REPLACE FUNCTION public.handle_new_user()
 RETURNS TRIGGER AS $$
+DECLARE
+    invite_token TEXT := NEW.raw_user_meta_data->>'invite_token';
+    invite invitations%ROWTYPE;
+    settings app_settings%ROWTYPE;
+    assigned_role TEXT := 'viewer';
 BEGIN
+    IF invite_token IS NOT NULL THEN
+        SELECT * INTO invite
+        FROM invitations
+        WHERE token_hash = encode(sha256(convert_to(invite_token, 'UTF8')), 'hex')
+          AND accepted_at IS NULL
+          AND expires_at > NOW()
+        FOR UPDATE;
+
+        IF NOT FOUND OR lower(invite.email) <> lower(NEW.email) THEN
+            RAISE EXCEPTION 'Invitation is invalid or has expired';
+        END IF;
+
+        assigned_role := invite.role;
+        UPDATE invitations SET accepted_by = NEW.id, accepted_at = NOW() WHERE id = invite.id;
+    ELSIF EXISTS (SELECT 1 FROM user_profiles) THEN
+        SELECT * INTO settings FROM app_settings WHERE id;
+
+        IF NOT COALESCE(settings.open_registration, FALSE) THEN
+            RAISE EXCEPTION 'Registration is by invitation only';
+        END IF;
+
+        IF cardinality(settings.allowed_email_domains) > 0
+           AND NOT (lower(split_part(NEW.email, '@', 2)) = ANY (settings.allowed_email_domains)) THEN
+            RAISE EXCEPTION 'Email domain is not allowed to register';
+        END IF;
+    END IF;
+
     INSERT INTO public.user_profiles (user_id, email, full_name, role)
     VALUES (
         NEW.id,
         NEW.email,
         COALESCE(NEW.raw_user_meta_data->>'full_name', ''),
-        'viewer'
+        assigned_role
     );
     RETURN NEW;
 END;
-$$ LANGUAGE plpgsql SECURITY DEFINER;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
 
 -- Create trigger to automatically create user profile
+DROP TRIGGER IF EXISTS on_auth_user_created ON auth.users;
 CREATE TRIGGER on_auth_user_created
     AFTER INSERT ON auth.users
     FOR EACH ROW
@@ -122,13 +594,342 @@ BEGIN
 END;
 $$ LANGUAGE plpgsql SECURITY DEFINER;
 
+-- Admin writes need a session verified with a second factor (aal2), so a
+-- stolen password alone cannot change data. Used by every admin write policy
+CREATE OR REPLACE FUNCTION is_admin_with_mfa()
+RETURNS BOOLEAN AS $$
+BEGIN
+    RETURN get_user_role(auth.uid()) = 'admin'
+        AND COALESCE(auth.jwt() ->> 'aal', 'aal1') = 'aal2';
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Role matrix lookup for the RLS policies: whether the caller's role grants an
+-- action on a resource in role_permissions. Like is_admin_with_mfa(), anything
+-- but a read also needs a session verified with a second factor (aal2)
+CREATE OR REPLACE FUNCTION has_permission(perm_resource TEXT, perm_action TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RETURN FALSE;
+    END IF;
+
+    IF NOT EXISTS (
+        SELECT 1 FROM role_permissions
+        WHERE role = get_user_role(auth.uid())
+          AND resource = perm_resource
+          AND action = perm_action
+    ) THEN
+        RETURN FALSE;
+    END IF;
+
+    RETURN perm_action = 'read'
+        OR COALESCE(auth.jwt() ->> 'aal', 'aal1') = 'aal2';
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Client of an application or a credential, looked up past RLS so the
+-- policies below can check access to the client they belong to
+CREATE OR REPLACE FUNCTION get_application_client_id(target_app_id INTEGER)
+RETURNS INTEGER AS $$
+    SELECT client_id FROM applications WHERE id = target_app_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+CREATE OR REPLACE FUNCTION get_credential_client_id(target_credential_id INTEGER)
+RETURNS INTEGER AS $$
+    SELECT a.client_id
+    FROM credentials c
+    JOIN applications a ON a.id = c.app_id
+    WHERE c.id = target_credential_id;
+$$ LANGUAGE sql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Per-client version of has_permission(). Roles with all_clients act on every
+-- client with their own permissions; everyone else only on the clients they
+-- are a member of, with the permissions of their role there. A NULL client
+-- (one that does not exist yet) has no members
+CREATE OR REPLACE FUNCTION has_client_permission(target_client_id INTEGER, perm_resource TEXT, perm_action TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+    effective_role TEXT;
+BEGIN
+    IF auth.uid() IS NULL THEN
+        RETURN FALSE;
+    END IF;
+
+    SELECT r.name INTO effective_role
+    FROM roles r
+    WHERE r.name = get_user_role(auth.uid()) AND r.all_clients;
+
+    IF effective_role IS NULL THEN
+        SELECT m.role INTO effective_role
+        FROM client_members m
+        WHERE m.client_id = target_client_id AND m.user_id = auth.uid();
+    END IF;
+
+    IF effective_role IS NULL OR NOT EXISTS (
+        SELECT 1 FROM role_permissions
+        WHERE role = effective_role
+          AND resource = perm_resource
+          AND action = perm_action
+    ) THEN
+        RETURN FALSE;
+    END IF;
+
+    RETURN perm_action = 'read'
+        OR COALESCE(auth.jwt() ->> 'aal', 'aal1') = 'aal2';
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- MFA status of every user for the admin user list. Factors live in the
+-- auth schema, which clients cannot read directly
+CREATE OR REPLACE FUNCTION get_user_mfa_status()
+RETURNS TABLE (user_id UUID, mfa_enabled BOOLEAN) AS $$
+BEGIN
+    IF NOT has_permission('users', 'read') THEN
+        RETURN;
+    END IF;
+
+    RETURN QUERY
+    SELECT p.user_id,
+           EXISTS (
+               SELECT 1 FROM auth.mfa_factors f
+               WHERE f.user_id = p.user_id AND f.status = 'verified'
+           )
+    FROM user_profiles p;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Use an emergency kit: the caller proves they combined enough shares by
+-- presenting the token derived from the recovery secret, and becomes an admin.
+-- Each kit works once, and only while its vault key version still exists
+CREATE OR REPLACE FUNCTION redeem_emergency_kit(kit_id UUID, admin_token TEXT)
+RETURNS BOOLEAN AS $$
+DECLARE
+    kit emergency_kits%ROWTYPE;
+BEGIN
+    -- The kit hands out the admin role, so it needs a second factor like admin writes
+    IF auth.uid() IS NULL OR COALESCE(auth.jwt() ->> 'aal', 'aal1') <> 'aal2' THEN
+        RETURN FALSE;
+    END IF;
+
+    SELECT * INTO kit
+    FROM emergency_kits
+    WHERE id = kit_id AND used_at IS NULL
+    FOR UPDATE;
+
+    IF NOT FOUND OR kit.admin_token_hash <> encode(sha256(convert_to(admin_token, 'UTF8')), 'hex') THEN
+        RETURN FALSE;
+    END IF;
+
+    IF NOT EXISTS (SELECT 1 FROM vault_keys WHERE key_version = kit.key_version) THEN
+        RETURN FALSE;
+    END IF;
+
+    UPDATE emergency_kits SET used_by = auth.uid(), used_at = NOW() WHERE id = kit_id;
+    UPDATE user_profiles SET role = 'admin' WHERE user_id = auth.uid();
+
+    RETURN TRUE;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Spend a recovery code of the caller. The key copy it protected is deleted
+-- with it, so a code can reset the master password only once
+CREATE OR REPLACE FUNCTION use_recovery_code(recovery_code_hash TEXT)
+RETURNS BOOLEAN AS $$
+BEGIN
+    UPDATE recovery_codes
+    SET used_at = NOW(), encrypted_private_key = NULL
+    WHERE user_id = auth.uid()
+      AND code_hash = recovery_code_hash
+      AND used_at IS NULL;
+
+    RETURN FOUND;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
+-- Registration options for the sign-up form, readable without a session
+CREATE OR REPLACE FUNCTION get_registration_settings()
+RETURNS TABLE (open_registration BOOLEAN, allowed_email_domains TEXT[]) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT s.open_registration, s.allowed_email_domains
+    FROM app_settings s
+    WHERE s.id;
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Look up an invitation by its token so the sign-up form can show who it is
+-- for. Callable without a session; returns nothing once accepted or expired
+CREATE OR REPLACE FUNCTION get_invitation(invite_token TEXT)
+RETURNS TABLE (email TEXT, role TEXT, expires_at TIMESTAMP WITH TIME ZONE) AS $$
+BEGIN
+    RETURN QUERY
+    SELECT i.email, i.role, i.expires_at
+    FROM invitations i
+    WHERE i.token_hash = encode(sha256(convert_to(invite_token, 'UTF8')), 'hex')
+      AND i.accepted_at IS NULL
+      AND i.expires_at > NOW();
+END;
+$$ LANGUAGE plpgsql STABLE SECURITY DEFINER SET search_path = public;
+
+-- Open a share link: hands out the ciphertext, counts the view and burns the
+-- ciphertext on the last allowed view. Callable without a session; the key
+-- needed to read the ciphertext only exists in the link itself
+CREATE OR REPLACE FUNCTION consume_credential_share(share_id UUID)
+RETURNS TEXT AS $$
+DECLARE
+    share credential_shares%ROWTYPE;
+BEGIN
+    -- Expired links are burned whenever any link is opened
+    UPDATE credential_shares
+    SET ciphertext = NULL, burned_at = NOW()
+    WHERE ciphertext IS NOT NULL AND expires_at <= NOW();
+
+    SELECT * INTO share
+    FROM credential_shares
+    WHERE id = share_id AND ciphertext IS NOT NULL
+    FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RETURN NULL;
+    END IF;
+
+    UPDATE credential_shares
+    SET view_count = view_count + 1,
+        ciphertext = CASE WHEN view_count + 1 >= max_views THEN NULL ELSE ciphertext END,
+        burned_at = CASE WHEN view_count + 1 >= max_views THEN NOW() ELSE NULL END
+    WHERE id = share_id;
+
+    RETURN share.ciphertext;
+END;
+$$ LANGUAGE plpgsql SECURITY DEFINER SET search_path = public;
+
 -- Comments for documentation
 COMMENT ON TABLE user_profiles IS 'User profiles with role-based access control';
+COMMENT ON TABLE roles IS 'Roles users and invitations can have; admin, editor and viewer are built in';
+COMMENT ON TABLE role_permissions IS 'Role permission matrix: one row per role, resource and allowed action';
+COMMENT ON TABLE vault_keys IS 'Team vault key wrapped with each member public key';
+COMMENT ON TABLE emergency_kits IS 'Break-glass kit: vault key sealed with a recovery secret that only exists as K-of-N Shamir shares';
+COMMENT ON TABLE recovery_codes IS 'Single-use recovery codes; each protects a copy of the user private key and is stored only as a hash';
+COMMENT ON TABLE vault_key_rotations IS 'Team vault key rotations; an open row means re-encryption has not finished';
 COMMENT ON TABLE clients IS 'Client information managed by users';
+COMMENT ON TABLE client_members IS 'Users who may work on a client and the role they have there';
 COMMENT ON TABLE applications IS 'Applications belonging to clients';
 COMMENT ON TABLE credentials IS 'Encrypted credentials for applications';
+COMMENT ON TABLE audit_events IS 'Append-only audit trail of credential access and changes';
+COMMENT ON TABLE credential_password_history IS 'Previous credential passwords, encrypted with the vault key';
+COMMENT ON TABLE credential_attachments IS 'Files attached to credentials; contents are AES-256 encrypted with the vault key in Storage';
+COMMENT ON TABLE credential_shares IS 'One-time share links; the secret is encrypted with a key that only exists in the link fragment';
+COMMENT ON TABLE invitations IS 'Admin-issued sign-up invitations; the token is only stored as a hash';
+COMMENT ON TABLE app_settings IS 'Single row of installation-wide settings';
 
-COMMENT ON COLUMN user_profiles.role IS 'User role: admin or viewer';
+COMMENT ON COLUMN roles.all_clients IS 'Whether the role covers every client; other roles need a client_members row per client';
+COMMENT ON COLUMN client_members.role IS 'Role the member has on this client, one of roles.name';
+COMMENT ON COLUMN user_profiles.role IS 'User role, one of roles.name (admin, editor, viewer or a custom role)';
+COMMENT ON COLUMN user_profiles.mfa_required IS 'Set by an admin: the user must enroll a TOTP factor before using the app';
+COMMENT ON COLUMN user_profiles.vault_salt IS 'Per-user PBKDF2 salt for the master password vault key';
+COMMENT ON COLUMN user_profiles.vault_kdf_iterations IS 'PBKDF2 iteration count used to derive the vault key';
+COMMENT ON COLUMN user_profiles.vault_verifier IS 'Known value encrypted with the vault key, used to detect a wrong master password';
+COMMENT ON COLUMN user_profiles.public_key IS 'RSA-OAEP public key (SPKI, base64) used to wrap the team vault key for this user';
+COMMENT ON COLUMN user_profiles.encrypted_private_key IS 'RSA-OAEP private key (PKCS#8) encrypted with the master password key';
+COMMENT ON COLUMN vault_keys.wrapped_key IS 'Team vault key wrapped with the member public key';
+COMMENT ON COLUMN vault_keys.key_version IS 'Vault key version; two versions exist while a rotation is running';
+COMMENT ON COLUMN emergency_kits.encrypted_vault_key IS 'Vault key encrypted with a key derived (HKDF) from the recovery secret';
+COMMENT ON COLUMN emergency_kits.admin_token_hash IS 'SHA-256 of the admin token derived from the recovery secret';
+COMMENT ON COLUMN emergency_kits.used_at IS 'When the kit restored admin access; a kit works once';
+COMMENT ON COLUMN recovery_codes.code_hash IS 'SHA-256 of the normalized recovery code; the code itself is never stored';
+COMMENT ON COLUMN recovery_codes.encrypted_private_key IS 'User private key (PKCS#8) encrypted with a key derived (HKDF) from the kit secret key and this code; NULL once used';
+COMMENT ON COLUMN clients.password_policy IS 'Credential password rules: min_length, max_length, uppercase/lowercase/numbers/symbols (required, allowed or forbidden), banned_characters, max_age_days, generator';
 COMMENT ON COLUMN credentials.encrypted_password IS 'AES-256 encrypted password';
+COMMENT ON COLUMN credentials.encrypted_totp_secret IS 'AES-256 encrypted TOTP seed or otpauth:// URI';
+COMMENT ON COLUMN credentials.expires_at IS 'Hard expiry date of the credential (optional)';
+COMMENT ON COLUMN credentials.rotate_every_days IS 'Rotation interval in days, counted from password_changed_at (optional)';
+COMMENT ON COLUMN credentials.password_changed_at IS 'When the password was last set or changed';
+COMMENT ON COLUMN credentials.item_type IS 'login (username and password), note (secure note only) or ssh (SSH key pair)';
+COMMENT ON COLUMN credentials.encrypted_note IS 'AES-256 encrypted body of a secure note';
+COMMENT ON COLUMN credentials.encrypted_private_key IS 'AES-256 encrypted SSH private key (PEM)';
+COMMENT ON COLUMN credentials.encrypted_notes IS 'AES-256 encrypted free-form notes of the item';
+COMMENT ON COLUMN credentials.ssh_key_type IS 'SSH key algorithm, e.g. ssh-ed25519 or ssh-rsa';
+COMMENT ON COLUMN credentials.ssh_public_key IS 'OpenSSH public key line';
+COMMENT ON COLUMN credentials.ssh_fingerprint IS 'SHA256 fingerprint of the public key, as printed by ssh-keygen -l';
+COMMENT ON COLUMN credentials.custom_fields IS 'Array of {label, type, value}; type is text, hidden, url, email or totp, and hidden/totp values are AES-256 encrypted';
+COMMENT ON COLUMN credentials.key_version IS 'Vault key version the password is encrypted with';
+COMMENT ON COLUMN credential_password_history.encrypted_password IS 'Password that was replaced, AES-256 encrypted';
+COMMENT ON COLUMN credential_password_history.changed_by IS 'User who replaced the password';
+COMMENT ON COLUMN credential_password_history.changed_by_email IS 'Email of that user, set by trigger from auth.users';
+COMMENT ON COLUMN credential_attachments.storage_path IS 'Object path in the credential-attachments bucket, <credential_id>/<uuid>';
+COMMENT ON COLUMN credential_attachments.key_version IS 'Vault key version the file is encrypted with';
+COMMENT ON COLUMN credential_shares.ciphertext IS 'AES-256 encrypted secret under the link key (not the vault key); NULL once burned';
+COMMENT ON COLUMN credential_shares.max_views IS 'Number of times the link can be opened before it is burned';
+COMMENT ON COLUMN invitations.token_hash IS 'SHA-256 of the invitation token; the token itself only exists in the invite link';
+COMMENT ON COLUMN invitations.email IS 'Only this email address can sign up with the invitation';
+COMMENT ON COLUMN invitations.role IS 'Role the invited user gets on sign-up';
+COMMENT ON COLUMN invitations.accepted_at IS 'When the invitation was used; an invitation works once';
+COMMENT ON COLUMN app_settings.open_registration IS 'Whether people can sign up without an invitation';
+COMMENT ON COLUMN app_settings.allowed_email_domains IS 'Lower-case email domains open registration is limited to; empty allows any domain';
+COMMENT ON COLUMN audit_events.action IS 'login, logout, reveal, copy, create, update, delete, restore, role_change, vault_grant, vault_revoke, key_rotation, share, share_revoke, emergency_kit, emergency_recovery, recovery_codes, master_reset, mfa_enroll, mfa_remove, mfa_requirement, mfa_step_up, invite, invite_revoke, registration_settings, member_add, member_update, member_remove';
+COMMENT ON COLUMN audit_events.entity_type IS 'session, client, application, credential, user, vault or settings';
+COMMENT ON COLUMN audit_events.client_id IS 'Client the target belongs to; kept after the client is deleted';
+COMMENT ON COLUMN audit_events.actor_email IS 'Email of the actor, set by trigger from auth.users';
+COMMENT ON FUNCTION audit_vault_change() IS 'Writes a create, update or delete audit event for every changed client, application or credential row';
+COMMENT ON FUNCTION audit_role_change() IS 'Writes a role_change audit event when a user''s role changes';
 COMMENT ON FUNCTION get_user_role(UUID) IS 'Helper function to get user role for RLS policies';
-COMMENT ON FUNCTION handle_new_user() IS 'Automatically creates user profile on signup';
\ No newline at end of file
+COMMENT ON FUNCTION has_permission(TEXT, TEXT) IS 'True when role_permissions grants the caller the action on the resource; non-read actions also need an aal2 session';
+COMMENT ON FUNCTION has_client_permission(INTEGER, TEXT, TEXT) IS 'has_permission() for one client: all_clients roles use their own role, everyone else the role of their client_members row';
+COMMENT ON FUNCTION get_application_client_id(INTEGER) IS 'Client an application belongs to, for the RLS policies';
+COMMENT ON FUNCTION get_credential_client_id(INTEGER) IS 'Client a credential belongs to, for the RLS policies';
+COMMENT ON FUNCTION is_admin_with_mfa() IS 'True for admins whose session passed a second factor (aal2); guards admin write policies';
+COMMENT ON FUNCTION get_user_mfa_status() IS 'Lists whether each user has a verified MFA factor; returns nothing for non-admins';
+COMMENT ON FUNCTION handle_new_user() IS 'Creates the user profile on signup; rejects sign-ups without a valid invitation unless open registration allows them';
+COMMENT ON FUNCTION get_registration_settings() IS 'Whether open registration is on and which email domains it accepts';
+COMMENT ON FUNCTION get_invitation(TEXT) IS 'Email, role and expiry of an unused invitation, looked up by its token';
+COMMENT ON FUNCTION redeem_emergency_kit(UUID, TEXT) IS 'Makes the caller an admin when they present the token of an unused emergency kit from an aal2 session';
+COMMENT ON FUNCTION use_recovery_code(TEXT) IS 'Marks an unused recovery code of the caller as used and deletes the key copy it protected';
+COMMENT ON FUNCTION consume_credential_share(UUID) IS 'Returns the ciphertext of a share link and burns it after its last view';
+
+-- =====================================================
+-- MIGRATE EXISTING DATA
+-- =====================================================
+-- Fills in rows created before a feature existed. Does nothing on a fresh
+-- database or once it has run
+
+-- Credentials take their last password change from the history, or their own
+-- timestamps; triggers are off so updated_at and the audit trail stay untouched
+ALTER TABLE credentials DISABLE TRIGGER USER;
+UPDATE credentials c
+SET password_changed_at = COALESCE(
+    (SELECT MAX(h.changed_at) FROM credential_password_history h WHERE h.credential_id = c.id),
+    c.updated_at,
+    c.created_at
+)
+WHERE c.password_changed_at IS NULL;
+ALTER TABLE credentials ENABLE TRIGGER USER;
+ALTER TABLE credentials ALTER COLUMN password_changed_at SET DEFAULT NOW();
+
+-- Registration is invite-only from now on; to keep open sign-up on an
+-- existing installation run:
+-- UPDATE app_settings SET open_registration = TRUE;
+
+-- Roles were limited by CHECK constraints; the roles table replaces them
+ALTER TABLE user_profiles DROP CONSTRAINT IF EXISTS user_profiles_role_check;
+ALTER TABLE user_profiles DROP CONSTRAINT IF EXISTS user_profiles_role_fkey;
+ALTER TABLE user_profiles ADD CONSTRAINT user_profiles_role_fkey
+    FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+ALTER TABLE invitations DROP CONSTRAINT IF EXISTS invitations_role_check;
+ALTER TABLE invitations DROP CONSTRAINT IF EXISTS invitations_role_fkey;
+ALTER TABLE invitations ADD CONSTRAINT invitations_role_fkey
+    FOREIGN KEY (role) REFERENCES roles(name) ON UPDATE CASCADE;
+
+-- Admins covered every client before roles had all_clients
+UPDATE roles SET all_clients = TRUE WHERE name = 'admin';
+
+-- Every role used to see every client. So nobody loses access, existing users
+-- become members of every existing client with their own role; remove the
+-- memberships that should not stay. Only runs while client_members is empty
+INSERT INTO client_members (client_id, user_id, role)
+SELECT c.id, p.user_id, p.role
+FROM clients c
+CROSS JOIN user_profiles p
+JOIN roles r ON r.name = p.role
+WHERE NOT r.all_clients
+  AND NOT EXISTS (SELECT 1 FROM client_members);